@@ -0,0 +1,505 @@
+#!/usr/bin/env node
+
+// Single entry point for the runners and tools in scripts/. Every command
+// takes the same global flags and exits with:
+//   0  everything passed
+//   1  a gate failed, or a verification found differences or regressions
+//   2  bad usage, or the command could not run
+
+const { COLORS } = require("../scripts/test-harness");
+const { applyProfile } = require("../scripts/project-config");
+const { applySelectionArgs } = require("../scripts/test-selection");
+const { applyGateArgs, gatesPassed } = require("../scripts/test-gates");
+const { JUnitReporter } = require("../scripts/junit-reporter");
+
+const EXIT_PASSED = 0;
+const EXIT_FAILED = 1;
+const EXIT_ERROR = 2;
+
+class UsageError extends Error {}
+
+const GLOBAL_OPTIONS = [
+  ["--profile <name>", "Profile from upgrade-tests.config.json"],
+  ["--network <name>", "Hardhat network to use (or HARDHAT_NETWORK)"],
+  ["--verbose", "Enable verbose output"],
+  ["--debug", "Enable debug output"],
+  ["-h, --help", "Show help for the command"],
+];
+
+const SELECTION_OPTIONS = [
+  [
+    "--grep <pattern>",
+    "Only run tests whose name matches (case-insensitive regex)",
+  ],
+  ["--tag <tag>", "Only run tests with this tag or category (repeatable)"],
+  ["--list", "List the selected tests without running them"],
+];
+
+const GATE_OPTIONS = [
+  ["--min-success-rate <percent>", "Fail below this success rate"],
+  ["--max-failed <n>", "Fail with more than n failed tests (default: 0)"],
+  [
+    "--max-flaky <n>",
+    "Fail with more than n tests that only passed on a retry",
+  ],
+  ["--must-pass <name>", "Fail unless this test passed (repeatable)"],
+];
+
+const SCOPE_OPTIONS = [
+  ["--evm-only", "Only the EVM side"],
+  ["--cosmos-only", "Only the Cosmos side"],
+];
+
+// Each command wraps the class behind one of the scripts. Scripts that
+// require hardhat are loaded inside `run`, after the network and profile are
+// in the environment.
+const COMMANDS = {
+  run: {
+    usage: "run [evm|cosmos|all] [options]",
+    summary: "Run the test suites, or an upgrade scenario",
+    options: [
+      ["--suite <name>", 'Only run this suite, e.g. "RPC Calls" (repeatable)'],
+      ["--skip <name>", "Skip this suite (repeatable)"],
+      ["--deploy", "Deploy the test contracts first"],
+      [
+        "--scenario <file>",
+        "Run a JSON or YAML upgrade scenario phase by phase",
+      ],
+      ["--junit [file]", "Write a JUnit XML report"],
+      ["--soak", "Repeat the selected suites (stop early with Ctrl-C)"],
+      ["--iterations <n>", "Soak: stop after n iterations"],
+      ["--duration <time>", "Soak: stop after this long, e.g. 30m or 8h"],
+      ["--interval <time>", "Soak: pause between iterations, e.g. 30s"],
+      ...SELECTION_OPTIONS,
+      ...GATE_OPTIONS,
+    ],
+    flags: ["--deploy", "--list", "--soak"],
+    values: [
+      "--suite",
+      "--skip",
+      "--scenario",
+      "--grep",
+      "--tag",
+      "--min-success-rate",
+      "--max-failed",
+      "--max-flaky",
+      "--must-pass",
+      "--iterations",
+      "--duration",
+      "--interval",
+    ],
+    async run(args) {
+      const [target = "all", ...rest] = args.positionals;
+      if (!["evm", "cosmos", "all"].includes(target) || rest.length > 0) {
+        throw new UsageError(
+          `Unknown run target: ${args.positionals.join(" ")}`
+        );
+      }
+      if (target !== "all") {
+        process.env.RUN_EVM = String(target === "evm");
+        process.env.RUN_COSMOS = String(target === "cosmos");
+      }
+      if (args.values["--suite"]) {
+        process.env.ONLY_SUITES = args.values["--suite"].join(",");
+      }
+      if (args.values["--skip"]) {
+        process.env.SKIP_SUITES = args.values["--skip"].join(",");
+      }
+      if (args.flags["--deploy"]) {
+        process.env.DEPLOY_FIRST = "true";
+      }
+      const junitFile = JUnitReporter.outputFileFromArgs(
+        args.raw,
+        "junit-comprehensive.xml"
+      );
+      if (junitFile) {
+        process.env.JUNIT_OUTPUT = junitFile;
+      }
+      applySelectionArgs(args.raw);
+      applyGateArgs(args.raw);
+      const soakVariables = {
+        "--iterations": "SOAK_ITERATIONS",
+        "--duration": "SOAK_DURATION",
+        "--interval": "SOAK_INTERVAL",
+      };
+      for (const [flag, variable] of Object.entries(soakVariables)) {
+        if (args.values[flag]) {
+          process.env[variable] = lastValue(args, flag);
+        }
+      }
+
+      const {
+        ComprehensiveTestRunner,
+        soakSettings,
+      } = require("../scripts/run-comprehensive-tests");
+      const runner = new ComprehensiveTestRunner();
+
+      if (runner.selection.list) {
+        await runner.listTests();
+        return EXIT_PASSED;
+      }
+      if (args.flags["--soak"] || process.env.SOAK === "true") {
+        await runner.runSoak(soakSettings());
+        return gatesPassed(runner.gates) ? EXIT_PASSED : EXIT_FAILED;
+      }
+      const scenarioFile =
+        lastValue(args, "--scenario") || process.env.SCENARIO_FILE;
+      if (scenarioFile) {
+        const report = await runner.runScenario(scenarioFile);
+        return report.success ? EXIT_PASSED : EXIT_FAILED;
+      }
+      await runner.run();
+      return gatesPassed(runner.gates) ? EXIT_PASSED : EXIT_FAILED;
+    },
+  },
+
+  deploy: {
+    usage: "deploy [options]",
+    summary: "Deploy TestContract and TestERC20",
+    async run() {
+      const { ContractDeployer } = require("../scripts/deploy-test-contracts");
+      await new ContractDeployer().deploy();
+      return EXIT_PASSED;
+    },
+  },
+
+  seed: {
+    usage: "seed [--verify] [options]",
+    summary: "Seed state before an upgrade, or verify it afterwards",
+    options: [
+      ["--verify", "Verify the seeded state instead of seeding it"],
+      ...SCOPE_OPTIONS,
+    ],
+    flags: ["--verify", "--evm-only", "--cosmos-only"],
+    async run(args) {
+      applyScope(args);
+      if (args.flags["--verify"]) {
+        process.env.SEED_MODE = "verify";
+      }
+      const { UpgradeStateSeeder } = require("../scripts/seed-upgrade-state");
+      const seeder = new UpgradeStateSeeder();
+      const results =
+        process.env.SEED_MODE === "verify"
+          ? await seeder.verify()
+          : await seeder.seed();
+      return results.failed > 0 ? EXIT_FAILED : EXIT_PASSED;
+    },
+  },
+
+  snapshot: {
+    usage: "snapshot [--label <name>] [--compare <label|file>] [options]",
+    summary: "Snapshot chain state, optionally diffing it against another",
+    options: [
+      ["--label <name>", "Label for the snapshot (default: snapshot)"],
+      ["--compare <label|file>", "Diff the new snapshot against this one"],
+      ...SCOPE_OPTIONS,
+    ],
+    flags: ["--evm-only", "--cosmos-only"],
+    values: ["--label", "--compare"],
+    async run(args) {
+      applyScope(args);
+      const {
+        ChainStateSnapshotter,
+      } = require("../scripts/snapshot-chain-state");
+      const snapshotter = new ChainStateSnapshotter();
+      const label = lastValue(args, "--label") || "snapshot";
+      await snapshotter.takeSnapshot(label);
+
+      const compareWith = lastValue(args, "--compare");
+      if (!compareWith) {
+        return EXIT_PASSED;
+      }
+      const report = snapshotter.writeDiff(compareWith, label);
+      return report.summary.totalChanges === 0 ? EXIT_PASSED : EXIT_FAILED;
+    },
+  },
+
+  diff: {
+    usage: "diff <before> <after>",
+    summary: "Diff two saved snapshots (labels or files)",
+    async run(args) {
+      const [before, after] = requirePositionals(args, 2, "<before> <after>");
+      const {
+        ChainStateSnapshotter,
+      } = require("../scripts/snapshot-chain-state");
+      const report = new ChainStateSnapshotter().writeDiff(before, after);
+      return report.summary.totalChanges === 0 ? EXIT_PASSED : EXIT_FAILED;
+    },
+  },
+
+  compare: {
+    usage: "compare <before.json> <after.json>",
+    summary: "Compare two saved test results for regressions",
+    async run(args) {
+      const [before, after] = requirePositionals(
+        args,
+        2,
+        "<before.json> <after.json>"
+      );
+      const { ResultsComparator } = require("../scripts/compare-results");
+      const comparator = new ResultsComparator();
+      const report = comparator.compare(before, after);
+      comparator.printReport(report);
+      comparator.saveReport(report);
+      return comparator.hasRegressions(report) ? EXIT_FAILED : EXIT_PASSED;
+    },
+  },
+
+  report: {
+    usage: "report [result.json ...] [--output <file>]",
+    summary: "Build an HTML report from saved test results",
+    options: [
+      [
+        "--output <file>",
+        "Write the report here instead of test-results/report-latest.html",
+      ],
+    ],
+    values: ["--output"],
+    async run(args) {
+      const {
+        HtmlReportGenerator,
+      } = require("../scripts/generate-html-report");
+      new HtmlReportGenerator().generate(
+        args.positionals,
+        lastValue(args, "--output")
+      );
+      return EXIT_PASSED;
+    },
+  },
+
+  derive: {
+    usage: "derive [derivation_path]",
+    summary: "Find the derivation path that yields EXPECTED_ADDRESS",
+    async run(args) {
+      if (args.positionals.length > 1) {
+        throw new UsageError("derive takes at most one derivation path");
+      }
+      const {
+        DerivationPathTester,
+      } = require("../scripts/test-derivation-paths");
+      const tester = new DerivationPathTester();
+      const found = args.positionals[0]
+        ? await tester.testSpecificPath(args.positionals[0])
+        : await tester.testAllPaths();
+      return found ? EXIT_PASSED : EXIT_FAILED;
+    },
+  },
+
+  propose: {
+    usage: "propose --name <upgrade> [--height <height>] [--info <info>]",
+    summary: "Submit and vote a software upgrade proposal",
+    options: [
+      ["--name <name>", "Upgrade plan name (or UPGRADE_NAME)"],
+      ["--height <height>", "Upgrade height (or UPGRADE_HEIGHT)"],
+      [
+        "--info <info>",
+        "Upgrade plan info, e.g. binary URLs (or UPGRADE_INFO)",
+      ],
+    ],
+    values: ["--name", "--height", "--info"],
+    async run(args) {
+      const { UpgradeProposalDriver } = require("../scripts/upgrade-proposal");
+      const driver = new UpgradeProposalDriver({
+        upgradeName: lastValue(args, "--name"),
+        upgradeHeight: parseInt(lastValue(args, "--height")) || null,
+        upgradeInfo: lastValue(args, "--info"),
+      });
+      const report = await driver.run();
+      return report.status === "PROPOSAL_STATUS_PASSED"
+        ? EXIT_PASSED
+        : EXIT_FAILED;
+    },
+  },
+
+  watch: {
+    usage: "watch [--height <height>]",
+    summary: "Wait for the upgrade halt and the chain resuming",
+    options: [
+      [
+        "--height <height>",
+        "Upgrade height (default: UPGRADE_HEIGHT, then the latest proposal report)",
+      ],
+    ],
+    values: ["--height"],
+    async run(args) {
+      const { UpgradeHaltWatcher } = require("../scripts/watch-upgrade-halt");
+      const watcher = new UpgradeHaltWatcher({
+        upgradeHeight: parseInt(lastValue(args, "--height")) || null,
+      });
+      const report = await watcher.watch();
+      return report.success ? EXIT_PASSED : EXIT_FAILED;
+    },
+  },
+};
+
+// Splits the arguments after the command into positionals, boolean flags and
+// value flags (collected in arrays, since some repeat). --junit takes an
+// optional value.
+function parseArgs(command, argv) {
+  const spec = COMMANDS[command];
+  const flags = ["--verbose", "--debug", "--help", "-h", ...(spec.flags || [])];
+  const values = ["--profile", "--network", ...(spec.values || [])];
+  const args = { raw: argv, positionals: [], flags: {}, values: {} };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (flags.includes(arg)) {
+      args.flags[arg] = true;
+    } else if (values.includes(arg)) {
+      if (i + 1 >= argv.length) {
+        throw new UsageError(`${arg} requires a value`);
+      }
+      (args.values[arg] = args.values[arg] || []).push(argv[++i]);
+    } else if (arg === "--junit" && command === "run") {
+      if (argv[i + 1] && !argv[i + 1].startsWith("-")) {
+        i++;
+      }
+    } else if (arg.startsWith("-")) {
+      throw new UsageError(`Unknown option for ${command}: ${arg}`);
+    } else {
+      args.positionals.push(arg);
+    }
+  }
+  return args;
+}
+
+function lastValue(args, flag) {
+  const values = args.values[flag];
+  return values ? values[values.length - 1] : null;
+}
+
+function requirePositionals(args, count, names) {
+  if (args.positionals.length !== count) {
+    throw new UsageError(`Expected ${names}`);
+  }
+  return args.positionals;
+}
+
+function applyScope(args) {
+  if (args.flags["--evm-only"] && args.flags["--cosmos-only"]) {
+    throw new UsageError("--evm-only and --cosmos-only exclude each other");
+  }
+  if (args.flags["--evm-only"]) {
+    process.env.RUN_COSMOS = "false";
+  }
+  if (args.flags["--cosmos-only"]) {
+    process.env.RUN_EVM = "false";
+  }
+}
+
+// Global flags go into the environment the scripts already read. The profile
+// comes before anything loads dotenv or hardhat.
+function applyGlobalOptions(args) {
+  applyProfile(lastValue(args, "--profile") || undefined);
+  if (args.values["--network"]) {
+    process.env.HARDHAT_NETWORK = lastValue(args, "--network");
+  }
+  if (args.flags["--verbose"]) {
+    process.env.VERBOSE = "true";
+  }
+  if (args.flags["--debug"]) {
+    process.env.DEBUG = "true";
+  }
+}
+
+function formatOptions(options) {
+  const width = Math.max(...options.map(([flag]) => flag.length)) + 2;
+  return options
+    .map(([flag, description]) => `  ${flag.padEnd(width)}${description}`)
+    .join("\n");
+}
+
+function printHelp(command) {
+  if (!command) {
+    const width = Math.max(...Object.keys(COMMANDS).map((name) => name.length));
+    console.log(`
+${COLORS.BRIGHT}Upgrade Tests${COLORS.RESET}
+
+${COLORS.BRIGHT}Usage:${COLORS.RESET}
+  upgrade-tests <command> [options]
+  npm run cli -- <command> [options]
+
+${COLORS.BRIGHT}Commands:${COLORS.RESET}
+${Object.entries(COMMANDS)
+  .map(([name, spec]) => `  ${name.padEnd(width + 2)}${spec.summary}`)
+  .join("\n")}
+
+${COLORS.BRIGHT}Global Options:${COLORS.RESET}
+${formatOptions(GLOBAL_OPTIONS)}
+
+${COLORS.BRIGHT}Exit Codes:${COLORS.RESET}
+  0  Everything passed
+  1  A gate failed, or a verification found differences or regressions
+  2  Bad usage, or the command could not run
+
+Run "upgrade-tests <command> --help" for the options of a command.
+`);
+    return;
+  }
+
+  const spec = COMMANDS[command];
+  console.log(`
+${COLORS.BRIGHT}upgrade-tests ${command}${COLORS.RESET} - ${spec.summary}
+
+${COLORS.BRIGHT}Usage:${COLORS.RESET}
+  upgrade-tests ${spec.usage}
+${
+  spec.options
+    ? `\n${COLORS.BRIGHT}Options:${COLORS.RESET}\n${formatOptions(
+        spec.options
+      )}\n`
+    : ""
+}
+${COLORS.BRIGHT}Global Options:${COLORS.RESET}
+${formatOptions(GLOBAL_OPTIONS)}
+`);
+}
+
+async function main(argv = process.argv.slice(2)) {
+  const [command, ...rest] = argv;
+
+  if (!command || command === "--help" || command === "-h") {
+    printHelp();
+    return command ? EXIT_PASSED : EXIT_ERROR;
+  }
+  if (command === "help") {
+    if (rest[0] && !COMMANDS[rest[0]]) {
+      throw new UsageError(`Unknown command: ${rest[0]}`);
+    }
+    printHelp(rest[0]);
+    return EXIT_PASSED;
+  }
+  if (!COMMANDS[command]) {
+    throw new UsageError(`Unknown command: ${command}`);
+  }
+
+  const args = parseArgs(command, rest);
+  if (args.flags["--help"] || args.flags["-h"]) {
+    printHelp(command);
+    return EXIT_PASSED;
+  }
+
+  applyGlobalOptions(args);
+  return COMMANDS[command].run(args);
+}
+
+if (require.main === module) {
+  main()
+    .then((code) => process.exit(code))
+    .catch((error) => {
+      if (error instanceof UsageError) {
+        console.error(`${COLORS.RED}${error.message}${COLORS.RESET}`);
+        console.error(`Run "upgrade-tests --help" for usage.`);
+      } else {
+        console.error(
+          `${COLORS.RED}${COLORS.BRIGHT}Command failed: ${error.message}${COLORS.RESET}`
+        );
+        if (process.env.DEBUG === "true") {
+          console.error(error);
+        }
+      }
+      process.exit(EXIT_ERROR);
+    });
+}
+
+module.exports = { main, COMMANDS };
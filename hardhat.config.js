@@ -1,4 +1,14 @@
 require("@nomicfoundation/hardhat-toolbox");
+const {
+  loadProjectConfig,
+  applyProfile,
+  selectedProfileName,
+  hardhatNetworks,
+} = require("./scripts/project-config");
+
+// The profile (--profile or TEST_PROFILE) goes first so it beats .env
+const projectConfig = loadProjectConfig();
+const profile = applyProfile(selectedProfileName(), projectConfig);
 require("dotenv").config();
 
 const PRIVATE_KEY = process.env.PRIVATE_KEY || "0x" + "0".repeat(64);
@@ -6,8 +16,23 @@ const PRIVATE_KEY_2 = process.env.PRIVATE_KEY_2 || "0x" + "0".repeat(64);
 const RPC_URL = process.env.RPC_URL || "http://localhost:8545";
 const CHAIN_ID = process.env.CHAIN_ID || 31337;
 
+const profileNetworks = hardhatNetworks(
+  projectConfig,
+  PRIVATE_KEY !== "0x" + "0".repeat(64) ? [PRIVATE_KEY, PRIVATE_KEY_2] : []
+);
+
+// Without --network or HARDHAT_NETWORK, scripts use the selected profile's
+// network, or localhost (which reads RPC_URL) when it has no EVM URL
+let defaultNetwork = "hardhat";
+if (profile) {
+  defaultNetwork = profileNetworks[process.env.TEST_PROFILE]
+    ? process.env.TEST_PROFILE
+    : "localhost";
+}
+
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
+  defaultNetwork,
   solidity: {
     version: "0.8.19",
     settings: {
@@ -46,6 +71,8 @@ module.exports = {
       chainId: parseInt(process.env.CUSTOM_CHAIN_ID || "31337"),
       timeout: 60000,
     },
+    // One network per profile in upgrade-tests.config.json
+    ...profileNetworks,
   },
   gasReporter: {
     enabled: process.env.REPORT_GAS !== undefined,
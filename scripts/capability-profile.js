@@ -0,0 +1,101 @@
+const fs = require("fs");
+const path = require("path");
+
+const PROFILES_DIR = path.join(__dirname, "..", "profiles");
+// Loaded when CAPABILITY_PROFILE is unset
+const DEFAULT_PROFILE = "default";
+
+// Errors that mean "this chain doesn't implement it", as opposed to a broken
+// implementation: JSON-RPC method-not-found, gRPC services the node doesn't
+// register, and REST routes the gateway doesn't implement (501). Anything
+// else, e.g. a plain 404 or "not found", fails the test.
+const UNSUPPORTED_PATTERNS = [
+  /-32601/,
+  /method .* (not found|does not exist)/i,
+  /unknown (method|service)/i,
+  /HTTP 501\b/,
+];
+
+// Which RPC namespaces and methods, debug tracers and Cosmos modules a chain
+// must support. Anything the profile doesn't expect is optional: when the
+// chain doesn't support it the test is skipped instead of failed.
+class CapabilityProfile {
+  constructor(profile = {}, file = null) {
+    this.name = profile.name || (file ? path.basename(file, ".json") : "none");
+    this.file = file;
+    this.description = profile.description || "";
+
+    const rpc = profile.rpc || {};
+    this.namespaces = rpc.namespaces || [];
+    this.requiredMethods = rpc.required || [];
+    this.optionalMethods = rpc.optional || [];
+    this.tracers = profile.tracers || [];
+    this.modules = profile.modules || [];
+  }
+
+  // `nameOrFile` is a file path or the name of a file in profiles/. Without
+  // one, profiles/default.json is used.
+  static load(nameOrFile = process.env.CAPABILITY_PROFILE || DEFAULT_PROFILE) {
+    const file = fs.existsSync(nameOrFile)
+      ? nameOrFile
+      : path.join(PROFILES_DIR, `${nameOrFile}.json`);
+    if (!fs.existsSync(file)) {
+      throw new Error(`Capability profile not found: ${nameOrFile}`);
+    }
+    return new CapabilityProfile(
+      JSON.parse(fs.readFileSync(file, "utf8")),
+      path.resolve(file)
+    );
+  }
+
+  expectsMethod(method) {
+    if (this.requiredMethods.includes(method)) {
+      return true;
+    }
+    if (this.optionalMethods.includes(method)) {
+      return false;
+    }
+    return this.namespaces.includes(method.split("_")[0]);
+  }
+
+  expectsTracer(tracer) {
+    return this.tracers.includes(tracer);
+  }
+
+  expectsModule(module) {
+    return this.modules.includes(module);
+  }
+
+  // kind is "method", "tracer" or "module"
+  expects(kind, name) {
+    switch (kind) {
+      case "method":
+        return this.expectsMethod(name);
+      case "tracer":
+        return this.expectsTracer(name);
+      case "module":
+        return this.expectsModule(name);
+      default:
+        throw new Error(`Unknown capability kind: ${kind}`);
+    }
+  }
+
+  isUnsupportedError(error) {
+    const message = `${error?.message || error} ${error?.code ?? ""}`;
+    return UNSUPPORTED_PATTERNS.some((pattern) => pattern.test(message));
+  }
+
+  toJSON() {
+    return {
+      name: this.name,
+      file: this.file,
+      namespaces: this.namespaces,
+      requiredMethods: this.requiredMethods,
+      optionalMethods: this.optionalMethods,
+      tracers: this.tracers,
+      modules: this.modules,
+    };
+  }
+}
+
+module.exports = { CapabilityProfile };
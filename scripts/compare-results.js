@@ -0,0 +1,352 @@
+const fs = require("fs");
+const path = require("path");
+require("dotenv").config();
+
+const COLORS = {
+  RESET: "\x1b[0m",
+  BRIGHT: "\x1b[1m",
+  GREEN: "\x1b[32m",
+  RED: "\x1b[31m",
+  YELLOW: "\x1b[33m",
+  BLUE: "\x1b[34m",
+  CYAN: "\x1b[36m",
+  MAGENTA: "\x1b[35m",
+};
+
+const RESULTS_DIR = path.join(__dirname, "..", "test-results");
+
+class ResultsComparator {
+  constructor() {
+    // A suite's duration change is flagged when it is at least this many
+    // percent and this many milliseconds
+    this.durationThreshold =
+      parseFloat(process.env.COMPARE_DURATION_THRESHOLD) || 50;
+    this.durationMinMs = parseInt(
+      process.env.COMPARE_DURATION_MIN_MS || "1000"
+    );
+
+    this.verbose = process.env.VERBOSE === "true";
+  }
+
+  log(message, color = COLORS.RESET) {
+    console.log(`${color}${message}${COLORS.RESET}`);
+  }
+
+  loadResults(file) {
+    const resolved = fs.existsSync(file) ? file : path.join(RESULTS_DIR, file);
+    if (!fs.existsSync(resolved)) {
+      throw new Error(`Result file not found: ${file}`);
+    }
+    return {
+      file: resolved,
+      data: JSON.parse(fs.readFileSync(resolved, "utf8")),
+    };
+  }
+
+  // Accepts run-all-tests.js (results.suites), run-comprehensive-tests.js
+  // (results.evm.suites / results.cosmos.suites) and scenario phase files
+  extractSuites(data) {
+    const results = data.results || data;
+    const suites = {
+      ...(results.suites || {}),
+      ...(results.evm?.suites || {}),
+      ...(results.cosmos?.suites || {}),
+    };
+
+    const extracted = {};
+    for (const [name, suite] of Object.entries(suites)) {
+      const tests = {};
+      for (const test of suite.tests || []) {
+        // Disambiguate tests that run more than once under the same name
+        let key = test.name;
+        for (let i = 2; key in tests; i++) {
+          key = `${test.name} #${i}`;
+        }
+        tests[key] = test;
+      }
+
+      extracted[name] = {
+        status: suite.status,
+        duration: suite.duration || 0,
+        total: suite.total || 0,
+        passed: suite.passed || 0,
+        failed: suite.failed || 0,
+        hasTests: Array.isArray(suite.tests),
+        tests,
+      };
+    }
+    return extracted;
+  }
+
+  compareSuite(name, before, after) {
+    const comparison = {
+      suite: name,
+      status: { before: before.status, after: after.status },
+      counts: {
+        before: { passed: before.passed, failed: before.failed },
+        after: { passed: after.passed, failed: after.failed },
+      },
+      duration: {
+        before: before.duration,
+        after: after.duration,
+        delta: after.duration - before.duration,
+        percent:
+          before.duration > 0
+            ? ((after.duration - before.duration) / before.duration) * 100
+            : null,
+        flagged: false,
+      },
+      countersOnly: !before.hasTests || !after.hasTests,
+      newlyFailing: [],
+      newlyPassing: [],
+      stillFailing: [],
+      disappeared: [],
+      added: [],
+    };
+
+    const { delta, percent } = comparison.duration;
+    comparison.duration.flagged =
+      percent !== null &&
+      Math.abs(percent) >= this.durationThreshold &&
+      Math.abs(delta) >= this.durationMinMs;
+
+    if (comparison.countersOnly) {
+      return comparison;
+    }
+
+    for (const [testName, test] of Object.entries(before.tests)) {
+      const afterTest = after.tests[testName];
+      if (!afterTest) {
+        comparison.disappeared.push({ name: testName, before: test.status });
+      } else if (test.status === "passed" && afterTest.status === "failed") {
+        comparison.newlyFailing.push({
+          name: testName,
+          error: afterTest.error || null,
+        });
+      } else if (test.status === "failed" && afterTest.status === "passed") {
+        comparison.newlyPassing.push({ name: testName });
+      } else if (test.status === "failed" && afterTest.status === "failed") {
+        comparison.stillFailing.push({
+          name: testName,
+          error: afterTest.error || null,
+        });
+      }
+    }
+    for (const [testName, test] of Object.entries(after.tests)) {
+      if (!(testName in before.tests)) {
+        comparison.added.push({ name: testName, status: test.status });
+      }
+    }
+
+    return comparison;
+  }
+
+  compare(beforeFile, afterFile) {
+    const before = this.loadResults(beforeFile);
+    const after = this.loadResults(afterFile);
+    const beforeSuites = this.extractSuites(before.data);
+    const afterSuites = this.extractSuites(after.data);
+
+    const suites = [];
+    const disappearedSuites = [];
+    const addedSuites = [];
+
+    for (const [name, suite] of Object.entries(beforeSuites)) {
+      if (afterSuites[name]) {
+        suites.push(this.compareSuite(name, suite, afterSuites[name]));
+      } else {
+        disappearedSuites.push(name);
+      }
+    }
+    for (const name of Object.keys(afterSuites)) {
+      if (!beforeSuites[name]) {
+        addedSuites.push(name);
+      }
+    }
+
+    const count = (key) => suites.reduce((sum, s) => sum + s[key].length, 0);
+    return {
+      timestamp: new Date().toISOString(),
+      before: { file: before.file, timestamp: before.data.timestamp || null },
+      after: { file: after.file, timestamp: after.data.timestamp || null },
+      thresholds: {
+        durationPercent: this.durationThreshold,
+        durationMinMs: this.durationMinMs,
+      },
+      summary: {
+        newlyFailing: count("newlyFailing"),
+        newlyPassing: count("newlyPassing"),
+        stillFailing: count("stillFailing"),
+        disappeared: count("disappeared"),
+        added: count("added"),
+        disappearedSuites: disappearedSuites.length,
+        addedSuites: addedSuites.length,
+        durationFlags: suites.filter((s) => s.duration.flagged).length,
+      },
+      disappearedSuites,
+      addedSuites,
+      suites,
+    };
+  }
+
+  hasRegressions(report) {
+    return (
+      report.summary.newlyFailing > 0 ||
+      report.summary.disappeared > 0 ||
+      report.summary.disappearedSuites > 0
+    );
+  }
+
+  printReport(report) {
+    this.log(`\n${COLORS.BRIGHT}=== RESULTS COMPARISON ===${COLORS.RESET}`);
+    this.log(`Before: ${report.before.file} (${report.before.timestamp})`);
+    this.log(`After:  ${report.after.file} (${report.after.timestamp})`);
+
+    for (const name of report.disappearedSuites) {
+      this.log(`\n${COLORS.RED}✗ Suite disappeared: ${name}${COLORS.RESET}`);
+    }
+    for (const name of report.addedSuites) {
+      this.log(`\n${COLORS.CYAN}+ New suite: ${name}${COLORS.RESET}`);
+    }
+
+    for (const suite of report.suites) {
+      this.log(`\n${COLORS.BRIGHT}${suite.suite}${COLORS.RESET}`);
+      this.log(
+        `  Passed: ${suite.counts.before.passed} → ${suite.counts.after.passed} | Failed: ${suite.counts.before.failed} → ${suite.counts.after.failed}`
+      );
+
+      const { before, after, percent, flagged } = suite.duration;
+      const durationColor = flagged ? COLORS.YELLOW : COLORS.RESET;
+      this.log(
+        `  ${durationColor}Duration: ${before}ms → ${after}ms${
+          percent !== null
+            ? ` (${percent > 0 ? "+" : ""}${percent.toFixed(1)}%)`
+            : ""
+        }${flagged ? " ⚠" : ""}${COLORS.RESET}`
+      );
+
+      if (suite.countersOnly) {
+        this.log(
+          `  ${COLORS.YELLOW}No per-test outcomes in one of the files, compared counters only${COLORS.RESET}`
+        );
+        continue;
+      }
+
+      suite.newlyFailing.forEach((t) =>
+        this.log(
+          `  ${COLORS.RED}✗ newly failing: ${t.name}${
+            t.error ? ` - ${t.error}` : ""
+          }${COLORS.RESET}`
+        )
+      );
+      suite.disappeared.forEach((t) =>
+        this.log(`  ${COLORS.RED}- disappeared: ${t.name}${COLORS.RESET}`)
+      );
+      suite.newlyPassing.forEach((t) =>
+        this.log(`  ${COLORS.GREEN}✓ newly passing: ${t.name}${COLORS.RESET}`)
+      );
+      suite.added.forEach((t) =>
+        this.log(
+          `  ${COLORS.CYAN}+ new test: ${t.name} (${t.status})${COLORS.RESET}`
+        )
+      );
+      if (this.verbose) {
+        suite.stillFailing.forEach((t) =>
+          this.log(`  ${COLORS.YELLOW}still failing: ${t.name}${COLORS.RESET}`)
+        );
+      }
+    }
+
+    const s = report.summary;
+    this.log(`\n${COLORS.BRIGHT}Summary:${COLORS.RESET}`);
+    this.log(`  ${COLORS.RED}Newly failing: ${s.newlyFailing}${COLORS.RESET}`);
+    this.log(`  ${COLORS.RED}Disappeared: ${s.disappeared}${COLORS.RESET}`);
+    this.log(
+      `  ${COLORS.GREEN}Newly passing: ${s.newlyPassing}${COLORS.RESET}`
+    );
+    this.log(`  Still failing: ${s.stillFailing}`);
+    this.log(`  New tests: ${s.added}`);
+    this.log(
+      `  ${COLORS.YELLOW}Duration flags: ${s.durationFlags}${COLORS.RESET}`
+    );
+  }
+
+  saveReport(report) {
+    try {
+      if (!fs.existsSync(RESULTS_DIR)) {
+        fs.mkdirSync(RESULTS_DIR, { recursive: true });
+      }
+
+      const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
+      const resultFile = path.join(RESULTS_DIR, `compare-${timestamp}.json`);
+      const latestFile = path.join(RESULTS_DIR, "compare-latest.json");
+
+      fs.writeFileSync(resultFile, JSON.stringify(report, null, 2));
+      fs.writeFileSync(latestFile, JSON.stringify(report, null, 2));
+
+      this.log(`\n${COLORS.GREEN}✓ Comparison saved to:${COLORS.RESET}`);
+      this.log(`  ${resultFile}`);
+      this.log(`  ${latestFile}`);
+    } catch (error) {
+      this.log(
+        `${COLORS.YELLOW}⚠ Could not save comparison: ${error.message}${COLORS.RESET}`
+      );
+    }
+  }
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+
+  if (args.includes("--verbose")) {
+    process.env.VERBOSE = "true";
+  }
+  const files = args.filter((arg) => !arg.startsWith("-"));
+  const help = args.includes("--help") || args.includes("-h");
+
+  if (help || files.length !== 2) {
+    console.log(`
+${COLORS.BRIGHT}Test Results Comparison${COLORS.RESET}
+
+Compares two result files (e.g. before and after an upgrade) and lists tests
+that newly fail, newly pass or disappeared, and suites whose duration changed.
+
+${COLORS.BRIGHT}Usage:${COLORS.RESET}
+  node scripts/compare-results.js <before.json> <after.json> [--verbose]
+
+Files are looked up in test-results/ when the path does not exist.
+
+${COLORS.BRIGHT}Environment Variables:${COLORS.RESET}
+  COMPARE_DURATION_THRESHOLD  Flag suite duration changes of at least this many percent (default: 50)
+  COMPARE_DURATION_MIN_MS     ...and at least this many milliseconds (default: 1000)
+
+${COLORS.BRIGHT}Exit codes:${COLORS.RESET}
+  0  No regressions
+  1  Tests newly failing, or tests or suites disappeared
+  2  The comparison could not be made
+`);
+    process.exit(help ? 0 : 2);
+  }
+
+  const comparator = new ResultsComparator();
+  try {
+    const report = comparator.compare(files[0], files[1]);
+    comparator.printReport(report);
+    comparator.saveReport(report);
+    process.exit(comparator.hasRegressions(report) ? 1 : 0);
+  } catch (error) {
+    console.error(
+      `${COLORS.RED}Comparison failed: ${error.message}${COLORS.RESET}`
+    );
+    process.exit(2);
+  }
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(error);
+    process.exit(2);
+  });
+}
+
+module.exports = { ResultsComparator };
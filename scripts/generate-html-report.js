@@ -0,0 +1,450 @@
+const fs = require("fs");
+const path = require("path");
+require("dotenv").config();
+
+const COLORS = {
+  RESET: "\x1b[0m",
+  BRIGHT: "\x1b[1m",
+  GREEN: "\x1b[32m",
+  RED: "\x1b[31m",
+  YELLOW: "\x1b[33m",
+  BLUE: "\x1b[34m",
+  CYAN: "\x1b[36m",
+  MAGENTA: "\x1b[35m",
+};
+
+const RESULTS_DIR = path.join(__dirname, "..", "test-results");
+
+// Result files picked up when no files are given, in report order
+const DEFAULT_SOURCES = [
+  "comprehensive-latest.json",
+  "latest.json",
+  "cosmos-bank-latest.json",
+  "cosmos-upgrade-latest.json",
+  "inflight-upgrade-latest.json",
+  "scenario-latest.json",
+];
+
+// Top-level fields that describe the chain or the run configuration
+const METADATA_SECTIONS = ["configuration", "environment", "upgrade"];
+
+const TX_HASH_KEY = /hash$/i;
+const TX_HASH_VALUE = /^(0x)?[0-9a-fA-F]{64}$/;
+
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function formatValue(value) {
+  if (value === null || value === undefined) {
+    return "";
+  }
+  return typeof value === "object" ? JSON.stringify(value) : String(value);
+}
+
+class HtmlReportGenerator {
+  constructor() {
+    this.title = process.env.REPORT_TITLE || "Upgrade Test Report";
+  }
+
+  log(message, color = COLORS.RESET) {
+    console.log(`${color}${message}${COLORS.RESET}`);
+  }
+
+  resolveSources(files) {
+    if (files.length > 0) {
+      return files.map((file) => {
+        const resolved = fs.existsSync(file)
+          ? file
+          : path.join(RESULTS_DIR, file);
+        if (!fs.existsSync(resolved)) {
+          throw new Error(`Result file not found: ${file}`);
+        }
+        return resolved;
+      });
+    }
+
+    const sources = DEFAULT_SOURCES.map((file) =>
+      path.join(RESULTS_DIR, file)
+    ).filter((file) => fs.existsSync(file));
+    if (sources.length === 0) {
+      throw new Error(`No result files found in ${RESULTS_DIR}`);
+    }
+    return sources;
+  }
+
+  // Suites of any runner's result file. Single-tester files (Cosmos testers,
+  // in-flight test) keep their records directly under `results`.
+  extractSuites(data, prefix = "") {
+    if (Array.isArray(data.phases)) {
+      return data.phases
+        .filter((phase) => phase.results)
+        .flatMap((phase) =>
+          this.extractSuites(phase.results, `${prefix}${phase.name}: `)
+        );
+    }
+
+    const results = data.results || data;
+    const suites = {
+      ...(results.suites || {}),
+      ...(results.evm?.suites || {}),
+      ...(results.cosmos?.suites || {}),
+    };
+    if (Object.keys(suites).length === 0 && Array.isArray(results.tests)) {
+      const name = results.tests[0]?.suite || "Tests";
+      suites[name] = results;
+    }
+
+    return Object.entries(suites).map(([name, suite]) => ({
+      name: `${prefix}${name}`,
+      status: suite.status || "completed",
+      error: suite.error || null,
+      passed: suite.passed || 0,
+      failed: suite.failed || 0,
+      total: suite.total || 0,
+      duration: suite.duration || 0,
+      tests: suite.tests || [],
+      gasReport: suite.gasReport || null,
+    }));
+  }
+
+  extractMetadata(data) {
+    const metadata = {};
+    for (const [key, value] of Object.entries(data)) {
+      if (value === null || typeof value !== "object") {
+        metadata[key] = value;
+      }
+    }
+    for (const section of METADATA_SECTIONS) {
+      if (data[section] && typeof data[section] === "object") {
+        for (const [key, value] of Object.entries(data[section])) {
+          metadata[`${section}.${key}`] = value;
+        }
+      }
+    }
+    return metadata;
+  }
+
+  // Walks a test's returned data for transaction hashes
+  collectTxHashes(value, found = [], key = "") {
+    if (Array.isArray(value)) {
+      value.forEach((item) => this.collectTxHashes(item, found, key));
+    } else if (value && typeof value === "object") {
+      for (const [childKey, child] of Object.entries(value)) {
+        this.collectTxHashes(child, found, childKey);
+      }
+    } else if (
+      typeof value === "string" &&
+      TX_HASH_KEY.test(key) &&
+      !/blockhash/i.test(key) &&
+      TX_HASH_VALUE.test(value)
+    ) {
+      found.push({ key, hash: value });
+    }
+    return found;
+  }
+
+  load(files) {
+    return this.resolveSources(files).map((file) => {
+      const data = JSON.parse(fs.readFileSync(file, "utf8"));
+      const suites = this.extractSuites(data);
+      const transactions = suites.flatMap((suite) =>
+        suite.tests.flatMap((test) =>
+          this.collectTxHashes(test.data).map((tx) => ({
+            suite: suite.name,
+            test: test.name,
+            ...tx,
+          }))
+        )
+      );
+      return {
+        file,
+        name: path.basename(file),
+        metadata: this.extractMetadata(data),
+        suites,
+        transactions,
+      };
+    });
+  }
+
+  renderTable(headers, rows) {
+    if (rows.length === 0) {
+      return `<p class="muted">None</p>`;
+    }
+    return `<table>
+<thead><tr>${headers
+      .map((h) => `<th>${escapeHtml(h)}</th>`)
+      .join("")}</tr></thead>
+<tbody>
+${rows.join("\n")}
+</tbody>
+</table>`;
+  }
+
+  renderMetadata(metadata) {
+    const rows = Object.entries(metadata).map(
+      ([key, value]) =>
+        `<tr><td>${escapeHtml(key)}</td><td><code>${escapeHtml(
+          formatValue(value)
+        )}</code></td></tr>`
+    );
+    return this.renderTable(["Field", "Value"], rows);
+  }
+
+  // Estimated vs actual gas as horizontal bar pairs, plus the deviation
+  renderGasChart(gasReport) {
+    const estimations = gasReport.estimations || [];
+    if (estimations.length === 0) {
+      return `<p class="muted">No individual estimations recorded</p>`;
+    }
+
+    const max = Math.max(
+      ...estimations.flatMap((e) => [Number(e.estimated), Number(e.actual)])
+    );
+    const rowHeight = 34;
+    const labelWidth = 180;
+    const barWidth = 420;
+    const height = estimations.length * rowHeight + 30;
+
+    const bars = estimations
+      .map((estimation, i) => {
+        const y = i * rowHeight + 10;
+        const label = estimation.function
+          ? `${estimation.type} ${estimation.function}`
+          : estimation.type;
+        const estimatedWidth = (Number(estimation.estimated) / max) * barWidth;
+        const actualWidth = (Number(estimation.actual) / max) * barWidth;
+        const deviation = estimation.accuracy?.differencePercentage || "";
+        const accurate = estimation.accuracy?.accurate;
+        return `<text x="0" y="${y + 14}" class="label">${escapeHtml(
+          label
+        )}</text>
+<rect x="${labelWidth}" y="${y}" width="${estimatedWidth.toFixed(
+          1
+        )}" height="12" class="estimated"><title>Estimated: ${
+          estimation.estimated
+        }</title></rect>
+<rect x="${labelWidth}" y="${y + 14}" width="${actualWidth.toFixed(
+          1
+        )}" height="12" class="actual"><title>Actual: ${
+          estimation.actual
+        }</title></rect>
+<text x="${labelWidth + barWidth + 10}" y="${y + 18}" class="${
+          accurate ? "pass" : "fail"
+        }">${escapeHtml(deviation)}</text>`;
+      })
+      .join("\n");
+
+    return `<svg class="chart" viewBox="0 0 ${
+      labelWidth + barWidth + 70
+    } ${height}" width="${labelWidth + barWidth + 70}" height="${height}">
+${bars}
+</svg>
+<p class="legend"><span class="swatch estimated"></span> Estimated <span class="swatch actual"></span> Actual. Deviation in red when outside 5%.</p>`;
+  }
+
+  renderGasReport(suite) {
+    const { estimations, ...summary } = suite.gasReport;
+    return `<h4>Gas Estimation Accuracy</h4>
+${this.renderMetadata(summary)}
+${this.renderGasChart({ estimations })}`;
+  }
+
+  renderSuite(suite) {
+    const failed = suite.tests.filter((t) => t.status === "failed").length;
+    const crashed = suite.status === "error" || suite.status === "failed";
+    const rows = suite.tests.map(
+      (test) => `<tr class="${test.status === "failed" ? "fail-row" : ""}">
+<td>${escapeHtml(test.name)}</td>
+<td>${escapeHtml(test.category)}</td>
+<td class="${
+        test.status === "failed"
+          ? "fail"
+          : test.status === "skipped"
+          ? "muted"
+          : "pass"
+      }">${escapeHtml(test.status)}${
+        test.flaky ? ` <small>(flaky, ${test.attempts} attempts)</small>` : ""
+      }</td>
+<td>${test.duration ?? ""}ms</td>
+<td>${escapeHtml(test.error)}</td>
+</tr>`
+    );
+
+    return `<section class="suite">
+<h3 class="${failed > 0 || crashed ? "fail" : "pass"}">${escapeHtml(
+      suite.name
+    )} <small>${suite.passed}/${suite.total} passed, ${
+      suite.duration
+    }ms</small></h3>
+${crashed ? `<p class="fail">Suite error: ${escapeHtml(suite.error)}</p>` : ""}
+${this.renderTable(["Test", "Category", "Status", "Duration", "Error"], rows)}
+${suite.gasReport ? this.renderGasReport(suite) : ""}
+</section>`;
+  }
+
+  renderSource(source) {
+    const txRows = source.transactions.map(
+      (tx) =>
+        `<tr><td>${escapeHtml(tx.suite)}</td><td>${escapeHtml(
+          tx.test
+        )}</td><td>${escapeHtml(tx.key)}</td><td><code>${escapeHtml(
+          tx.hash
+        )}</code></td></tr>`
+    );
+
+    return `<section class="source">
+<h2>${escapeHtml(source.name)}</h2>
+<details open><summary>Chain and configuration</summary>
+${this.renderMetadata(source.metadata)}
+</details>
+${source.suites.map((suite) => this.renderSuite(suite)).join("\n")}
+<details><summary>Transactions (${source.transactions.length})</summary>
+${this.renderTable(["Suite", "Test", "Field", "Hash"], txRows)}
+</details>
+</section>`;
+  }
+
+  render(sources) {
+    const suites = sources.flatMap((source) => source.suites);
+    const passed = suites.reduce((sum, s) => sum + s.passed, 0);
+    const failed = suites.reduce((sum, s) => sum + s.failed, 0);
+    const total = suites.reduce((sum, s) => sum + s.total, 0);
+    const summaryRows = sources.flatMap((source) =>
+      source.suites.map(
+        (suite) =>
+          `<tr><td>${escapeHtml(source.name)}</td><td>${escapeHtml(
+            suite.name
+          )}</td><td class="pass">${suite.passed}</td><td class="${
+            suite.failed > 0 ? "fail" : ""
+          }">${suite.failed}</td><td>${suite.total}</td><td>${
+            suite.duration
+          }ms</td></tr>`
+      )
+    );
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(this.title)}</title>
+<style>
+body { font-family: -apple-system, Segoe UI, Helvetica, Arial, sans-serif; margin: 2em; color: #222; }
+table { border-collapse: collapse; margin: 0.5em 0 1em; font-size: 0.9em; }
+th, td { border: 1px solid #ddd; padding: 4px 8px; text-align: left; vertical-align: top; }
+th { background: #f4f4f4; }
+code { font-size: 0.85em; word-break: break-all; }
+small, .muted { color: #777; font-weight: normal; }
+.pass { color: #1a7f37; }
+.fail { color: #cf222e; }
+.fail-row { background: #fff5f5; }
+.suite { margin-left: 1em; }
+.chart .label { font-size: 11px; fill: #333; }
+.chart text.pass { fill: #1a7f37; font-size: 11px; }
+.chart text.fail { fill: #cf222e; font-size: 11px; }
+.estimated { fill: #6e9fd8; background: #6e9fd8; }
+.actual { fill: #f0a04b; background: #f0a04b; }
+.swatch { display: inline-block; width: 10px; height: 10px; }
+.legend { font-size: 0.85em; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(this.title)}</h1>
+<p>Generated ${escapeHtml(new Date().toISOString())} from ${
+      sources.length
+    } result file(s).</p>
+<h2 class="${
+      failed > 0 ? "fail" : "pass"
+    }">${passed}/${total} passed, ${failed} failed</h2>
+${this.renderTable(
+  ["File", "Suite", "Passed", "Failed", "Total", "Duration"],
+  summaryRows
+)}
+${sources.map((source) => this.renderSource(source)).join("\n")}
+</body>
+</html>
+`;
+  }
+
+  generate(files, outputFile = null) {
+    const sources = this.load(files);
+    const html = this.render(sources);
+
+    if (!fs.existsSync(RESULTS_DIR)) {
+      fs.mkdirSync(RESULTS_DIR, { recursive: true });
+    }
+
+    const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
+    const outputs = outputFile
+      ? [outputFile]
+      : [
+          path.join(RESULTS_DIR, `report-${timestamp}.html`),
+          path.join(RESULTS_DIR, "report-latest.html"),
+        ];
+    outputs.forEach((file) => fs.writeFileSync(file, html));
+
+    this.log(`${COLORS.GREEN}✓ HTML report generated from:${COLORS.RESET}`);
+    sources.forEach((source) => this.log(`  ${source.file}`));
+    this.log(`${COLORS.GREEN}✓ Report saved to:${COLORS.RESET}`);
+    outputs.forEach((file) => this.log(`  ${file}`));
+
+    return outputs;
+  }
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+
+  if (args.includes("--help") || args.includes("-h")) {
+    console.log(`
+${COLORS.BRIGHT}HTML Test Report${COLORS.RESET}
+
+Builds a single self-contained HTML file from saved result files: per-suite
+pass/fail tables, gas estimation accuracy charts, transaction hashes and the
+chain and configuration metadata of each run.
+
+${COLORS.BRIGHT}Usage:${COLORS.RESET}
+  node scripts/generate-html-report.js [result.json ...] [--output <file>]
+
+Without files, the latest result of each runner in test-results/ is used.
+Files are looked up in test-results/ when the path does not exist.
+
+${COLORS.BRIGHT}Options:${COLORS.RESET}
+  --output <file>   Write the report here instead of test-results/report-latest.html
+
+${COLORS.BRIGHT}Environment Variables:${COLORS.RESET}
+  REPORT_TITLE      Report heading (default: Upgrade Test Report)
+`);
+    process.exit(0);
+  }
+
+  const outputIndex = args.indexOf("--output");
+  const outputFile = outputIndex !== -1 ? args[outputIndex + 1] : null;
+  const files = args.filter(
+    (arg, i) =>
+      !arg.startsWith("-") && (outputIndex === -1 || i !== outputIndex + 1)
+  );
+
+  const generator = new HtmlReportGenerator();
+  try {
+    generator.generate(files, outputFile);
+  } catch (error) {
+    console.error(
+      `${COLORS.RED}Report generation failed: ${error.message}${COLORS.RESET}`
+    );
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
+}
+
+module.exports = { HtmlReportGenerator };
@@ -0,0 +1,158 @@
+const fs = require("fs");
+const path = require("path");
+
+const RESULTS_DIR = path.join(__dirname, "..", "test-results");
+
+// Characters XML 1.0 does not allow, plus ANSI color codes from log output
+const INVALID_XML_CHARS = /\x1b\[[0-9;]*m|[\x00-\x08\x0b\x0c\x0e-\x1f]/g;
+
+function escapeXml(value) {
+  return String(value ?? "")
+    .replace(INVALID_XML_CHARS, "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+function seconds(ms) {
+  return ((ms || 0) / 1000).toFixed(3);
+}
+
+class JUnitReporter {
+  constructor(name) {
+    this.name = name;
+    this.suites = [];
+  }
+
+  // Where to write the report: `--junit [file]` or JUNIT_OUTPUT, else null
+  static outputFileFromArgs(args, defaultName) {
+    const index = args.indexOf("--junit");
+    if (index !== -1) {
+      const next = args[index + 1];
+      return next && !next.startsWith("-")
+        ? next
+        : path.join(RESULTS_DIR, defaultName);
+    }
+    return process.env.JUNIT_OUTPUT || null;
+  }
+
+  // `results` is a suite entry as stored by the runners: the per-test records
+  // in `tests`, plus `status`/`error` when the whole suite crashed
+  addSuite(name, results) {
+    this.suites.push({
+      name,
+      duration: results.duration || 0,
+      status: results.status || "completed",
+      error: results.error || null,
+      tests: results.tests || [],
+    });
+  }
+
+  isCrashed(suite) {
+    return suite.status === "error" || suite.status === "failed";
+  }
+
+  renderSuite(suite, timestamp) {
+    const failures = suite.tests.filter((t) => t.status === "failed").length;
+    const skipped = suite.tests.filter((t) => t.status === "skipped").length;
+    const errors = this.isCrashed(suite) ? 1 : 0;
+    const tests = suite.tests.length + errors;
+
+    const lines = [
+      `  <testsuite name="${escapeXml(
+        suite.name
+      )}" tests="${tests}" failures="${failures}" errors="${errors}" skipped="${skipped}" time="${seconds(
+        suite.duration
+      )}" timestamp="${timestamp}">`,
+    ];
+
+    for (const test of suite.tests) {
+      const classname = test.category
+        ? `${suite.name}.${test.category}`
+        : suite.name;
+      const open = `    <testcase name="${escapeXml(
+        test.name
+      )}" classname="${escapeXml(classname)}" time="${seconds(test.duration)}"`;
+
+      if (test.status === "failed") {
+        lines.push(`${open}>`);
+        lines.push(
+          `      <failure message="${escapeXml(test.error)}">${escapeXml(
+            test.stack || test.error
+          )}</failure>`
+        );
+        lines.push("    </testcase>");
+      } else if (test.status === "skipped") {
+        lines.push(`${open}>`);
+        lines.push(`      <skipped message="${escapeXml(test.skipReason)}"/>`);
+        lines.push("    </testcase>");
+      } else {
+        lines.push(`${open}/>`);
+      }
+    }
+
+    // A suite that threw part way (or before running anything) gets an extra
+    // errored testcase so the crash is not hidden behind passing tests
+    if (errors > 0) {
+      lines.push(
+        `    <testcase name="${escapeXml(suite.name)}" classname="${escapeXml(
+          suite.name
+        )}" time="${seconds(suite.duration)}">`
+      );
+      lines.push(
+        `      <error message="${escapeXml(suite.error)}">${escapeXml(
+          suite.error
+        )}</error>`
+      );
+      lines.push("    </testcase>");
+    }
+
+    lines.push("  </testsuite>");
+    return lines;
+  }
+
+  toXml() {
+    const timestamp = new Date().toISOString().replace(/\.\d+Z$/, "");
+    const body = this.suites.flatMap((suite) =>
+      this.renderSuite(suite, timestamp)
+    );
+
+    const count = (status) =>
+      this.suites.reduce(
+        (sum, suite) =>
+          sum + suite.tests.filter((t) => t.status === status).length,
+        0
+      );
+    const errors = this.suites.filter((s) => this.isCrashed(s)).length;
+    const tests =
+      this.suites.reduce((sum, suite) => sum + suite.tests.length, 0) + errors;
+    const duration = this.suites.reduce((sum, s) => sum + s.duration, 0);
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<testsuites name="${escapeXml(
+        this.name
+      )}" tests="${tests}" failures="${count(
+        "failed"
+      )}" errors="${errors}" skipped="${count("skipped")}" time="${seconds(
+        duration
+      )}">`,
+      ...body,
+      "</testsuites>",
+      "",
+    ].join("\n");
+  }
+
+  write(file) {
+    const dir = path.dirname(file);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+    fs.writeFileSync(file, this.toXml());
+    return file;
+  }
+}
+
+module.exports = { JUnitReporter };
@@ -0,0 +1,125 @@
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULT_CONFIG_FILE = path.join(
+  __dirname,
+  "..",
+  "upgrade-tests.config.json"
+);
+
+// Profile settings and the environment variables they stand for
+const PROFILE_ENV = {
+  "evm.rpcUrl": "RPC_URL",
+  "evm.chainId": "CHAIN_ID",
+  "evm.wsUrl": "WEBSOCKET_URL",
+  "cosmos.rpcUrl": "COSMOS_RPC_URL",
+  "cosmos.restUrl": "COSMOS_REST_URL",
+  "cosmos.chainId": "COSMOS_CHAIN_ID",
+  "cosmos.denom": "COSMOS_DENOM",
+  "cosmos.prefix": "COSMOS_PREFIX",
+  "cosmos.gasPrice": "COSMOS_GAS_PRICE",
+  "cosmos.gasLimit": "COSMOS_DEFAULT_GAS_LIMIT",
+  "cosmos.fee.amount": "COSMOS_FEE_AMOUNT",
+  "cosmos.fee.denom": "COSMOS_FEE_DENOM",
+  capabilities: "CAPABILITY_PROFILE",
+  "gates.minSuccessRate": "GATE_MIN_SUCCESS_RATE",
+  "gates.maxFailed": "GATE_MAX_FAILED",
+  "gates.maxFlaky": "GATE_MAX_FLAKY",
+  "gates.mustPass": "GATE_MUST_PASS",
+};
+
+// Reads TEST_CONFIG, else upgrade-tests.config.json. A missing file means no
+// profiles.
+function loadProjectConfig(
+  file = process.env.TEST_CONFIG || DEFAULT_CONFIG_FILE
+) {
+  if (!fs.existsSync(file)) {
+    return { file, profiles: {} };
+  }
+  const config = JSON.parse(fs.readFileSync(file, "utf8"));
+  return { ...config, file, profiles: config.profiles || {} };
+}
+
+// `--profile <name>`, else TEST_PROFILE
+function selectedProfileName(args = process.argv.slice(2)) {
+  const index = args.indexOf("--profile");
+  if (index !== -1 && index + 1 < args.length) {
+    return args[index + 1];
+  }
+  return process.env.TEST_PROFILE || null;
+}
+
+function getProfile(name, config = loadProjectConfig()) {
+  const profile = config.profiles[name];
+  if (!profile) {
+    const available = Object.keys(config.profiles).join(", ") || "none";
+    throw new Error(
+      `Unknown profile "${name}" in ${config.file} (available: ${available})`
+    );
+  }
+  return profile;
+}
+
+// The environment variables a profile sets: the mapped settings plus its
+// free-form `env` block
+function profileEnv(profile) {
+  const env = {};
+  for (const [setting, variable] of Object.entries(PROFILE_ENV)) {
+    const value = setting
+      .split(".")
+      .reduce(
+        (object, key) => (object == null ? undefined : object[key]),
+        profile
+      );
+    if (value !== undefined && value !== null && value !== "") {
+      env[variable] = String(value);
+    }
+  }
+  for (const [variable, value] of Object.entries(profile.env || {})) {
+    env[variable] = String(value);
+  }
+  return env;
+}
+
+// Fills unset environment variables from the selected profile, so every
+// script that reads the environment picks it up. Call it before dotenv: the
+// shell environment beats the profile, and the profile beats .env. Returns
+// the profile, or null when none is selected.
+function applyProfile(name = selectedProfileName(), config) {
+  if (!name) {
+    return null;
+  }
+
+  const profile = getProfile(name, config);
+  process.env.TEST_PROFILE = name;
+  for (const [variable, value] of Object.entries(profileEnv(profile))) {
+    if (process.env[variable] === undefined) {
+      process.env[variable] = value;
+    }
+  }
+  return profile;
+}
+
+// A Hardhat network for every profile with an EVM RPC URL, named after it
+function hardhatNetworks(config, accounts = []) {
+  const networks = {};
+  for (const [name, profile] of Object.entries(config.profiles)) {
+    if (!profile.evm || !profile.evm.rpcUrl) {
+      continue;
+    }
+    networks[name] = { url: profile.evm.rpcUrl, accounts, timeout: 60000 };
+    if (profile.evm.chainId !== undefined) {
+      networks[name].chainId = parseInt(profile.evm.chainId);
+    }
+  }
+  return networks;
+}
+
+module.exports = {
+  loadProjectConfig,
+  selectedProfileName,
+  getProfile,
+  profileEnv,
+  applyProfile,
+  hardhatNetworks,
+};
@@ -3,7 +3,13 @@ const { RPCTester } = require("./test-rpc-calls");
 const { ContractTester } = require("./test-contracts");
 const { TransferTester } = require("./test-transfers");
 const { GasEstimationTester } = require("./test-gas-estimation");
+const { WebSocketTester } = require("./test-websocket-subscriptions");
+const { JsonRpcConformanceTester } = require("./test-jsonrpc-conformance");
 const { ContractDeployer } = require("./deploy-test-contracts");
+const { JUnitReporter } = require("./junit-reporter");
+const { CapabilityProfile } = require("./capability-profile");
+const { testSelection, applySelectionArgs, describeSelection, formatListedTest } = require("./test-selection");
+const { gateSettings, applyGateArgs, evaluateGates, gatesPassed, formatGate } = require("./test-gates");
 require("dotenv").config();
 
 const COLORS = {
@@ -34,6 +40,9 @@ class TestRunner {
         this.deployFirst = process.env.DEPLOY_FIRST === 'true';
         this.skipSuites = (process.env.SKIP_SUITES || '').split(',').filter(s => s.trim());
         this.onlySuites = (process.env.ONLY_SUITES || '').split(',').filter(s => s.trim());
+        this.junitFile = process.env.JUNIT_OUTPUT || null;
+        this.selection = testSelection();
+        this.gates = [];
     }
 
     log(message, color = COLORS.RESET) {
@@ -53,6 +62,11 @@ class TestRunner {
         const startTime = Date.now();
 
         try {
+            if (describeSelection(this.selection) && !(await new testerClass().hasSelectedTests())) {
+                this.log(`${COLORS.YELLOW}No ${suiteName} tests match the selection${COLORS.RESET}`);
+                return null;
+            }
+
             const tester = new testerClass();
             const results = await tester.runAllTests();
             const duration = Date.now() - startTime;
@@ -85,7 +99,8 @@ class TestRunner {
                 successRate: 0,
                 duration,
                 status: 'failed',
-                error: error.message
+                error: error.message,
+                tests: []
             };
 
             this.results.overall.totalTests += 1;
@@ -116,6 +131,21 @@ class TestRunner {
         return true;
     }
 
+    // --list: prints the selected tests of each suite without touching the chain
+    async listTests(testSuites) {
+        for (const suite of testSuites) {
+            if (!this.shouldRunSuite(suite.name)) {
+                continue;
+            }
+
+            const tests = await new suite.class().listTests();
+            this.log(`\n${COLORS.BRIGHT}${suite.name} (${tests.length})${COLORS.RESET}`);
+            for (const test of tests) {
+                this.log(`  ${formatListedTest(test)}`);
+            }
+        }
+    }
+
     async checkPrerequisites() {
         this.log(`${COLORS.BRIGHT}${COLORS.BLUE}Checking prerequisites...${COLORS.RESET}`);
 
@@ -261,6 +291,12 @@ class TestRunner {
         this.log(`\n${COLORS.BRIGHT}ENVIRONMENT SETTINGS:${COLORS.RESET}`);
         this.log(`Verbose Mode: ${this.verbose ? 'Enabled' : 'Disabled'}`);
         this.log(`Deploy First: ${this.deployFirst ? 'Enabled' : 'Disabled'}`);
+        if (process.env.TEST_PROFILE) {
+            this.log(`Profile: ${process.env.TEST_PROFILE}`);
+        }
+        if (describeSelection(this.selection)) {
+            this.log(`Test Selection: ${describeSelection(this.selection)}`);
+        }
         if (this.skipSuites.length > 0 && this.skipSuites[0] !== '') {
             this.log(`Skipped Suites: ${this.skipSuites.join(', ')}`);
         }
@@ -292,9 +328,13 @@ class TestRunner {
                     deployFirst: this.deployFirst,
                     skipSuites: this.skipSuites,
                     onlySuites: this.onlySuites,
-                    provider: this.provider.connection?.url || 'Unknown'
+                    testSelection: describeSelection(this.selection),
+                    profile: process.env.TEST_PROFILE || null,
+                    provider: this.provider.connection?.url || 'Unknown',
+                    capabilityProfile: CapabilityProfile.load().toJSON()
                 },
-                results: this.results
+                results: this.results,
+                gates: this.gates
             };
 
             fs.writeFileSync(filepath, JSON.stringify(resultData, null, 2));
@@ -307,6 +347,42 @@ class TestRunner {
         } catch (error) {
             this.log(`${COLORS.RED}Failed to save results: ${error.message}${COLORS.RESET}`);
         }
+
+        this.saveJUnitReport();
+    }
+
+    // Checks the exit gates (GATE_* variables, by default no failed test)
+    // against the whole run and prints them
+    checkGates() {
+        const suites = Object.values(this.results.suites);
+        this.gates = evaluateGates({
+            passed: this.results.overall.totalPassed,
+            failed: this.results.overall.totalFailed,
+            tests: suites.flatMap(suite => suite.tests || [])
+        }, gateSettings());
+
+        this.log(`\n${COLORS.BRIGHT}GATES:${COLORS.RESET}`);
+        for (const outcome of this.gates) {
+            this.log(formatGate(outcome), outcome.passed ? COLORS.GREEN : COLORS.RED);
+        }
+        return gatesPassed(this.gates);
+    }
+
+    saveJUnitReport() {
+        if (!this.junitFile) {
+            return;
+        }
+
+        try {
+            const reporter = new JUnitReporter('EVM Chain Tests');
+            for (const [suiteName, suite] of Object.entries(this.results.suites)) {
+                reporter.addSuite(suiteName, suite);
+            }
+            reporter.write(this.junitFile);
+            this.log(`${COLORS.GREEN}JUnit report saved to: ${this.junitFile}${COLORS.RESET}`);
+        } catch (error) {
+            this.log(`${COLORS.RED}Failed to save JUnit report: ${error.message}${COLORS.RESET}`);
+        }
     }
 
     async run() {
@@ -316,6 +392,21 @@ class TestRunner {
         this.log(`${COLORS.BRIGHT}${COLORS.BLUE}║                  EVM CHAIN COMPREHENSIVE TESTING            ║${COLORS.RESET}`);
         this.log(`${COLORS.BRIGHT}${COLORS.BLUE}╚══════════════════════════════════════════════════════════════╝${COLORS.RESET}`);
 
+        // Define test suites
+        const testSuites = [
+            { name: 'RPC Calls', class: RPCTester },
+            { name: 'Contracts', class: ContractTester },
+            { name: 'Transfers', class: TransferTester },
+            { name: 'Gas Estimation', class: GasEstimationTester },
+            { name: 'WebSocket Subscriptions', class: WebSocketTester },
+            { name: 'JSON-RPC Conformance', class: JsonRpcConformanceTester }
+        ];
+
+        if (this.selection.list) {
+            await this.listTests(testSuites);
+            process.exit(0);
+        }
+
         try {
             // Check prerequisites
             await this.checkPrerequisites();
@@ -323,14 +414,6 @@ class TestRunner {
             // Deploy contracts if requested
             await this.deployContracts();
 
-            // Define test suites
-            const testSuites = [
-                { name: 'RPC Calls', class: RPCTester },
-                { name: 'Contracts', class: ContractTester },
-                { name: 'Transfers', class: TransferTester },
-                { name: 'Gas Estimation', class: GasEstimationTester }
-            ];
-
             // Run test suites
             for (const suite of testSuites) {
                 const shouldRun = this.shouldRunSuite(suite.name);
@@ -344,12 +427,11 @@ class TestRunner {
             // Print results
             this.printDetailedResults();
             this.printSummary();
+            const success = this.checkGates();
 
             // Save results
             await this.saveResults();
 
-            // Determine exit code
-            const success = this.results.overall.successRate >= 80;
             if (success) {
                 this.log(`\n${COLORS.GREEN}${COLORS.BRIGHT}🎉 ALL TESTS COMPLETED SUCCESSFULLY! 🎉${COLORS.RESET}`);
                 process.exit(0);
@@ -384,6 +466,14 @@ async function main() {
         process.env.DEPLOY_FIRST = 'true';
     }
 
+    const junitFile = JUnitReporter.outputFileFromArgs(args, 'junit-all-tests.xml');
+    if (junitFile) {
+        process.env.JUNIT_OUTPUT = junitFile;
+    }
+
+    applySelectionArgs(args);
+    applyGateArgs(args);
+
     if (args.includes('--help') || args.includes('-h')) {
         console.log(`
 ${COLORS.BRIGHT}EVM Chain Comprehensive Testing${COLORS.RESET}
@@ -393,6 +483,15 @@ Usage: node run-all-tests.js [options]
 Options:
   -v, --verbose          Enable verbose output
   -d, --deploy          Deploy contracts first
+  --junit [file]        Write a JUnit XML report (default: test-results/junit-all-tests.xml)
+  --grep <pattern>      Only run tests whose name matches (case-insensitive regex)
+  --tag <tag>           Only run tests with this tag or category (repeatable)
+  --list                List the selected tests without running them
+  --profile <name>      Take endpoints and chain settings from a config file profile
+  --min-success-rate <percent>  Fail below this success rate
+  --max-failed <n>      Fail with more than n failed tests (default: 0)
+  --max-flaky <n>       Fail with more than n tests that only passed on a retry
+  --must-pass <name>    Fail unless this test passed (repeatable)
   -h, --help            Show this help message
 
 Environment Variables:
@@ -400,6 +499,13 @@ Environment Variables:
   DEPLOY_FIRST=true      Deploy contracts before testing
   SKIP_SUITES=suite1,suite2  Skip specific test suites
   ONLY_SUITES=suite1,suite2  Only run specific test suites
+  JUNIT_OUTPUT=file      Write a JUnit XML report to this file
+  TEST_GREP=pattern      Same as --grep
+  TEST_TAGS=tag1,tag2    Same as --tag
+  TEST_PROFILE=name      Same as --profile
+  GATE_MIN_SUCCESS_RATE=percent, GATE_MAX_FAILED=n, GATE_MAX_FLAKY=n
+                         Same as the gate flags
+  GATE_MUST_PASS=name1,name2  Same as --must-pass
 
 Available Test Suites:
   - RPC Calls
@@ -410,8 +516,12 @@ Available Test Suites:
 Examples:
   npm run test:all
   npm run test:all -- --verbose --deploy
+  npm run test:all-runner -- --junit
   SKIP_SUITES=Contracts npm run test:all
   ONLY_SUITES="RPC Calls,Transfers" npm run test:all
+  npm run test:all-runner -- --grep eth_feeHistory
+  npm run test:all-runner -- --tag smoke --list
+  npm run test:all-runner -- --profile realio-localnet
         `);
         process.exit(0);
     }
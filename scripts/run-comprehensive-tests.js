@@ -1,11 +1,41 @@
-const { ethers } = require("hardhat");
+const { ethers, network } = require("hardhat");
 const { RPCTester } = require("./test-rpc-calls");
 const { ContractTester } = require("./test-contracts");
 const { TransferTester } = require("./test-transfers");
 const { GasEstimationTester } = require("./test-gas-estimation");
+const { WebSocketTester } = require("./test-websocket-subscriptions");
+const { JsonRpcConformanceTester } = require("./test-jsonrpc-conformance");
 const { ContractDeployer } = require("./deploy-test-contracts");
 const { CosmosBankTester } = require("./test-cosmos-bank");
+const { CosmosUpgradeTester } = require("./test-cosmos-upgrade");
+const { UpgradeProposalDriver } = require("./upgrade-proposal");
+const { UpgradeHaltWatcher } = require("./watch-upgrade-halt");
+const { ChainStateSnapshotter } = require("./snapshot-chain-state");
+const { UpgradeStateSeeder } = require("./seed-upgrade-state");
+const { JUnitReporter } = require("./junit-reporter");
+const { CapabilityProfile } = require("./capability-profile");
+const {
+  parseDuration,
+  LatencyRecorder,
+  balanceDrift,
+} = require("./soak-metrics");
+const {
+  testSelection,
+  applySelectionArgs,
+  describeSelection,
+  formatListedTest,
+} = require("./test-selection");
+const {
+  gateSettings,
+  applyGateArgs,
+  evaluateGates,
+  gatesPassed,
+  formatGate,
+} = require("./test-gates");
 const axios = require("axios");
+const fs = require("fs");
+const path = require("path");
+const yaml = require("js-yaml");
 require("dotenv").config();
 
 const COLORS = {
@@ -20,32 +50,48 @@ const COLORS = {
   WHITE: "\x1b[37m",
 };
 
+// Suites in the order a full run executes them
+const SUITES = [
+  { name: "RPC Calls", type: "evm", testerClass: RPCTester },
+  { name: "Contracts", type: "evm", testerClass: ContractTester },
+  { name: "Transfers", type: "evm", testerClass: TransferTester },
+  { name: "Gas Estimation", type: "evm", testerClass: GasEstimationTester },
+  {
+    name: "WebSocket Subscriptions",
+    type: "evm",
+    testerClass: WebSocketTester,
+  },
+  {
+    name: "JSON-RPC Conformance",
+    type: "evm",
+    testerClass: JsonRpcConformanceTester,
+  },
+  { name: "Bank Module", type: "cosmos", testerClass: CosmosBankTester },
+  { name: "Upgrade Module", type: "cosmos", testerClass: CosmosUpgradeTester },
+];
+
+const SCENARIO_ACTIONS = [
+  "deploy",
+  "seed",
+  "verify-seed",
+  "snapshot",
+  "propose",
+  "watch-upgrade",
+  "wait-height",
+  "sleep",
+];
+
+const SCENARIO_ASSERTIONS = [
+  "min-success-rate",
+  "max-failed",
+  "suite-passed",
+  "upgrade-applied",
+];
+
 class ComprehensiveTestRunner {
   constructor() {
     this.provider = ethers.provider;
-    this.results = {
-      overall: {
-        totalTests: 0,
-        totalPassed: 0,
-        totalFailed: 0,
-        totalDuration: 0,
-        successRate: 0,
-      },
-      evm: {
-        totalTests: 0,
-        totalPassed: 0,
-        totalFailed: 0,
-        successRate: 0,
-        suites: {},
-      },
-      cosmos: {
-        totalTests: 0,
-        totalPassed: 0,
-        totalFailed: 0,
-        successRate: 0,
-        suites: {},
-      },
-    };
+    this.results = this.createEmptyResults();
 
     this.verbose = process.env.VERBOSE === "true";
     this.debug = process.env.DEBUG === "true";
@@ -67,12 +113,42 @@ class ComprehensiveTestRunner {
     if (!this.runEvm && !this.runCosmos) {
       this.runEvm = true;
     }
+
+    this.junitFile = process.env.JUNIT_OUTPUT || null;
+    this.selection = testSelection();
+    this.gates = [];
   }
 
   log(message, color = COLORS.RESET) {
     console.log(`${color}${message}${COLORS.RESET}`);
   }
 
+  createEmptyResults() {
+    return {
+      overall: {
+        totalTests: 0,
+        totalPassed: 0,
+        totalFailed: 0,
+        totalDuration: 0,
+        successRate: 0,
+      },
+      evm: {
+        totalTests: 0,
+        totalPassed: 0,
+        totalFailed: 0,
+        successRate: 0,
+        suites: {},
+      },
+      cosmos: {
+        totalTests: 0,
+        totalPassed: 0,
+        totalFailed: 0,
+        successRate: 0,
+        suites: {},
+      },
+    };
+  }
+
   async runEvmTestSuite(suiteName, testerClass, shouldRun = true) {
     if (!shouldRun) {
       this.log(`${COLORS.YELLOW}Skipping EVM ${suiteName}${COLORS.RESET}`);
@@ -95,6 +171,13 @@ class ComprehensiveTestRunner {
     let suiteResults = null;
 
     try {
+      if (await this.isEmptySelection(testerClass)) {
+        this.log(
+          `${COLORS.YELLOW}No ${suiteName} tests match the selection${COLORS.RESET}`
+        );
+        return null;
+      }
+
       const tester = new testerClass();
       suiteResults = await tester.runAllTests();
 
@@ -127,6 +210,7 @@ class ComprehensiveTestRunner {
         duration: duration,
         status: "error",
         error: error.message,
+        tests: [],
       };
 
       this.results.evm.totalFailed += 1;
@@ -166,6 +250,13 @@ class ComprehensiveTestRunner {
     let suiteResults = null;
 
     try {
+      if (await this.isEmptySelection(testerClass)) {
+        this.log(
+          `${COLORS.YELLOW}No ${suiteName} tests match the selection${COLORS.RESET}`
+        );
+        return null;
+      }
+
       const tester = new testerClass();
       suiteResults = await tester.runAllTests();
 
@@ -201,6 +292,7 @@ class ComprehensiveTestRunner {
         duration: duration,
         status: "error",
         error: error.message,
+        tests: [],
       };
 
       this.results.cosmos.totalFailed += 1;
@@ -218,6 +310,33 @@ class ComprehensiveTestRunner {
     return suiteResults;
   }
 
+  // With --grep or --tag, suites the selection leaves empty aren't run at all
+  async isEmptySelection(testerClass) {
+    return (
+      describeSelection(this.selection) !== null &&
+      !(await new testerClass().hasSelectedTests())
+    );
+  }
+
+  // --list: prints the selected tests of each enabled suite without touching
+  // the chain
+  async listTests() {
+    for (const suite of SUITES) {
+      const enabled = suite.type === "evm" ? this.runEvm : this.runCosmos;
+      if (!enabled || !this.shouldRunSuite(suite.name)) {
+        continue;
+      }
+
+      const tests = await new suite.testerClass().listTests();
+      this.log(
+        `\n${COLORS.BRIGHT}${suite.name} (${tests.length})${COLORS.RESET}`
+      );
+      for (const test of tests) {
+        this.log(`  ${formatListedTest(test)}`);
+      }
+    }
+  }
+
   shouldRunSuite(suiteName) {
     // If only specific suites are specified, run only those
     if (this.onlySuites.length > 0) {
@@ -475,8 +594,7 @@ class ComprehensiveTestRunner {
     }
   }
 
-  printSummary() {
-    // Update overall totals
+  calculateTotals() {
     this.results.overall.totalTests =
       this.results.evm.totalTests + this.results.cosmos.totalTests;
     this.results.overall.totalPassed =
@@ -488,6 +606,41 @@ class ComprehensiveTestRunner {
     this.results.evm.successRate = this.calculateEvmSuccessRate();
     this.results.cosmos.successRate = this.calculateCosmosSuccessRate();
     this.results.overall.successRate = this.calculateOverallSuccessRate();
+  }
+
+  // Per-test records of every suite in the current results
+  collectTests() {
+    const suites = [
+      ...Object.values(this.results.evm.suites),
+      ...Object.values(this.results.cosmos.suites),
+    ];
+    return suites.flatMap((suite) => suite.tests || []);
+  }
+
+  // Checks the exit gates (GATE_* variables, by default no failed test)
+  // against the whole run and prints them. `summary` is { passed, failed,
+  // tests }, by default the current results.
+  checkGates(
+    summary = {
+      passed: this.results.overall.totalPassed,
+      failed: this.results.overall.totalFailed,
+      tests: this.collectTests(),
+    }
+  ) {
+    this.gates = evaluateGates(summary, gateSettings());
+
+    this.log(`\n${COLORS.BRIGHT}Gates:${COLORS.RESET}`);
+    for (const outcome of this.gates) {
+      this.log(
+        `  ${formatGate(outcome)}`,
+        outcome.passed ? COLORS.GREEN : COLORS.RED
+      );
+    }
+    return gatesPassed(this.gates);
+  }
+
+  printSummary() {
+    this.calculateTotals();
 
     this.log(
       `\n${COLORS.BRIGHT}${COLORS.WHITE}================================================================${COLORS.RESET}`
@@ -609,14 +762,15 @@ class ComprehensiveTestRunner {
         debug: this.debug,
         skipSuites: this.skipSuites,
         onlySuites: this.onlySuites,
+        testSelection: describeSelection(this.selection),
+        profile: process.env.TEST_PROFILE || null,
+        capabilityProfile: CapabilityProfile.load().toJSON(),
       },
       results: this.results,
+      gates: this.gates,
     };
 
     try {
-      const fs = require("fs");
-      const path = require("path");
-
       // Ensure test-results directory exists
       const resultsDir = path.join(__dirname, "..", "test-results");
       if (!fs.existsSync(resultsDir)) {
@@ -644,6 +798,881 @@ class ComprehensiveTestRunner {
     }
   }
 
+  addJUnitSuites(reporter, results, prefix = "") {
+    const suites = { ...results.evm.suites, ...results.cosmos.suites };
+    for (const [name, suite] of Object.entries(suites)) {
+      reporter.addSuite(`${prefix}${name}`, suite);
+    }
+  }
+
+  saveJUnitReport(reporter) {
+    try {
+      reporter.write(this.junitFile);
+      this.log(
+        `${COLORS.GREEN}✓ JUnit report saved to: ${this.junitFile}${COLORS.RESET}`
+      );
+    } catch (error) {
+      this.log(
+        `${COLORS.YELLOW}⚠ Could not save JUnit report: ${error.message}${COLORS.RESET}`
+      );
+    }
+  }
+
+  findSuite(name) {
+    return SUITES.find(
+      (suite) => suite.name.toLowerCase() === String(name).toLowerCase().trim()
+    );
+  }
+
+  loadScenario(file) {
+    if (!fs.existsSync(file)) {
+      throw new Error(`Scenario file not found: ${file}`);
+    }
+
+    const content = fs.readFileSync(file, "utf8");
+    const scenario = /\.ya?ml$/i.test(file)
+      ? yaml.load(content)
+      : JSON.parse(content);
+
+    if (!scenario || !Array.isArray(scenario.phases)) {
+      throw new Error(`Scenario ${file} has no "phases" list`);
+    }
+
+    const names = new Set();
+    for (const phase of scenario.phases) {
+      if (!phase.name || names.has(phase.name)) {
+        throw new Error(
+          `Every phase needs a unique name (got "${phase.name}")`
+        );
+      }
+      names.add(phase.name);
+
+      for (const step of phase.steps || []) {
+        if (typeof step === "string") {
+          if (!this.findSuite(step)) {
+            throw new Error(
+              `Unknown suite "${step}" in phase "${
+                phase.name
+              }" - expected one of: ${SUITES.map((s) => s.name).join(", ")}`
+            );
+          }
+        } else if (!SCENARIO_ACTIONS.includes(step.action)) {
+          throw new Error(
+            `Unknown action "${step.action}" in phase "${
+              phase.name
+            }" - expected one of: ${SCENARIO_ACTIONS.join(", ")}`
+          );
+        }
+      }
+
+      for (const assertion of phase.assertions || []) {
+        if (!SCENARIO_ASSERTIONS.includes(assertion.type)) {
+          throw new Error(
+            `Unknown assertion "${assertion.type}" in phase "${
+              phase.name
+            }" - expected one of: ${SCENARIO_ASSERTIONS.join(", ")}`
+          );
+        }
+      }
+    }
+
+    return {
+      name: scenario.name || path.basename(file).replace(/\.[^.]+$/, ""),
+      upgrade: scenario.upgrade || {},
+      continueOnFailure: scenario.continueOnFailure === true,
+      phases: scenario.phases,
+    };
+  }
+
+  async getCosmosHeight() {
+    const rpcUrl = process.env.COSMOS_RPC_URL || "http://localhost:26657";
+    const response = await axios.get(`${rpcUrl}/status`, { timeout: 5000 });
+    return parseInt(response.data.result.sync_info.latest_block_height);
+  }
+
+  async runScenarioAction(step, state) {
+    switch (step.action) {
+      case "deploy": {
+        const deployer = new ContractDeployer();
+        await deployer.deploy();
+        return {
+          contracts: Object.fromEntries(
+            Object.entries(deployer.deployments.contracts).map(
+              ([name, info]) => [name, info.address]
+            )
+          ),
+        };
+      }
+
+      case "seed":
+      case "verify-seed": {
+        const seeder = new UpgradeStateSeeder();
+        const results =
+          step.action === "seed" ? await seeder.seed() : await seeder.verify();
+        if (results.failed > 0) {
+          throw new Error(`${results.failed} seeding step(s) failed`);
+        }
+        return { passed: results.passed, total: results.total };
+      }
+
+      case "snapshot": {
+        if (!step.label) {
+          throw new Error('The snapshot action needs a "label"');
+        }
+        const snapshotter = new ChainStateSnapshotter();
+        await snapshotter.takeSnapshot(step.label);
+        if (!step.compare) {
+          return { label: step.label };
+        }
+
+        const report = snapshotter.writeDiff(step.compare, step.label);
+        if (report.summary.totalChanges > 0) {
+          throw new Error(
+            `${report.summary.totalChanges} state change(s) since "${step.compare}"`
+          );
+        }
+        return { label: step.label, compare: step.compare, changes: 0 };
+      }
+
+      case "propose": {
+        const upgrade = { ...state.upgrade, ...step };
+        const driver = new UpgradeProposalDriver({
+          upgradeName: upgrade.name,
+          upgradeHeight: upgrade.height,
+          upgradeInfo: upgrade.info,
+        });
+        if (upgrade.heightOffset) {
+          driver.upgradeHeightOffset = upgrade.heightOffset;
+        }
+
+        const report = await driver.run();
+        if (report.status !== "PROPOSAL_STATUS_PASSED") {
+          throw new Error(
+            report.error || `Proposal ended with status ${report.status}`
+          );
+        }
+
+        // Later watch-upgrade steps use the height the proposal settled on
+        state.upgrade.name = report.upgradeName;
+        state.upgrade.height = report.upgradeHeight;
+        return {
+          proposalId: report.proposalId,
+          upgradeName: report.upgradeName,
+          upgradeHeight: report.upgradeHeight,
+        };
+      }
+
+      case "watch-upgrade": {
+        const watcher = new UpgradeHaltWatcher({
+          upgradeHeight: step.height || state.upgrade.height,
+        });
+        const report = await watcher.watch();
+        if (!report.success) {
+          throw new Error(report.error || "Upgrade halt watcher failed");
+        }
+        return {
+          haltHeight: report.haltHeight,
+          downtime: report.downtime,
+        };
+      }
+
+      case "wait-height": {
+        const startHeight = await this.getCosmosHeight();
+        const target = step.height || startHeight + (step.blocks || 1);
+        const timeout = step.timeout || 600000;
+        const deadline = Date.now() + timeout;
+
+        this.log(`  Waiting for Cosmos height ${target}...`, COLORS.BLUE);
+        while (Date.now() < deadline) {
+          const height = await this.getCosmosHeight().catch(() => 0);
+          if (height >= target) {
+            return { height };
+          }
+          await new Promise((resolve) => setTimeout(resolve, 1000));
+        }
+        throw new Error(`Height ${target} not reached after ${timeout}ms`);
+      }
+
+      case "sleep":
+        await new Promise((resolve) => setTimeout(resolve, step.ms || 0));
+        return { ms: step.ms || 0 };
+    }
+  }
+
+  async checkScenarioAssertion(assertion, state) {
+    const overall = this.results.overall;
+    const suites = {
+      ...this.results.evm.suites,
+      ...this.results.cosmos.suites,
+    };
+
+    switch (assertion.type) {
+      case "min-success-rate":
+        return {
+          passed:
+            overall.totalTests > 0 && overall.successRate >= assertion.value,
+          actual: overall.successRate,
+        };
+
+      case "max-failed":
+        return {
+          passed: overall.totalFailed <= assertion.value,
+          actual: overall.totalFailed,
+        };
+
+      case "suite-passed": {
+        const suite = this.findSuite(assertion.suite);
+        const results = suite ? suites[suite.name] : null;
+        return {
+          passed:
+            !!results && results.status === "completed" && results.failed === 0,
+          actual: results
+            ? { status: results.status, failed: results.failed }
+            : "not run",
+        };
+      }
+
+      case "upgrade-applied": {
+        const name = assertion.name || state.upgrade.name;
+        const restUrl = process.env.COSMOS_REST_URL || "http://localhost:1317";
+        const response = await axios.get(
+          `${restUrl}/cosmos/upgrade/v1beta1/applied_plan/${encodeURIComponent(
+            name
+          )}`,
+          { timeout: 10000 }
+        );
+        const height = parseInt(response.data.height || "0");
+        return { passed: height > 0, actual: { name, height } };
+      }
+    }
+  }
+
+  upgradeEnv(upgrade) {
+    const env = {};
+    if (upgrade.name) {
+      env.UPGRADE_NAME = upgrade.name;
+    }
+    if (upgrade.height) {
+      env.UPGRADE_HEIGHT = upgrade.height;
+    }
+    return env;
+  }
+
+  async runScenarioPhase(phase, state) {
+    this.log(
+      `\n${COLORS.BRIGHT}${COLORS.WHITE}================================================================${COLORS.RESET}`
+    );
+    this.log(
+      `${COLORS.BRIGHT}${COLORS.WHITE}PHASE: ${phase.name.toUpperCase()}${
+        COLORS.RESET
+      }`
+    );
+    this.log(
+      `${COLORS.BRIGHT}${COLORS.WHITE}================================================================${COLORS.RESET}`
+    );
+
+    const startTime = Date.now();
+    this.results = this.createEmptyResults();
+
+    // Testers read their configuration from the environment when they are
+    // constructed, so phase env only has to be in place while the phase runs.
+    // The scenario upgrade (as settled by propose) comes first so the
+    // Upgrade Module suite checks it unless the phase overrides it.
+    const env = { ...this.upgradeEnv(state.upgrade), ...phase.env };
+    const previousEnv = {};
+    for (const [key, value] of Object.entries(env)) {
+      previousEnv[key] = process.env[key];
+      process.env[key] = String(value);
+    }
+
+    const phaseResult = {
+      name: phase.name,
+      status: "passed",
+      duration: 0,
+      env: Object.keys(env),
+      actions: [],
+      assertions: [],
+      results: null,
+    };
+
+    try {
+      for (const step of phase.steps || []) {
+        if (typeof step === "string") {
+          const suite = this.findSuite(step);
+          const enabled = suite.type === "evm" ? this.runEvm : this.runCosmos;
+          if (suite.type === "evm") {
+            await this.runEvmTestSuite(suite.name, suite.testerClass, enabled);
+          } else {
+            await this.runCosmosTestSuite(
+              suite.name,
+              suite.testerClass,
+              enabled
+            );
+          }
+          continue;
+        }
+
+        this.log(
+          `\n${COLORS.CYAN}Action: ${step.action}${
+            step.label ? ` (${step.label})` : ""
+          }${COLORS.RESET}`
+        );
+        const actionStart = Date.now();
+        const action = { action: step.action, status: "passed" };
+        try {
+          action.result = await this.runScenarioAction(step, state);
+          this.log(`${COLORS.GREEN}✓ ${step.action} done${COLORS.RESET}`);
+        } catch (error) {
+          action.status = "failed";
+          action.error = error.message;
+          phaseResult.status = "failed";
+          this.log(
+            `${COLORS.RED}✗ ${step.action} failed: ${error.message}${COLORS.RESET}`
+          );
+          if (this.debug) {
+            console.error(error);
+          }
+        }
+        action.duration = Date.now() - actionStart;
+        phaseResult.actions.push(action);
+
+        // Later steps usually depend on the action (e.g. watch after propose)
+        if (action.status === "failed" && !step.continueOnFailure) {
+          break;
+        }
+      }
+
+      this.calculateTotals();
+      if (this.results.overall.totalTests > 0) {
+        this.printDetailedResults();
+      }
+
+      for (const assertion of phase.assertions || []) {
+        let outcome;
+        try {
+          outcome = await this.checkScenarioAssertion(assertion, state);
+        } catch (error) {
+          outcome = { passed: false, actual: null, error: error.message };
+        }
+
+        phaseResult.assertions.push({ ...assertion, ...outcome });
+        if (!outcome.passed) {
+          phaseResult.status = "failed";
+        }
+        this.log(
+          `${
+            outcome.passed ? COLORS.GREEN + "✓" : COLORS.RED + "✗"
+          } Assertion ${assertion.type}: ${JSON.stringify(
+            outcome.error || outcome.actual
+          )}${COLORS.RESET}`
+        );
+      }
+    } finally {
+      for (const [key, value] of Object.entries(previousEnv)) {
+        if (value === undefined) {
+          delete process.env[key];
+        } else {
+          process.env[key] = value;
+        }
+      }
+    }
+
+    this.results.overall.totalDuration = Date.now() - startTime;
+    phaseResult.duration = this.results.overall.totalDuration;
+    phaseResult.results = this.results;
+
+    const color = phaseResult.status === "passed" ? COLORS.GREEN : COLORS.RED;
+    this.log(
+      `\n${color}${COLORS.BRIGHT}Phase ${phase.name} ${phaseResult.status} in ${phaseResult.duration}ms${COLORS.RESET}`
+    );
+
+    return phaseResult;
+  }
+
+  saveScenarioResults(report) {
+    const slug = report.scenario.toLowerCase().replace(/[^a-z0-9]+/g, "-");
+    const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
+
+    try {
+      const resultsDir = path.join(__dirname, "..", "test-results");
+      if (!fs.existsSync(resultsDir)) {
+        fs.mkdirSync(resultsDir, { recursive: true });
+      }
+
+      const files = [
+        path.join(resultsDir, `scenario-${slug}-${timestamp}.json`),
+        path.join(resultsDir, "scenario-latest.json"),
+      ];
+      files.forEach((file) =>
+        fs.writeFileSync(file, JSON.stringify(report, null, 2))
+      );
+
+      for (const phase of report.phases) {
+        const phaseFile = path.join(
+          resultsDir,
+          `scenario-${slug}-${phase.name}-latest.json`
+        );
+        fs.writeFileSync(
+          phaseFile,
+          JSON.stringify({ scenario: report.scenario, ...phase }, null, 2)
+        );
+        files.push(phaseFile);
+      }
+
+      this.log(`\n${COLORS.GREEN}✓ Scenario results saved to:${COLORS.RESET}`);
+      files.forEach((file) => this.log(`  ${file}`));
+    } catch (error) {
+      this.log(
+        `${COLORS.YELLOW}⚠ Could not save scenario results: ${error.message}${COLORS.RESET}`
+      );
+    }
+  }
+
+  async runScenario(file) {
+    const startTime = Date.now();
+    const scenario = this.loadScenario(file);
+
+    this.log(
+      `${COLORS.BRIGHT}${COLORS.WHITE}🚀 UPGRADE SCENARIO: ${scenario.name} 🚀${COLORS.RESET}`
+    );
+    this.log(`  File: ${file}`);
+    this.log(`  Phases: ${scenario.phases.map((p) => p.name).join(" → ")}`);
+    if (scenario.upgrade.name) {
+      this.log(
+        `  Upgrade: ${scenario.upgrade.name}${
+          scenario.upgrade.height ? ` at height ${scenario.upgrade.height}` : ""
+        }`
+      );
+    }
+
+    const state = { upgrade: { ...scenario.upgrade } };
+    const report = {
+      timestamp: new Date().toISOString(),
+      scenario: scenario.name,
+      file: path.resolve(file),
+      upgrade: state.upgrade,
+      success: true,
+      duration: 0,
+      phases: [],
+    };
+
+    for (const phase of scenario.phases) {
+      if (!report.success && !scenario.continueOnFailure) {
+        report.phases.push({ name: phase.name, status: "skipped" });
+        this.log(
+          `${COLORS.YELLOW}Skipping phase ${phase.name} after a failed phase${COLORS.RESET}`
+        );
+        continue;
+      }
+
+      const phaseResult = await this.runScenarioPhase(phase, state);
+      report.phases.push(phaseResult);
+      if (phaseResult.status !== "passed") {
+        report.success = false;
+      }
+    }
+
+    report.duration = Date.now() - startTime;
+
+    this.log(`\n${COLORS.BRIGHT}=== SCENARIO SUMMARY ===${COLORS.RESET}`);
+    for (const phase of report.phases) {
+      const color =
+        phase.status === "passed"
+          ? COLORS.GREEN
+          : phase.status === "skipped"
+          ? COLORS.YELLOW
+          : COLORS.RED;
+      const tests = phase.results
+        ? ` | Tests: ${phase.results.overall.totalPassed}/${phase.results.overall.totalTests}`
+        : "";
+      this.log(
+        `  ${color}${phase.name}: ${phase.status}${COLORS.RESET}${tests}`
+      );
+    }
+    this.log(`  Duration: ${report.duration}ms`);
+
+    this.saveScenarioResults(report);
+
+    if (this.junitFile) {
+      const reporter = new JUnitReporter(`Scenario: ${report.scenario}`);
+      for (const phase of report.phases.filter((p) => p.results)) {
+        this.addJUnitSuites(reporter, phase.results, `${phase.name}: `);
+
+        // Actions and assertions fail a phase too, so CI has to see them
+        const steps = [
+          ...phase.actions.map((a) => ({
+            name: a.action,
+            status: a.status,
+            duration: a.duration,
+            error: a.error || null,
+          })),
+          ...phase.assertions.map((a) => ({
+            name: `assert ${a.type}`,
+            status: a.passed ? "passed" : "failed",
+            duration: 0,
+            error: a.passed
+              ? null
+              : a.error || `Got ${JSON.stringify(a.actual)}`,
+          })),
+        ];
+        if (steps.length > 0) {
+          reporter.addSuite(`${phase.name}: Scenario Steps`, {
+            duration: phase.duration,
+            tests: steps,
+          });
+        }
+      }
+      this.saveJUnitReport(reporter);
+    }
+
+    return report;
+  }
+
+  // Turns off the side whose prerequisites fail; throws when neither is left
+  async checkPrerequisites() {
+    const evmReady = await this.checkEvmPrerequisites();
+    const cosmosReady = await this.checkCosmosPrerequisites();
+
+    if (this.runEvm && !evmReady) {
+      this.log(
+        `${COLORS.RED}✗ EVM prerequisites not met, skipping EVM tests${COLORS.RESET}`
+      );
+      this.runEvm = false;
+    }
+
+    if (this.runCosmos && !cosmosReady) {
+      this.log(
+        `${COLORS.RED}✗ Cosmos prerequisites not met, skipping Cosmos tests${COLORS.RESET}`
+      );
+      this.runCosmos = false;
+    }
+
+    if (!this.runEvm && !this.runCosmos) {
+      throw new Error("No test suites can be run due to prerequisite failures");
+    }
+  }
+
+  // Runs the enabled suites that SKIP_SUITES / ONLY_SUITES leave, EVM first
+  async runSuites() {
+    if (this.runEvm) {
+      for (const suite of SUITES.filter((s) => s.type === "evm")) {
+        await this.runEvmTestSuite(
+          suite.name,
+          suite.testerClass,
+          this.shouldRunSuite(suite.name)
+        );
+      }
+    }
+
+    if (this.runCosmos) {
+      for (const suite of SUITES.filter((s) => s.type === "cosmos")) {
+        await this.runCosmosTestSuite(
+          suite.name,
+          suite.testerClass,
+          this.shouldRunSuite(suite.name)
+        );
+      }
+    }
+  }
+
+  // Balances of the EVM signers and the Cosmos test account, keyed
+  // "evm:<address>" and "cosmos:<address>:<denom>"
+  async sampleBalances(cosmosTester) {
+    const balances = {};
+    if (this.runEvm) {
+      for (const signer of await ethers.getSigners()) {
+        balances[`evm:${signer.address}`] = (
+          await this.provider.getBalance(signer.address)
+        ).toString();
+      }
+    }
+    if (cosmosTester) {
+      const address = cosmosTester.senderAddress;
+      for (const coin of await cosmosTester.client.getAllBalances(address)) {
+        balances[`cosmos:${address}:${coin.denom}`] = coin.amount;
+      }
+    }
+    return balances;
+  }
+
+  // Repeats the selected suites until `iterations` runs or `duration` ms have
+  // passed (whichever comes first), or until Ctrl-C, which stops after the
+  // current iteration. Records RPC latency per method, the failures of every
+  // iteration and the drift of the test accounts' balances.
+  async runSoak({ iterations = null, duration = null, interval = 0 }) {
+    const startTime = Date.now();
+
+    this.log(
+      `${COLORS.BRIGHT}${COLORS.WHITE}================================================================${COLORS.RESET}`
+    );
+    this.log(
+      `${COLORS.BRIGHT}${COLORS.WHITE}                       🔁 SOAK MODE 🔁                          ${COLORS.RESET}`
+    );
+    this.log(
+      `${COLORS.BRIGHT}${COLORS.WHITE}================================================================${COLORS.RESET}`
+    );
+    this.log(`  Iterations: ${iterations || "unlimited"}`);
+    this.log(`  Duration: ${duration ? `${duration}ms` : "unlimited"}`);
+    this.log(`  Interval: ${interval}ms`);
+    this.log(`  Press Ctrl-C to stop after the current iteration`);
+
+    await this.checkPrerequisites();
+    await this.deployContracts();
+
+    const recorder = new LatencyRecorder();
+    const restoreProvider = recorder.instrument(network.provider);
+    let stopRequested = false;
+    const requestStop = () => {
+      stopRequested = true;
+      this.log(
+        `\n${COLORS.YELLOW}Stopping after the current iteration...${COLORS.RESET}`
+      );
+    };
+    process.once("SIGINT", requestStop);
+
+    let cosmosTester = null;
+    const report = {
+      startedAt: new Date(startTime).toISOString(),
+      settings: { iterations, duration, interval },
+      iterations: [],
+      balances: [],
+    };
+    const totals = { passed: 0, failed: 0, tests: [] };
+
+    const recordBalances = async (iteration) => {
+      const sample = { iteration, timestamp: new Date().toISOString() };
+      try {
+        sample.balances = await this.sampleBalances(cosmosTester);
+      } catch (error) {
+        sample.balances = {};
+        sample.error = error.message;
+      }
+      report.balances.push(sample);
+    };
+
+    try {
+      if (this.runCosmos) {
+        cosmosTester = new CosmosBankTester();
+        await cosmosTester.initialize();
+      }
+      await recordBalances(0);
+
+      for (let iteration = 1; ; iteration++) {
+        recorder.iteration = iteration;
+        this.results = this.createEmptyResults();
+        const iterationStart = Date.now();
+
+        await this.runSuites();
+        this.calculateTotals();
+        await recordBalances(iteration);
+
+        const tests = this.collectTests();
+        const overall = this.results.overall;
+        totals.passed += overall.totalPassed;
+        totals.failed += overall.totalFailed;
+        // Just what the gates and intermittentTests() read, so a long soak
+        // doesn't keep every result payload and stack trace in memory
+        totals.tests.push(
+          ...tests.map(({ name, suite, status, flaky }) => ({
+            name,
+            suite,
+            status,
+            flaky,
+            iteration,
+          }))
+        );
+        report.iterations.push({
+          iteration,
+          startedAt: new Date(iterationStart).toISOString(),
+          duration: Date.now() - iterationStart,
+          passed: overall.totalPassed,
+          failed: overall.totalFailed,
+          successRate: overall.successRate,
+          failedTests: tests
+            .filter((test) => test.status === "failed")
+            .map((test) => `${test.suite}: ${test.name}`),
+        });
+
+        const color = overall.totalFailed > 0 ? COLORS.RED : COLORS.GREEN;
+        this.log(
+          `\n${color}${COLORS.BRIGHT}Iteration ${iteration}: ${
+            overall.totalPassed
+          }/${overall.totalTests} passed (${overall.successRate.toFixed(
+            1
+          )}%), ${Math.round((Date.now() - startTime) / 1000)}s elapsed${
+            COLORS.RESET
+          }`
+        );
+
+        const elapsed = Date.now() - startTime;
+        if (
+          stopRequested ||
+          (iterations && iteration >= iterations) ||
+          (duration && elapsed >= duration)
+        ) {
+          break;
+        }
+        if (interval > 0) {
+          const pause = duration
+            ? Math.min(interval, duration - elapsed)
+            : interval;
+          await new Promise((resolve) => setTimeout(resolve, pause));
+        }
+      }
+    } finally {
+      restoreProvider();
+      process.removeListener("SIGINT", requestStop);
+      if (cosmosTester && cosmosTester.client) {
+        cosmosTester.client.disconnect();
+      }
+    }
+
+    report.duration = Date.now() - startTime;
+    report.latency = recorder.summary();
+    report.balanceDrift = balanceDrift(
+      report.balances.filter((sample) => !sample.error)
+    );
+    report.intermittentTests = this.intermittentTests(
+      totals.tests,
+      report.iterations.length
+    );
+
+    this.printSoakReport(report);
+    this.checkGates(totals);
+    report.gates = this.gates;
+    this.saveSoakReport(report);
+    return report;
+  }
+
+  // Tests that failed in some iterations but not all of them
+  intermittentTests(tests, iterationCount) {
+    const byTest = {};
+    for (const test of tests) {
+      const key = `${test.suite}: ${test.name}`;
+      if (!byTest[key]) {
+        byTest[key] = { test: key, failures: 0, runs: 0, iterations: [] };
+      }
+      byTest[key].runs++;
+      if (test.status === "failed") {
+        byTest[key].failures++;
+        byTest[key].iterations.push(test.iteration);
+      }
+    }
+    return Object.values(byTest)
+      .filter(
+        (entry) =>
+          entry.failures > 0 &&
+          (entry.failures < entry.runs || entry.runs < iterationCount)
+      )
+      .sort((a, b) => b.failures - a.failures);
+  }
+
+  printSoakReport(report) {
+    this.log(
+      `\n${COLORS.BRIGHT}${COLORS.WHITE}================================================================${COLORS.RESET}`
+    );
+    this.log(
+      `${COLORS.BRIGHT}${COLORS.WHITE}                        SOAK SUMMARY                           ${COLORS.RESET}`
+    );
+    this.log(
+      `${COLORS.BRIGHT}${COLORS.WHITE}================================================================${COLORS.RESET}`
+    );
+    this.log(
+      `\nIterations: ${report.iterations.length} in ${Math.round(
+        report.duration / 1000
+      )}s`
+    );
+
+    this.log(`\n${COLORS.BRIGHT}Failure rate per iteration:${COLORS.RESET}`);
+    for (const iteration of report.iterations) {
+      const total = iteration.passed + iteration.failed;
+      const failureRate =
+        total > 0 ? ((iteration.failed / total) * 100).toFixed(1) : "0.0";
+      this.log(
+        `  #${iteration.iteration} ${iteration.startedAt}: ${failureRate}% (${iteration.failed}/${total})`,
+        iteration.failed > 0 ? COLORS.RED : COLORS.RESET
+      );
+    }
+
+    if (report.intermittentTests.length > 0) {
+      this.log(`\n${COLORS.BRIGHT}Intermittent failures:${COLORS.RESET}`);
+      for (const entry of report.intermittentTests) {
+        this.log(
+          `  ${COLORS.YELLOW}${entry.test}: failed ${entry.failures}/${
+            entry.runs
+          } (iterations ${entry.iterations.join(", ")})${COLORS.RESET}`
+        );
+      }
+    }
+
+    this.log(`\n${COLORS.BRIGHT}RPC latency (ms):${COLORS.RESET}`);
+    this.log(
+      `  ${"method".padEnd(36)}${"count".padStart(7)}${"err".padStart(
+        5
+      )}${"p50".padStart(7)}${"p95".padStart(7)}${"p99".padStart(
+        7
+      )}${"max".padStart(7)}  first→last p50`
+    );
+    for (const [method, stats] of Object.entries(report.latency)) {
+      const first = stats.iterations[0];
+      const last = stats.iterations[stats.iterations.length - 1];
+      this.log(
+        `  ${method.padEnd(36)}${String(stats.count).padStart(7)}${String(
+          stats.errors
+        ).padStart(5)}${String(stats.p50).padStart(7)}${String(
+          stats.p95
+        ).padStart(7)}${String(stats.p99).padStart(7)}${String(
+          stats.max
+        ).padStart(7)}  ${first.p50}→${last.p50}`
+      );
+    }
+
+    this.log(`\n${COLORS.BRIGHT}Balance drift:${COLORS.RESET}`);
+    for (const [account, drift] of Object.entries(report.balanceDrift)) {
+      this.log(
+        `  ${account}: ${drift.total} (per iteration ${drift.minDelta} to ${drift.maxDelta})`
+      );
+    }
+  }
+
+  saveSoakReport(report) {
+    const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
+    const data = {
+      timestamp: new Date().toISOString(),
+      configuration: {
+        runEvm: this.runEvm,
+        runCosmos: this.runCosmos,
+        skipSuites: this.skipSuites,
+        onlySuites: this.onlySuites,
+        testSelection: describeSelection(this.selection),
+        profile: process.env.TEST_PROFILE || null,
+      },
+      soak: report,
+    };
+
+    try {
+      const resultsDir = path.join(__dirname, "..", "test-results");
+      if (!fs.existsSync(resultsDir)) {
+        fs.mkdirSync(resultsDir, { recursive: true });
+      }
+      const resultFile = path.join(
+        resultsDir,
+        `soak-results-${timestamp}.json`
+      );
+      const latestFile = path.join(resultsDir, "soak-latest.json");
+      fs.writeFileSync(resultFile, JSON.stringify(data, null, 2));
+      fs.writeFileSync(latestFile, JSON.stringify(data, null, 2));
+
+      this.log(`\n${COLORS.GREEN}✓ Soak report saved to:${COLORS.RESET}`);
+      this.log(`  ${resultFile}`);
+      this.log(`  ${latestFile}`);
+    } catch (error) {
+      this.log(
+        `${COLORS.YELLOW}⚠ Could not save the soak report: ${error.message}${COLORS.RESET}`
+      );
+    }
+  }
+
   async run() {
     const startTime = Date.now();
 
@@ -678,67 +1707,20 @@ class ComprehensiveTestRunner {
     if (this.onlySuites.length > 0) {
       this.log(`  Only Suites: ${this.onlySuites.join(", ")}`);
     }
+    if (process.env.TEST_PROFILE) {
+      this.log(`  Profile: ${process.env.TEST_PROFILE}`);
+    }
+    if (describeSelection(this.selection)) {
+      this.log(`  Test Selection: ${describeSelection(this.selection)}`);
+    }
 
     try {
-      // Check prerequisites
-      const evmReady = await this.checkEvmPrerequisites();
-      const cosmosReady = await this.checkCosmosPrerequisites();
-
-      if (this.runEvm && !evmReady) {
-        this.log(
-          `${COLORS.RED}✗ EVM prerequisites not met, skipping EVM tests${COLORS.RESET}`
-        );
-        this.runEvm = false;
-      }
-
-      if (this.runCosmos && !cosmosReady) {
-        this.log(
-          `${COLORS.RED}✗ Cosmos prerequisites not met, skipping Cosmos tests${COLORS.RESET}`
-        );
-        this.runCosmos = false;
-      }
-
-      if (!this.runEvm && !this.runCosmos) {
-        throw new Error(
-          "No test suites can be run due to prerequisite failures"
-        );
-      }
+      await this.checkPrerequisites();
 
       // Deploy contracts if needed
       await this.deployContracts();
 
-      // Run EVM test suites
-      if (this.runEvm) {
-        await this.runEvmTestSuite(
-          "RPC Calls",
-          RPCTester,
-          this.shouldRunSuite("RPC Calls")
-        );
-        await this.runEvmTestSuite(
-          "Contracts",
-          ContractTester,
-          this.shouldRunSuite("Contracts")
-        );
-        await this.runEvmTestSuite(
-          "Transfers",
-          TransferTester,
-          this.shouldRunSuite("Transfers")
-        );
-        await this.runEvmTestSuite(
-          "Gas Estimation",
-          GasEstimationTester,
-          this.shouldRunSuite("Gas Estimation")
-        );
-      }
-
-      // Run Cosmos test suites
-      if (this.runCosmos) {
-        await this.runCosmosTestSuite(
-          "Bank Module",
-          CosmosBankTester,
-          this.shouldRunSuite("Bank Module")
-        );
-      }
+      await this.runSuites();
 
       const endTime = Date.now();
       this.results.overall.totalDuration = endTime - startTime;
@@ -746,10 +1728,17 @@ class ComprehensiveTestRunner {
       // Print results
       this.printDetailedResults();
       this.printSummary();
+      this.checkGates();
 
       // Save results
       await this.saveResults();
 
+      if (this.junitFile) {
+        const reporter = new JUnitReporter("Comprehensive Tests");
+        this.addJUnitSuites(reporter, this.results);
+        this.saveJUnitReport(reporter);
+      }
+
       return this.results;
     } catch (error) {
       this.log(
@@ -765,28 +1754,67 @@ class ComprehensiveTestRunner {
   }
 }
 
+// SOAK_ITERATIONS, SOAK_DURATION and SOAK_INTERVAL (durations like 30s, 15m
+// or 8h)
+function soakSettings(env = process.env) {
+  return {
+    iterations: parseInt(env.SOAK_ITERATIONS) || null,
+    duration: env.SOAK_DURATION ? parseDuration(env.SOAK_DURATION) : null,
+    interval: env.SOAK_INTERVAL ? parseDuration(env.SOAK_INTERVAL) : 0,
+  };
+}
+
 async function main() {
   const runner = new ComprehensiveTestRunner();
 
+  const scenarioIndex = process.argv.indexOf("--scenario");
+  const scenarioFile =
+    scenarioIndex !== -1
+      ? process.argv[scenarioIndex + 1]
+      : process.env.SCENARIO_FILE;
+
+  if (runner.selection.list) {
+    await runner.listTests();
+    process.exit(0);
+  }
+
+  if (process.env.SOAK === "true") {
+    try {
+      await runner.runSoak(soakSettings());
+      process.exit(gatesPassed(runner.gates) ? 0 : 1);
+    } catch (error) {
+      console.error(
+        `${COLORS.RED}${COLORS.BRIGHT}💥 Soak run failed: ${error.message} 💥${COLORS.RESET}`
+      );
+      process.exit(3);
+    }
+  }
+
+  if (scenarioFile) {
+    try {
+      const report = await runner.runScenario(scenarioFile);
+      process.exit(report.success ? 0 : 1);
+    } catch (error) {
+      console.error(
+        `${COLORS.RED}${COLORS.BRIGHT}💥 Scenario failed to run: ${error.message} 💥${COLORS.RESET}`
+      );
+      process.exit(3);
+    }
+  }
+
   try {
-    const results = await runner.run();
+    await runner.run();
 
-    // Determine exit code based on results
-    if (results.overall.successRate >= 90) {
+    if (gatesPassed(runner.gates)) {
       console.log(
         `\n${COLORS.GREEN}${COLORS.BRIGHT}🎉 All tests completed successfully! 🎉${COLORS.RESET}`
       );
       process.exit(0);
-    } else if (results.overall.successRate >= 70) {
-      console.log(
-        `\n${COLORS.YELLOW}${COLORS.BRIGHT}⚠️  Tests completed with some issues ⚠️${COLORS.RESET}`
-      );
-      process.exit(1);
     } else {
       console.log(
-        `\n${COLORS.RED}${COLORS.BRIGHT}❌ Tests completed with significant failures ❌${COLORS.RESET}`
+        `\n${COLORS.RED}${COLORS.BRIGHT}❌ Tests did not pass the gates ❌${COLORS.RESET}`
       );
-      process.exit(2);
+      process.exit(1);
     }
   } catch (error) {
     console.error(
@@ -812,6 +1840,20 @@ ${COLORS.BRIGHT}Options:${COLORS.RESET}
   --deploy            Deploy contracts before testing
   --evm-only          Run only EVM tests
   --cosmos-only       Run only Cosmos tests
+  --scenario <file>   Run a JSON or YAML upgrade scenario phase by phase
+  --junit [file]      Write a JUnit XML report (default: test-results/junit-comprehensive.xml)
+  --grep <pattern>    Only run tests whose name matches (case-insensitive regex)
+  --tag <tag>         Only run tests with this tag or category (repeatable)
+  --list              List the selected tests without running them
+  --profile <name>    Take endpoints and chain settings from a config file profile
+  --min-success-rate <percent>  Fail below this success rate
+  --max-failed <n>    Fail with more than n failed tests (default: 0)
+  --max-flaky <n>     Fail with more than n tests that only passed on a retry
+  --must-pass <name>  Fail unless this test passed (repeatable)
+  --soak              Repeat the selected suites (stop early with Ctrl-C)
+  --iterations <n>    Soak: stop after n iterations
+  --duration <time>   Soak: stop after this long, e.g. 30m or 8h
+  --interval <time>   Soak: pause between iterations, e.g. 30s
 
 ${COLORS.BRIGHT}Environment Variables:${COLORS.RESET}
   RUN_EVM             Enable/disable EVM tests (default: true)
@@ -821,6 +1863,23 @@ ${COLORS.BRIGHT}Environment Variables:${COLORS.RESET}
   DEBUG               Enable debug mode (default: false)
   SKIP_SUITES         Comma-separated list of suites to skip
   ONLY_SUITES         Comma-separated list of suites to run exclusively
+  SCENARIO_FILE       Scenario file to run (same as --scenario)
+  JUNIT_OUTPUT        Write a JUnit XML report to this file (same as --junit <file>)
+  TEST_GREP           Same as --grep
+  TEST_TAGS           Comma-separated tags, same as --tag
+  TEST_PROFILE        Same as --profile
+  GATE_MIN_SUCCESS_RATE, GATE_MAX_FAILED, GATE_MAX_FLAKY
+                      Same as the gate flags
+  GATE_MUST_PASS      Comma-separated test names, same as --must-pass
+  SOAK                Same as --soak when "true"
+  SOAK_ITERATIONS, SOAK_DURATION, SOAK_INTERVAL
+                      Same as the soak flags
+  TEST_CONFIG         Config file with the profiles (default: upgrade-tests.config.json)
+
+${COLORS.BRIGHT}Exit Codes:${COLORS.RESET}
+  0                   The run (or soak) passed its gates, or the scenario passed
+  1                   A gate failed, or a scenario phase failed
+  3                   The run could not complete
 
 ${COLORS.BRIGHT}Examples:${COLORS.RESET}
   # Run all tests with verbose output
@@ -840,6 +1899,25 @@ ${COLORS.BRIGHT}Examples:${COLORS.RESET}
 
   # Run only specific test suites
   ONLY_SUITES="RPC Calls,Bank Module" node run-comprehensive-tests.js
+
+  # Run a pre / upgrade / post rehearsal
+  node run-comprehensive-tests.js --scenario scenarios/upgrade-rehearsal.json
+
+  # Write a JUnit report for CI
+  node run-comprehensive-tests.js --junit test-results/junit.xml
+
+  # Rerun a single test, or list the smoke tests
+  node run-comprehensive-tests.js --grep "Send transaction"
+  node run-comprehensive-tests.js --tag smoke --list
+
+  # Soak the EVM suites overnight, one iteration a minute
+  node run-comprehensive-tests.js --evm-only --soak --duration 8h --interval 60s
+
+  # Fail CI on any failed test, or when the upgrade checks did not pass
+  node run-comprehensive-tests.js --max-failed 0 --must-pass "Query applied upgrade plan"
+
+  # Run EVM and Cosmos tests against the local Realio network
+  RUN_COSMOS=true node run-comprehensive-tests.js --profile realio-localnet
 `);
   process.exit(0);
 }
@@ -867,9 +1945,35 @@ if (process.argv.includes("--cosmos-only")) {
   process.env.RUN_COSMOS = "true";
 }
 
+const soakFlags = {
+  "--iterations": "SOAK_ITERATIONS",
+  "--duration": "SOAK_DURATION",
+  "--interval": "SOAK_INTERVAL",
+};
+if (process.argv.includes("--soak")) {
+  process.env.SOAK = "true";
+}
+for (const [flag, variable] of Object.entries(soakFlags)) {
+  const index = process.argv.indexOf(flag);
+  if (index !== -1 && index + 1 < process.argv.length) {
+    process.env[variable] = process.argv[index + 1];
+  }
+}
+
+const junitFile = JUnitReporter.outputFileFromArgs(
+  process.argv.slice(2),
+  "junit-comprehensive.xml"
+);
+if (junitFile) {
+  process.env.JUNIT_OUTPUT = junitFile;
+}
+
+applySelectionArgs(process.argv.slice(2));
+applyGateArgs(process.argv.slice(2));
+
 // Run the tests if this script is executed directly
 if (require.main === module) {
   main().catch(console.error);
 }
 
-module.exports = { ComprehensiveTestRunner };
+module.exports = { ComprehensiveTestRunner, soakSettings };
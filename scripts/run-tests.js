@@ -2,6 +2,9 @@
 
 const { spawn } = require('child_process');
 const path = require('path');
+const { applySelectionArgs } = require('./test-selection');
+const { applyGateArgs } = require('./test-gates');
+const { loadProjectConfig, applyProfile, hardhatNetworks } = require('./project-config');
 
 const COLORS = {
     RESET: '\x1b[0m',
@@ -16,7 +19,8 @@ const COLORS = {
 
 class TestRunner {
     constructor() {
-        this.network = 'localhost'; // Default network
+        this.network = null; // localhost unless a profile names its own network
+        this.profile = null;
         this.verbose = false;
         this.deploy = false;
         this.suite = 'all';
@@ -34,6 +38,11 @@ class TestRunner {
     parseArgs() {
         const args = process.argv.slice(2);
 
+        // The suites run in child processes, which read the selection and
+        // the gates from the environment
+        applySelectionArgs(args);
+        applyGateArgs(args);
+
         for (let i = 0; i < args.length; i++) {
             const arg = args[i];
 
@@ -69,6 +78,28 @@ class TestRunner {
                     }
                     break;
 
+                case '--profile':
+                    if (i + 1 < args.length) {
+                        this.profile = args[i + 1];
+                        i++;
+                    } else {
+                        this.log('Error: --profile flag requires a profile name', COLORS.RED);
+                        process.exit(1);
+                    }
+                    break;
+
+                case '--grep':
+                case '--tag':
+                    i++; // Already applied by applySelectionArgs
+                    break;
+
+                case '--min-success-rate':
+                case '--max-failed':
+                case '--max-flaky':
+                case '--must-pass':
+                    i++; // Already applied by applyGateArgs
+                    break;
+
                 case '--help':
                 case '-h':
                     this.showHelp();
@@ -82,6 +113,27 @@ class TestRunner {
                     break;
             }
         }
+
+        this.applyProfile();
+    }
+
+    // The suites' hardhat config applies TEST_PROFILE again in each child
+    // process; here it picks the default network
+    applyProfile() {
+        const config = loadProjectConfig();
+        try {
+            if (!applyProfile(this.profile || undefined, config)) {
+                this.network = this.network || 'localhost';
+                return;
+            }
+        } catch (error) {
+            this.log(`Error: ${error.message}`, COLORS.RED);
+            process.exit(1);
+        }
+        this.profile = process.env.TEST_PROFILE;
+        if (!this.network) {
+            this.network = hardhatNetworks(config)[this.profile] ? this.profile : 'localhost';
+        }
     }
 
     showHelp() {
@@ -93,10 +145,17 @@ ${COLORS.BRIGHT}Usage:${COLORS.RESET}
   node scripts/run-tests.js [options]
 
 ${COLORS.BRIGHT}Options:${COLORS.RESET}
-  --network <name>     Network to run tests on (default: localhost)
-  --suite <name>       Test suite to run: all|rpc|contracts|transfers|gas (default: all)
+  --network <name>     Network to run tests on (default: the profile's, else localhost)
+  --profile <name>     Profile from upgrade-tests.config.json to take settings from
+  --suite <name>       Test suite to run: all|rpc|contracts|transfers|gas|websocket|jsonrpc (default: all)
   --deploy, -d         Deploy contracts before running tests
   --verbose, -v        Enable verbose output
+  --grep <pattern>     Only run tests whose name matches (case-insensitive regex)
+  --tag <tag>          Only run tests with this tag or category (repeatable)
+  --min-success-rate <percent>  Fail a suite below this success rate
+  --max-failed <n>     Fail a suite with more than n failed tests (default: 0)
+  --max-flaky <n>      Fail a suite with more than n tests that only passed on a retry
+  --must-pass <name>   Fail the suite that has this test unless it passed (repeatable)
   --help, -h           Show this help message
 
 ${COLORS.BRIGHT}Available Networks:${COLORS.RESET}
@@ -111,6 +170,8 @@ ${COLORS.BRIGHT}Available Test Suites:${COLORS.RESET}
   contracts            Contract deployment and testing only
   transfers            Native token transfer testing only
   gas                  Gas estimation testing only
+  websocket            WebSocket eth_subscribe testing only
+  jsonrpc              JSON-RPC batch and error code testing only
 
 ${COLORS.BRIGHT}Examples:${COLORS.RESET}
   npm run test:all                           # Run all tests on localhost
@@ -118,6 +179,8 @@ ${COLORS.BRIGHT}Examples:${COLORS.RESET}
   npm run test:all -- --network testnet -v  # Run on testnet with verbose output
   npm run test:all -- --suite rpc           # Run only RPC tests
   npm run test:all -- --deploy --verbose    # Deploy contracts first, then test
+  npm run test:all -- --suite rpc --grep eth_feeHistory  # Rerun a single test
+  npm run test:all -- --profile realio-localnet  # Use a config file profile
 
 ${COLORS.BRIGHT}Environment Variables:${COLORS.RESET}
   Configure your .env file for custom networks:
@@ -207,7 +270,9 @@ ${COLORS.BRIGHT}Environment Variables:${COLORS.RESET}
             rpc: 'test-rpc-calls.js',
             contracts: 'test-contracts.js',
             transfers: 'test-transfers.js',
-            gas: 'test-gas-estimation.js'
+            gas: 'test-gas-estimation.js',
+            websocket: 'test-websocket-subscriptions.js',
+            jsonrpc: 'test-jsonrpc-conformance.js'
         };
 
         if (this.suite === 'all') {
@@ -249,7 +314,13 @@ ${COLORS.BRIGHT}Environment Variables:${COLORS.RESET}
     }
 
     validateNetwork() {
-        const validNetworks = ['localhost', 'hardhat', 'testnet', 'custom'];
+        const validNetworks = [
+            'localhost',
+            'hardhat',
+            'testnet',
+            'custom',
+            ...Object.keys(hardhatNetworks(loadProjectConfig()))
+        ];
         if (!validNetworks.includes(this.network)) {
             this.log(`\n${COLORS.YELLOW}Warning: Using custom network '${this.network}'${COLORS.RESET}`);
             this.log(`${COLORS.YELLOW}Make sure it's configured in hardhat.config.js${COLORS.RESET}`);
@@ -270,6 +341,7 @@ ${COLORS.BRIGHT}Environment Variables:${COLORS.RESET}
         // Show configuration
         this.log(`\n${COLORS.BRIGHT}Configuration:${COLORS.RESET}`);
         this.log(`  Network: ${COLORS.YELLOW}${this.network}${COLORS.RESET}`);
+        this.log(`  Profile: ${COLORS.YELLOW}${this.profile || 'none'}${COLORS.RESET}`);
         this.log(`  Test Suite: ${COLORS.YELLOW}${this.suite}${COLORS.RESET}`);
         this.log(`  Deploy Contracts: ${COLORS.YELLOW}${this.deploy ? 'Yes' : 'No'}${COLORS.RESET}`);
         this.log(`  Verbose Mode: ${COLORS.YELLOW}${this.verbose ? 'Yes' : 'No'}${COLORS.RESET}`);
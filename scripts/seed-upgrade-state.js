@@ -0,0 +1,523 @@
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const { ContractTester } = require("./test-contracts");
+const { CosmosBankTester } = require("./test-cosmos-bank");
+require("dotenv").config();
+
+const COLORS = {
+  RESET: "\x1b[0m",
+  BRIGHT: "\x1b[1m",
+  GREEN: "\x1b[32m",
+  RED: "\x1b[31m",
+  YELLOW: "\x1b[33m",
+  BLUE: "\x1b[34m",
+  CYAN: "\x1b[36m",
+  MAGENTA: "\x1b[35m",
+};
+
+class UpgradeStateSeeder {
+  constructor() {
+    this.provider = ethers.provider;
+    this.mnemonic =
+      process.env.COSMOS_MNEMONIC ||
+      "abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about";
+
+    this.accountCount = parseInt(process.env.SEED_ACCOUNT_COUNT) || 5;
+    // Start past the indices used by the bank and governance tests
+    this.accountOffset = parseInt(process.env.SEED_ACCOUNT_OFFSET || "10");
+    // EVM and Cosmos accounts share the derivation path, so the Cosmos ones
+    // come after the EVM range: EVM gas must not move the pinned balances
+    this.cosmosAccountOffset = parseInt(
+      process.env.SEED_COSMOS_ACCOUNT_OFFSET ||
+        String(this.accountOffset + this.accountCount)
+    );
+    this.fundAmount = ethers.parseEther(process.env.SEED_FUND_AMOUNT || "0.1");
+    this.tokenUnit = process.env.SEED_TOKEN_UNIT || "1000";
+    this.blacklistEvery = parseInt(process.env.SEED_BLACKLIST_EVERY) || 4;
+    this.pauseToken = process.env.SEED_PAUSE_TOKEN === "true";
+    this.bankAmount = process.env.SEED_BANK_AMOUNT || "1000000";
+    this.manifestFile =
+      process.env.SEED_MANIFEST_FILE ||
+      path.join(__dirname, "..", "test-results", "seed-manifest.json");
+
+    this.runEvm = process.env.RUN_EVM !== "false";
+    this.runCosmos = process.env.RUN_COSMOS !== "false";
+
+    this.contractTester = new ContractTester();
+    this.cosmosTester = null;
+    this.deployer = null;
+    this.accounts = [];
+
+    this.results = {
+      passed: 0,
+      failed: 0,
+      total: 0,
+    };
+
+    this.verbose = process.env.VERBOSE === "true";
+    this.debug = process.env.DEBUG === "true";
+  }
+
+  log(message, color = COLORS.RESET) {
+    console.log(`${color}${message}${COLORS.RESET}`);
+  }
+
+  async runStep(stepName, stepFunction) {
+    this.results.total++;
+    try {
+      this.log(`\n${COLORS.CYAN}Seeding: ${stepName}${COLORS.RESET}`);
+      const startTime = Date.now();
+      const result = await stepFunction();
+      const duration = Date.now() - startTime;
+
+      this.results.passed++;
+      this.log(
+        `${COLORS.GREEN}✓ DONE: ${stepName} (${duration}ms)${COLORS.RESET}`
+      );
+      return result;
+    } catch (error) {
+      this.results.failed++;
+      this.log(`${COLORS.RED}✗ FAILED: ${stepName}${COLORS.RESET}`);
+      this.log(`  Error: ${error.message}`, COLORS.RED);
+      if (this.debug) {
+        console.error(error);
+      }
+      return null;
+    }
+  }
+
+  // Everything the seeder writes is derived from the account index, so two
+  // runs against fresh chains produce identical state.
+  planForAccount(index, decimals) {
+    const next = (index + 1) % this.accountCount;
+    return {
+      user: {
+        name: `seed-user-${index}`,
+        age: (20 + index).toString(),
+        scores: Array.from({ length: (index % 3) + 1 }, (_, i) =>
+          ((index + 1) * 10 + i).toString()
+        ),
+      },
+      tokenBalance: (
+        BigInt(index + 1) * ethers.parseUnits(this.tokenUnit, decimals)
+      ).toString(),
+      allowance: {
+        spenderIndex: next,
+        amount: (
+          BigInt(index + 1) * ethers.parseUnits("100", decimals)
+        ).toString(),
+      },
+      blacklisted: (index + 1) % this.blacklistEvery === 0,
+      bankAmount: (BigInt(index + 1) * BigInt(this.bankAmount)).toString(),
+    };
+  }
+
+  deriveAccounts() {
+    const accounts = [];
+    for (let i = 0; i < this.accountCount; i++) {
+      const hdPath = `m/44'/60'/0'/0/${this.accountOffset + i}`;
+      const wallet = ethers.HDNodeWallet.fromPhrase(
+        this.mnemonic,
+        undefined,
+        hdPath
+      ).connect(this.provider);
+      accounts.push({ index: i, hdPath, wallet, address: wallet.address });
+    }
+    return accounts;
+  }
+
+  async seedEvmState(manifest) {
+    this.log(`\n${COLORS.BRIGHT}=== SEEDING EVM STATE ===${COLORS.RESET}`);
+
+    await this.contractTester.loadDeployedContracts();
+    const contract = this.contractTester.contracts.testContract;
+    const token = this.contractTester.contracts.testERC20;
+    if (!contract || !token) {
+      throw new Error("TestContract and TestERC20 must be deployed");
+    }
+
+    this.deployer = this.contractTester.signers[0];
+    if ((await token.owner()) !== this.deployer.address) {
+      throw new Error(
+        `TestERC20 owner is ${await token.owner()}, not the first signer ${
+          this.deployer.address
+        }`
+      );
+    }
+
+    const decimals = await token.decimals();
+    this.accounts = this.deriveAccounts();
+    const plans = this.accounts.map((a) =>
+      this.planForAccount(a.index, decimals)
+    );
+
+    await this.runStep("Fund seed accounts with native tokens", async () => {
+      for (const account of this.accounts) {
+        const balance = await this.provider.getBalance(account.address);
+        if (balance < this.fundAmount) {
+          const tx = await this.deployer.sendTransaction({
+            to: account.address,
+            value: this.fundAmount - balance,
+          });
+          await tx.wait();
+        }
+        this.log(`  ${account.address} (${account.hdPath})`, COLORS.BLUE);
+      }
+      return { funded: this.accounts.length };
+    });
+
+    // Reset pause and blacklist flags so balances can be (re)adjusted
+    await this.runStep("Reset token restrictions", async () => {
+      if (await token.paused()) {
+        await (await token.connect(this.deployer).unpause()).wait();
+      }
+      for (const account of this.accounts) {
+        if (await token.isBlacklisted(account.address)) {
+          await (
+            await token.connect(this.deployer).unblacklist(account.address)
+          ).wait();
+        }
+      }
+    });
+
+    await this.runStep("Spread ERC20 balances", async () => {
+      for (const [i, account] of this.accounts.entries()) {
+        const target = BigInt(plans[i].tokenBalance);
+        const current = await token.balanceOf(account.address);
+
+        if (current < target) {
+          await (
+            await token
+              .connect(this.deployer)
+              .transfer(account.address, target - current)
+          ).wait();
+        } else if (current > target) {
+          await (
+            await token
+              .connect(account.wallet)
+              .transfer(this.deployer.address, current - target)
+          ).wait();
+        }
+        this.log(
+          `  ${account.address}: ${ethers.formatUnits(target, decimals)}`,
+          COLORS.BLUE
+        );
+      }
+    });
+
+    await this.runStep("Set ERC20 allowances", async () => {
+      for (const [i, account] of this.accounts.entries()) {
+        const spender = this.accounts[plans[i].allowance.spenderIndex].address;
+        const amount = BigInt(plans[i].allowance.amount);
+        if ((await token.allowance(account.address, spender)) !== amount) {
+          await (
+            await token.connect(account.wallet).approve(spender, amount)
+          ).wait();
+        }
+      }
+    });
+
+    await this.runStep("Register users with scores", async () => {
+      for (const [i, account] of this.accounts.entries()) {
+        const { user } = plans[i];
+        const [name, age, isRegistered, scores] = await contract.getUser(
+          account.address
+        );
+
+        if (isRegistered) {
+          const existing = scores.map((s) => s.toString());
+          if (
+            name !== user.name ||
+            age.toString() !== user.age ||
+            JSON.stringify(existing) !== JSON.stringify(user.scores)
+          ) {
+            throw new Error(
+              `${account.address} is already registered with different data - use a fresh chain or another SEED_ACCOUNT_OFFSET`
+            );
+          }
+          continue;
+        }
+
+        await (
+          await contract
+            .connect(account.wallet)
+            .registerUser(user.name, user.age)
+        ).wait();
+        for (const score of user.scores) {
+          await (await contract.connect(account.wallet).addScore(score)).wait();
+        }
+      }
+    });
+
+    await this.runStep("Blacklist accounts", async () => {
+      const blacklisted = [];
+      for (const [i, account] of this.accounts.entries()) {
+        if (plans[i].blacklisted) {
+          await (
+            await token.connect(this.deployer).blacklist(account.address)
+          ).wait();
+          blacklisted.push(account.address);
+        }
+      }
+      this.log(`  Blacklisted: ${blacklisted.length}`, COLORS.BLUE);
+    });
+
+    if (this.pauseToken) {
+      await this.runStep("Pause TestERC20", async () => {
+        await (await token.connect(this.deployer).pause()).wait();
+      });
+    }
+
+    // Expected values in the ContractTester state format
+    const users = {};
+    const balances = {};
+    const allowances = {};
+    const blacklisted = {};
+    for (const [i, account] of this.accounts.entries()) {
+      users[account.address] = { ...plans[i].user, isRegistered: true };
+      balances[account.address] = plans[i].tokenBalance;
+      allowances[account.address] = {
+        [this.accounts[plans[i].allowance.spenderIndex].address]:
+          plans[i].allowance.amount,
+      };
+      blacklisted[account.address] = plans[i].blacklisted;
+    }
+
+    const network = await this.provider.getNetwork();
+    manifest.network = {
+      chainId: network.chainId.toString(),
+      blockNumber: await this.provider.getBlockNumber(),
+    };
+    manifest.accounts = this.accounts.map((a) => a.address);
+    manifest.contracts = {
+      TestContract: {
+        address: await contract.getAddress(),
+        users,
+      },
+      TestERC20: {
+        address: await token.getAddress(),
+        paused: this.pauseToken,
+        balances,
+        allowances,
+        blacklisted,
+      },
+    };
+  }
+
+  async seedCosmosState(manifest) {
+    this.log(`\n${COLORS.BRIGHT}=== SEEDING COSMOS STATE ===${COLORS.RESET}`);
+
+    this.cosmosTester = new CosmosBankTester();
+    await this.cosmosTester.initialize();
+    const tester = this.cosmosTester;
+    const denom = tester.testDenom;
+
+    const wallets = [];
+    for (let i = 0; i < this.accountCount; i++) {
+      wallets.push(await tester.deriveWallet(this.cosmosAccountOffset + i));
+    }
+
+    const sends = [];
+    const send = async (from, to, amount) => {
+      const txResponse = await tester.sendTokens(
+        from,
+        to.address,
+        amount,
+        denom,
+        "Upgrade state seeding"
+      );
+      const included = await tester.waitForTransaction(txResponse.txhash);
+      if (included.code !== 0) {
+        throw new Error(
+          `Send ${txResponse.txhash} failed: ${included.raw_log}`
+        );
+      }
+      sends.push({
+        from: from.address,
+        to: to.address,
+        amount,
+        denom,
+        txHash: txResponse.txhash,
+        height: included.height,
+      });
+    };
+
+    await this.runStep("Bank sends from sender to seed accounts", async () => {
+      for (let i = 0; i < wallets.length; i++) {
+        await send(
+          tester.wallet,
+          wallets[i],
+          this.planForAccount(i).bankAmount
+        );
+      }
+      return { sends: wallets.length };
+    });
+
+    await this.runStep("Bank sends between seed accounts", async () => {
+      for (let i = 0; i < wallets.length; i++) {
+        await send(
+          wallets[i],
+          wallets[(i + 1) % wallets.length],
+          this.bankAmount
+        );
+      }
+      return { sends: wallets.length };
+    });
+
+    // Fees are paid from the same accounts, so record the resulting balances
+    // rather than computing them
+    const balances = {};
+    for (const wallet of wallets) {
+      const balance = await tester.client.getBalance(wallet.address, denom);
+      balances[wallet.address] = balance.amount;
+    }
+
+    manifest.cosmos = {
+      chainId: tester.chainId,
+      denom,
+      height: await tester.client.getHeight(),
+      balances,
+      sends,
+    };
+
+    tester.client.disconnect();
+  }
+
+  async seed() {
+    const startTime = Date.now();
+
+    const manifest = {
+      timestamp: new Date().toISOString(),
+      seed: {
+        accountCount: this.accountCount,
+        accountOffset: this.accountOffset,
+        cosmosAccountOffset: this.cosmosAccountOffset,
+        tokenUnit: this.tokenUnit,
+        blacklistEvery: this.blacklistEvery,
+        pauseToken: this.pauseToken,
+        bankAmount: this.bankAmount,
+      },
+      network: null,
+      accounts: [],
+      contracts: {},
+      cosmos: null,
+    };
+
+    if (this.runEvm) {
+      await this.seedEvmState(manifest);
+    }
+    if (this.runCosmos) {
+      await this.seedCosmosState(manifest);
+    }
+
+    const dir = path.dirname(this.manifestFile);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+    fs.writeFileSync(this.manifestFile, JSON.stringify(manifest, null, 2));
+
+    this.log(`\n${COLORS.BRIGHT}=== SEEDING SUMMARY ===${COLORS.RESET}`);
+    this.log(`${COLORS.GREEN}Completed: ${this.results.passed}${COLORS.RESET}`);
+    this.log(`${COLORS.RED}Failed: ${this.results.failed}${COLORS.RESET}`);
+    this.log(`Duration: ${Date.now() - startTime}ms`);
+    this.log(
+      `\n${COLORS.GREEN}✓ Manifest saved to: ${this.manifestFile}${COLORS.RESET}`
+    );
+
+    return { ...this.results, manifest };
+  }
+
+  async verify() {
+    if (!fs.existsSync(this.manifestFile)) {
+      throw new Error(`No seed manifest at ${this.manifestFile}`);
+    }
+    const manifest = JSON.parse(fs.readFileSync(this.manifestFile, "utf8"));
+
+    if (this.runEvm && manifest.contracts?.TestContract) {
+      // The manifest uses the ContractTester state format
+      this.contractTester.stateFile = this.manifestFile;
+      await this.contractTester.loadDeployedContracts();
+      await this.contractTester.verifyContractState();
+      this.results.passed += this.contractTester.results.passed;
+      this.results.failed += this.contractTester.results.failed;
+      this.results.total += this.contractTester.results.total;
+    }
+
+    if (this.runCosmos && manifest.cosmos) {
+      this.cosmosTester = new CosmosBankTester();
+      await this.cosmosTester.initialize();
+
+      await this.runStep("Verify seeded Cosmos balances", async () => {
+        const mismatches = [];
+        for (const [address, expected] of Object.entries(
+          manifest.cosmos.balances
+        )) {
+          const balance = await this.cosmosTester.client.getBalance(
+            address,
+            manifest.cosmos.denom
+          );
+          if (balance.amount !== expected) {
+            mismatches.push(address);
+            this.log(
+              `  ${address}: expected ${expected}${manifest.cosmos.denom}, got ${balance.amount}`,
+              COLORS.RED
+            );
+          }
+        }
+        if (mismatches.length > 0) {
+          throw new Error(`${mismatches.length} balance(s) changed`);
+        }
+        return { checked: Object.keys(manifest.cosmos.balances).length };
+      });
+
+      this.cosmosTester.client.disconnect();
+    }
+
+    this.log(`\n${COLORS.BRIGHT}=== VERIFICATION SUMMARY ===${COLORS.RESET}`);
+    this.log(`${COLORS.GREEN}Passed: ${this.results.passed}${COLORS.RESET}`);
+    this.log(`${COLORS.RED}Failed: ${this.results.failed}${COLORS.RESET}`);
+
+    return { ...this.results };
+  }
+}
+
+async function main() {
+  if (process.argv.includes("--verify")) {
+    process.env.SEED_MODE = "verify";
+  }
+  if (process.argv.includes("--evm-only")) {
+    process.env.RUN_COSMOS = "false";
+  }
+  if (process.argv.includes("--cosmos-only")) {
+    process.env.RUN_EVM = "false";
+  }
+
+  const seeder = new UpgradeStateSeeder();
+
+  try {
+    const results =
+      process.env.SEED_MODE === "verify"
+        ? await seeder.verify()
+        : await seeder.seed();
+
+    if (results.failed > 0) {
+      process.exit(1);
+    }
+  } catch (error) {
+    console.error(
+      `${COLORS.RED}Fatal error during state seeding:${COLORS.RESET}`,
+      error
+    );
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
+}
+
+module.exports = { UpgradeStateSeeder };
@@ -0,0 +1,477 @@
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const { CosmosBankTester } = require("./test-cosmos-bank");
+require("dotenv").config();
+
+const COLORS = {
+  RESET: "\x1b[0m",
+  BRIGHT: "\x1b[1m",
+  GREEN: "\x1b[32m",
+  RED: "\x1b[31m",
+  YELLOW: "\x1b[33m",
+  BLUE: "\x1b[34m",
+  CYAN: "\x1b[36m",
+  MAGENTA: "\x1b[35m",
+};
+
+const SNAPSHOTS_DIR = path.join(__dirname, "..", "test-results", "snapshots");
+
+class ChainStateSnapshotter {
+  constructor() {
+    this.provider = ethers.provider;
+    this.verbose = process.env.VERBOSE === "true";
+    this.debug = process.env.DEBUG === "true";
+
+    this.runEvm = process.env.RUN_EVM !== "false";
+    this.runCosmos = process.env.RUN_COSMOS !== "false";
+
+    this.storageSlots = parseInt(process.env.SNAPSHOT_STORAGE_SLOTS || "32");
+    this.extraEvmAddresses = (process.env.SNAPSHOT_EVM_ADDRESSES || "")
+      .split(",")
+      .map((a) => a.trim())
+      .filter((a) => a);
+    this.extraCosmosAddresses = (process.env.SNAPSHOT_COSMOS_ADDRESSES || "")
+      .split(",")
+      .map((a) => a.trim())
+      .filter((a) => a);
+    // Paths (or path prefixes) that are expected to move, e.g. "cosmos.supply"
+    this.ignorePaths = (process.env.SNAPSHOT_IGNORE || "")
+      .split(",")
+      .map((p) => p.trim())
+      .filter((p) => p);
+  }
+
+  log(message, color = COLORS.RESET) {
+    console.log(`${color}${message}${COLORS.RESET}`);
+  }
+
+  loadContractAddresses() {
+    const addressesPath = path.join(
+      __dirname,
+      "..",
+      "deployments",
+      "addresses.json"
+    );
+    if (!fs.existsSync(addressesPath)) {
+      this.log(
+        `${COLORS.YELLOW}⚠ No deployments/addresses.json found, skipping contract storage${COLORS.RESET}`
+      );
+      return {};
+    }
+    return JSON.parse(fs.readFileSync(addressesPath, "utf8"));
+  }
+
+  async snapshotEvm(cosmosEthAddress) {
+    this.log(`\n${COLORS.BRIGHT}=== EVM STATE ===${COLORS.RESET}`);
+
+    const network = await this.provider.getNetwork();
+    const blockNumber = await this.provider.getBlockNumber();
+
+    const signers = await ethers.getSigners();
+    const addresses = [
+      ...signers.map((s) => s.address),
+      ...this.extraEvmAddresses,
+    ];
+    if (cosmosEthAddress) {
+      addresses.push(cosmosEthAddress);
+    }
+
+    // Pin every read to the same block so the snapshot is consistent
+    const accounts = {};
+    for (const address of [...new Set(addresses.map(ethers.getAddress))]) {
+      const balance = await this.provider.getBalance(address, blockNumber);
+      const nonce = await this.provider.getTransactionCount(
+        address,
+        blockNumber
+      );
+      accounts[address] = { balance: balance.toString(), nonce };
+    }
+    this.log(
+      `${COLORS.GREEN}✓ Recorded ${
+        Object.keys(accounts).length
+      } account(s) at block ${blockNumber}${COLORS.RESET}`
+    );
+
+    const contracts = {};
+    for (const [name, address] of Object.entries(
+      this.loadContractAddresses()
+    )) {
+      const code = await this.provider.getCode(address, blockNumber);
+      const storage = {};
+      for (let slot = 0; slot < this.storageSlots; slot++) {
+        storage[ethers.toQuantity(slot)] = await this.provider.getStorage(
+          address,
+          slot,
+          blockNumber
+        );
+      }
+
+      contracts[name] = {
+        address,
+        codeHash: code === "0x" ? null : ethers.keccak256(code),
+        balance: (
+          await this.provider.getBalance(address, blockNumber)
+        ).toString(),
+        storage,
+      };
+      this.log(
+        `${COLORS.GREEN}✓ Recorded ${name} (${address}), ${this.storageSlots} storage slot(s)${COLORS.RESET}`
+      );
+    }
+
+    return {
+      chainId: network.chainId.toString(),
+      blockNumber,
+      accounts,
+      contracts,
+    };
+  }
+
+  async snapshotCosmos(tester) {
+    this.log(`\n${COLORS.BRIGHT}=== COSMOS STATE ===${COLORS.RESET}`);
+
+    const height = await tester.client.getHeight();
+    const addresses = [
+      ...new Set([tester.senderAddress, ...this.extraCosmosAddresses]),
+    ];
+
+    const balances = {};
+    for (const address of addresses) {
+      balances[address] = await tester.client.getAllBalances(address);
+    }
+    this.log(
+      `${COLORS.GREEN}✓ Recorded balances for ${addresses.length} address(es) at height ${height}${COLORS.RESET}`
+    );
+
+    const supply = await tester.fetchTotalSupply();
+    this.log(
+      `${COLORS.GREEN}✓ Recorded supply of ${supply.length} denomination(s)${COLORS.RESET}`
+    );
+
+    return {
+      chainId: tester.chainId,
+      height,
+      balances,
+      supply,
+    };
+  }
+
+  async takeSnapshot(label) {
+    this.log(
+      `${COLORS.BRIGHT}${COLORS.BLUE}Taking chain state snapshot "${label}"...${COLORS.RESET}`
+    );
+
+    const snapshot = {
+      label,
+      timestamp: new Date().toISOString(),
+      evm: null,
+      cosmos: null,
+    };
+
+    let tester = null;
+    if (this.runCosmos) {
+      tester = new CosmosBankTester();
+      await tester.initialize();
+      snapshot.cosmos = await this.snapshotCosmos(tester);
+    }
+
+    if (this.runEvm) {
+      snapshot.evm = await this.snapshotEvm(
+        tester ? tester.wallet.ethAddress : null
+      );
+    }
+
+    if (tester && tester.client) {
+      tester.client.disconnect();
+    }
+
+    const files = this.saveJson(`snapshot-${label}`, snapshot);
+    this.log(`\n${COLORS.GREEN}✓ Snapshot saved to:${COLORS.RESET}`);
+    files.forEach((file) => this.log(`  ${file}`));
+
+    return snapshot;
+  }
+
+  resolveSnapshot(labelOrFile) {
+    const file = fs.existsSync(labelOrFile)
+      ? labelOrFile
+      : path.join(SNAPSHOTS_DIR, `snapshot-${labelOrFile}-latest.json`);
+    if (!fs.existsSync(file)) {
+      throw new Error(`Snapshot not found: ${labelOrFile}`);
+    }
+    return { file, snapshot: JSON.parse(fs.readFileSync(file, "utf8")) };
+  }
+
+  // Flatten a snapshot into "section.path" -> value pairs, leaving out the
+  // bookkeeping fields that always differ between two snapshots.
+  flattenSnapshot(snapshot) {
+    const flat = {};
+
+    if (snapshot.evm) {
+      for (const [address, account] of Object.entries(snapshot.evm.accounts)) {
+        flat[`evm.accounts.${address}.balance`] = account.balance;
+        flat[`evm.accounts.${address}.nonce`] = account.nonce;
+      }
+      for (const [name, contract] of Object.entries(snapshot.evm.contracts)) {
+        const prefix = `evm.contracts.${name}`;
+        flat[`${prefix}.address`] = contract.address;
+        flat[`${prefix}.codeHash`] = contract.codeHash;
+        flat[`${prefix}.balance`] = contract.balance;
+        for (const [slot, value] of Object.entries(contract.storage)) {
+          flat[`${prefix}.storage.${slot}`] = value;
+        }
+      }
+    }
+
+    if (snapshot.cosmos) {
+      for (const [address, coins] of Object.entries(snapshot.cosmos.balances)) {
+        for (const coin of coins) {
+          flat[`cosmos.balances.${address}.${coin.denom}`] = coin.amount;
+        }
+      }
+      for (const coin of snapshot.cosmos.supply) {
+        flat[`cosmos.supply.${coin.denom}`] = coin.amount;
+      }
+    }
+
+    return flat;
+  }
+
+  isIgnored(key) {
+    return this.ignorePaths.some((prefix) => key.startsWith(prefix));
+  }
+
+  calculateDelta(before, after) {
+    try {
+      return (BigInt(after) - BigInt(before)).toString();
+    } catch (error) {
+      return null;
+    }
+  }
+
+  diffSnapshots(beforeRef, afterRef) {
+    const before = this.resolveSnapshot(beforeRef);
+    const after = this.resolveSnapshot(afterRef);
+
+    const flatBefore = this.flattenSnapshot(before.snapshot);
+    const flatAfter = this.flattenSnapshot(after.snapshot);
+
+    const changes = [];
+    const keys = new Set([
+      ...Object.keys(flatBefore),
+      ...Object.keys(flatAfter),
+    ]);
+
+    for (const key of [...keys].sort()) {
+      if (this.isIgnored(key)) continue;
+
+      const hasBefore = key in flatBefore;
+      const hasAfter = key in flatAfter;
+      const beforeValue = hasBefore ? flatBefore[key] : null;
+      const afterValue = hasAfter ? flatAfter[key] : null;
+
+      if (hasBefore && hasAfter && beforeValue === afterValue) continue;
+
+      changes.push({
+        path: key,
+        type: !hasBefore ? "added" : !hasAfter ? "removed" : "changed",
+        before: beforeValue,
+        after: afterValue,
+        delta:
+          hasBefore && hasAfter
+            ? this.calculateDelta(beforeValue, afterValue)
+            : null,
+      });
+    }
+
+    const sections = {};
+    for (const change of changes) {
+      const section = change.path.split(".").slice(0, 2).join(".");
+      sections[section] = (sections[section] || 0) + 1;
+    }
+
+    return {
+      timestamp: new Date().toISOString(),
+      before: {
+        label: before.snapshot.label,
+        timestamp: before.snapshot.timestamp,
+        file: before.file,
+        evmBlockNumber: before.snapshot.evm?.blockNumber ?? null,
+        cosmosHeight: before.snapshot.cosmos?.height ?? null,
+      },
+      after: {
+        label: after.snapshot.label,
+        timestamp: after.snapshot.timestamp,
+        file: after.file,
+        evmBlockNumber: after.snapshot.evm?.blockNumber ?? null,
+        cosmosHeight: after.snapshot.cosmos?.height ?? null,
+      },
+      ignoredPaths: this.ignorePaths,
+      summary: {
+        totalChanges: changes.length,
+        added: changes.filter((c) => c.type === "added").length,
+        removed: changes.filter((c) => c.type === "removed").length,
+        changed: changes.filter((c) => c.type === "changed").length,
+        sections,
+      },
+      changes,
+    };
+  }
+
+  printDiff(report) {
+    this.log(`\n${COLORS.BRIGHT}=== STATE DIFF ===${COLORS.RESET}`);
+    this.log(
+      `Before: ${report.before.label} (${report.before.timestamp}, EVM block ${report.before.evmBlockNumber}, Cosmos height ${report.before.cosmosHeight})`
+    );
+    this.log(
+      `After:  ${report.after.label} (${report.after.timestamp}, EVM block ${report.after.evmBlockNumber}, Cosmos height ${report.after.cosmosHeight})`
+    );
+
+    if (report.summary.totalChanges === 0) {
+      this.log(`\n${COLORS.GREEN}✓ No state changes detected${COLORS.RESET}`);
+      return;
+    }
+
+    this.log(
+      `\n${COLORS.RED}✗ ${report.summary.totalChanges} change(s) detected${COLORS.RESET}`
+    );
+    for (const [section, count] of Object.entries(report.summary.sections)) {
+      this.log(`  ${section}: ${count}`);
+    }
+
+    for (const change of report.changes) {
+      const color =
+        change.type === "changed"
+          ? COLORS.YELLOW
+          : change.type === "added"
+          ? COLORS.CYAN
+          : COLORS.RED;
+      const delta = change.delta !== null ? ` (Δ ${change.delta})` : "";
+      this.log(
+        `  ${color}[${change.type}]${COLORS.RESET} ${change.path}: ${change.before} → ${change.after}${delta}`
+      );
+    }
+  }
+
+  writeDiff(beforeRef, afterRef) {
+    const report = this.diffSnapshots(beforeRef, afterRef);
+    this.printDiff(report);
+
+    const files = this.saveJson(
+      `diff-${report.before.label}-${report.after.label}`,
+      report
+    );
+    this.log(`\n${COLORS.GREEN}✓ Diff report saved to:${COLORS.RESET}`);
+    files.forEach((file) => this.log(`  ${file}`));
+
+    return report;
+  }
+
+  saveJson(baseName, data) {
+    if (!fs.existsSync(SNAPSHOTS_DIR)) {
+      fs.mkdirSync(SNAPSHOTS_DIR, { recursive: true });
+    }
+
+    const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
+    const resultFile = path.join(
+      SNAPSHOTS_DIR,
+      `${baseName}-${timestamp}.json`
+    );
+    const latestFile = path.join(SNAPSHOTS_DIR, `${baseName}-latest.json`);
+
+    fs.writeFileSync(resultFile, JSON.stringify(data, null, 2));
+    fs.writeFileSync(latestFile, JSON.stringify(data, null, 2));
+
+    return [resultFile, latestFile];
+  }
+}
+
+function getArgValue(args, flag) {
+  const index = args.indexOf(flag);
+  return index !== -1 && index + 1 < args.length ? args[index + 1] : null;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+
+  if (args.includes("--help") || args.includes("-h")) {
+    console.log(`
+${COLORS.BRIGHT}Chain State Snapshot${COLORS.RESET}
+
+${COLORS.BRIGHT}Usage:${COLORS.RESET}
+  node scripts/snapshot-chain-state.js [options]
+
+${COLORS.BRIGHT}Options:${COLORS.RESET}
+  --label <name>            Label for the snapshot (default: snapshot)
+  --compare <label|file>    After taking the snapshot, diff it against another one
+  --diff <before> <after>   Only diff two existing snapshots (labels or files)
+  --evm-only                Only snapshot EVM state
+  --cosmos-only             Only snapshot Cosmos state
+  -h, --help                Show this help message
+
+${COLORS.BRIGHT}Environment Variables:${COLORS.RESET}
+  HARDHAT_NETWORK            Hardhat network to read EVM state from
+  SNAPSHOT_STORAGE_SLOTS     Storage slots recorded per contract (default: 32)
+  SNAPSHOT_EVM_ADDRESSES     Extra comma-separated EVM addresses to record
+  SNAPSHOT_COSMOS_ADDRESSES  Extra comma-separated Cosmos addresses to record
+  SNAPSHOT_IGNORE            Comma-separated path prefixes left out of the diff
+
+${COLORS.BRIGHT}Examples:${COLORS.RESET}
+  npm run snapshot:pre
+  npm run snapshot:post
+  node scripts/snapshot-chain-state.js --diff pre post
+  SNAPSHOT_IGNORE=cosmos.supply node scripts/snapshot-chain-state.js --diff pre post
+`);
+    process.exit(0);
+  }
+
+  if (args.includes("--evm-only")) {
+    process.env.RUN_COSMOS = "false";
+  }
+  if (args.includes("--cosmos-only")) {
+    process.env.RUN_EVM = "false";
+  }
+
+  const snapshotter = new ChainStateSnapshotter();
+
+  try {
+    const diffIndex = args.indexOf("--diff");
+    if (diffIndex !== -1) {
+      const [before, after] = args.slice(diffIndex + 1, diffIndex + 3);
+      if (!before || !after) {
+        throw new Error("--diff requires two snapshot labels or files");
+      }
+      const report = snapshotter.writeDiff(before, after);
+      process.exit(report.summary.totalChanges === 0 ? 0 : 1);
+    }
+
+    const label = getArgValue(args, "--label") || "snapshot";
+    await snapshotter.takeSnapshot(label);
+
+    const compareWith = getArgValue(args, "--compare");
+    if (compareWith) {
+      const report = snapshotter.writeDiff(compareWith, label);
+      process.exit(report.summary.totalChanges === 0 ? 0 : 1);
+    }
+
+    process.exit(0);
+  } catch (error) {
+    console.error(
+      `${COLORS.RED}Snapshot failed: ${error.message}${COLORS.RESET}`
+    );
+    if (snapshotter.debug) {
+      console.error(error);
+    }
+    process.exit(2);
+  }
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(error);
+    process.exit(2);
+  });
+}
+
+module.exports = { ChainStateSnapshotter };
@@ -0,0 +1,144 @@
+// Measurements behind soak mode: RPC latency per method and balance drift
+
+const DURATION_UNITS = { ms: 1, s: 1000, m: 60000, h: 3600000 };
+
+// "500ms", "30s", "15m", "8h" or plain milliseconds
+function parseDuration(value) {
+  const match = /^(\d+(?:\.\d+)?)(ms|s|m|h)?$/.exec(String(value).trim());
+  if (!match) {
+    throw new Error(
+      `Invalid duration "${value}" (expected e.g. 30s, 15m, 8h or milliseconds)`
+    );
+  }
+  return Math.round(parseFloat(match[1]) * DURATION_UNITS[match[2] || "ms"]);
+}
+
+// Nearest-rank percentile of an ascending array
+function percentile(sorted, p) {
+  if (sorted.length === 0) {
+    return null;
+  }
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.min(sorted.length, Math.max(rank, 1)) - 1];
+}
+
+function summarizeSamples(samples) {
+  const sorted = samples.map((sample) => sample.ms).sort((a, b) => a - b);
+  return {
+    count: samples.length,
+    errors: samples.filter((sample) => !sample.ok).length,
+    p50: percentile(sorted, 50),
+    p90: percentile(sorted, 90),
+    p95: percentile(sorted, 95),
+    p99: percentile(sorted, 99),
+    max: sorted.length > 0 ? sorted[sorted.length - 1] : null,
+  };
+}
+
+// Wall-clock time of every JSON-RPC request, grouped by method and by the
+// iteration it was made in
+class LatencyRecorder {
+  constructor() {
+    this.iteration = 0;
+    this.samples = {};
+  }
+
+  record(method, ms, ok) {
+    if (!this.samples[method]) {
+      this.samples[method] = [];
+    }
+    this.samples[method].push({ iteration: this.iteration, ms, ok });
+  }
+
+  // Times the requests of a Hardhat network provider (hre.network.provider).
+  // Ethers' HardhatEthersProvider goes through `send`, raw callers through
+  // `request`; neither calls the other. Returns a function that undoes it.
+  instrument(provider) {
+    const originals = { send: provider.send, request: provider.request };
+    const timed = (method, call) => {
+      const start = Date.now();
+      return call().then(
+        (result) => {
+          this.record(method, Date.now() - start, true);
+          return result;
+        },
+        (error) => {
+          this.record(method, Date.now() - start, false);
+          throw error;
+        }
+      );
+    };
+
+    provider.send = (method, params) =>
+      timed(method, () => originals.send.call(provider, method, params));
+    provider.request = (args) =>
+      timed(args.method, () => originals.request.call(provider, args));
+
+    return () => {
+      provider.send = originals.send;
+      provider.request = originals.request;
+    };
+  }
+
+  // Percentiles per method over the whole run, plus p50/p95 per iteration so
+  // a slow climb shows up
+  summary() {
+    const methods = {};
+    for (const method of Object.keys(this.samples).sort()) {
+      const samples = this.samples[method];
+      const iterations = {};
+      for (const sample of samples) {
+        if (!iterations[sample.iteration]) {
+          iterations[sample.iteration] = [];
+        }
+        iterations[sample.iteration].push(sample);
+      }
+      methods[method] = {
+        ...summarizeSamples(samples),
+        iterations: Object.entries(iterations).map(([iteration, group]) => {
+          const { count, p50, p95 } = summarizeSamples(group);
+          return { iteration: parseInt(iteration), count, p50, p95 };
+        }),
+      };
+    }
+    return methods;
+  }
+}
+
+// Per-account change between consecutive samples and over the whole run.
+// `samples` are { iteration, balances: { account: "wei or amount" } }.
+function balanceDrift(samples) {
+  if (samples.length === 0) {
+    return {};
+  }
+  const drift = {};
+  const accounts = Object.keys(samples[0].balances);
+  for (const account of accounts) {
+    const values = samples
+      .map((sample) => sample.balances[account])
+      .filter((value) => value !== undefined)
+      .map(BigInt);
+    const deltas = values.slice(1).map((value, i) => value - values[i]);
+    const sortedDeltas = [...deltas].sort((a, b) =>
+      a < b ? -1 : a > b ? 1 : 0
+    );
+    drift[account] = {
+      start: values[0].toString(),
+      end: values[values.length - 1].toString(),
+      total: (values[values.length - 1] - values[0]).toString(),
+      minDelta: deltas.length > 0 ? sortedDeltas[0].toString() : null,
+      maxDelta:
+        deltas.length > 0
+          ? sortedDeltas[sortedDeltas.length - 1].toString()
+          : null,
+    };
+  }
+  return drift;
+}
+
+module.exports = {
+  parseDuration,
+  percentile,
+  LatencyRecorder,
+  balanceDrift,
+};
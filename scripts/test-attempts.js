@@ -0,0 +1,64 @@
+// Per-test timeout and retry handling shared by the testers' runTest
+
+// Reads <prefix>_TIMEOUT, <prefix>_RETRIES and <prefix>_RETRY_DELAY, e.g.
+// attemptSettings("COSMOS_TEST"). A timeout of 0 disables it.
+function attemptSettings(prefix, defaults = {}) {
+  const read = (name, fallback) => {
+    const value = parseInt(process.env[`${prefix}_${name}`]);
+    return Number.isNaN(value) ? fallback : value;
+  };
+
+  return {
+    timeout: read("TIMEOUT", defaults.timeout ?? 60000),
+    retries: read("RETRIES", defaults.retries ?? 0),
+    retryDelay: read("RETRY_DELAY", defaults.retryDelay ?? 1000),
+  };
+}
+
+// The hung call itself can't be cancelled, but the run moves on. It may
+// still be sending transactions, so a timed-out attempt is never retried.
+function withTimeout(promise, timeout) {
+  if (!timeout || timeout <= 0) {
+    return promise;
+  }
+
+  let timer;
+  const timedOut = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error(`Test timed out after ${timeout}ms`);
+      error.retryable = false;
+      reject(error);
+    }, timeout);
+  });
+  return Promise.race([promise, timedOut]).finally(() => clearTimeout(timer));
+}
+
+// Runs testFunction up to retries + 1 times, doubling the delay between
+// attempts. Resolves to { result, attempts }; the last error is rethrown with
+// an `attempts` property. Errors with `retryable: false` are not retried.
+async function runWithRetries(testFunction, settings, onRetry = () => {}) {
+  const { timeout, retries, retryDelay } = settings;
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const result = await withTimeout(
+        Promise.resolve().then(testFunction),
+        timeout
+      );
+      return { result, attempts: attempt };
+    } catch (error) {
+      if (attempt > retries || error?.retryable === false) {
+        if (error && typeof error === "object") {
+          error.attempts = attempt;
+        }
+        throw error;
+      }
+
+      const delay = retryDelay * 2 ** (attempt - 1);
+      onRetry(error, attempt, delay);
+      await new Promise((resolve) => setTimeout(resolve, delay));
+    }
+  }
+}
+
+module.exports = { attemptSettings, withTimeout, runWithRetries };
@@ -1,151 +1,419 @@
 const { ethers } = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const { TestHarness, COLORS } = require("./test-harness");
 require("dotenv").config();
 
-const COLORS = {
-  RESET: "\x1b[0m",
-  BRIGHT: "\x1b[1m",
-  GREEN: "\x1b[32m",
-  RED: "\x1b[31m",
-  YELLOW: "\x1b[33m",
-  BLUE: "\x1b[34m",
-  CYAN: "\x1b[36m",
-};
-
-class ContractTester {
+class ContractTester extends TestHarness {
   constructor() {
+    super("Contracts");
     this.provider = ethers.provider;
-    this.results = {
-      passed: 0,
-      failed: 0,
-      total: 0,
-    };
-    this.verbose = process.env.VERBOSE === "true";
     this.contracts = {};
     this.signers = [];
+
+    // "record" saves the state of the deployed contracts, "verify" checks it
+    // again (e.g. after a chain upgrade). Unset runs the regular test suite.
+    this.stateMode = process.env.CONTRACT_STATE_MODE || null;
+    this.stateFile =
+      process.env.CONTRACT_STATE_FILE ||
+      path.join(__dirname, "..", "test-results", "contract-state.json");
+    this.stateAccounts = (process.env.CONTRACT_STATE_ACCOUNTS || "")
+      .split(",")
+      .map((a) => a.trim())
+      .filter((a) => a);
   }
 
-  log(message, color = COLORS.RESET) {
-    console.log(`${color}${message}${COLORS.RESET}`);
+  async setupContracts() {
+    this.log(`\n${COLORS.BRIGHT}=== CONTRACT DEPLOYMENT ===${COLORS.RESET}`);
+    this.currentCategory = "contract-deployment";
+
+    // Get signers
+    this.signers = await ethers.getSigners();
+    if (this.signers.length === 0) {
+      throw new Error("No signers available");
+    }
+
+    // Deploy TestContract
+    await this.runTest(
+      "Deploy TestContract",
+      async () => {
+        const TestContract = await ethers.getContractFactory("TestContract");
+        const testContract = await TestContract.deploy();
+        await testContract.waitForDeployment();
+
+        this.contracts.testContract = testContract;
+        const address = await testContract.getAddress();
+
+        // Verify deployment
+        const code = await this.provider.getCode(address);
+        if (code === "0x") {
+          throw new Error("Contract deployment failed - no code at address");
+        }
+
+        return {
+          address,
+          deployer: this.signers[0].address,
+          codeSize: code.length,
+        };
+      },
+      { setup: true }
+    );
+
+    // Deploy TestERC20
+    await this.runTest(
+      "Deploy TestERC20",
+      async () => {
+        const TestERC20 = await ethers.getContractFactory("TestERC20");
+        const testERC20 = await TestERC20.deploy(
+          "Test Token",
+          "TEST",
+          18,
+          1000000 // 1M tokens initial supply
+        );
+        await testERC20.waitForDeployment();
+
+        this.contracts.testERC20 = testERC20;
+        const address = await testERC20.getAddress();
+
+        // Verify deployment
+        const code = await this.provider.getCode(address);
+        if (code === "0x") {
+          throw new Error("ERC20 deployment failed - no code at address");
+        }
+
+        return {
+          address,
+          name: await testERC20.name(),
+          symbol: await testERC20.symbol(),
+          decimals: await testERC20.decimals(),
+          totalSupply: (await testERC20.totalSupply()).toString(),
+        };
+      },
+      { setup: true }
+    );
   }
 
-  async runTest(testName, testFunction) {
-    this.results.total++;
-    try {
-      this.log(`\n${COLORS.CYAN}Testing: ${testName}${COLORS.RESET}`);
-      const startTime = Date.now();
-      const result = await testFunction();
-      const duration = Date.now() - startTime;
+  async loadDeployedContracts() {
+    this.log(
+      `\n${COLORS.BRIGHT}=== LOADING DEPLOYED CONTRACTS ===${COLORS.RESET}`
+    );
+    this.currentCategory = "loading-deployed-contracts";
+
+    this.signers = await ethers.getSigners();
 
-      this.results.passed++;
-      this.log(
-        `${COLORS.GREEN}✓ PASSED: ${testName} (${duration}ms)${COLORS.RESET}`
+    const latestPath = path.join(__dirname, "..", "deployments", "latest.json");
+    if (!fs.existsSync(latestPath)) {
+      throw new Error(
+        "deployments/latest.json not found - deploy the contracts first"
       );
+    }
+    const deployments = JSON.parse(fs.readFileSync(latestPath, "utf8"));
+
+    for (const [key, contractName] of [
+      ["testContract", "TestContract"],
+      ["testERC20", "TestERC20"],
+    ]) {
+      await this.runTest(
+        `Load ${contractName}`,
+        async () => {
+          const info = deployments.contracts[contractName];
+          if (!info) {
+            throw new Error(
+              `${contractName} not found in deployments/latest.json`
+            );
+          }
 
-      if (this.verbose && result !== undefined) {
-        this.log(
-          `  Result: ${JSON.stringify(
-            result,
-            (key, value) =>
-              typeof value === "bigint" ? value.toString() : value,
-            2
-          )}`
-        );
+          const code = await this.provider.getCode(info.address);
+          if (code === "0x") {
+            throw new Error(
+              `No code at ${contractName} address ${info.address}`
+            );
+          }
+
+          this.contracts[key] = await ethers.getContractAt(
+            contractName,
+            info.address
+          );
+          return { address: info.address, codeSize: code.length };
+        },
+        { setup: true }
+      );
+    }
+  }
+
+  collectStateAccounts(state) {
+    const accounts = [
+      ...this.stateAccounts,
+      ...this.signers.map((s) => s.address),
+    ];
+
+    if (state) {
+      const token = state.contracts.TestERC20 || {};
+      accounts.push(
+        ...(state.accounts || []),
+        ...Object.keys(state.contracts.TestContract?.users || {}),
+        ...Object.keys(token.balances || {}),
+        ...Object.keys(token.blacklisted || {}),
+        ...Object.keys(token.allowances || {}),
+        ...Object.values(token.allowances || {}).flatMap((s) => Object.keys(s))
+      );
+    }
+
+    return [...new Set(accounts.map((a) => ethers.getAddress(a)))];
+  }
+
+  async readContractState(accounts) {
+    const contract = this.contracts.testContract;
+    const token = this.contracts.testERC20;
+
+    const userCount = await contract.getUserCount();
+    const userAddresses = [];
+    for (let i = 0n; i < userCount; i++) {
+      userAddresses.push(await contract.userList(i));
+    }
+
+    const users = {};
+    for (const address of new Set([...userAddresses, ...accounts])) {
+      const [name, age, isRegistered, scores] = await contract.getUser(address);
+      if (isRegistered) {
+        users[address] = {
+          name,
+          age: age.toString(),
+          isRegistered,
+          scores: scores.map((score) => score.toString()),
+        };
       }
+    }
 
-      return result;
-    } catch (error) {
-      this.results.failed++;
-      this.log(`${COLORS.RED}✗ FAILED: ${testName}${COLORS.RESET}`);
-      this.log(`  Error: ${error.message}`, COLORS.RED);
+    const arrayLength = await contract.getArrayLength();
+    const dynamicArray = [];
+    for (let i = 0n; i < arrayLength; i++) {
+      dynamicArray.push((await contract.dynamicArray(i)).toString());
+    }
 
-      if (this.verbose) {
-        console.error(error);
+    const balances = {};
+    const allowances = {};
+    const blacklisted = {};
+    for (const owner of accounts) {
+      balances[owner] = (await token.balanceOf(owner)).toString();
+      blacklisted[owner] = await token.isBlacklisted(owner);
+
+      for (const spender of accounts) {
+        const allowance = await token.allowance(owner, spender);
+        if (allowance > 0n) {
+          allowances[owner] = allowances[owner] || {};
+          allowances[owner][spender] = allowance.toString();
+        }
       }
     }
-  }
 
-  async setupContracts() {
-    this.log(`\n${COLORS.BRIGHT}=== CONTRACT DEPLOYMENT ===${COLORS.RESET}`);
+    const network = await this.provider.getNetwork();
+    return {
+      timestamp: new Date().toISOString(),
+      network: {
+        chainId: network.chainId.toString(),
+        blockNumber: await this.provider.getBlockNumber(),
+      },
+      accounts,
+      contracts: {
+        TestContract: {
+          address: await contract.getAddress(),
+          counter: (await contract.counter()).toString(),
+          message: await contract.message(),
+          owner: await contract.owner(),
+          isActive: await contract.isActive(),
+          userCount: userCount.toString(),
+          users,
+          dynamicArray,
+        },
+        TestERC20: {
+          address: await token.getAddress(),
+          totalSupply: (await token.totalSupply()).toString(),
+          paused: await token.paused(),
+          balances,
+          allowances,
+          blacklisted,
+        },
+      },
+    };
+  }
 
-    // Get signers
-    this.signers = await ethers.getSigners();
-    if (this.signers.length === 0) {
-      throw new Error("No signers available");
+  // Only the entries present in `expected` are checked, so hand-written
+  // manifests can list just the values they care about. With `exact`, as for
+  // recorded state, entries only present in `actual` are reported as well.
+  compareState(expected, actual, prefix = "", exact = false) {
+    if (
+      expected !== null &&
+      typeof expected === "object" &&
+      !Array.isArray(expected)
+    ) {
+      const childPath = (key) => (prefix ? `${prefix}.${key}` : key);
+      const extra =
+        exact && actual !== null && typeof actual === "object"
+          ? Object.keys(actual)
+              .filter((key) => !(key in expected))
+              .map((key) => ({
+                path: childPath(key),
+                expected: undefined,
+                actual: actual[key],
+              }))
+          : [];
+      return Object.keys(expected)
+        .flatMap((key) =>
+          this.compareState(
+            expected[key],
+            actual ? actual[key] : undefined,
+            childPath(key),
+            exact
+          )
+        )
+        .concat(extra);
     }
 
-    // Deploy TestContract
-    await this.runTest("Deploy TestContract", async () => {
-      const TestContract = await ethers.getContractFactory("TestContract");
-      const testContract = await TestContract.deploy();
-      await testContract.waitForDeployment();
-
-      this.contracts.testContract = testContract;
-      const address = await testContract.getAddress();
-
-      // Verify deployment
-      const code = await this.provider.getCode(address);
-      if (code === "0x") {
-        throw new Error("Contract deployment failed - no code at address");
+    return JSON.stringify(expected) === JSON.stringify(actual)
+      ? []
+      : [{ path: prefix, expected, actual }];
+  }
+
+  async recordContractState() {
+    this.log(
+      `\n${COLORS.BRIGHT}=== RECORDING CONTRACT STATE ===${COLORS.RESET}`
+    );
+    this.currentCategory = "recording-contract-state";
+
+    await this.runTest("Record contract state", async () => {
+      const state = await this.readContractState(this.collectStateAccounts());
+
+      const dir = path.dirname(this.stateFile);
+      if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
       }
+      // Recorded state lists every entry, so verify also reports new ones
+      fs.writeFileSync(
+        this.stateFile,
+        JSON.stringify({ ...state, complete: true }, null, 2)
+      );
 
+      this.log(`  State saved to ${this.stateFile}`, COLORS.BLUE);
       return {
-        address,
-        deployer: this.signers[0].address,
-        codeSize: code.length,
+        blockNumber: state.network.blockNumber,
+        accounts: state.accounts.length,
+        users: Object.keys(state.contracts.TestContract.users).length,
+        arrayLength: state.contracts.TestContract.dynamicArray.length,
       };
     });
+  }
 
-    // Deploy TestERC20
-    await this.runTest("Deploy TestERC20", async () => {
-      const TestERC20 = await ethers.getContractFactory("TestERC20");
-      const testERC20 = await TestERC20.deploy(
-        "Test Token",
-        "TEST",
-        18,
-        1000000 // 1M tokens initial supply
+  async verifyContractState() {
+    this.log(
+      `\n${COLORS.BRIGHT}=== VERIFYING CONTRACT STATE ===${COLORS.RESET}`
+    );
+    this.currentCategory = "verifying-contract-state";
+
+    if (!fs.existsSync(this.stateFile)) {
+      throw new Error(
+        `No recorded state at ${this.stateFile} - run with CONTRACT_STATE_MODE=record first`
       );
-      await testERC20.waitForDeployment();
+    }
+    const expected = JSON.parse(fs.readFileSync(this.stateFile, "utf8"));
+    this.log(
+      `  Expected state recorded at ${expected.timestamp} (block ${expected.network?.blockNumber})`,
+      COLORS.BLUE
+    );
 
-      this.contracts.testERC20 = testERC20;
-      const address = await testERC20.getAddress();
+    let actual = null;
+    await this.runTest(
+      "Read current contract state",
+      async () => {
+        actual = await this.readContractState(
+          this.collectStateAccounts(expected)
+        );
+        return { blockNumber: actual.network.blockNumber };
+      },
+      { setup: true }
+    );
 
-      // Verify deployment
-      const code = await this.provider.getCode(address);
-      if (code === "0x") {
-        throw new Error("ERC20 deployment failed - no code at address");
-      }
+    const checks = [
+      [
+        "Verify TestContract counter, message and owner",
+        "TestContract",
+        ["address", "counter", "message", "owner", "isActive"],
+      ],
+      ["Verify TestContract users", "TestContract", ["userCount", "users"]],
+      ["Verify TestContract dynamicArray", "TestContract", ["dynamicArray"]],
+      [
+        "Verify TestERC20 balances",
+        "TestERC20",
+        ["address", "totalSupply", "paused", "balances"],
+      ],
+      ["Verify TestERC20 allowances", "TestERC20", ["allowances"]],
+      ["Verify TestERC20 blacklist flags", "TestERC20", ["blacklisted"]],
+    ];
+
+    for (const [testName, contractName, keys] of checks) {
+      await this.runTest(testName, async () => {
+        if (!actual) {
+          throw new Error("Current contract state is not available");
+        }
 
-      return {
-        address,
-        name: await testERC20.name(),
-        symbol: await testERC20.symbol(),
-        decimals: await testERC20.decimals(),
-        totalSupply: (await testERC20.totalSupply()).toString(),
-      };
-    });
+        const expectedContract = expected.contracts[contractName] || {};
+        const actualContract = actual.contracts[contractName];
+        const mismatches = keys
+          .filter((key) => key in expectedContract)
+          .flatMap((key) =>
+            this.compareState(
+              expectedContract[key],
+              actualContract[key],
+              `${contractName}.${key}`,
+              expected.complete === true
+            )
+          );
+
+        if (mismatches.length > 0) {
+          mismatches.forEach((m) =>
+            this.log(
+              m.expected === undefined
+                ? `  ${m.path}: not recorded, got ${JSON.stringify(m.actual)}`
+                : `  ${m.path}: expected ${JSON.stringify(
+                    m.expected
+                  )}, got ${JSON.stringify(m.actual)}`,
+              COLORS.RED
+            )
+          );
+          throw new Error(`${mismatches.length} value(s) changed`);
+        }
+
+        return { checked: keys.filter((key) => key in expectedContract) };
+      });
+    }
   }
 
   async testBasicContractOperations() {
     this.log(
       `\n${COLORS.BRIGHT}=== BASIC CONTRACT OPERATIONS ===${COLORS.RESET}`
     );
+    this.currentCategory = "basic-contract-operations";
 
     const contract = this.contracts.testContract;
 
     // Test view functions
-    await this.runTest("Read initial state", async () => {
-      const counter = await contract.getCounter();
-      const message = await contract.getMessage();
-      const owner = await contract.owner();
-      const isActive = await contract.isActive();
+    await this.runTest(
+      "Read initial state",
+      async () => {
+        const counter = await contract.getCounter();
+        const message = await contract.getMessage();
+        const owner = await contract.owner();
+        const isActive = await contract.isActive();
 
-      return {
-        counter: counter.toString(),
-        message,
-        owner,
-        isActive,
-      };
-    });
+        return {
+          counter: counter.toString(),
+          message,
+          owner,
+          isActive,
+        };
+      },
+      { tags: ["smoke"] }
+    );
 
     // Test pure functions
     await this.runTest("Pure function - add", async () => {
@@ -243,6 +511,7 @@ class ContractTester {
     this.log(
       `\n${COLORS.BRIGHT}=== PAYABLE FUNCTIONS AND VALUE TRANSFER ===${COLORS.RESET}`
     );
+    this.currentCategory = "payable-functions-and-value-transfer";
 
     const contract = this.contracts.testContract;
     const signer = this.signers[0];
@@ -309,6 +578,7 @@ class ContractTester {
 
   async testEventEmissions() {
     this.log(`\n${COLORS.BRIGHT}=== EVENT EMISSIONS ===${COLORS.RESET}`);
+    this.currentCategory = "event-emissions";
 
     const contract = this.contracts.testContract;
 
@@ -377,6 +647,7 @@ class ContractTester {
     this.log(
       `\n${COLORS.BRIGHT}=== COMPLEX DATA STRUCTURES ===${COLORS.RESET}`
     );
+    this.currentCategory = "complex-data-structures";
 
     const contract = this.contracts.testContract;
     const signer = this.signers[0];
@@ -445,27 +716,32 @@ class ContractTester {
 
   async testERC20Operations() {
     this.log(`\n${COLORS.BRIGHT}=== ERC20 TOKEN OPERATIONS ===${COLORS.RESET}`);
+    this.currentCategory = "erc20-token-operations";
 
     const token = this.contracts.testERC20;
     const signer = this.signers[0];
     const recipient = this.signers.length > 1 ? this.signers[1] : signer;
 
     // Test basic ERC20 functions
-    await this.runTest("ERC20 basic info", async () => {
-      const name = await token.name();
-      const symbol = await token.symbol();
-      const decimals = await token.decimals();
-      const totalSupply = await token.totalSupply();
-      const ownerBalance = await token.balanceOf(signer.address);
+    await this.runTest(
+      "ERC20 basic info",
+      async () => {
+        const name = await token.name();
+        const symbol = await token.symbol();
+        const decimals = await token.decimals();
+        const totalSupply = await token.totalSupply();
+        const ownerBalance = await token.balanceOf(signer.address);
 
-      return {
-        name,
-        symbol,
-        decimals,
-        totalSupply: totalSupply.toString(),
-        ownerBalance: ownerBalance.toString(),
-      };
-    });
+        return {
+          name,
+          symbol,
+          decimals,
+          totalSupply: totalSupply.toString(),
+          ownerBalance: ownerBalance.toString(),
+        };
+      },
+      { tags: ["smoke"] }
+    );
 
     // Test token transfer
     await this.runTest("ERC20 transfer", async () => {
@@ -573,6 +849,7 @@ class ContractTester {
 
   async testErrorHandling() {
     this.log(`\n${COLORS.BRIGHT}=== ERROR HANDLING ===${COLORS.RESET}`);
+    this.currentCategory = "error-handling";
 
     const contract = this.contracts.testContract;
     const token = this.contracts.testERC20;
@@ -623,8 +900,9 @@ class ContractTester {
     });
 
     // Test unauthorized access (non-owner trying to set message)
-    if (this.signers.length > 1) {
-      await this.runTest("Unauthorized access", async () => {
+    await this.runTest(
+      "Unauthorized access",
+      async () => {
         const nonOwner = this.signers[1];
         const contractAsNonOwner = contract.connect(nonOwner);
 
@@ -637,8 +915,9 @@ class ContractTester {
           }
           throw error;
         }
-      });
-    }
+      },
+      { skip: this.signers.length < 2 && "needs a second signer" }
+    );
 
     // Test ERC20 insufficient balance
     await this.runTest("ERC20 insufficient balance", async () => {
@@ -663,6 +942,7 @@ class ContractTester {
     this.log(
       `\n${COLORS.BRIGHT}=== GAS INTENSIVE OPERATIONS ===${COLORS.RESET}`
     );
+    this.currentCategory = "gas-intensive-operations";
 
     const contract = this.contracts.testContract;
 
@@ -695,13 +975,15 @@ class ContractTester {
 
   async testBatchOperations() {
     this.log(`\n${COLORS.BRIGHT}=== BATCH OPERATIONS ===${COLORS.RESET}`);
+    this.currentCategory = "batch-operations";
 
     const contract = this.contracts.testContract;
     const token = this.contracts.testERC20;
 
     // Test batch transfer (contract)
-    if (this.signers.length > 2) {
-      await this.runTest("Contract batch transfer", async () => {
+    await this.runTest(
+      "Contract batch transfer",
+      async () => {
         const recipients = [this.signers[1].address, this.signers[2].address];
         const amounts = [ethers.parseEther("0.01"), ethers.parseEther("0.02")];
 
@@ -721,12 +1003,14 @@ class ContractTester {
           balance1: balance1.toString(),
           balance2: balance2.toString(),
         };
-      });
-    }
+      },
+      { skip: this.signers.length < 3 && "needs three signers" }
+    );
 
     // Test ERC20 batch operations
-    if (this.signers.length > 2) {
-      await this.runTest("ERC20 batch transfer", async () => {
+    await this.runTest(
+      "ERC20 batch transfer",
+      async () => {
         const recipients = [this.signers[1].address, this.signers[2].address];
         const amounts = [
           ethers.parseUnits("10", 18),
@@ -745,14 +1029,16 @@ class ContractTester {
           balance1: balance1.toString(),
           balance2: balance2.toString(),
         };
-      });
-    }
+      },
+      { skip: this.signers.length < 3 && "needs three signers" }
+    );
   }
 
   async testBlockchainSpecificFunctions() {
     this.log(
       `\n${COLORS.BRIGHT}=== BLOCKCHAIN SPECIFIC FUNCTIONS ===${COLORS.RESET}`
     );
+    this.currentCategory = "blockchain-specific-functions";
 
     const contract = this.contracts.testContract;
 
@@ -799,16 +1085,27 @@ class ContractTester {
 
     const startTime = Date.now();
 
-    await this.setupContracts();
-    await this.testBasicContractOperations();
-    await this.testPayableAndValueTransfer();
-    await this.testEventEmissions();
-    await this.testComplexDataStructures();
-    await this.testERC20Operations();
-    await this.testErrorHandling();
-    await this.testGasIntensiveOperations();
-    await this.testBatchOperations();
-    await this.testBlockchainSpecificFunctions();
+    await this.runSuite(async () => {
+      if (this.stateMode === "record" || this.stateMode === "verify") {
+        await this.loadDeployedContracts();
+        if (this.stateMode === "record") {
+          await this.recordContractState();
+        } else {
+          await this.verifyContractState();
+        }
+      } else {
+        await this.setupContracts();
+        await this.testBasicContractOperations();
+        await this.testPayableAndValueTransfer();
+        await this.testEventEmissions();
+        await this.testComplexDataStructures();
+        await this.testERC20Operations();
+        await this.testErrorHandling();
+        await this.testGasIntensiveOperations();
+        await this.testBatchOperations();
+        await this.testBlockchainSpecificFunctions();
+      }
+    });
 
     const duration = Date.now() - startTime;
 
@@ -841,6 +1138,7 @@ class ContractTester {
       total: this.results.total,
       successRate: parseFloat(successRate),
       duration,
+      tests: this.results.tests,
       contracts: {
         testContract: this.contracts.testContract
           ? await this.contracts.testContract.getAddress()
@@ -854,14 +1152,32 @@ class ContractTester {
 }
 
 async function main() {
+  if (process.argv.includes("--record-state")) {
+    process.env.CONTRACT_STATE_MODE = "record";
+  }
+  if (process.argv.includes("--verify-state")) {
+    process.env.CONTRACT_STATE_MODE = "verify";
+  }
+
   try {
     const tester = new ContractTester();
+    if (tester.selection.list) {
+      await tester.printTestList();
+      return;
+    }
     const results = await tester.runAllTests();
 
-    // Exit with error code if too many tests failed
-    if (results.successRate < 80) {
+    // A single changed value is a regression when checking recorded state
+    if (tester.stateMode && results.failed > 0) {
+      console.log(
+        `\n${COLORS.RED}Contract state ${tester.stateMode} failed: ${results.failed} check(s) did not pass.${COLORS.RESET}`
+      );
+      process.exit(1);
+    }
+
+    if (!tester.checkGates()) {
       console.log(
-        `\n${COLORS.RED}Warning: Success rate below 80%. Some tests may have failed.${COLORS.RESET}`
+        `\n${COLORS.RED}Contract testing did not pass its gates.${COLORS.RESET}`
       );
       process.exit(1);
     }
@@ -12,20 +12,14 @@ const {
 const { encodeSecp256k1Signature } = require("@cosmjs/amino");
 const realio = require("@realiotech/realiojs");
 const { createTxRaw } = require("@realiotech/proto");
+const { JUnitReporter } = require("./junit-reporter");
+const { applySelectionArgs } = require("./test-selection");
+const { applyGateArgs } = require("./test-gates");
+const { TestHarness, COLORS } = require("./test-harness");
+require("./project-config").applyProfile();
 require("dotenv").config();
 
-const COLORS = {
-  RESET: "\x1b[0m",
-  BRIGHT: "\x1b[1m",
-  DIM: "\x1b[2m",
-  RED: "\x1b[31m",
-  GREEN: "\x1b[32m",
-  YELLOW: "\x1b[33m",
-  BLUE: "\x1b[34m",
-  MAGENTA: "\x1b[35m",
-};
-
-class CosmosBankTester {
+class CosmosBankTester extends TestHarness {
   createBroadcastBody(txRaw, mode = "BROADCAST_MODE_SYNC") {
     // Convert the serialized transaction to base64
     const txBytes = Buffer.from(txRaw.message.serializeBinary()).toString(
@@ -63,7 +57,108 @@ class CosmosBankTester {
     return txRaw;
   }
 
+  async broadcastTransaction(
+    txMsg,
+    privateKeyHex,
+    mode = "BROADCAST_MODE_SYNC"
+  ) {
+    const signature = await this.signTransaction(txMsg, privateKeyHex);
+    const postBody = this.createBroadcastBody(signature, mode);
+
+    return await this.broadcastBody(postBody);
+  }
+
+  async broadcastBody(postBody) {
+    return await fetch(
+      `${this.restUrl}${realio.provider.generateEndpointBroadcast()}`,
+      {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(postBody),
+      }
+    ).then((res) => res.json());
+  }
+
+  async waitForTransaction(txHash, timeout = 60000) {
+    const deadline = Date.now() + timeout;
+
+    // Broadcasts use sync mode, so poll until the tx lands in a block
+    while (Date.now() < deadline) {
+      const response = await fetch(
+        `${this.restUrl}/cosmos/tx/v1beta1/txs/${txHash}`
+      );
+      if (response.ok) {
+        const data = await response.json();
+        return data.tx_response;
+      }
+      await new Promise((resolve) => setTimeout(resolve, 1000));
+    }
+
+    throw new Error(`Transaction ${txHash} not included after ${timeout}ms`);
+  }
+
+  createSendMessage(
+    wallet,
+    { sequence, accountNumber },
+    recipientAddress,
+    amount,
+    denom,
+    memo = ""
+  ) {
+    return realio.transactions.createTxMessageSend(
+      { cosmosChainId: this.chainId },
+      {
+        accountAddress: wallet.address,
+        pubkey: Buffer.from(wallet.pubkey, "hex"),
+        sequence,
+        accountNumber,
+      },
+      this.fee,
+      memo,
+      {
+        destinationAddress: recipientAddress,
+        amount: amount.toString(),
+        denom: denom,
+      }
+    );
+  }
+
+  async sendTokens(wallet, recipientAddress, amount, denom, memo = "") {
+    const accountData = await this.fetchAccountData(wallet.address);
+
+    const txMsg = this.createSendMessage(
+      wallet,
+      {
+        sequence: parseInt(accountData.account.sequence),
+        accountNumber: parseInt(accountData.account.account_number),
+      },
+      recipientAddress,
+      amount,
+      denom,
+      memo
+    );
+
+    const broadcastResponse = await this.broadcastTransaction(
+      txMsg,
+      wallet.privateKey
+    );
+    if (broadcastResponse.tx_response?.code !== 0) {
+      throw new Error(
+        `Transaction failed: ${
+          broadcastResponse.tx_response?.raw_log ||
+          JSON.stringify(broadcastResponse)
+        }`
+      );
+    }
+
+    return broadcastResponse.tx_response;
+  }
+
   constructor() {
+    super("Bank Module", {
+      envPrefix: "COSMOS_TEST",
+      attemptDefaults: { timeout: 30000 },
+    });
     this.rpcUrl = process.env.COSMOS_RPC_URL || "http://localhost:26657";
     this.restUrl = process.env.COSMOS_REST_URL || "http://localhost:1317";
     this.chainId = process.env.COSMOS_CHAIN_ID || "cosmoshub-4";
@@ -77,6 +172,12 @@ class CosmosBankTester {
       parseInt(process.env.COSMOS_DEFAULT_GAS_LIMIT) || 200000;
     this.testAmount = process.env.BANK_TEST_AMOUNT || "1000000";
     this.testDenom = process.env.BANK_TEST_DENOM || this.denom;
+    // Flat fee of the signed transactions
+    this.fee = {
+      amount: process.env.COSMOS_FEE_AMOUNT || "25000000000000000",
+      denom: process.env.COSMOS_FEE_DENOM || "ario",
+      gas: String(this.defaultGasLimit),
+    };
 
     // Always use Ethereum-style derivation for Cosmos/EVM chains
     this.coinType = 60; // Ethereum derivation
@@ -86,34 +187,52 @@ class CosmosBankTester {
     this.wallet = null;
     this.senderAddress = null;
 
-    this.results = {
-      passed: 0,
-      failed: 0,
-      total: 0,
-      queries: {
-        passed: 0,
-        failed: 0,
-        total: 0,
-      },
-      transactions: {
-        passed: 0,
-        failed: 0,
-        total: 0,
-      },
-    };
+    // The runners read the query and transaction counters under these keys
+    this.results.queries = this.categoryResults("query");
+    this.results.transactions = this.categoryResults("transaction");
 
-    this.verbose = process.env.VERBOSE === "true";
-    this.debug = process.env.DEBUG === "true";
+    this.beforeAll(() => this.initialize());
+    this.afterAll(() => this.disconnect());
   }
 
-  log(message, color = COLORS.RESET) {
-    console.log(`${color}${message}${COLORS.RESET}`);
+  async deriveWallet(index = 0) {
+    const seed = await Bip39.mnemonicToSeed(this.mnemonic);
+    const masterKey = Slip10.derivePath(
+      Slip10Curve.Secp256k1,
+      seed,
+      stringToPath(`m/44'/${this.coinType}'/0'/0/${index}`)
+    );
+
+    const privkey = masterKey.privkey;
+    const { pubkey: uncompressedPubkey } = await Secp256k1.makeKeypair(privkey);
+
+    // Generate Ethereum address and convert to Realio format
+    const ethAddressBytes = keccak256(uncompressedPubkey.slice(1)).slice(-20);
+    const ethAddress = "0x" + Buffer.from(ethAddressBytes).toString("hex");
+    const realioAddress =
+      realio.addressGenerator.ethToRealionetwork(ethAddress);
+
+    return {
+      privateKey: Buffer.from(privkey).toString("hex"),
+      address: realioAddress,
+      ethAddress: ethAddress,
+      pubkey: Buffer.from(
+        Secp256k1.compressPubkey(uncompressedPubkey)
+      ).toString("hex"),
+    };
   }
 
-  async fetchAccountData() {
-    const accountEndpoint = realio.provider.generateEndpointAccount(
-      this.wallet.address
-    );
+  // Non-2xx responses throw, so unknown routes (404/501) read as unsupported
+  async fetchRest(route) {
+    const response = await fetch(`${this.restUrl}${route}`);
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${await response.text()}`);
+    }
+    return response.json();
+  }
+
+  async fetchAccountData(address = this.wallet.address) {
+    const accountEndpoint = realio.provider.generateEndpointAccount(address);
     const response = await fetch(`${this.restUrl}${accountEndpoint}`);
     if (!response.ok) {
       throw new Error(`Failed to fetch account data: ${response.status}`);
@@ -121,6 +240,30 @@ class CosmosBankTester {
     return await response.json();
   }
 
+  async fetchTotalSupply() {
+    // Follow pagination so callers get the complete supply, not just the first page
+    const supply = [];
+    let nextKey = null;
+
+    do {
+      const query = nextKey
+        ? `?pagination.key=${encodeURIComponent(nextKey)}`
+        : "";
+      const response = await fetch(
+        `${this.restUrl}/cosmos/bank/v1beta1/supply${query}`,
+        { timeout: 10000 }
+      );
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      }
+      const data = await response.json();
+      supply.push(...(data.supply || []));
+      nextKey = data.pagination ? data.pagination.next_key : null;
+    } while (nextKey);
+
+    return supply;
+  }
+
   async initialize() {
     try {
       this.log(
@@ -136,32 +279,7 @@ class CosmosBankTester {
       );
 
       // Create wallet using mnemonic and RealioJS for address conversion
-      const seed = await Bip39.mnemonicToSeed(this.mnemonic);
-      const masterKey = Slip10.derivePath(
-        Slip10Curve.Secp256k1,
-        seed,
-        stringToPath(`m/44'/${this.coinType}'/0'/0/0`)
-      );
-
-      const privkey = masterKey.privkey;
-      const { pubkey: uncompressedPubkey } = await Secp256k1.makeKeypair(
-        privkey
-      );
-
-      // Generate Ethereum address and convert to Realio format
-      const ethAddressBytes = keccak256(uncompressedPubkey.slice(1)).slice(-20);
-      const ethAddress = "0x" + Buffer.from(ethAddressBytes).toString("hex");
-      const realioAddress =
-        realio.addressGenerator.ethToRealionetwork(ethAddress);
-
-      this.wallet = {
-        privateKey: Buffer.from(privkey).toString("hex"),
-        address: realioAddress,
-        ethAddress: ethAddress,
-        pubkey: Buffer.from(
-          Secp256k1.compressPubkey(uncompressedPubkey)
-        ).toString("hex"),
-      };
+      this.wallet = await this.deriveWallet(0);
       this.senderAddress = this.wallet.address;
       this.log(`${COLORS.GREEN}✓ Wallet initialized${COLORS.RESET}`);
 
@@ -235,55 +353,6 @@ class CosmosBankTester {
     }
   }
 
-  async runTest(testName, testFunction, category = "general") {
-    this.results.total++;
-    if (category === "query") {
-      this.results.queries.total++;
-    } else if (category === "transaction") {
-      this.results.transactions.total++;
-    }
-
-    try {
-      this.log(`\n${COLORS.CYAN}Testing: ${testName}${COLORS.RESET}`);
-      const startTime = Date.now();
-      const result = await testFunction();
-      const duration = Date.now() - startTime;
-
-      this.results.passed++;
-      if (category === "query") {
-        this.results.queries.passed++;
-      } else if (category === "transaction") {
-        this.results.transactions.passed++;
-      }
-
-      this.log(
-        `${COLORS.GREEN}✓ PASSED: ${testName} (${duration}ms)${COLORS.RESET}`
-      );
-
-      if (this.verbose && result !== undefined) {
-        this.log(`  Result: ${JSON.stringify(result, null, 2)}`, COLORS.BLUE);
-      }
-
-      return result;
-    } catch (error) {
-      this.results.failed++;
-      if (category === "query") {
-        this.results.queries.failed++;
-      } else if (category === "transaction") {
-        this.results.transactions.failed++;
-      }
-
-      this.log(`${COLORS.RED}✗ FAILED: ${testName}${COLORS.RESET}`);
-      this.log(`  Error: ${error.message}`, COLORS.RED);
-
-      if (this.verbose || this.debug) {
-        console.error(error);
-      }
-
-      return null;
-    }
-  }
-
   async testBankQueries() {
     this.log(`\n${COLORS.BRIGHT}=== BANK MODULE QUERIES ===${COLORS.RESET}`);
 
@@ -298,7 +367,7 @@ class CosmosBankTester {
         this.log(`  Balance: ${balance.amount}${balance.denom}`, COLORS.BLUE);
         return balance;
       },
-      "query"
+      { category: "query", tags: ["smoke"], readOnly: true }
     );
 
     // Test all balances query
@@ -314,7 +383,7 @@ class CosmosBankTester {
         }
         return balances;
       },
-      "query"
+      { category: "query", tags: ["smoke"], readOnly: true }
     );
 
     // Test supply query
@@ -322,19 +391,9 @@ class CosmosBankTester {
       "Query total supply",
       async () => {
         try {
-          const response = await fetch(
-            `${this.restUrl}/cosmos/bank/v1beta1/supply`,
-            { timeout: 10000 }
-          );
-          if (!response.ok) {
-            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-          }
-          const data = await response.json();
-          this.log(
-            `  Total supply entries: ${data.supply ? data.supply.length : 0}`,
-            COLORS.BLUE
-          );
-          return data.supply;
+          const supply = await this.fetchTotalSupply();
+          this.log(`  Total supply entries: ${supply.length}`, COLORS.BLUE);
+          return supply;
         } catch (error) {
           this.log(
             `  Using fallback method for supply query: ${error.message}`,
@@ -367,53 +426,41 @@ class CosmosBankTester {
           }
         }
       },
-      "query"
+      { category: "query", readOnly: true }
     );
 
     // Test denomination metadata query
     await this.runTest(
       "Query denomination metadata",
       async () => {
-        try {
-          const response = await fetch(
-            `${this.restUrl}/cosmos/bank/v1beta1/denoms_metadata`
-          );
-          const data = await response.json();
-          this.log(
-            `  Metadata entries: ${data.metadatas ? data.metadatas.length : 0}`,
-            COLORS.BLUE
-          );
-          return data.metadatas;
-        } catch (error) {
-          this.log(`  Metadata query not available or failed`, COLORS.YELLOW);
-          return null;
-        }
+        const data = await this.callCapability("module", "bank", () =>
+          this.fetchRest("/cosmos/bank/v1beta1/denoms_metadata")
+        );
+        this.log(
+          `  Metadata entries: ${data.metadatas ? data.metadatas.length : 0}`,
+          COLORS.BLUE
+        );
+        return data.metadatas;
       },
-      "query"
+      { category: "query", readOnly: true }
     );
 
     // Test params query
     await this.runTest(
       "Query bank params",
       async () => {
-        try {
-          const response = await fetch(
-            `${this.restUrl}/cosmos/bank/v1beta1/params`
-          );
-          const data = await response.json();
-          this.log(
-            `  Send enabled: ${
-              data.params ? data.params.send_enabled : "unknown"
-            }`,
-            COLORS.BLUE
-          );
-          return data.params;
-        } catch (error) {
-          this.log(`  Params query not available or failed`, COLORS.YELLOW);
-          return null;
-        }
+        const data = await this.callCapability("module", "bank", () =>
+          this.fetchRest("/cosmos/bank/v1beta1/params")
+        );
+        this.log(
+          `  Send enabled: ${
+            data.params ? data.params.send_enabled : "unknown"
+          }`,
+          COLORS.BLUE
+        );
+        return data.params;
       },
-      "query"
+      { category: "query", readOnly: true }
     );
   }
 
@@ -422,15 +469,7 @@ class CosmosBankTester {
       `\n${COLORS.BRIGHT}=== BANK MODULE TRANSACTIONS ===${COLORS.RESET}`
     );
 
-    // Get initial balance
-    const initialBalance = await this.client.getBalance(
-      this.senderAddress,
-      this.testDenom
-    );
-    this.log(
-      `Initial balance: ${initialBalance.amount}${initialBalance.denom}`,
-      COLORS.BLUE
-    );
+    let initialBalance;
 
     // Create a recipient address (we'll use a different derivation path)
     let recipientAddress;
@@ -458,6 +497,15 @@ class CosmosBankTester {
       async () => {
         const amount = coins(this.testAmount, this.testDenom);
 
+        initialBalance = await this.client.getBalance(
+          this.senderAddress,
+          this.testDenom
+        );
+        this.log(
+          `  Initial balance: ${initialBalance.amount}${initialBalance.denom}`,
+          COLORS.BLUE
+        );
+
         // Check if sender has sufficient balance
         if (parseInt(initialBalance.amount) < parseInt(this.testAmount)) {
           throw new Error(
@@ -478,11 +526,7 @@ class CosmosBankTester {
             sequence: parseInt(accountData.account.sequence),
             accountNumber: parseInt(accountData.account.account_number),
           },
-          {
-            amount: "25000000000000000",
-            denom: "ario",
-            gas: "200000",
-          },
+          this.fee,
           "Test bank send transaction",
           {
             destinationAddress: recipientAddress,
@@ -492,20 +536,10 @@ class CosmosBankTester {
         );
 
         // Sign and broadcast transaction
-        const signature = await this.signTransaction(
+        const broadcastResponse = await this.broadcastTransaction(
           txMsg,
           this.wallet.privateKey
         );
-        const postBody = this.createBroadcastBody(signature);
-
-        const broadcastResponse = await fetch(
-          `${this.restUrl}${realio.provider.generateEndpointBroadcast()}`,
-          {
-            method: "POST",
-            headers: { "Content-Type": "application/json" },
-            body: JSON.stringify(postBody),
-          }
-        ).then((res) => res.json());
 
         console.log(
           "Send transaction broadcast response:",
@@ -581,7 +615,11 @@ class CosmosBankTester {
 
         return { senderBalance, recipientBalance };
       },
-      "query"
+      {
+        category: "query",
+        readOnly: true,
+        skip: !initialBalance && "Send transaction did not run",
+      }
     );
 
     // Test transaction with small amount (should succeed)
@@ -619,11 +657,7 @@ class CosmosBankTester {
             sequence: parseInt(accountData.account.sequence),
             accountNumber: parseInt(accountData.account.account_number),
           },
-          {
-            amount: "25000000000000000",
-            denom: "ario",
-            gas: "200000",
-          },
+          this.fee,
           "Small amount test transaction",
           {
             destinationAddress: recipientAddress,
@@ -633,20 +667,10 @@ class CosmosBankTester {
         );
 
         // Sign and broadcast transaction
-        const signature = await this.signTransaction(
+        const broadcastResponse = await this.broadcastTransaction(
           txMsg,
           this.wallet.privateKey
         );
-        const postBody = this.createBroadcastBody(signature);
-
-        const broadcastResponse = await fetch(
-          `${this.restUrl}${realio.provider.generateEndpointBroadcast()}`,
-          {
-            method: "POST",
-            headers: { "Content-Type": "application/json" },
-            body: JSON.stringify(postBody),
-          }
-        ).then((res) => res.json());
 
         console.log(
           "Small transaction broadcast response:",
@@ -717,59 +741,44 @@ class CosmosBankTester {
           return null;
         }
       },
-      "query"
+      { category: "query", readOnly: true }
     );
 
     // Test spendable balances query
     await this.runTest(
       "Query spendable balances",
       async () => {
-        try {
-          const response = await fetch(
-            `${this.restUrl}/cosmos/bank/v1beta1/spendable_balances/${this.senderAddress}`
-          );
-          const data = await response.json();
-          this.log(
-            `  Spendable balances: ${data.balances ? data.balances.length : 0}`,
-            COLORS.BLUE
-          );
-          return data.balances;
-        } catch (error) {
-          this.log(
-            `  Spendable balances query not available: ${error.message}`,
-            COLORS.YELLOW
-          );
-          return null;
-        }
+        const data = await this.callCapability("module", "bank", () =>
+          this.fetchRest(
+            `/cosmos/bank/v1beta1/spendable_balances/${this.senderAddress}`
+          )
+        );
+        this.log(
+          `  Spendable balances: ${data.balances ? data.balances.length : 0}`,
+          COLORS.BLUE
+        );
+        return data.balances;
       },
-      "query"
+      { category: "query", readOnly: true }
     );
 
     // Test denomination trace query (for IBC tokens)
     await this.runTest(
       "Query denomination traces",
       async () => {
-        try {
-          const response = await fetch(
-            `${this.restUrl}/cosmos/bank/v1beta1/denom_traces`
-          );
-          const data = await response.json();
-          this.log(
-            `  Denomination traces: ${
-              data.denom_traces ? data.denom_traces.length : 0
-            }`,
-            COLORS.BLUE
-          );
-          return data.denom_traces;
-        } catch (error) {
-          this.log(
-            `  Denomination traces query not available: ${error.message}`,
-            COLORS.YELLOW
-          );
-          return null;
-        }
+        // Denom traces belong to IBC transfer, not bank
+        const data = await this.callCapability("module", "ibc-transfer", () =>
+          this.fetchRest("/ibc/apps/transfer/v1/denom_traces")
+        );
+        this.log(
+          `  Denomination traces: ${
+            data.denom_traces ? data.denom_traces.length : 0
+          }`,
+          COLORS.BLUE
+        );
+        return data.denom_traces;
       },
-      "query"
+      { category: "query", readOnly: true }
     );
   }
 
@@ -860,6 +869,11 @@ class CosmosBankTester {
       transactionSuccessRate: parseFloat(txSuccessRate),
     };
 
+    // Nothing ran in a --list dry run
+    if (this.listing) {
+      return results;
+    }
+
     try {
       const fs = require("fs");
       const path = require("path");
@@ -893,15 +907,30 @@ class CosmosBankTester {
     return results;
   }
 
+  disconnect() {
+    if (this.client && typeof this.client.disconnect === "function") {
+      try {
+        this.client.disconnect();
+      } catch (error) {
+        // Ignore cleanup errors
+        if (this.debug) {
+          this.log(
+            `${COLORS.YELLOW}⚠ Cleanup warning: ${error.message}${COLORS.RESET}`
+          );
+        }
+      }
+    }
+  }
+
   async runAllTests() {
     const startTime = Date.now();
 
     try {
-      await this.initialize();
-
-      await this.testBankQueries();
-      await this.testBankTransactions();
-      await this.testAdvancedQueries();
+      await this.runSuite(async () => {
+        await this.testBankQueries();
+        await this.testBankTransactions();
+        await this.testAdvancedQueries();
+      });
 
       const endTime = Date.now();
       const totalDuration = endTime - startTime;
@@ -909,23 +938,7 @@ class CosmosBankTester {
       this.log(`\n${COLORS.BRIGHT}=== TESTING COMPLETED ===${COLORS.RESET}`);
       this.log(`Total Duration: ${totalDuration}ms`);
 
-      const results = await this.printResults();
-
-      // Cleanup
-      if (this.client && typeof this.client.disconnect === "function") {
-        try {
-          this.client.disconnect();
-        } catch (error) {
-          // Ignore cleanup errors
-          if (this.debug) {
-            this.log(
-              `${COLORS.YELLOW}⚠ Cleanup warning: ${error.message}${COLORS.RESET}`
-            );
-          }
-        }
-      }
-
-      return results;
+      return await this.printResults();
     } catch (error) {
       this.log(
         `${COLORS.RED}✗ Testing failed during initialization or execution${COLORS.RESET}`
@@ -941,8 +954,34 @@ class CosmosBankTester {
   }
 }
 
+function saveJUnitReport(file, results) {
+  try {
+    const reporter = new JUnitReporter("Cosmos Bank Tests");
+    reporter.addSuite("Bank Module", results);
+    reporter.write(file);
+    console.log(
+      `${COLORS.GREEN}✓ JUnit report saved to: ${file}${COLORS.RESET}`
+    );
+  } catch (error) {
+    console.log(
+      `${COLORS.YELLOW}⚠ Could not save JUnit report: ${error.message}${COLORS.RESET}`
+    );
+  }
+}
+
 async function main() {
+  applySelectionArgs(process.argv.slice(2));
+  applyGateArgs(process.argv.slice(2));
   const tester = new CosmosBankTester();
+  if (tester.selection.list) {
+    await tester.printTestList();
+    return;
+  }
+  const junitFile = JUnitReporter.outputFileFromArgs(
+    process.argv.slice(2),
+    "junit-cosmos-bank.xml"
+  );
+  const startTime = Date.now();
 
   try {
     console.log(
@@ -956,28 +995,36 @@ async function main() {
     );
 
     const results = await tester.runAllTests();
+    if (junitFile) {
+      saveJUnitReport(junitFile, {
+        ...results.results,
+        duration: Date.now() - startTime,
+      });
+    }
 
-    // Exit with appropriate code
-    if (results.successRate >= 90) {
+    if (tester.checkGates()) {
       console.log(
         `\n${COLORS.GREEN}${COLORS.BRIGHT}🎉 All tests completed successfully! 🎉${COLORS.RESET}`
       );
       process.exit(0);
-    } else if (results.successRate >= 70) {
-      console.log(
-        `\n${COLORS.YELLOW}${COLORS.BRIGHT}⚠️  Tests completed with some issues ⚠️${COLORS.RESET}`
-      );
-      process.exit(1);
     } else {
       console.log(
-        `\n${COLORS.RED}${COLORS.BRIGHT}❌ Tests completed with significant failures ❌${COLORS.RESET}`
+        `\n${COLORS.RED}${COLORS.BRIGHT}❌ Tests did not pass the gates ❌${COLORS.RESET}`
       );
-      process.exit(2);
+      process.exit(1);
     }
   } catch (error) {
     console.error(
       `${COLORS.RED}${COLORS.BRIGHT}💥 Testing failed: ${error.message} 💥${COLORS.RESET}`
     );
+    if (junitFile) {
+      saveJUnitReport(junitFile, {
+        duration: Date.now() - startTime,
+        status: "error",
+        error: error.message,
+        tests: tester.results.tests,
+      });
+    }
     process.exit(3);
   }
 }
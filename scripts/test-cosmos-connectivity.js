@@ -9,6 +9,7 @@ const {
   Slip10Curve,
 } = require("@cosmjs/crypto");
 const { toBech32 } = require("@cosmjs/encoding");
+require("./project-config").applyProfile();
 require("dotenv").config();
 
 const COLORS = {
@@ -0,0 +1,527 @@
+const fs = require("fs");
+const path = require("path");
+const { JUnitReporter } = require("./junit-reporter");
+const { applySelectionArgs } = require("./test-selection");
+const { applyGateArgs } = require("./test-gates");
+const { TestHarness, TestSkipped, COLORS } = require("./test-harness");
+require("./project-config").applyProfile();
+require("dotenv").config();
+
+const RESULTS_DIR = path.join(__dirname, "..", "test-results");
+
+class CosmosUpgradeTester extends TestHarness {
+  constructor() {
+    super("Upgrade Module", {
+      envPrefix: "COSMOS_TEST",
+      attemptDefaults: { timeout: 30000 },
+      readOnly: true,
+    });
+    this.restUrl = process.env.COSMOS_REST_URL || "http://localhost:1317";
+    this.chainId = process.env.COSMOS_CHAIN_ID || "cosmoshub-4";
+    this.upgradeName = process.env.UPGRADE_NAME || null;
+    // "record" saves the pre-upgrade baseline instead of comparing with it
+    this.recordBaseline = process.env.MODULE_VERSIONS_MODE === "record";
+
+    // Modules whose consensus version must have been bumped by the upgrade
+    this.expectedMigrations = (process.env.UPGRADE_EXPECTED_MIGRATIONS || "")
+      .split(",")
+      .map((m) => m.trim())
+      .filter((m) => m);
+    this.baselineFile =
+      process.env.MODULE_VERSIONS_BASELINE ||
+      path.join(RESULTS_DIR, "module-versions-baseline.json");
+
+    this.moduleVersions = null;
+    this.comparison = null;
+
+    // The runners read the query counters under this key
+    this.results.queries = this.categoryResults("query");
+
+    this.beforeAll(() => this.initialize());
+  }
+
+  async fetchJson(endpoint) {
+    const response = await fetch(`${this.restUrl}${endpoint}`);
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+    return await response.json();
+  }
+
+  async initialize() {
+    this.log(
+      `\n${COLORS.BRIGHT}=== INITIALIZING COSMOS SDK UPGRADE TESTER ===${COLORS.RESET}`
+    );
+
+    const nodeInfo = await this.fetchJson(
+      "/cosmos/base/tendermint/v1beta1/node_info"
+    );
+    const chainId = nodeInfo.default_node_info.network;
+    if (chainId !== this.chainId) {
+      this.log(
+        `${COLORS.YELLOW}⚠ Chain ID mismatch: expected ${this.chainId}, got ${chainId}${COLORS.RESET}`
+      );
+      this.chainId = chainId;
+    }
+
+    this.log(`${COLORS.GREEN}✓ Connected to chain: ${chainId}${COLORS.RESET}`);
+    this.log(
+      `${COLORS.GREEN}✓ Application version: ${
+        nodeInfo.application_version?.version || "unknown"
+      }${COLORS.RESET}`
+    );
+    this.log(`${COLORS.GREEN}✓ REST URL: ${this.restUrl}${COLORS.RESET}`);
+    if (this.upgradeName) {
+      this.log(
+        `${COLORS.GREEN}✓ Upgrade name: ${this.upgradeName}${COLORS.RESET}`
+      );
+    }
+  }
+
+  async testUpgradeQueries() {
+    this.log(`\n${COLORS.BRIGHT}=== UPGRADE MODULE QUERIES ===${COLORS.RESET}`);
+
+    await this.runTest(
+      "Query current upgrade plan",
+      async () => {
+        const data = await this.fetchJson(
+          "/cosmos/upgrade/v1beta1/current_plan"
+        );
+        if (data.plan) {
+          this.log(
+            `  Pending plan: ${data.plan.name} at height ${data.plan.height}`,
+            COLORS.BLUE
+          );
+        } else {
+          this.log(`  No upgrade plan scheduled`, COLORS.BLUE);
+        }
+        return data.plan;
+      },
+      { category: "query", tags: ["smoke"] }
+    );
+
+    await this.runTest(
+      "Query applied upgrade plan",
+      async () => {
+        if (!this.upgradeName) {
+          throw new TestSkipped("UPGRADE_NAME not set");
+        }
+
+        const data = await this.fetchJson(
+          `/cosmos/upgrade/v1beta1/applied_plan/${encodeURIComponent(
+            this.upgradeName
+          )}`
+        );
+        const height = parseInt(data.height || "0");
+        if (height > 0) {
+          this.log(
+            `  ${this.upgradeName} applied at height ${height}`,
+            COLORS.BLUE
+          );
+        } else if (this.recordBaseline) {
+          this.log(`  ${this.upgradeName} has not been applied`, COLORS.BLUE);
+        } else {
+          // Before the upgrade height the plan is still pending, not missing
+          const current = await this.fetchJson(
+            "/cosmos/upgrade/v1beta1/current_plan"
+          );
+          if (current.plan?.name === this.upgradeName) {
+            throw new TestSkipped(
+              `${this.upgradeName} is scheduled at height ${current.plan.height}, not applied yet`
+            );
+          }
+          throw new Error(
+            `${this.upgradeName} is neither scheduled nor applied`
+          );
+        }
+        return { name: this.upgradeName, height };
+      },
+      "query"
+    );
+
+    await this.runTest(
+      "Query upgrade authority",
+      async () => {
+        const data = await this.fetchJson("/cosmos/upgrade/v1beta1/authority");
+        this.log(`  Authority: ${data.address}`, COLORS.BLUE);
+        return data.address;
+      },
+      "query"
+    );
+  }
+
+  async testModuleVersions() {
+    this.log(`\n${COLORS.BRIGHT}=== MODULE VERSIONS ===${COLORS.RESET}`);
+
+    this.moduleVersions = await this.runTest(
+      "Query module versions",
+      async () => {
+        const data = await this.fetchJson(
+          "/cosmos/upgrade/v1beta1/module_versions"
+        );
+        const versions = {};
+        for (const module of data.module_versions || []) {
+          versions[module.name] = parseInt(module.version);
+        }
+        if (Object.keys(versions).length === 0) {
+          throw new Error("No module versions returned");
+        }
+
+        this.log(`  Modules: ${Object.keys(versions).length}`, COLORS.BLUE);
+        if (this.verbose) {
+          Object.entries(versions).forEach(([name, version]) => {
+            this.log(`    ${name}: v${version}`, COLORS.BLUE);
+          });
+        }
+        return versions;
+      },
+      { category: "query", setup: true }
+    );
+
+    await this.runTest(
+      "Query single module version",
+      async () => {
+        const moduleName = this.moduleVersions
+          ? Object.keys(this.moduleVersions)[0]
+          : "bank";
+        const data = await this.fetchJson(
+          `/cosmos/upgrade/v1beta1/module_versions?module_name=${moduleName}`
+        );
+        const versions = data.module_versions || [];
+        if (versions.length !== 1 || versions[0].name !== moduleName) {
+          throw new Error(
+            `Expected exactly one entry for ${moduleName}, got ${versions.length}`
+          );
+        }
+        this.log(`  ${moduleName}: v${versions[0].version}`, COLORS.BLUE);
+        return versions[0];
+      },
+      "query"
+    );
+
+    await this.runTest(
+      "Compare module versions with baseline",
+      async () => {
+        if (!this.moduleVersions) {
+          throw new Error("Module versions are not available");
+        }
+
+        if (this.recordBaseline) {
+          throw new TestSkipped("recording the baseline");
+        }
+
+        const baseline = this.loadBaseline();
+        if (!baseline) {
+          throw new TestSkipped(
+            `no baseline at ${this.baselineFile}, record one with MODULE_VERSIONS_MODE=record`
+          );
+        }
+
+        this.comparison = this.compareModuleVersions(
+          baseline.moduleVersions,
+          this.moduleVersions
+        );
+        this.comparison.baseline = {
+          file: this.baselineFile,
+          timestamp: baseline.timestamp,
+        };
+        this.printComparison(this.comparison);
+
+        const missing = this.expectedMigrations.filter(
+          (name) => !this.comparison.migrated.some((m) => m.name === name)
+        );
+        this.comparison.missingMigrations = missing;
+        if (missing.length > 0) {
+          throw new Error(
+            `Expected migrations did not run: ${missing.join(", ")}`
+          );
+        }
+
+        return this.comparison;
+      },
+      "query"
+    );
+  }
+
+  loadBaseline() {
+    if (!fs.existsSync(this.baselineFile)) {
+      return null;
+    }
+    return JSON.parse(fs.readFileSync(this.baselineFile, "utf8"));
+  }
+
+  compareModuleVersions(before, after) {
+    const migrated = [];
+    const added = [];
+    const removed = [];
+    const unchanged = [];
+
+    for (const [name, version] of Object.entries(after)) {
+      if (!(name in before)) {
+        added.push({ name, version });
+      } else if (before[name] !== version) {
+        migrated.push({ name, from: before[name], to: version });
+      } else {
+        unchanged.push(name);
+      }
+    }
+    for (const [name, version] of Object.entries(before)) {
+      if (!(name in after)) {
+        removed.push({ name, version });
+      }
+    }
+
+    return { migrated, added, removed, unchanged };
+  }
+
+  printComparison(comparison) {
+    this.log(
+      `  Compared against ${comparison.baseline.file} (${comparison.baseline.timestamp})`,
+      COLORS.BLUE
+    );
+    comparison.migrated.forEach((m) =>
+      this.log(
+        `  ${COLORS.YELLOW}migrated${COLORS.RESET} ${m.name}: v${m.from} → v${m.to}`
+      )
+    );
+    comparison.added.forEach((m) =>
+      this.log(
+        `  ${COLORS.GREEN}added${COLORS.RESET}    ${m.name}: v${m.version}`
+      )
+    );
+    comparison.removed.forEach((m) =>
+      this.log(
+        `  ${COLORS.RED}removed${COLORS.RESET}  ${m.name}: v${m.version}`
+      )
+    );
+    this.log(
+      `  ${comparison.migrated.length} migrated, ${comparison.added.length} added, ${comparison.removed.length} removed, ${comparison.unchanged.length} unchanged`,
+      COLORS.BLUE
+    );
+  }
+
+  saveModuleVersions() {
+    if (!this.moduleVersions) return;
+
+    try {
+      if (!fs.existsSync(RESULTS_DIR)) {
+        fs.mkdirSync(RESULTS_DIR, { recursive: true });
+      }
+
+      const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
+      const data = {
+        timestamp: new Date().toISOString(),
+        chainId: this.chainId,
+        upgradeName: this.upgradeName,
+        moduleVersions: this.moduleVersions,
+      };
+
+      const resultFile = path.join(
+        RESULTS_DIR,
+        `module-versions-${timestamp}.json`
+      );
+      const latestFile = path.join(RESULTS_DIR, "module-versions-latest.json");
+      fs.writeFileSync(resultFile, JSON.stringify(data, null, 2));
+      fs.writeFileSync(latestFile, JSON.stringify(data, null, 2));
+
+      this.log(`\n${COLORS.GREEN}✓ Module versions saved to:${COLORS.RESET}`);
+      this.log(`  ${resultFile}`);
+      this.log(`  ${latestFile}`);
+
+      if (this.recordBaseline) {
+        fs.mkdirSync(path.dirname(this.baselineFile), { recursive: true });
+        fs.writeFileSync(this.baselineFile, JSON.stringify(data, null, 2));
+        this.log(`  ${this.baselineFile} (baseline)`);
+      }
+    } catch (error) {
+      this.log(
+        `${COLORS.YELLOW}⚠ Could not save module versions: ${error.message}${COLORS.RESET}`
+      );
+    }
+  }
+
+  async printResults() {
+    this.log(`\n${COLORS.BRIGHT}=== TEST RESULTS SUMMARY ===${COLORS.RESET}`);
+
+    const totalTests = this.results.total;
+    const passedTests = this.results.passed;
+    const failedTests = this.results.failed;
+    const successRate =
+      totalTests > 0 ? ((passedTests / totalTests) * 100).toFixed(2) : 0;
+    const querySuccessRate =
+      this.results.queries.total > 0
+        ? (
+            (this.results.queries.passed / this.results.queries.total) *
+            100
+          ).toFixed(2)
+        : 0;
+
+    this.log(`${COLORS.BRIGHT}Overall Results:${COLORS.RESET}`);
+    this.log(`  Total Tests: ${totalTests}`);
+    this.log(`  Passed: ${COLORS.GREEN}${passedTests}${COLORS.RESET}`);
+    this.log(`  Failed: ${COLORS.RED}${failedTests}${COLORS.RESET}`);
+    this.log(
+      `  Success Rate: ${
+        successRate >= 90
+          ? COLORS.GREEN
+          : successRate >= 70
+          ? COLORS.YELLOW
+          : COLORS.RED
+      }${successRate}%${COLORS.RESET}`
+    );
+
+    // Save results to file
+    const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
+    const results = {
+      timestamp: new Date().toISOString(),
+      chainId: this.chainId,
+      upgradeName: this.upgradeName,
+      moduleVersions: this.moduleVersions,
+      moduleVersionChanges: this.comparison,
+      results: this.results,
+      successRate: parseFloat(successRate),
+      querySuccessRate: parseFloat(querySuccessRate),
+    };
+
+    // Nothing ran in a --list dry run
+    if (this.listing) {
+      return results;
+    }
+
+    try {
+      if (!fs.existsSync(RESULTS_DIR)) {
+        fs.mkdirSync(RESULTS_DIR, { recursive: true });
+      }
+
+      const resultFile = path.join(
+        RESULTS_DIR,
+        `cosmos-upgrade-results-${timestamp}.json`
+      );
+      fs.writeFileSync(resultFile, JSON.stringify(results, null, 2));
+
+      const latestFile = path.join(RESULTS_DIR, "cosmos-upgrade-latest.json");
+      fs.writeFileSync(latestFile, JSON.stringify(results, null, 2));
+
+      this.log(`\n${COLORS.GREEN}✓ Results saved to:${COLORS.RESET}`);
+      this.log(`  ${resultFile}`);
+      this.log(`  ${latestFile}`);
+    } catch (error) {
+      this.log(
+        `${COLORS.YELLOW}⚠ Could not save results to file: ${error.message}${COLORS.RESET}`
+      );
+    }
+
+    return results;
+  }
+
+  async runAllTests() {
+    const startTime = Date.now();
+
+    try {
+      await this.runSuite(async () => {
+        await this.testUpgradeQueries();
+        await this.testModuleVersions();
+      });
+
+      this.saveModuleVersions();
+
+      const totalDuration = Date.now() - startTime;
+      this.log(`\n${COLORS.BRIGHT}=== TESTING COMPLETED ===${COLORS.RESET}`);
+      this.log(`Total Duration: ${totalDuration}ms`);
+
+      return await this.printResults();
+    } catch (error) {
+      this.log(
+        `${COLORS.RED}✗ Testing failed during initialization or execution${COLORS.RESET}`
+      );
+      this.log(`  Error: ${error.message}`, COLORS.RED);
+
+      if (this.debug) {
+        console.error(error);
+      }
+
+      throw error;
+    }
+  }
+}
+
+function saveJUnitReport(file, results) {
+  try {
+    const reporter = new JUnitReporter("Cosmos Upgrade Tests");
+    reporter.addSuite("Upgrade Module", results);
+    reporter.write(file);
+    console.log(
+      `${COLORS.GREEN}✓ JUnit report saved to: ${file}${COLORS.RESET}`
+    );
+  } catch (error) {
+    console.log(
+      `${COLORS.YELLOW}⚠ Could not save JUnit report: ${error.message}${COLORS.RESET}`
+    );
+  }
+}
+
+async function main() {
+  if (process.argv.includes("--record-versions")) {
+    process.env.MODULE_VERSIONS_MODE = "record";
+  }
+  applySelectionArgs(process.argv.slice(2));
+  applyGateArgs(process.argv.slice(2));
+  const tester = new CosmosUpgradeTester();
+  if (tester.selection.list) {
+    await tester.printTestList();
+    return;
+  }
+  const junitFile = JUnitReporter.outputFileFromArgs(
+    process.argv.slice(2),
+    "junit-cosmos-upgrade.xml"
+  );
+  const startTime = Date.now();
+
+  try {
+    console.log(
+      `${COLORS.BRIGHT}${COLORS.MAGENTA}🚀 Starting Cosmos SDK Upgrade Module Testing 🚀${COLORS.RESET}`
+    );
+    console.log(`${COLORS.BRIGHT}Chain ID: ${tester.chainId}${COLORS.RESET}`);
+    console.log(`${COLORS.BRIGHT}REST URL: ${tester.restUrl}${COLORS.RESET}`);
+
+    const results = await tester.runAllTests();
+    if (junitFile) {
+      saveJUnitReport(junitFile, {
+        ...results.results,
+        duration: Date.now() - startTime,
+      });
+    }
+
+    if (tester.checkGates()) {
+      console.log(
+        `\n${COLORS.GREEN}${COLORS.BRIGHT}🎉 All tests completed successfully! 🎉${COLORS.RESET}`
+      );
+      process.exit(0);
+    } else {
+      console.log(
+        `\n${COLORS.RED}${COLORS.BRIGHT}❌ Tests did not pass the gates ❌${COLORS.RESET}`
+      );
+      process.exit(1);
+    }
+  } catch (error) {
+    console.error(
+      `${COLORS.RED}${COLORS.BRIGHT}💥 Testing failed: ${error.message} 💥${COLORS.RESET}`
+    );
+    if (junitFile) {
+      saveJUnitReport(junitFile, {
+        duration: Date.now() - startTime,
+        status: "error",
+        error: error.message,
+        tests: tester.results.tests,
+      });
+    }
+    process.exit(3);
+  }
+}
+
+// Run the tests if this script is executed directly
+if (require.main === module) {
+  main().catch(console.error);
+}
+
+module.exports = { CosmosUpgradeTester };
@@ -1,5 +1,6 @@
 const { DirectSecp256k1HdWallet } = require("@cosmjs/proto-signing");
 const { stringToPath } = require("@cosmjs/crypto");
+require("./project-config").applyProfile();
 require("dotenv").config();
 
 const COLORS = {
@@ -231,7 +232,10 @@ async function main() {
   const tester = new DerivationPathTester();
 
   // Check if a specific path was provided as argument
-  const specificPath = process.argv[2];
+  // The first argument that isn't a flag or the value of --profile
+  const specificPath = process.argv
+    .slice(2)
+    .find((arg, i, args) => !arg.startsWith("--") && args[i - 1] !== "--profile");
 
   if (specificPath) {
     const result = await tester.testSpecificPath(specificPath);
@@ -253,7 +257,7 @@ if (process.argv.includes('--help') || process.argv.includes('-h')) {
 ${COLORS.BRIGHT}Derivation Path Tester${COLORS.RESET}
 
 ${COLORS.BRIGHT}Usage:${COLORS.RESET}
-  node test-derivation-paths.js [derivation_path]
+  node test-derivation-paths.js [derivation_path] [--profile <name>]
 
 ${COLORS.BRIGHT}Examples:${COLORS.RESET}
   # Test all common derivation paths
@@ -265,13 +269,16 @@ ${COLORS.BRIGHT}Examples:${COLORS.RESET}
   # Test with verbose output
   VERBOSE=true node test-derivation-paths.js
 
+  # Use the address prefix of a config file profile
+  node test-derivation-paths.js --profile realio-localnet
+
   # Test with custom mnemonic and expected address
   COSMOS_MNEMONIC="your mnemonic here" EXPECTED_ADDRESS="realio1..." node test-derivation-paths.js
 
 ${COLORS.BRIGHT}Environment Variables:${COLORS.RESET}
   COSMOS_MNEMONIC      - The mnemonic to test (required)
   EXPECTED_ADDRESS     - The expected address to match
-  COSMOS_PREFIX        - Address prefix (default: realio)
+  COSMOS_PREFIX        - Address prefix (default: realio, or the profile's prefix)
   VERBOSE              - Show all generated addresses (default: false)
 `);
   process.exit(0);
@@ -1,73 +1,21 @@
 const { ethers } = require("hardhat");
+const { TestHarness, COLORS } = require("./test-harness");
 require("dotenv").config();
 
-const COLORS = {
-  RESET: "\x1b[0m",
-  BRIGHT: "\x1b[1m",
-  GREEN: "\x1b[32m",
-  RED: "\x1b[31m",
-  YELLOW: "\x1b[33m",
-  BLUE: "\x1b[34m",
-  CYAN: "\x1b[36m",
-};
-
-class GasEstimationTester {
+class GasEstimationTester extends TestHarness {
   constructor() {
+    super("Gas Estimation");
     this.provider = ethers.provider;
-    this.results = {
-      passed: 0,
-      failed: 0,
-      total: 0,
-    };
-    this.verbose = process.env.VERBOSE === "true";
     this.signers = [];
     this.gasEstimations = [];
     this.contracts = {};
-  }
-
-  log(message, color = COLORS.RESET) {
-    console.log(`${color}${message}${COLORS.RESET}`);
-  }
-
-  async runTest(testName, testFunction) {
-    this.results.total++;
-    try {
-      this.log(`\n${COLORS.CYAN}Testing: ${testName}${COLORS.RESET}`);
-      const startTime = Date.now();
-      const result = await testFunction();
-      const duration = Date.now() - startTime;
-
-      this.results.passed++;
-      this.log(
-        `${COLORS.GREEN}✓ PASSED: ${testName} (${duration}ms)${COLORS.RESET}`
-      );
-
-      if (this.verbose && result !== undefined) {
-        this.log(
-          `  Result: ${JSON.stringify(
-            result,
-            (key, value) =>
-              typeof value === "bigint" ? value.toString() : value,
-            2
-          )}`
-        );
-      }
 
-      return result;
-    } catch (error) {
-      this.results.failed++;
-      this.log(`${COLORS.RED}✗ FAILED: ${testName}${COLORS.RESET}`);
-      this.log(`  Error: ${error.message}`, COLORS.RED);
-
-      if (this.verbose) {
-        console.error(error);
-      }
-      return null;
-    }
+    this.beforeAll(() => this.setupEnvironment());
   }
 
   async setupEnvironment() {
     this.log(`\n${COLORS.BRIGHT}=== ENVIRONMENT SETUP ===${COLORS.RESET}`);
+    this.currentCategory = "environment-setup";
 
     this.signers = await ethers.getSigners();
     if (this.signers.length === 0) {
@@ -95,63 +43,26 @@ class GasEstimationTester {
   }
 
   async deployTestContracts() {
-    await this.runTest("Deploy test contracts", async () => {
-      // Deploy TestContract
-      const TestContract = await ethers.getContractFactory("TestContract");
-      const deployTx = await TestContract.getDeployTransaction();
-
-      // Estimate deployment gas
-      const deployGasEstimate = await this.provider.estimateGas(deployTx);
-
-      // Deploy the contract
-      const testContract = await TestContract.deploy();
-      await testContract.waitForDeployment();
-      const contractAddress = await testContract.getAddress();
-
-      // Get actual deployment transaction
-      const actualDeployTx = testContract.deploymentTransaction();
-      const actualDeployReceipt = await actualDeployTx.wait();
-
-      this.contracts.testContract = testContract;
-
-      return {
-        contractAddress,
-        estimatedDeployGas: deployGasEstimate.toString(),
-        actualDeployGas: actualDeployReceipt.gasUsed.toString(),
-        deployGasAccuracy: this.calculateAccuracy(
-          deployGasEstimate,
-          actualDeployReceipt.gasUsed
-        ),
-        codeSize: (await this.provider.getCode(contractAddress)).length,
-      };
-    });
+    await this.runTest(
+      "Deploy test contracts",
+      async () => {
+        // Deploy TestContract
+        const TestContract = await ethers.getContractFactory("TestContract");
+        const deployTx = await TestContract.getDeployTransaction();
 
-    // Deploy ERC20 if possible
-    try {
-      await this.runTest("Deploy ERC20 test contract", async () => {
-        const TestERC20 = await ethers.getContractFactory("TestERC20");
-        const deployGasEstimate = await this.provider.estimateGas(
-          await TestERC20.getDeployTransaction(
-            "Test Token",
-            "TEST",
-            18,
-            1000000
-          )
-        );
+        // Estimate deployment gas
+        const deployGasEstimate = await this.provider.estimateGas(deployTx);
 
-        const testERC20 = await TestERC20.deploy(
-          "Test Token",
-          "TEST",
-          18,
-          1000000
-        );
-        const deployReceipt = await testERC20.waitForDeployment();
-        const contractAddress = await testERC20.getAddress();
+        // Deploy the contract
+        const testContract = await TestContract.deploy();
+        await testContract.waitForDeployment();
+        const contractAddress = await testContract.getAddress();
 
-        const actualDeployTx = testERC20.deploymentTransaction();
+        // Get actual deployment transaction
+        const actualDeployTx = testContract.deploymentTransaction();
         const actualDeployReceipt = await actualDeployTx.wait();
 
-        this.contracts.testERC20 = testERC20;
+        this.contracts.testContract = testContract;
 
         return {
           contractAddress,
@@ -161,8 +72,53 @@ class GasEstimationTester {
             deployGasEstimate,
             actualDeployReceipt.gasUsed
           ),
+          codeSize: (await this.provider.getCode(contractAddress)).length,
         };
-      });
+      },
+      { setup: true }
+    );
+
+    // Deploy ERC20 if possible
+    try {
+      await this.runTest(
+        "Deploy ERC20 test contract",
+        async () => {
+          const TestERC20 = await ethers.getContractFactory("TestERC20");
+          const deployGasEstimate = await this.provider.estimateGas(
+            await TestERC20.getDeployTransaction(
+              "Test Token",
+              "TEST",
+              18,
+              1000000
+            )
+          );
+
+          const testERC20 = await TestERC20.deploy(
+            "Test Token",
+            "TEST",
+            18,
+            1000000
+          );
+          const deployReceipt = await testERC20.waitForDeployment();
+          const contractAddress = await testERC20.getAddress();
+
+          const actualDeployTx = testERC20.deploymentTransaction();
+          const actualDeployReceipt = await actualDeployTx.wait();
+
+          this.contracts.testERC20 = testERC20;
+
+          return {
+            contractAddress,
+            estimatedDeployGas: deployGasEstimate.toString(),
+            actualDeployGas: actualDeployReceipt.gasUsed.toString(),
+            deployGasAccuracy: this.calculateAccuracy(
+              deployGasEstimate,
+              actualDeployReceipt.gasUsed
+            ),
+          };
+        },
+        { setup: true }
+      );
     } catch (error) {
       this.log(
         `${COLORS.YELLOW}ERC20 deployment failed: ${error.message}${COLORS.RESET}`
@@ -188,45 +144,50 @@ class GasEstimationTester {
     this.log(
       `\n${COLORS.BRIGHT}=== BASIC TRANSFER GAS ESTIMATION ===${COLORS.RESET}`
     );
+    this.currentCategory = "basic-transfer-gas-estimation";
 
     const sender = this.signers[0];
     const recipient = this.signers.length > 1 ? this.signers[1] : sender;
 
     // Test basic EOA to EOA transfer
-    await this.runTest("EOA to EOA transfer gas estimation", async () => {
-      const transferAmount = ethers.parseEther("0.001");
+    await this.runTest(
+      "EOA to EOA transfer gas estimation",
+      async () => {
+        const transferAmount = ethers.parseEther("0.001");
 
-      const gasEstimate = await this.provider.estimateGas({
-        from: sender.address,
-        to: recipient.address,
-        value: transferAmount,
-      });
+        const gasEstimate = await this.provider.estimateGas({
+          from: sender.address,
+          to: recipient.address,
+          value: transferAmount,
+        });
 
-      // Execute the transaction to compare
-      const tx = await sender.sendTransaction({
-        to: recipient.address,
-        value: transferAmount,
-      });
-      const receipt = await tx.wait();
+        // Execute the transaction to compare
+        const tx = await sender.sendTransaction({
+          to: recipient.address,
+          value: transferAmount,
+        });
+        const receipt = await tx.wait();
 
-      const accuracy = this.calculateAccuracy(gasEstimate, receipt.gasUsed);
+        const accuracy = this.calculateAccuracy(gasEstimate, receipt.gasUsed);
 
-      this.gasEstimations.push({
-        type: "eoa_transfer",
-        estimated: gasEstimate.toString(),
-        actual: receipt.gasUsed.toString(),
-        accuracy,
-      });
+        this.gasEstimations.push({
+          type: "eoa_transfer",
+          estimated: gasEstimate.toString(),
+          actual: receipt.gasUsed.toString(),
+          accuracy,
+        });
 
-      return {
-        transferAmount: transferAmount.toString(),
-        estimatedGas: gasEstimate.toString(),
-        actualGas: receipt.gasUsed.toString(),
-        accuracy,
-        standardTransferGas: "21000",
-        isStandardGas: receipt.gasUsed.toString() === "21000",
-      };
-    });
+        return {
+          transferAmount: transferAmount.toString(),
+          estimatedGas: gasEstimate.toString(),
+          actualGas: receipt.gasUsed.toString(),
+          accuracy,
+          standardTransferGas: "21000",
+          isStandardGas: receipt.gasUsed.toString() === "21000",
+        };
+      },
+      { tags: ["smoke"] }
+    );
 
     // Test different transfer amounts
     const amounts = [
@@ -293,56 +254,60 @@ class GasEstimationTester {
     this.log(
       `\n${COLORS.BRIGHT}=== CONTRACT CALL GAS ESTIMATION ===${COLORS.RESET}`
     );
+    this.currentCategory = "contract-call-gas-estimation";
 
-    if (!this.contracts.testContract) {
-      this.log(
-        `${COLORS.YELLOW}Skipping contract call tests - TestContract not available${COLORS.RESET}`
-      );
-      return;
-    }
+    const skip = !this.contracts.testContract && "TestContract not available";
 
     const contract = this.contracts.testContract;
     const sender = this.signers[0];
 
     // Test view function gas estimation
-    await this.runTest("View function gas estimation", async () => {
-      try {
-        const gasEstimate = await contract.getCounter.estimateGas();
-        return {
-          function: "getCounter",
-          type: "view",
-          gasEstimate: gasEstimate.toString(),
-          note: "View functions usually don't consume gas when called",
-        };
-      } catch (error) {
-        return {
-          function: "getCounter",
-          type: "view",
-          result: "Gas estimation not available for view functions",
-          error: error.message,
-        };
-      }
-    });
+    await this.runTest(
+      "View function gas estimation",
+      async () => {
+        try {
+          const gasEstimate = await contract.getCounter.estimateGas();
+          return {
+            function: "getCounter",
+            type: "view",
+            gasEstimate: gasEstimate.toString(),
+            note: "View functions usually don't consume gas when called",
+          };
+        } catch (error) {
+          return {
+            function: "getCounter",
+            type: "view",
+            result: "Gas estimation not available for view functions",
+            error: error.message,
+          };
+        }
+      },
+      { skip }
+    );
 
     // Test pure function gas estimation
-    await this.runTest("Pure function gas estimation", async () => {
-      try {
-        const gasEstimate = await contract.add.estimateGas(123, 456);
-        return {
-          function: "add",
-          type: "pure",
-          gasEstimate: gasEstimate.toString(),
-          note: "Pure functions usually don't consume gas when called",
-        };
-      } catch (error) {
-        return {
-          function: "add",
-          type: "pure",
-          result: "Gas estimation not available for pure functions",
-          error: error.message,
-        };
-      }
-    });
+    await this.runTest(
+      "Pure function gas estimation",
+      async () => {
+        try {
+          const gasEstimate = await contract.add.estimateGas(123, 456);
+          return {
+            function: "add",
+            type: "pure",
+            gasEstimate: gasEstimate.toString(),
+            note: "Pure functions usually don't consume gas when called",
+          };
+        } catch (error) {
+          return {
+            function: "add",
+            type: "pure",
+            result: "Gas estimation not available for pure functions",
+            error: error.message,
+          };
+        }
+      },
+      { skip }
+    );
 
     // Test state-changing functions
     const stateChangingTests = [
@@ -389,123 +354,137 @@ class GasEstimationTester {
             actualGas: receipt.gasUsed.toString(),
             accuracy,
           };
-        }
+        },
+        { skip }
       );
     }
 
     // Test payable function gas estimation
-    await this.runTest("Payable function gas estimation", async () => {
-      const depositAmount = ethers.parseEther("0.01");
-      const gasEstimate = await contract.deposit.estimateGas({
-        value: depositAmount,
-      });
+    await this.runTest(
+      "Payable function gas estimation",
+      async () => {
+        const depositAmount = ethers.parseEther("0.01");
+        const gasEstimate = await contract.deposit.estimateGas({
+          value: depositAmount,
+        });
 
-      const tx = await contract.deposit({ value: depositAmount });
-      const receipt = await tx.wait();
+        const tx = await contract.deposit({ value: depositAmount });
+        const receipt = await tx.wait();
 
-      const accuracy = this.calculateAccuracy(gasEstimate, receipt.gasUsed);
+        const accuracy = this.calculateAccuracy(gasEstimate, receipt.gasUsed);
 
-      return {
-        function: "deposit",
-        type: "payable",
-        value: depositAmount.toString(),
-        estimatedGas: gasEstimate.toString(),
-        actualGas: receipt.gasUsed.toString(),
-        accuracy,
-      };
-    });
+        return {
+          function: "deposit",
+          type: "payable",
+          value: depositAmount.toString(),
+          estimatedGas: gasEstimate.toString(),
+          actualGas: receipt.gasUsed.toString(),
+          accuracy,
+        };
+      },
+      { skip }
+    );
 
     // Test complex function gas estimation
-    await this.runTest("Complex function gas estimation", async () => {
-      const iterations = 50;
-      const gasEstimate = await contract.gasIntensiveLoop.estimateGas(
-        iterations
-      );
+    await this.runTest(
+      "Complex function gas estimation",
+      async () => {
+        const iterations = 50;
+        const gasEstimate = await contract.gasIntensiveLoop.estimateGas(
+          iterations
+        );
 
-      const tx = await contract.gasIntensiveLoop(iterations);
-      const receipt = await tx.wait();
+        const tx = await contract.gasIntensiveLoop(iterations);
+        const receipt = await tx.wait();
 
-      const accuracy = this.calculateAccuracy(gasEstimate, receipt.gasUsed);
+        const accuracy = this.calculateAccuracy(gasEstimate, receipt.gasUsed);
 
-      return {
-        function: "gasIntensiveLoop",
-        iterations,
-        estimatedGas: gasEstimate.toString(),
-        actualGas: receipt.gasUsed.toString(),
-        gasPerIteration: (receipt.gasUsed / BigInt(iterations)).toString(),
-        accuracy,
-      };
-    });
+        return {
+          function: "gasIntensiveLoop",
+          iterations,
+          estimatedGas: gasEstimate.toString(),
+          actualGas: receipt.gasUsed.toString(),
+          gasPerIteration: (receipt.gasUsed / BigInt(iterations)).toString(),
+          accuracy,
+        };
+      },
+      { skip }
+    );
   }
 
   async testERC20GasEstimation() {
     this.log(`\n${COLORS.BRIGHT}=== ERC20 GAS ESTIMATION ===${COLORS.RESET}`);
+    this.currentCategory = "erc20-gas-estimation";
 
-    if (!this.contracts.testERC20) {
-      this.log(
-        `${COLORS.YELLOW}Skipping ERC20 tests - TestERC20 not available${COLORS.RESET}`
-      );
-      return;
-    }
+    const skip = !this.contracts.testERC20 && "TestERC20 not available";
 
     const token = this.contracts.testERC20;
     const sender = this.signers[0];
     const recipient = this.signers.length > 1 ? this.signers[1] : sender;
 
     // Test ERC20 transfer gas estimation
-    await this.runTest("ERC20 transfer gas estimation", async () => {
-      const transferAmount = ethers.parseUnits("100", 18);
-      const gasEstimate = await token.transfer.estimateGas(
-        recipient.address,
-        transferAmount
-      );
+    await this.runTest(
+      "ERC20 transfer gas estimation",
+      async () => {
+        const transferAmount = ethers.parseUnits("100", 18);
+        const gasEstimate = await token.transfer.estimateGas(
+          recipient.address,
+          transferAmount
+        );
 
-      const tx = await token.transfer(recipient.address, transferAmount);
-      const receipt = await tx.wait();
+        const tx = await token.transfer(recipient.address, transferAmount);
+        const receipt = await tx.wait();
 
-      const accuracy = this.calculateAccuracy(gasEstimate, receipt.gasUsed);
+        const accuracy = this.calculateAccuracy(gasEstimate, receipt.gasUsed);
 
-      this.gasEstimations.push({
-        type: "erc20_transfer",
-        estimated: gasEstimate.toString(),
-        actual: receipt.gasUsed.toString(),
-        accuracy,
-      });
+        this.gasEstimations.push({
+          type: "erc20_transfer",
+          estimated: gasEstimate.toString(),
+          actual: receipt.gasUsed.toString(),
+          accuracy,
+        });
 
-      return {
-        function: "transfer",
-        amount: transferAmount.toString(),
-        estimatedGas: gasEstimate.toString(),
-        actualGas: receipt.gasUsed.toString(),
-        accuracy,
-      };
-    });
+        return {
+          function: "transfer",
+          amount: transferAmount.toString(),
+          estimatedGas: gasEstimate.toString(),
+          actualGas: receipt.gasUsed.toString(),
+          accuracy,
+        };
+      },
+      { skip }
+    );
 
     // Test ERC20 approve gas estimation
-    await this.runTest("ERC20 approve gas estimation", async () => {
-      const approveAmount = ethers.parseUnits("1000", 18);
-      const gasEstimate = await token.approve.estimateGas(
-        recipient.address,
-        approveAmount
-      );
+    await this.runTest(
+      "ERC20 approve gas estimation",
+      async () => {
+        const approveAmount = ethers.parseUnits("1000", 18);
+        const gasEstimate = await token.approve.estimateGas(
+          recipient.address,
+          approveAmount
+        );
 
-      const tx = await token.approve(recipient.address, approveAmount);
-      const receipt = await tx.wait();
+        const tx = await token.approve(recipient.address, approveAmount);
+        const receipt = await tx.wait();
 
-      const accuracy = this.calculateAccuracy(gasEstimate, receipt.gasUsed);
+        const accuracy = this.calculateAccuracy(gasEstimate, receipt.gasUsed);
 
-      return {
-        function: "approve",
-        amount: approveAmount.toString(),
-        estimatedGas: gasEstimate.toString(),
-        actualGas: receipt.gasUsed.toString(),
-        accuracy,
-      };
-    });
+        return {
+          function: "approve",
+          amount: approveAmount.toString(),
+          estimatedGas: gasEstimate.toString(),
+          actualGas: receipt.gasUsed.toString(),
+          accuracy,
+        };
+      },
+      { skip }
+    );
 
     // Test ERC20 transferFrom gas estimation
-    if (this.signers.length > 1) {
-      await this.runTest("ERC20 transferFrom gas estimation", async () => {
+    await this.runTest(
+      "ERC20 transferFrom gas estimation",
+      async () => {
         const transferAmount = ethers.parseUnits("50", 18);
         const tokenAsRecipient = token.connect(this.signers[1]);
 
@@ -531,90 +510,101 @@ class GasEstimationTester {
           actualGas: receipt.gasUsed.toString(),
           accuracy,
         };
-      });
-    }
+      },
+      { skip: skip || (this.signers.length < 2 && "needs a second signer") }
+    );
 
     // Test ERC20 mint gas estimation
-    await this.runTest("ERC20 mint gas estimation", async () => {
-      const mintAmount = ethers.parseUnits("1000", 18);
-      const gasEstimate = await token.mint.estimateGas(
-        sender.address,
-        mintAmount
-      );
+    await this.runTest(
+      "ERC20 mint gas estimation",
+      async () => {
+        const mintAmount = ethers.parseUnits("1000", 18);
+        const gasEstimate = await token.mint.estimateGas(
+          sender.address,
+          mintAmount
+        );
 
-      const tx = await token.mint(sender.address, mintAmount);
-      const receipt = await tx.wait();
+        const tx = await token.mint(sender.address, mintAmount);
+        const receipt = await tx.wait();
 
-      const accuracy = this.calculateAccuracy(gasEstimate, receipt.gasUsed);
+        const accuracy = this.calculateAccuracy(gasEstimate, receipt.gasUsed);
 
-      return {
-        function: "mint",
-        amount: mintAmount.toString(),
-        estimatedGas: gasEstimate.toString(),
-        actualGas: receipt.gasUsed.toString(),
-        accuracy,
-      };
-    });
+        return {
+          function: "mint",
+          amount: mintAmount.toString(),
+          estimatedGas: gasEstimate.toString(),
+          actualGas: receipt.gasUsed.toString(),
+          accuracy,
+        };
+      },
+      { skip }
+    );
 
     // Test ERC20 burn gas estimation
-    await this.runTest("ERC20 burn gas estimation", async () => {
-      const burnAmount = ethers.parseUnits("100", 18);
-      const gasEstimate = await token.burn.estimateGas(burnAmount);
+    await this.runTest(
+      "ERC20 burn gas estimation",
+      async () => {
+        const burnAmount = ethers.parseUnits("100", 18);
+        const gasEstimate = await token.burn.estimateGas(burnAmount);
 
-      const tx = await token.burn(burnAmount);
-      const receipt = await tx.wait();
+        const tx = await token.burn(burnAmount);
+        const receipt = await tx.wait();
 
-      const accuracy = this.calculateAccuracy(gasEstimate, receipt.gasUsed);
+        const accuracy = this.calculateAccuracy(gasEstimate, receipt.gasUsed);
 
-      return {
-        function: "burn",
-        amount: burnAmount.toString(),
-        estimatedGas: gasEstimate.toString(),
-        actualGas: receipt.gasUsed.toString(),
-        accuracy,
-      };
-    });
+        return {
+          function: "burn",
+          amount: burnAmount.toString(),
+          estimatedGas: gasEstimate.toString(),
+          actualGas: receipt.gasUsed.toString(),
+          accuracy,
+        };
+      },
+      { skip }
+    );
   }
 
   async testBatchOperationGasEstimation() {
     this.log(
       `\n${COLORS.BRIGHT}=== BATCH OPERATION GAS ESTIMATION ===${COLORS.RESET}`
     );
+    this.currentCategory = "batch-operation-gas-estimation";
 
-    if (!this.contracts.testERC20 || this.signers.length < 3) {
-      this.log(
-        `${COLORS.YELLOW}Skipping batch tests - need ERC20 contract and multiple signers${COLORS.RESET}`
-      );
-      return;
-    }
+    const skip =
+      (!this.contracts.testERC20 || this.signers.length < 3) &&
+      "needs the ERC20 contract and three signers";
 
     const token = this.contracts.testERC20;
     const recipients = this.signers.slice(1, 4).map((s) => s.address);
     const amounts = recipients.map(() => ethers.parseUnits("10", 18));
 
     // Test batch transfer gas estimation
-    await this.runTest("Batch transfer gas estimation", async () => {
-      const gasEstimate = await token.batchTransfer.estimateGas(
-        recipients,
-        amounts
-      );
+    await this.runTest(
+      "Batch transfer gas estimation",
+      async () => {
+        const gasEstimate = await token.batchTransfer.estimateGas(
+          recipients,
+          amounts
+        );
 
-      const tx = await token.batchTransfer(recipients, amounts);
-      const receipt = await tx.wait();
+        const tx = await token.batchTransfer(recipients, amounts);
+        const receipt = await tx.wait();
 
-      const accuracy = this.calculateAccuracy(gasEstimate, receipt.gasUsed);
-      const gasPerTransfer = receipt.gasUsed / BigInt(recipients.length);
+        const accuracy = this.calculateAccuracy(gasEstimate, receipt.gasUsed);
+        const gasPerTransfer = receipt.gasUsed / BigInt(recipients.length);
 
-      return {
-        function: "batchTransfer",
-        recipientCount: recipients.length,
-        totalAmount: amounts.reduce((a, b) => a + b, 0n).toString(),
-        estimatedGas: gasEstimate.toString(),
-        actualGas: receipt.gasUsed.toString(),
-        gasPerTransfer: gasPerTransfer.toString(),
-        accuracy,
-      };
-    });
+        return {
+          function: "batchTransfer",
+          recipientCount: recipients.length,
+          totalAmount: amounts.reduce((a, b) => a + b, 0n).toString(),
+          estimatedGas: gasEstimate.toString(),
+          actualGas: receipt.gasUsed.toString(),
+          gasPerTransfer: gasPerTransfer.toString(),
+          accuracy,
+        };
+      },
+      { skip }
+    );
 
     // Compare with individual transfers
     await this.runTest(
@@ -651,7 +641,8 @@ class GasEstimationTester {
           efficiency:
             savings > 0n ? "batch more efficient" : "individual more efficient",
         };
-      }
+      },
+      { skip }
     );
   }
 
@@ -659,6 +650,7 @@ class GasEstimationTester {
     this.log(
       `\n${COLORS.BRIGHT}=== EDGE CASE GAS ESTIMATION ===${COLORS.RESET}`
     );
+    this.currentCategory = "edge-case-gas-estimation";
 
     const sender = this.signers[0];
     const recipient = this.signers.length > 1 ? this.signers[1] : sender;
@@ -765,21 +757,27 @@ class GasEstimationTester {
     this.log(
       `\n${COLORS.BRIGHT}=== EIP-1559 GAS ESTIMATION ===${COLORS.RESET}`
     );
+    this.currentCategory = "eip-1559-gas-estimation";
 
     const sender = this.signers[0];
     const recipient = this.signers.length > 1 ? this.signers[1] : sender;
 
     // Test fee history
-    await this.runTest("Fee history analysis", async () => {
-      try {
-        const feeHistory = await this.provider.send("eth_feeHistory", [
-          "0x4", // 4 blocks
-          "latest",
-          [25, 50, 75], // percentiles
-        ]);
+    await this.runTest(
+      "Fee history analysis",
+      async () => {
+        const feeHistory = await this.callCapability(
+          "method",
+          "eth_feeHistory",
+          () =>
+            this.provider.send("eth_feeHistory", [
+              "0x4", // 4 blocks
+              "latest",
+              [25, 50, 75], // percentiles
+            ])
+        );
 
         const hasBaseFee = !!feeHistory.baseFeePerGas;
-        const hasReward = !!feeHistory.reward;
 
         return {
           supportsEIP1559: hasBaseFee,
@@ -789,70 +787,68 @@ class GasEstimationTester {
           reward: feeHistory.reward || [],
           gasUsedRatio: feeHistory.gasUsedRatio || [],
         };
-      } catch (error) {
-        return {
-          supportsEIP1559: false,
-          result: "EIP-1559 not supported",
-          error: error.message,
-        };
-      }
-    });
+      },
+      { tags: ["eip1559"] }
+    );
 
     // Test max priority fee per gas
-    await this.runTest("Max priority fee per gas", async () => {
-      try {
-        const maxPriorityFee = await this.provider.send(
+    await this.runTest(
+      "Max priority fee per gas",
+      async () => {
+        const maxPriorityFee = await this.callCapability(
+          "method",
           "eth_maxPriorityFeePerGas",
-          []
+          () => this.provider.send("eth_maxPriorityFeePerGas", [])
         );
         return {
           maxPriorityFeePerGas: maxPriorityFee,
           maxPriorityFeeInGwei: ethers.formatUnits(maxPriorityFee, "gwei"),
         };
-      } catch (error) {
-        return {
-          result: "Max priority fee not supported",
-          error: error.message,
-        };
-      }
-    });
+      },
+      { tags: ["eip1559"] }
+    );
 
     // Test EIP-1559 transaction gas estimation
-    await this.runTest("EIP-1559 transaction gas estimation", async () => {
-      try {
-        const gasEstimate = await this.provider.estimateGas({
-          from: sender.address,
-          to: recipient.address,
-          value: ethers.parseEther("0.001"),
-          type: 2, // EIP-1559 transaction type
-        });
+    await this.runTest(
+      "EIP-1559 transaction gas estimation",
+      async () => {
+        try {
+          const gasEstimate = await this.provider.estimateGas({
+            from: sender.address,
+            to: recipient.address,
+            value: ethers.parseEther("0.001"),
+            type: 2, // EIP-1559 transaction type
+          });
 
-        // Try to get current base fee
-        const block = await this.provider.getBlock("latest");
-        const baseFeePerGas = block.baseFeePerGas;
+          // Try to get current base fee
+          const block = await this.provider.getBlock("latest");
+          const baseFeePerGas = block.baseFeePerGas;
 
-        return {
-          gasEstimate: gasEstimate.toString(),
-          transactionType: "EIP-1559",
-          baseFeePerGas: baseFeePerGas?.toString() || "not available",
-          baseFeeInGwei: baseFeePerGas
-            ? ethers.formatUnits(baseFeePerGas, "gwei")
-            : "not available",
-        };
-      } catch (error) {
-        return {
-          result: "EIP-1559 gas estimation failed",
-          error: error.message,
-          note: "Network may not support EIP-1559",
-        };
-      }
-    });
+          return {
+            gasEstimate: gasEstimate.toString(),
+            transactionType: "EIP-1559",
+            baseFeePerGas: baseFeePerGas?.toString() || "not available",
+            baseFeeInGwei: baseFeePerGas
+              ? ethers.formatUnits(baseFeePerGas, "gwei")
+              : "not available",
+          };
+        } catch (error) {
+          return {
+            result: "EIP-1559 gas estimation failed",
+            error: error.message,
+            note: "Network may not support EIP-1559",
+          };
+        }
+      },
+      { tags: ["eip1559"] }
+    );
   }
 
   async testGasEstimationAccuracy() {
     this.log(
       `\n${COLORS.BRIGHT}=== GAS ESTIMATION ACCURACY ANALYSIS ===${COLORS.RESET}`
     );
+    this.currentCategory = "gas-estimation-accuracy-analysis";
 
     const accurateEstimations = this.gasEstimations.filter(
       (e) => e.accuracy.accurate
@@ -987,6 +983,8 @@ class GasEstimationTester {
         totalEstimatedGas / BigInt(totalEstimations)
       ).toString(),
       averageActual: (totalActualGas / BigInt(totalEstimations)).toString(),
+      // Individual estimations, kept for the accuracy charts in the HTML report
+      estimations: this.gasEstimations,
     };
 
     this.log(`Total Gas Estimations: ${totalEstimations}`);
@@ -1008,14 +1006,15 @@ class GasEstimationTester {
 
     const startTime = Date.now();
 
-    await this.setupEnvironment();
-    await this.testBasicTransferGasEstimation();
-    await this.testContractCallGasEstimation();
-    await this.testERC20GasEstimation();
-    await this.testBatchOperationGasEstimation();
-    await this.testEdgeCaseGasEstimation();
-    await this.testEIP1559GasEstimation();
-    await this.testGasEstimationAccuracy();
+    await this.runSuite(async () => {
+      await this.testBasicTransferGasEstimation();
+      await this.testContractCallGasEstimation();
+      await this.testERC20GasEstimation();
+      await this.testBatchOperationGasEstimation();
+      await this.testEdgeCaseGasEstimation();
+      await this.testEIP1559GasEstimation();
+      await this.testGasEstimationAccuracy();
+    });
 
     const duration = Date.now() - startTime;
     const report = await this.generateGasReport();
@@ -1050,6 +1049,7 @@ class GasEstimationTester {
       total: this.results.total,
       successRate: parseFloat(successRate),
       duration,
+      tests: this.results.tests,
       gasReport: report,
       contracts: {},
     };
@@ -1059,12 +1059,15 @@ class GasEstimationTester {
 async function main() {
   try {
     const tester = new GasEstimationTester();
-    const results = await tester.runAllTests();
+    if (tester.selection.list) {
+      await tester.printTestList();
+      return;
+    }
+    await tester.runAllTests();
 
-    // Exit with error code if too many tests failed
-    if (results.successRate < 70) {
+    if (!tester.checkGates()) {
       console.log(
-        `\n${COLORS.RED}Warning: Success rate below 70%. Some tests may have failed.${COLORS.RESET}`
+        `\n${COLORS.RED}Gas estimation testing did not pass its gates.${COLORS.RESET}`
       );
       process.exit(1);
     }
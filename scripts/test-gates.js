@@ -0,0 +1,130 @@
+// Pass/fail gates that decide the exit code of the testers and runners
+
+// Reads GATE_MIN_SUCCESS_RATE (percent), GATE_MAX_FAILED, GATE_MAX_FLAKY and
+// GATE_MUST_PASS (comma-separated test names, or "<suite>: <test>" to tie a
+// name to one suite). `defaults` holds the caller's own thresholds. Without a
+// success rate or failed count, no test may fail; the other gates are only
+// checked when set.
+function gateSettings(defaults = {}, env = process.env) {
+  const read = (name, fallback) => {
+    const value = parseFloat(env[name]);
+    return Number.isNaN(value) ? fallback ?? null : value;
+  };
+
+  const minSuccessRate = read("GATE_MIN_SUCCESS_RATE", defaults.minSuccessRate);
+  const maxFailed = read("GATE_MAX_FAILED", defaults.maxFailed);
+  return {
+    minSuccessRate,
+    maxFailed: minSuccessRate === null && maxFailed === null ? 0 : maxFailed,
+    maxFlaky: read("GATE_MAX_FLAKY", defaults.maxFlaky),
+    mustPass: (env.GATE_MUST_PASS || "")
+      .split(",")
+      .map((name) => name.trim())
+      .filter(Boolean),
+  };
+}
+
+// Sets the GATE_* variables from --min-success-rate <percent>,
+// --max-failed <n>, --max-flaky <n> and --must-pass <name> (repeatable)
+function applyGateArgs(args) {
+  const flags = {
+    "--min-success-rate": "GATE_MIN_SUCCESS_RATE",
+    "--max-failed": "GATE_MAX_FAILED",
+    "--max-flaky": "GATE_MAX_FLAKY",
+  };
+  const mustPass = [];
+  for (let i = 0; i < args.length; i++) {
+    if (flags[args[i]] && i + 1 < args.length) {
+      const value = args[++i];
+      if (Number.isNaN(parseFloat(value))) {
+        throw new Error(`${args[i - 1]} requires a number, got "${value}"`);
+      }
+      process.env[flags[args[i - 1]]] = value;
+    } else if (args[i] === "--must-pass" && i + 1 < args.length) {
+      mustPass.push(args[++i]);
+    }
+  }
+  if (mustPass.length > 0) {
+    process.env.GATE_MUST_PASS = mustPass.join(",");
+  }
+}
+
+// `summary` is { passed, failed, tests } of a tester or a runner. The success
+// rate and failed count come from the totals, so a crashed suite counts as a
+// failure; flaky and must-pass tests come from the per-test records. A run
+// where the selection left nothing to do passes the success rate. Returns
+// one { gate, passed, expected, actual } per checked gate.
+function evaluateGates(summary, settings) {
+  const total = summary.passed + summary.failed;
+  const tests = summary.tests || [];
+  const outcomes = [];
+
+  if (settings.minSuccessRate !== null) {
+    const rate = total > 0 ? (summary.passed / total) * 100 : null;
+    outcomes.push({
+      gate: "min-success-rate",
+      passed: rate === null || rate >= settings.minSuccessRate,
+      expected: settings.minSuccessRate,
+      actual: rate === null ? "no tests ran" : parseFloat(rate.toFixed(1)),
+    });
+  }
+
+  if (settings.maxFailed !== null) {
+    outcomes.push({
+      gate: "max-failed",
+      passed: summary.failed <= settings.maxFailed,
+      expected: settings.maxFailed,
+      actual: summary.failed,
+    });
+  }
+
+  if (settings.maxFlaky !== null) {
+    const flaky = tests.filter((test) => test.flaky).map((test) => test.name);
+    outcomes.push({
+      gate: "max-flaky",
+      passed: flaky.length <= settings.maxFlaky,
+      expected: settings.maxFlaky,
+      actual: flaky.length,
+      tests: flaky,
+    });
+  }
+
+  for (const name of settings.mustPass) {
+    const runs = tests.filter(
+      (test) => test.name === name || `${test.suite}: ${test.name}` === name
+    );
+    outcomes.push({
+      gate: "must-pass",
+      passed: runs.length > 0 && runs.every((test) => test.status === "passed"),
+      expected: name,
+      actual: runs.length > 0 ? runs.map((test) => test.status) : "not run",
+    });
+  }
+
+  return outcomes;
+}
+
+function gatesPassed(outcomes) {
+  return outcomes.every((outcome) => outcome.passed);
+}
+
+// One line per gate, e.g. "✗ min-success-rate: 85.7 (must be >= 90)"
+function formatGate(outcome) {
+  const actual = Array.isArray(outcome.actual)
+    ? outcome.actual.join(", ")
+    : outcome.actual;
+  const bound = outcome.gate === "min-success-rate" ? ">=" : "<=";
+  const line =
+    outcome.gate === "must-pass"
+      ? `must-pass "${outcome.expected}": ${actual}`
+      : `${outcome.gate}: ${actual} (must be ${bound} ${outcome.expected})`;
+  return `${outcome.passed ? "✓" : "✗"} ${line}`;
+}
+
+module.exports = {
+  gateSettings,
+  applyGateArgs,
+  evaluateGates,
+  gatesPassed,
+  formatGate,
+};
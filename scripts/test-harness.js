@@ -0,0 +1,369 @@
+const { attemptSettings, runWithRetries } = require("./test-attempts");
+const { CapabilityProfile } = require("./capability-profile");
+const {
+  testSelection,
+  isSelected,
+  formatListedTest,
+} = require("./test-selection");
+const {
+  gateSettings,
+  evaluateGates,
+  gatesPassed,
+  formatGate,
+} = require("./test-gates");
+
+const COLORS = {
+  RESET: "\x1b[0m",
+  BRIGHT: "\x1b[1m",
+  DIM: "\x1b[2m",
+  GREEN: "\x1b[32m",
+  RED: "\x1b[31m",
+  YELLOW: "\x1b[33m",
+  BLUE: "\x1b[34m",
+  CYAN: "\x1b[36m",
+  MAGENTA: "\x1b[35m",
+};
+
+const HOOKS = ["beforeAll", "afterAll", "beforeEach", "afterEach"];
+
+// Thrown from a test function to record the test as skipped
+class TestSkipped extends Error {
+  constructor(reason) {
+    super(reason);
+    this.name = "TestSkipped";
+    this.retryable = false;
+  }
+}
+
+// Base class of the tester classes: logging, runTest with timeouts and
+// retries, per-test records, category counters, tags, skips, selection and
+// hooks. Tests outside the --grep/--tag selection are neither run nor
+// recorded.
+//
+// Hooks can be registered by the suite itself or by a runner:
+//   beforeAll() / afterAll()  around runSuite(); an afterAll always runs
+//   beforeEach(test)          before each test; a throw fails the test
+//   afterEach(record)         with the finished test record
+class TestHarness {
+  constructor(suiteName, options = {}) {
+    this.suiteName = suiteName;
+    this.currentCategory = "general";
+    this.results = {
+      passed: 0,
+      failed: 0,
+      skipped: 0,
+      total: 0,
+      categories: {},
+      tests: [],
+    };
+    this.hooks = Object.fromEntries(HOOKS.map((name) => [name, []]));
+    this.attemptSettings = attemptSettings(
+      options.envPrefix || "TEST",
+      options.attemptDefaults
+    );
+    // Suites that only read chain state can retry all their tests
+    this.readOnly = options.readOnly === true;
+    this.capabilities = CapabilityProfile.load();
+    this.selection = testSelection();
+    this.listing = null;
+    // Every test the suite reached, selected or not, for the must-pass gate
+    this.reachedTests = new Set();
+
+    this.verbose = process.env.VERBOSE === "true";
+    this.debug = process.env.DEBUG === "true";
+  }
+
+  log(message, color = COLORS.RESET) {
+    if (this.listing) {
+      return;
+    }
+    console.log(`${color}${message}${COLORS.RESET}`);
+  }
+
+  beforeAll(hook) {
+    this.hooks.beforeAll.push(hook);
+    return this;
+  }
+
+  afterAll(hook) {
+    this.hooks.afterAll.push(hook);
+    return this;
+  }
+
+  beforeEach(hook) {
+    this.hooks.beforeEach.push(hook);
+    return this;
+  }
+
+  afterEach(hook) {
+    this.hooks.afterEach.push(hook);
+    return this;
+  }
+
+  async runHooks(name, ...args) {
+    for (const hook of this.hooks[name]) {
+      await hook.call(this, ...args);
+    }
+  }
+
+  // Runs the suite body between the beforeAll and afterAll hooks
+  async runSuite(body) {
+    if (this.listing) {
+      return body();
+    }
+    await this.runHooks("beforeAll");
+    try {
+      return await body();
+    } finally {
+      try {
+        await this.runHooks("afterAll");
+      } catch (error) {
+        this.log(
+          `${COLORS.YELLOW}⚠ afterAll hook failed: ${error.message}${COLORS.RESET}`
+        );
+      }
+    }
+  }
+
+  // Dry run behind --list: runs the suite without its hooks and with output
+  // silenced, collecting the selected tests instead of running them
+  async listTests() {
+    const listing = [];
+    this.listing = listing;
+    try {
+      await this.runAllTests();
+    } finally {
+      this.listing = null;
+    }
+    return listing;
+  }
+
+  // --list for a tester run on its own (TEST_LIST=true under hardhat run)
+  async printTestList() {
+    for (const test of await this.listTests()) {
+      console.log(`  ${formatListedTest(test)}`);
+    }
+  }
+
+  // Whether the selection leaves anything besides setup tests, so runners
+  // can skip suites it empties
+  async hasSelectedTests() {
+    const tests = await this.listTests();
+    return tests.some((test) => !test.setup);
+  }
+
+  // Counters of one category, created on first use
+  categoryResults(category) {
+    if (!this.results.categories[category]) {
+      this.results.categories[category] = {
+        passed: 0,
+        failed: 0,
+        skipped: 0,
+        total: 0,
+      };
+    }
+    return this.results.categories[category];
+  }
+
+  // Why a test should not run, or null to run it. Suites and runners extend
+  // this to filter tests; by default only the test's own `skip` counts.
+  skipReason(test) {
+    if (!test.skip) {
+      return null;
+    }
+    return typeof test.skip === "string" ? test.skip : "marked as skipped";
+  }
+
+  // Calls something the chain may not implement. When the chain reports it
+  // as unsupported, the test fails if the capability profile expects it and
+  // is skipped otherwise. `kind` is "method", "tracer" or "module".
+  async callCapability(kind, name, call) {
+    try {
+      return await call();
+    } catch (error) {
+      if (!this.capabilities.isUnsupportedError(error)) {
+        throw error;
+      }
+      if (this.capabilities.expects(kind, name)) {
+        throw new Error(
+          `${name} is not supported, but the "${this.capabilities.name}" capability profile requires it: ${error.message}`
+        );
+      }
+      throw new TestSkipped(`${name} not supported by this chain`);
+    }
+  }
+
+  async recordSkip(test, reason) {
+    this.results.skipped++;
+    this.categoryResults(test.category).skipped++;
+    await this.recordTest({
+      ...test,
+      status: "skipped",
+      duration: 0,
+      attempts: 0,
+      flaky: false,
+      error: null,
+      stack: null,
+      data: null,
+      skipReason: reason,
+    });
+    this.log(
+      `${COLORS.YELLOW}○ SKIPPED: ${test.name} (${reason})${COLORS.RESET}`
+    );
+    return null;
+  }
+
+  async recordTest(record) {
+    this.results.tests.push(record);
+    try {
+      await this.runHooks("afterEach", record);
+    } catch (error) {
+      this.log(
+        `${COLORS.YELLOW}⚠ afterEach hook failed: ${error.message}${COLORS.RESET}`
+      );
+    }
+  }
+
+  // `options` is a category name or { category, tags, skip, setup, readOnly,
+  // timeout, retries }. Setup tests run whatever the selection, since later
+  // tests depend on them. Only readOnly tests get the suite's retries, as a
+  // retry would resend transactions. `timeout` and `retries` override the
+  // suite's attempt settings for this test. Returns the test's result, or
+  // null when it failed, was skipped or wasn't selected.
+  async runTest(testName, testFunction, options = {}) {
+    const {
+      category = this.currentCategory,
+      tags = [],
+      skip = false,
+      setup = false,
+      readOnly = this.readOnly,
+      timeout = this.attemptSettings.timeout,
+      retries = readOnly ? this.attemptSettings.retries : 0,
+    } = typeof options === "string" ? { category: options } : options;
+    const test = { name: testName, suite: this.suiteName, category, tags };
+    this.reachedTests.add(testName);
+    if (!setup && !isSelected(test, this.selection)) {
+      return null;
+    }
+    if (this.listing) {
+      this.listing.push({ ...test, setup });
+      return null;
+    }
+
+    const counters = this.categoryResults(category);
+    const reason = this.skipReason({ ...test, skip });
+    if (reason) {
+      return this.recordSkip(test, reason);
+    }
+
+    const startTime = Date.now();
+    try {
+      this.log(`\n${COLORS.CYAN}Testing: ${testName}${COLORS.RESET}`);
+      await this.runHooks("beforeEach", test);
+      const { result, attempts } = await runWithRetries(
+        testFunction,
+        { ...this.attemptSettings, timeout, retries },
+        (error, attempt, delay) =>
+          this.log(
+            `  ${COLORS.YELLOW}Attempt ${attempt} failed: ${error.message}, retrying in ${delay}ms${COLORS.RESET}`
+          )
+      );
+      const duration = Date.now() - startTime;
+
+      const data = this.serializeTestData(result);
+      this.results.total++;
+      this.results.passed++;
+      counters.total++;
+      counters.passed++;
+      await this.recordTest({
+        ...test,
+        status: "passed",
+        duration,
+        attempts,
+        flaky: attempts > 1,
+        error: null,
+        stack: null,
+        data,
+      });
+      this.log(
+        `${COLORS.GREEN}✓ PASSED: ${testName} (${duration}ms)${
+          attempts > 1 ? ` - flaky, ${attempts} attempts` : ""
+        }${COLORS.RESET}`
+      );
+
+      if (this.verbose && data !== null) {
+        this.log(`  Result: ${JSON.stringify(data, null, 2)}`);
+      }
+
+      return result;
+    } catch (error) {
+      if (error instanceof TestSkipped) {
+        return this.recordSkip(test, error.message);
+      }
+
+      this.results.total++;
+      this.results.failed++;
+      counters.total++;
+      counters.failed++;
+      await this.recordTest({
+        ...test,
+        status: "failed",
+        duration: Date.now() - startTime,
+        attempts: error.attempts || 1,
+        flaky: false,
+        error: error.message,
+        stack: error.stack || null,
+        data: null,
+      });
+      this.log(`${COLORS.RED}✗ FAILED: ${testName}${COLORS.RESET}`);
+      this.log(`  Error: ${error.message}`, COLORS.RED);
+
+      if (this.verbose || this.debug) {
+        console.error(error);
+      }
+
+      return null;
+    }
+  }
+
+  // Checks the exit gates (GATE_* variables) against this run and prints
+  // them. `defaults` carries the tester's own thresholds, if any.
+  checkGates(defaults = {}) {
+    const settings = gateSettings(defaults);
+    // A must-pass test is this suite's when it is named "<suite>: <test>" or
+    // the suite reached it; those fail as "not run" when they didn't run. The
+    // rest belong to other suites and are left to them.
+    settings.mustPass = settings.mustPass.filter(
+      (name) =>
+        name.startsWith(`${this.suiteName}: `) || this.reachedTests.has(name)
+    );
+    const outcomes = evaluateGates(this.results, settings);
+    this.log(`\n${COLORS.BRIGHT}Gates:${COLORS.RESET}`);
+    for (const outcome of outcomes) {
+      this.log(
+        `  ${formatGate(outcome)}`,
+        outcome.passed ? COLORS.GREEN : COLORS.RED
+      );
+    }
+    return gatesPassed(outcomes);
+  }
+
+  // Returned data ends up in the result JSON, so BigInts become strings and
+  // values that can't be serialized are left out
+  serializeTestData(data) {
+    if (data === undefined) {
+      return null;
+    }
+    try {
+      return JSON.parse(
+        JSON.stringify(data, (key, value) =>
+          typeof value === "bigint" ? value.toString() : value
+        )
+      );
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+module.exports = { TestHarness, TestSkipped, COLORS };
@@ -0,0 +1,428 @@
+const { network } = require("hardhat");
+const { TestHarness, COLORS } = require("./test-harness");
+require("dotenv").config();
+
+// JSON-RPC 2.0 error codes
+const ERROR_CODES = {
+  PARSE_ERROR: -32700,
+  INVALID_REQUEST: -32600,
+  METHOD_NOT_FOUND: -32601,
+  INVALID_PARAMS: -32602,
+};
+
+// Protocol-level checks of the JSON-RPC endpoint: batches, notifications,
+// ids and the standard error codes. Requests are posted as raw HTTP bodies,
+// since ethers' provider.send only ever produces well-formed calls and hides
+// the response envelope.
+class JsonRpcConformanceTester extends TestHarness {
+  constructor() {
+    super("JSON-RPC Conformance", { readOnly: true });
+    this.url =
+      network.config.url || process.env.RPC_URL || "http://localhost:8545";
+  }
+
+  // Posts `body` as is. Returns the HTTP status, the raw text and the parsed
+  // JSON (null for an empty body).
+  async postRaw(body) {
+    const response = await fetch(this.url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body,
+    });
+    const text = await response.text();
+    let json = null;
+    if (text.trim() !== "") {
+      try {
+        json = JSON.parse(text);
+      } catch (error) {
+        throw new Error(
+          `Response is not JSON (HTTP ${response.status}): ${text.slice(
+            0,
+            200
+          )}`
+        );
+      }
+    }
+    return { status: response.status, text, json };
+  }
+
+  async post(payload) {
+    return this.postRaw(JSON.stringify(payload));
+  }
+
+  request(method, params = [], id = 1) {
+    return { jsonrpc: "2.0", id, method, params };
+  }
+
+  // A response object with the id and exactly one of result and error
+  expectEnvelope(response, id) {
+    if (!response || typeof response !== "object" || Array.isArray(response)) {
+      throw new Error(
+        `Expected a response object, got ${JSON.stringify(response)}`
+      );
+    }
+    if (response.jsonrpc !== "2.0") {
+      throw new Error(
+        `jsonrpc is ${JSON.stringify(response.jsonrpc)}, expected "2.0"`
+      );
+    }
+    if (response.id !== id) {
+      throw new Error(
+        `Response id is ${JSON.stringify(
+          response.id
+        )}, expected ${JSON.stringify(id)}`
+      );
+    }
+    if ("result" in response === "error" in response) {
+      throw new Error(
+        `Response must have exactly one of result and error: ${JSON.stringify(
+          response
+        )}`
+      );
+    }
+  }
+
+  expectResult(response, id) {
+    this.expectEnvelope(response, id);
+    if (response.error) {
+      throw new Error(
+        `Expected a result for id ${JSON.stringify(id)}, got error ${
+          response.error.code
+        }: ${response.error.message}`
+      );
+    }
+    return response.result;
+  }
+
+  expectError(response, id, code) {
+    this.expectEnvelope(response, id);
+    if (!response.error) {
+      throw new Error(
+        `Expected error ${code} for id ${JSON.stringify(
+          id
+        )}, got result ${JSON.stringify(response.result)}`
+      );
+    }
+    if (response.error.code !== code) {
+      throw new Error(
+        `Expected error ${code}, got ${response.error.code}: ${response.error.message}`
+      );
+    }
+    if (typeof response.error.message !== "string") {
+      throw new Error(`Error ${code} has no message`);
+    }
+    return response.error;
+  }
+
+  // The batch response entry for `id`; batch responses may come in any order
+  batchEntry(responses, id) {
+    const matches = responses.filter((response) => response.id === id);
+    if (matches.length !== 1) {
+      throw new Error(
+        `Expected one batch response with id ${JSON.stringify(id)}, got ${
+          matches.length
+        }`
+      );
+    }
+    return matches[0];
+  }
+
+  expectBatch(json, length) {
+    if (!Array.isArray(json)) {
+      throw new Error(
+        `Expected a batch response array, got ${JSON.stringify(json)}`
+      );
+    }
+    if (json.length !== length) {
+      throw new Error(
+        `Expected ${length} batch responses, got ${
+          json.length
+        }: ${JSON.stringify(json)}`
+      );
+    }
+    return json;
+  }
+
+  async testIdHandling() {
+    this.log(`\n${COLORS.BRIGHT}=== REQUEST IDS ===${COLORS.RESET}`);
+    this.currentCategory = "request-ids";
+
+    // Ids are echoed with their type: 1 and "1" are different ids
+    for (const id of [7, "1", "conformance-test", 0]) {
+      await this.runTest(
+        `Response id echoes ${typeof id} id ${JSON.stringify(id)}`,
+        async () => {
+          const { json } = await this.post(this.request("eth_chainId", [], id));
+          const chainId = this.expectResult(json, id);
+          return { id, chainId };
+        },
+        { tags: ["jsonrpc"] }
+      );
+    }
+  }
+
+  async testBatches() {
+    this.log(`\n${COLORS.BRIGHT}=== BATCH REQUESTS ===${COLORS.RESET}`);
+    this.currentCategory = "batch-requests";
+
+    // Test a batch of valid calls
+    await this.runTest(
+      "Batch of valid requests",
+      async () => {
+        const { json } = await this.post([
+          this.request("eth_blockNumber", [], 1),
+          this.request("eth_chainId", [], 2),
+          this.request("net_version", [], 3),
+        ]);
+        const responses = this.expectBatch(json, 3);
+
+        const blockNumber = this.expectResult(this.batchEntry(responses, 1), 1);
+        const chainId = this.expectResult(this.batchEntry(responses, 2), 2);
+        const netVersion = this.expectResult(this.batchEntry(responses, 3), 3);
+        if (BigInt(chainId).toString() !== String(netVersion)) {
+          throw new Error(
+            `eth_chainId ${chainId} and net_version ${netVersion} disagree in one batch`
+          );
+        }
+
+        return {
+          blockNumber: parseInt(blockNumber, 16),
+          chainId,
+          netVersion,
+          inOrder: responses.every((response, i) => response.id === i + 1),
+        };
+      },
+      { tags: ["jsonrpc"] }
+    );
+
+    // Test one bad entry failing on its own, without failing the batch
+    await this.runTest(
+      "Batch of valid and invalid requests",
+      async () => {
+        const { json } = await this.post([
+          this.request("eth_blockNumber", [], 1),
+          this.request("eth_noSuchMethod", [], 2),
+          this.request("eth_getBalance", ["not-an-address", "latest"], 3),
+          1,
+        ]);
+        const responses = this.expectBatch(json, 4);
+
+        this.expectResult(this.batchEntry(responses, 1), 1);
+        this.expectError(
+          this.batchEntry(responses, 2),
+          2,
+          ERROR_CODES.METHOD_NOT_FOUND
+        );
+        this.expectError(
+          this.batchEntry(responses, 3),
+          3,
+          ERROR_CODES.INVALID_PARAMS
+        );
+        // An entry that isn't a request object can't carry an id
+        this.expectError(
+          this.batchEntry(responses, null),
+          null,
+          ERROR_CODES.INVALID_REQUEST
+        );
+
+        return { responses: responses.length };
+      },
+      { tags: ["jsonrpc"] }
+    );
+
+    // Test an empty batch
+    await this.runTest(
+      "Empty batch",
+      async () => {
+        const { json } = await this.post([]);
+        // A single error object, not an array
+        const error = this.expectError(json, null, ERROR_CODES.INVALID_REQUEST);
+        return { code: error.code, message: error.message };
+      },
+      { tags: ["jsonrpc"] }
+    );
+  }
+
+  async testNotifications() {
+    this.log(`\n${COLORS.BRIGHT}=== NOTIFICATIONS ===${COLORS.RESET}`);
+    this.currentCategory = "notifications";
+
+    // Test a request without an id, which gets no response
+    await this.runTest(
+      "Notification gets no response",
+      async () => {
+        const { status, text } = await this.post({
+          jsonrpc: "2.0",
+          method: "eth_blockNumber",
+          params: [],
+        });
+        if (text.trim() !== "") {
+          throw new Error(
+            `Expected an empty body for a notification, got HTTP ${status}: ${text.slice(
+              0,
+              200
+            )}`
+          );
+        }
+        return { status };
+      },
+      { tags: ["jsonrpc"] }
+    );
+
+    // Test a notification inside a batch, which gets no entry
+    await this.runTest(
+      "Notification in a batch gets no entry",
+      async () => {
+        const { json } = await this.post([
+          { jsonrpc: "2.0", method: "eth_blockNumber", params: [] },
+          this.request("eth_chainId", [], 1),
+        ]);
+        const responses = this.expectBatch(json, 1);
+        this.expectResult(this.batchEntry(responses, 1), 1);
+        return { responses: responses.length };
+      },
+      { tags: ["jsonrpc"] }
+    );
+  }
+
+  async testErrorCodes() {
+    this.log(`\n${COLORS.BRIGHT}=== ERROR CODES ===${COLORS.RESET}`);
+    this.currentCategory = "error-codes";
+
+    const cases = [
+      {
+        name: "Malformed JSON (-32700)",
+        body: '{"jsonrpc":"2.0","id":1,"method":"eth_blockNumber",',
+        id: null,
+        code: ERROR_CODES.PARSE_ERROR,
+      },
+      {
+        name: "Malformed JSON batch (-32700)",
+        body: '[{"jsonrpc":"2.0","id":1,"method":"eth_blockNumber"},{"jsonrpc":',
+        id: null,
+        code: ERROR_CODES.PARSE_ERROR,
+      },
+      {
+        name: "Request without method (-32600)",
+        body: JSON.stringify({ jsonrpc: "2.0", id: 1, params: [] }),
+        id: 1,
+        code: ERROR_CODES.INVALID_REQUEST,
+      },
+      {
+        name: "Request that isn't an object (-32600)",
+        body: "1",
+        id: null,
+        code: ERROR_CODES.INVALID_REQUEST,
+      },
+      {
+        name: "Unknown method (-32601)",
+        body: JSON.stringify(this.request("eth_noSuchMethod", [], 1)),
+        id: 1,
+        code: ERROR_CODES.METHOD_NOT_FOUND,
+      },
+      {
+        name: "Invalid address param (-32602)",
+        body: JSON.stringify(
+          this.request("eth_getBalance", ["not-an-address", "latest"], 1)
+        ),
+        id: 1,
+        code: ERROR_CODES.INVALID_PARAMS,
+      },
+      {
+        name: "Wrong param type (-32602)",
+        body: JSON.stringify(
+          this.request("eth_getBlockByNumber", ["latest", "yes"], 1)
+        ),
+        id: 1,
+        code: ERROR_CODES.INVALID_PARAMS,
+      },
+      {
+        name: "Missing required param (-32602)",
+        body: JSON.stringify(this.request("eth_getBalance", [], 1)),
+        id: 1,
+        code: ERROR_CODES.INVALID_PARAMS,
+      },
+    ];
+
+    for (const { name, body, id, code } of cases) {
+      await this.runTest(
+        name,
+        async () => {
+          const { status, json } = await this.postRaw(body);
+          const error = this.expectError(json, id, code);
+          return { status, code: error.code, message: error.message };
+        },
+        { tags: ["jsonrpc"] }
+      );
+    }
+  }
+
+  async runAllTests() {
+    this.log(
+      `${COLORS.BRIGHT}${COLORS.BLUE}Starting JSON-RPC conformance testing...${COLORS.RESET}`
+    );
+    this.log(`Endpoint: ${this.url}`);
+
+    const startTime = Date.now();
+
+    await this.runSuite(async () => {
+      await this.testIdHandling();
+      await this.testBatches();
+      await this.testNotifications();
+      await this.testErrorCodes();
+    });
+
+    const duration = Date.now() - startTime;
+
+    this.log(`\n${COLORS.BRIGHT}=== TEST SUMMARY ===${COLORS.RESET}`);
+    this.log(`${COLORS.GREEN}Passed: ${this.results.passed}${COLORS.RESET}`);
+    this.log(`${COLORS.RED}Failed: ${this.results.failed}${COLORS.RESET}`);
+    this.log(`${COLORS.CYAN}Total: ${this.results.total}${COLORS.RESET}`);
+    this.log(`${COLORS.YELLOW}Duration: ${duration}ms${COLORS.RESET}`);
+
+    const successRate =
+      this.results.total > 0
+        ? ((this.results.passed / this.results.total) * 100).toFixed(1)
+        : "0.0";
+    this.log(`${COLORS.BRIGHT}Success Rate: ${successRate}%${COLORS.RESET}`);
+
+    return {
+      passed: this.results.passed,
+      failed: this.results.failed,
+      total: this.results.total,
+      successRate: parseFloat(successRate),
+      duration,
+      tests: this.results.tests,
+    };
+  }
+}
+
+async function main() {
+  try {
+    const tester = new JsonRpcConformanceTester();
+    if (tester.selection.list) {
+      await tester.printTestList();
+      return;
+    }
+    await tester.runAllTests();
+
+    if (!tester.checkGates()) {
+      process.exit(1);
+    }
+  } catch (error) {
+    console.error(
+      `${COLORS.RED}Fatal error during JSON-RPC conformance testing:${COLORS.RESET}`,
+      error
+    );
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
+}
+
+module.exports = { JsonRpcConformanceTester, ERROR_CODES };
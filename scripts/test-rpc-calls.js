@@ -1,175 +1,183 @@
 const { ethers } = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const { TestHarness, TestSkipped, COLORS } = require("./test-harness");
+const { upgradeHeight } = require("./upgrade-height");
 require("dotenv").config();
 
-const COLORS = {
-  RESET: "\x1b[0m",
-  BRIGHT: "\x1b[1m",
-  GREEN: "\x1b[32m",
-  RED: "\x1b[31m",
-  YELLOW: "\x1b[33m",
-  BLUE: "\x1b[34m",
-  CYAN: "\x1b[36m",
-};
-
-class RPCTester {
-  constructor() {
-    this.provider = ethers.provider;
-    this.results = {
-      passed: 0,
-      failed: 0,
-      total: 0,
-    };
-    this.verbose = process.env.VERBOSE === "true";
-  }
+// Reason of the reverts the tracer tests trace
+const TRACE_REVERT_REASON = "trace revert test";
 
-  log(message, color = COLORS.RESET) {
-    console.log(`${color}${message}${COLORS.RESET}`);
-  }
-
-  async runTest(testName, testFunction) {
-    this.results.total++;
-    try {
-      this.log(`\n${COLORS.CYAN}Testing: ${testName}${COLORS.RESET}`);
-      const startTime = Date.now();
-      const result = await testFunction();
-      const duration = Date.now() - startTime;
+// Iterations of the traced gasIntensiveLoop call
+const TRACE_LOOP_ITERATIONS = 25;
 
-      this.results.passed++;
-      this.log(
-        `${COLORS.GREEN}✓ PASSED: ${testName} (${duration}ms)${COLORS.RESET}`
-      );
+// Blocks the historical state tests produce and record
+const HISTORY_BLOCKS = 3;
 
-      if (this.verbose && result !== undefined) {
-        this.log(`  Result: ${JSON.stringify(result, null, 2)}`);
-      }
+// Storage slot of TestContract.counter
+const COUNTER_SLOT = 0;
 
-      return result;
-    } catch (error) {
-      this.results.failed++;
-      this.log(`${COLORS.RED}✗ FAILED: ${testName}${COLORS.RESET}`);
-      this.log(`  Error: ${error.message}`, COLORS.RED);
+// Recorded block states kept in the history file, newest last, so soak runs
+// don't grow it without bound
+const HISTORY_MAX_ENTRIES = 200;
 
-      if (this.verbose) {
-        console.error(error);
-      }
-    }
+class RPCTester extends TestHarness {
+  constructor() {
+    super("RPC Calls");
+    this.provider = ethers.provider;
+    // Block states recorded by every run, so runs after an upgrade can query
+    // the heights before it
+    this.historyFile =
+      process.env.HISTORY_STATE_FILE ||
+      path.join(__dirname, "..", "test-results", "historical-state.json");
   }
 
   async testBasicRPCCalls() {
     this.log(`\n${COLORS.BRIGHT}=== BASIC RPC CALLS ===${COLORS.RESET}`);
+    this.currentCategory = "basic-rpc-calls";
 
     // Test eth_blockNumber
-    await this.runTest("eth_blockNumber", async () => {
-      const blockNumber = await this.provider.getBlockNumber();
-      if (typeof blockNumber !== "number" || blockNumber < 0) {
-        throw new Error(`Invalid block number: ${blockNumber}`);
-      }
-      return { blockNumber };
-    });
+    await this.runTest(
+      "eth_blockNumber",
+      async () => {
+        const blockNumber = await this.provider.getBlockNumber();
+        if (typeof blockNumber !== "number" || blockNumber < 0) {
+          throw new Error(`Invalid block number: ${blockNumber}`);
+        }
+        return { blockNumber };
+      },
+      { tags: ["smoke"], readOnly: true }
+    );
 
     // Test eth_chainId
-    await this.runTest("eth_chainId", async () => {
-      const network = await this.provider.getNetwork();
-      const chainId = network.chainId;
-      if (typeof chainId !== "bigint" && typeof chainId !== "number") {
-        throw new Error(`Invalid chain ID: ${chainId}`);
-      }
-      return { chainId: chainId.toString() };
-    });
-
-    // Test eth_gasPrice
-    await this.runTest("eth_gasPrice", async () => {
-      try {
-        // Try getFeeData first (ethers v6 approach)
-        const feeData = await this.provider.getFeeData();
-        if (feeData.gasPrice) {
-          return { gasPrice: feeData.gasPrice.toString() };
+    await this.runTest(
+      "eth_chainId",
+      async () => {
+        const network = await this.provider.getNetwork();
+        const chainId = network.chainId;
+        if (typeof chainId !== "bigint" && typeof chainId !== "number") {
+          throw new Error(`Invalid chain ID: ${chainId}`);
         }
+        return { chainId: chainId.toString() };
+      },
+      { tags: ["smoke"], readOnly: true }
+    );
 
-        // Fallback to direct RPC call
-        const gasPrice = await this.provider.send("eth_gasPrice", []);
-        const gasPriceBigInt = BigInt(gasPrice);
-        if (gasPriceBigInt <= 0) {
-          throw new Error(`Invalid gas price: ${gasPrice}`);
+    // Test eth_gasPrice
+    await this.runTest(
+      "eth_gasPrice",
+      async () => {
+        try {
+          // Try getFeeData first (ethers v6 approach)
+          const feeData = await this.provider.getFeeData();
+          if (feeData.gasPrice) {
+            return { gasPrice: feeData.gasPrice.toString() };
+          }
+
+          // Fallback to direct RPC call
+          const gasPrice = await this.provider.send("eth_gasPrice", []);
+          const gasPriceBigInt = BigInt(gasPrice);
+          if (gasPriceBigInt <= 0) {
+            throw new Error(`Invalid gas price: ${gasPrice}`);
+          }
+          return { gasPrice: gasPriceBigInt.toString() };
+        } catch (error) {
+          // If gas price methods fail, try alternative approach
+          const gasPrice = await this.provider.send("eth_gasPrice", []);
+          return { gasPrice: BigInt(gasPrice).toString() };
         }
-        return { gasPrice: gasPriceBigInt.toString() };
-      } catch (error) {
-        // If gas price methods fail, try alternative approach
-        const gasPrice = await this.provider.send("eth_gasPrice", []);
-        return { gasPrice: BigInt(gasPrice).toString() };
-      }
-    });
+      },
+      { readOnly: true }
+    );
 
     // Test eth_getBalance
-    await this.runTest("eth_getBalance", async () => {
-      const accounts = await ethers.getSigners();
-      if (accounts.length === 0) {
-        throw new Error("No accounts available");
-      }
+    await this.runTest(
+      "eth_getBalance",
+      async () => {
+        const accounts = await ethers.getSigners();
+        if (accounts.length === 0) {
+          throw new Error("No accounts available");
+        }
 
-      const balance = await this.provider.getBalance(accounts[0].address);
-      return {
-        address: accounts[0].address,
-        balance: balance.toString(),
-        balanceInEth: ethers.formatEther(balance),
-      };
-    });
+        const balance = await this.provider.getBalance(accounts[0].address);
+        return {
+          address: accounts[0].address,
+          balance: balance.toString(),
+          balanceInEth: ethers.formatEther(balance),
+        };
+      },
+      { tags: ["smoke"], readOnly: true }
+    );
 
     // Test eth_getTransactionCount
-    await this.runTest("eth_getTransactionCount", async () => {
-      const accounts = await ethers.getSigners();
-      const nonce = await this.provider.getTransactionCount(
-        accounts[0].address
-      );
-      return {
-        address: accounts[0].address,
-        nonce,
-      };
-    });
+    await this.runTest(
+      "eth_getTransactionCount",
+      async () => {
+        const accounts = await ethers.getSigners();
+        const nonce = await this.provider.getTransactionCount(
+          accounts[0].address
+        );
+        return {
+          address: accounts[0].address,
+          nonce,
+        };
+      },
+      { readOnly: true }
+    );
 
     // Test eth_getCode
-    await this.runTest("eth_getCode", async () => {
-      // Test with EOA (should return 0x)
-      const accounts = await ethers.getSigners();
-      const code = await this.provider.getCode(accounts[0].address);
-      return {
-        address: accounts[0].address,
-        code,
-        isContract: code !== "0x",
-      };
-    });
+    await this.runTest(
+      "eth_getCode",
+      async () => {
+        // Test with EOA (should return 0x)
+        const accounts = await ethers.getSigners();
+        const code = await this.provider.getCode(accounts[0].address);
+        return {
+          address: accounts[0].address,
+          code,
+          isContract: code !== "0x",
+        };
+      },
+      { readOnly: true }
+    );
   }
 
   async testBlockAndTransactionRPCs() {
     this.log(
       `\n${COLORS.BRIGHT}=== BLOCK AND TRANSACTION RPC CALLS ===${COLORS.RESET}`
     );
+    this.currentCategory = "block-and-transaction-rpc-calls";
 
     let latestBlock;
 
     // Test eth_getBlockByNumber
-    await this.runTest("eth_getBlockByNumber", async () => {
-      const blockNumber = await this.provider.getBlockNumber();
-      const block = await this.provider.getBlock(blockNumber);
-      latestBlock = block;
-
-      if (!block) {
-        throw new Error(`Could not fetch block ${blockNumber}`);
-      }
+    await this.runTest(
+      "eth_getBlockByNumber",
+      async () => {
+        const blockNumber = await this.provider.getBlockNumber();
+        const block = await this.provider.getBlock(blockNumber);
+        latestBlock = block;
+
+        if (!block) {
+          throw new Error(`Could not fetch block ${blockNumber}`);
+        }
 
-      return {
-        number: block.number,
-        hash: block.hash,
-        timestamp: block.timestamp,
-        gasLimit: block.gasLimit.toString(),
-        gasUsed: block.gasUsed.toString(),
-        transactionCount: block.transactions.length,
-      };
-    });
+        return {
+          number: block.number,
+          hash: block.hash,
+          timestamp: block.timestamp,
+          gasLimit: block.gasLimit.toString(),
+          gasUsed: block.gasUsed.toString(),
+          transactionCount: block.transactions.length,
+        };
+      },
+      { setup: true, readOnly: true }
+    );
 
     // Test eth_getBlockByHash
-    if (latestBlock) {
-      await this.runTest("eth_getBlockByHash", async () => {
+    await this.runTest(
+      "eth_getBlockByHash",
+      async () => {
         const block = await this.provider.getBlock(latestBlock.hash);
         if (!block || block.hash !== latestBlock.hash) {
           throw new Error(`Block hash mismatch or block not found`);
@@ -180,68 +188,86 @@ class RPCTester {
           hash: block.hash,
           parentHash: block.parentHash,
         };
-      });
-    }
+      },
+      {
+        readOnly: true,
+        skip: !latestBlock && "eth_getBlockByNumber returned no block",
+      }
+    );
 
     // Test with transaction details
-    await this.runTest("eth_getBlockByNumber (with transactions)", async () => {
-      const blockNumber = await this.provider.getBlockNumber();
-      const block = await this.provider.getBlock(blockNumber, true);
+    await this.runTest(
+      "eth_getBlockByNumber (with transactions)",
+      async () => {
+        const blockNumber = await this.provider.getBlockNumber();
+        const block = await this.provider.getBlock(blockNumber, true);
 
-      return {
-        number: block.number,
-        transactionCount: block.transactions.length,
-        hasTransactionDetails:
-          block.transactions.length > 0
-            ? typeof block.transactions[0] === "object"
-            : false,
-      };
-    });
+        return {
+          number: block.number,
+          transactionCount: block.transactions.length,
+          hasTransactionDetails:
+            block.transactions.length > 0
+              ? typeof block.transactions[0] === "object"
+              : false,
+        };
+      },
+      { readOnly: true }
+    );
 
     // Test eth_getStorageAt
-    await this.runTest("eth_getStorageAt", async () => {
-      const accounts = await ethers.getSigners();
-      const storage = await this.provider.getStorage(accounts[0].address, 0);
+    await this.runTest(
+      "eth_getStorageAt",
+      async () => {
+        const accounts = await ethers.getSigners();
+        const storage = await this.provider.getStorage(accounts[0].address, 0);
 
-      return {
-        address: accounts[0].address,
-        position: 0,
-        value: storage,
-      };
-    });
+        return {
+          address: accounts[0].address,
+          position: 0,
+          value: storage,
+        };
+      },
+      { readOnly: true }
+    );
   }
 
   async testTransactionRPCs() {
     this.log(`\n${COLORS.BRIGHT}=== TRANSACTION RPC CALLS ===${COLORS.RESET}`);
+    this.currentCategory = "transaction-rpc-calls";
 
     let txHash;
 
     // Create a test transaction
-    await this.runTest("Create test transaction", async () => {
-      const accounts = await ethers.getSigners();
-      const signer = accounts[0];
+    await this.runTest(
+      "Create test transaction",
+      async () => {
+        const accounts = await ethers.getSigners();
+        const signer = accounts[0];
 
-      // Send a small amount to self
-      const tx = await signer.sendTransaction({
-        to: signer.address,
-        value: ethers.parseEther("0.001"),
-        gasLimit: 21000,
-      });
+        // Send a small amount to self
+        const tx = await signer.sendTransaction({
+          to: signer.address,
+          value: ethers.parseEther("0.001"),
+          gasLimit: 21000,
+        });
 
-      txHash = tx.hash;
-      await tx.wait();
+        txHash = tx.hash;
+        await tx.wait();
 
-      return {
-        hash: tx.hash,
-        from: tx.from,
-        to: tx.to,
-        value: tx.value.toString(),
-      };
-    });
+        return {
+          hash: tx.hash,
+          from: tx.from,
+          to: tx.to,
+          value: tx.value.toString(),
+        };
+      },
+      { setup: true }
+    );
 
     // Test eth_getTransactionByHash
-    if (txHash) {
-      await this.runTest("eth_getTransactionByHash", async () => {
+    await this.runTest(
+      "eth_getTransactionByHash",
+      async () => {
         const tx = await this.provider.getTransaction(txHash);
         if (!tx) {
           throw new Error(`Transaction not found: ${txHash}`);
@@ -255,10 +281,14 @@ class RPCTester {
           gasLimit: tx.gasLimit.toString(),
           gasPrice: tx.gasPrice?.toString(),
         };
-      });
+      },
+      { skip: !txHash && "no test transaction was created" }
+    );
 
-      // Test eth_getTransactionReceipt
-      await this.runTest("eth_getTransactionReceipt", async () => {
+    // Test eth_getTransactionReceipt
+    await this.runTest(
+      "eth_getTransactionReceipt",
+      async () => {
         const receipt = await this.provider.getTransactionReceipt(txHash);
         if (!receipt) {
           throw new Error(`Transaction receipt not found: ${txHash}`);
@@ -271,8 +301,9 @@ class RPCTester {
           status: receipt.status,
           logs: receipt.logs.length,
         };
-      });
-    }
+      },
+      { skip: !txHash && "no test transaction was created" }
+    );
 
     // Test eth_estimateGas
     await this.runTest("eth_estimateGas", async () => {
@@ -323,6 +354,7 @@ class RPCTester {
     this.log(
       `\n${COLORS.BRIGHT}=== FILTER AND LOG RPC CALLS ===${COLORS.RESET}`
     );
+    this.currentCategory = "filter-and-log-rpc-calls";
 
     // Test eth_newFilter
     await this.runTest("eth_newFilter", async () => {
@@ -372,257 +404,1368 @@ class RPCTester {
         logsFound: logs.length,
       };
     });
-  }
-
-  async testNetAndWebRPCs() {
-    this.log(`\n${COLORS.BRIGHT}=== NET AND WEB3 RPC CALLS ===${COLORS.RESET}`);
 
-    // Test net_version (via getNetwork)
-    await this.runTest("net_version", async () => {
-      const network = await this.provider.getNetwork();
-      return {
-        chainId: network.chainId.toString(),
-        name: network.name,
+    // Test eth_getLogs with OR-arrays: alternatives for topic0, and for
+    // topic1 behind a null wildcard
+    await this.runTest("eth_getLogs (topic OR-array)", async () => {
+      const contract = await this.getTestContract();
+      const { receipts, fromBlock, toBlock } = await this.getTestEvents();
+      const [signer] = await ethers.getSigners();
+      const base = {
+        address: await contract.getAddress(),
+        fromBlock: ethers.toQuantity(fromBlock),
+        toBlock: ethers.toQuantity(toBlock),
       };
+
+      const checks = [
+        {
+          topics: [
+            [
+              this.eventTopic("CounterIncremented"),
+              this.eventTopic("MessageUpdated"),
+            ],
+          ],
+          expected: ["CounterIncremented", "MessageUpdated"],
+        },
+        {
+          topics: [
+            null,
+            [
+              ethers.zeroPadValue(ethers.ZeroAddress, 32),
+              ethers.zeroPadValue(signer.address, 32),
+            ],
+          ],
+          expected: ["CounterIncremented", "Transfer"],
+        },
+      ];
+
+      const found = [];
+      for (const { topics, expected } of checks) {
+        const logs = await this.provider.send("eth_getLogs", [
+          { ...base, topics },
+        ]);
+        const events = logs
+          .map((log) => contract.interface.parseLog(log).name)
+          .sort();
+        if (events.join(",") !== expected.join(",")) {
+          throw new Error(
+            `Topics ${JSON.stringify(topics)} matched [${events.join(
+              ", "
+            )}], expected [${expected.join(", ")}]`
+          );
+        }
+        const hashes = expected.map((name) => receipts[name].hash);
+        if (!logs.every((log) => hashes.includes(log.transactionHash))) {
+          throw new Error(
+            `Topics ${JSON.stringify(
+              topics
+            )} matched logs of other transactions`
+          );
+        }
+        found.push(events);
+      }
+
+      return { fromBlock, toBlock, matched: found };
     });
 
-    // Test web3_clientVersion
-    await this.runTest("web3_clientVersion", async () => {
+    // Test eth_getLogs by block hash, which excludes a block range
+    await this.runTest("eth_getLogs (blockHash)", async () => {
+      const contract = await this.getTestContract();
+      const { receipts } = await this.getTestEvents();
+      const receipt = receipts.CounterIncremented;
+      const address = await contract.getAddress();
+
+      const logs = await this.provider.send("eth_getLogs", [
+        { blockHash: receipt.blockHash, address },
+      ]);
+      if (!logs.some((log) => log.transactionHash === receipt.hash)) {
+        throw new Error(
+          `Log of ${receipt.hash} missing from block ${receipt.blockHash}`
+        );
+      }
+      const stray = logs.filter((log) => log.blockHash !== receipt.blockHash);
+      if (stray.length > 0) {
+        throw new Error(
+          `${stray.length} log(s) from other blocks, e.g. ${stray[0].blockHash}`
+        );
+      }
+
+      let conflictRejected = false;
       try {
-        const version = await this.provider.send("web3_clientVersion", []);
-        return { clientVersion: version };
+        await this.provider.send("eth_getLogs", [
+          {
+            blockHash: receipt.blockHash,
+            fromBlock: ethers.toQuantity(receipt.blockNumber),
+            address,
+          },
+        ]);
       } catch (error) {
-        if (
-          error.message.includes("not supported") ||
-          error.message.includes("not found")
-        ) {
+        conflictRejected = true;
+      }
+      if (!conflictRejected) {
+        throw new Error(
+          "eth_getLogs accepted blockHash together with fromBlock"
+        );
+      }
+
+      return {
+        blockHash: receipt.blockHash,
+        blockNumber: receipt.blockNumber,
+        logsFound: logs.length,
+      };
+    });
+
+    // Test the eth_getLogs block range limit. With LOG_BLOCK_RANGE_LIMIT
+    // (the largest toBlock - fromBlock the node accepts) both sides of the
+    // limit are checked; without it, a full-range query must either succeed
+    // or be refused with a range error.
+    await this.runTest("eth_getLogs (block range limit)", async () => {
+      const contract = await this.getTestContract();
+      const address = await contract.getAddress();
+      const latestBlock = await this.provider.getBlockNumber();
+      const limit = parseInt(process.env.LOG_BLOCK_RANGE_LIMIT);
+      const getLogs = (fromBlock) =>
+        this.provider.send("eth_getLogs", [
+          {
+            address,
+            fromBlock: ethers.toQuantity(fromBlock),
+            toBlock: ethers.toQuantity(latestBlock),
+          },
+        ]);
+
+      if (Number.isNaN(limit)) {
+        try {
+          const logs = await getLogs(0);
+          return {
+            fromBlock: 0,
+            toBlock: latestBlock,
+            limited: false,
+            logsFound: logs.length,
+          };
+        } catch (error) {
+          if (!/range|limit|exceed|too (many|large)/i.test(error.message)) {
+            throw error;
+          }
           return {
-            result: "web3_clientVersion not supported (this is normal)",
+            fromBlock: 0,
+            toBlock: latestBlock,
+            limited: true,
+            error: error.message,
           };
         }
-        throw error;
       }
-    });
 
-    // Test net_listening
-    await this.runTest("net_listening", async () => {
+      if (latestBlock < limit + 1) {
+        throw new TestSkipped(
+          `chain is at block ${latestBlock}, inside the ${limit}-block range limit`
+        );
+      }
+      const logs = await getLogs(latestBlock - limit);
+      let refusal = null;
       try {
-        const listening = await this.provider.send("net_listening", []);
-        return { listening };
+        await getLogs(latestBlock - limit - 1);
       } catch (error) {
-        if (
-          error.message.includes("not supported") ||
-          error.message.includes("not found")
-        ) {
-          return { result: "net_listening not supported (this is normal)" };
-        }
-        throw error;
+        refusal = error.message;
       }
+      if (!refusal) {
+        throw new Error(
+          `A ${
+            limit + 1
+          }-block range was accepted, above LOG_BLOCK_RANGE_LIMIT=${limit}`
+        );
+      }
+
+      return { limit, logsAtLimit: logs.length, refusal };
     });
+  }
 
-    // Test net_peerCount
-    await this.runTest("net_peerCount", async () => {
-      try {
-        const peerCount = await this.provider.send("net_peerCount", []);
-        return { peerCount };
-      } catch (error) {
-        if (
-          error.message.includes("not supported") ||
-          error.message.includes("not found")
-        ) {
-          return { result: "net_peerCount not supported (this is normal)" };
-        }
+  // A TestContract for the filter and log tests, deployed once
+  async getTestContract() {
+    if (!this.testContract) {
+      const TestContract = await ethers.getContractFactory("TestContract");
+      const contract = await TestContract.deploy();
+      await contract.waitForDeployment();
+      this.testContract = contract;
+    }
+    return this.testContract;
+  }
+
+  // One CounterIncremented, MessageUpdated and Transfer (from deposit())
+  // each, in that order, sent once. Returns their receipts keyed by event
+  // and the block range they span.
+  async getTestEvents() {
+    if (!this.testEvents) {
+      const contract = await this.getTestContract();
+      const receipts = {
+        CounterIncremented: await (await contract.incrementCounter()).wait(),
+        MessageUpdated: await (await contract.setMessage("filter test")).wait(),
+        Transfer: await (
+          await contract.deposit({ value: ethers.parseEther("0.0001") })
+        ).wait(),
+      };
+      this.testEvents = {
+        receipts,
+        fromBlock: receipts.CounterIncremented.blockNumber,
+        toBlock: receipts.Transfer.blockNumber,
+      };
+    }
+    return this.testEvents;
+  }
+
+  eventTopic(eventName) {
+    return this.testContract.interface.getEvent(eventName).topicHash;
+  }
+
+  // Polls eth_getFilterChanges until `predicate` accepts everything returned
+  // so far; each poll only returns what is new since the previous one
+  async pollFilterChanges(filterId, predicate, polls = 20) {
+    let changes = [];
+    for (let i = 0; i < polls; i++) {
+      changes = changes.concat(
+        await this.provider.send("eth_getFilterChanges", [filterId])
+      );
+      if (predicate(changes)) {
+        return changes;
+      }
+      await new Promise((resolve) => setTimeout(resolve, 500));
+    }
+    throw new Error(
+      `Filter ${filterId} returned ${changes.length} change(s) in ${polls} polls, not the expected ones`
+    );
+  }
+
+  async uninstallFilterQuietly(filterId) {
+    try {
+      await this.provider.send("eth_uninstallFilter", [filterId]);
+    } catch (error) {
+      this.log(
+        `  ${COLORS.YELLOW}⚠ eth_uninstallFilter failed for ${filterId}: ${error.message}${COLORS.RESET}`
+      );
+    }
+  }
+
+  // A removed filter is either refused or, on some nodes, answered with null
+  async expectFilterGone(filterId) {
+    let changes;
+    try {
+      changes = await this.provider.send("eth_getFilterChanges", [filterId]);
+    } catch (error) {
+      if (!/not found|filter/i.test(error.message)) {
         throw error;
       }
-    });
+      return error.message;
+    }
+    if (changes !== null) {
+      throw new Error(
+        `Filter ${filterId} still answers eth_getFilterChanges: ${JSON.stringify(
+          changes
+        )}`
+      );
+    }
+    return "null";
   }
 
-  async testDebugAndTraceRPCs() {
+  async testFilterLifecycleRPCs() {
     this.log(
-      `\n${COLORS.BRIGHT}=== DEBUG AND TRACE RPC CALLS ===${COLORS.RESET}`
+      `\n${COLORS.BRIGHT}=== FILTER LIFECYCLE RPC CALLS ===${COLORS.RESET}`
     );
+    this.currentCategory = "filter-lifecycle-rpc-calls";
 
-    // Test debug_traceTransaction (if supported)
-    await this.runTest("debug_traceTransaction", async () => {
+    // Test eth_newBlockFilter: a new block is reported by exactly one poll
+    await this.runTest("eth_newBlockFilter", async () => {
+      const filterId = await this.provider.send("eth_newBlockFilter", []);
       try {
-        // Create a simple transaction first
-        const accounts = await ethers.getSigners();
-        const signer = accounts[0];
-
+        const [signer] = await ethers.getSigners();
         const tx = await signer.sendTransaction({
           to: signer.address,
           value: ethers.parseEther("0.001"),
         });
+        const receipt = await tx.wait();
 
-        await tx.wait();
-
-        const trace = await this.provider.send("debug_traceTransaction", [
-          tx.hash,
+        const changes = await this.pollFilterChanges(filterId, (hashes) =>
+          hashes.includes(receipt.blockHash)
+        );
+        const next = await this.provider.send("eth_getFilterChanges", [
+          filterId,
         ]);
+        if (next.includes(receipt.blockHash)) {
+          throw new Error(
+            `Block ${receipt.blockHash} was reported by two polls`
+          );
+        }
+
         return {
-          transactionHash: tx.hash,
-          traceSupported: true,
-          gasUsed: trace.gas,
+          filterId,
+          blockHash: receipt.blockHash,
+          blocksReported: changes.length,
         };
-      } catch (error) {
-        if (
-          error.message.includes("not supported") ||
-          error.message.includes("not found")
-        ) {
-          return {
-            result: "debug_traceTransaction not supported (this is normal)",
-          };
-        }
-        throw error;
+      } finally {
+        await this.uninstallFilterQuietly(filterId);
       }
     });
 
-    // Test trace_transaction (if supported)
-    await this.runTest("trace_transaction", async () => {
+    // Test eth_newPendingTransactionFilter
+    await this.runTest("eth_newPendingTransactionFilter", async () => {
+      const filterId = await this.callCapability(
+        "method",
+        "eth_newPendingTransactionFilter",
+        () => this.provider.send("eth_newPendingTransactionFilter", [])
+      );
       try {
-        const accounts = await ethers.getSigners();
-        const signer = accounts[0];
-
+        const [signer] = await ethers.getSigners();
         const tx = await signer.sendTransaction({
           to: signer.address,
           value: ethers.parseEther("0.001"),
         });
-
+        const changes = await this.pollFilterChanges(filterId, (hashes) =>
+          hashes.includes(tx.hash)
+        );
         await tx.wait();
 
-        const trace = await this.provider.send("trace_transaction", [tx.hash]);
         return {
+          filterId,
           transactionHash: tx.hash,
-          traceSupported: true,
-          traceLength: Array.isArray(trace) ? trace.length : 1,
+          transactionsReported: changes.length,
         };
-      } catch (error) {
-        if (
-          error.message.includes("not supported") ||
-          error.message.includes("not found")
-        ) {
-          return { result: "trace_transaction not supported (this is normal)" };
-        }
-        throw error;
+      } finally {
+        await this.uninstallFilterQuietly(filterId);
       }
     });
-  }
-
-  async testEIP1559RPCs() {
-    this.log(`\n${COLORS.BRIGHT}=== EIP-1559 RPC CALLS ===${COLORS.RESET}`);
 
-    // Test eth_feeHistory
-    await this.runTest("eth_feeHistory", async () => {
+    // Test eth_getFilterChanges on a log filter across several polls: each
+    // poll returns the events since the previous one, in order, once
+    await this.runTest("eth_getFilterChanges (logs)", async () => {
+      const contract = await this.getTestContract();
+      const filterId = await this.provider.send("eth_newFilter", [
+        {
+          address: await contract.getAddress(),
+          topics: [this.eventTopic("CounterIncremented")],
+        },
+      ]);
       try {
-        const feeHistory = await this.provider.send("eth_feeHistory", [
-          "0x4", // 4 blocks
-          "latest",
-          [25, 50, 75], // percentiles
-        ]);
+        const increment = async () =>
+          (await contract.incrementCounter()).wait();
+        const describe = (logs) =>
+          logs.map((log) => log.transactionHash).join(", ");
+
+        const first = [await increment(), await increment()];
+        const firstPoll = await this.pollFilterChanges(
+          filterId,
+          (logs) => logs.length >= first.length
+        );
+        const expected = first.map((receipt) => receipt.hash).join(", ");
+        if (describe(firstPoll) !== expected) {
+          throw new Error(
+            `First poll returned [${describe(
+              firstPoll
+            )}], expected [${expected}]`
+          );
+        }
 
-        return {
-          blockCount: feeHistory.baseFeePerGas?.length || 0,
-          hasBaseFee: !!feeHistory.baseFeePerGas,
-          hasReward: !!feeHistory.reward,
-        };
-      } catch (error) {
+        const second = await increment();
+        const secondPoll = await this.pollFilterChanges(
+          filterId,
+          (logs) => logs.length >= 1
+        );
         if (
-          error.message.includes("not supported") ||
-          error.message.includes("not found")
+          secondPoll.length !== 1 ||
+          secondPoll[0].transactionHash !== second.hash
         ) {
-          return { result: "eth_feeHistory not supported (pre-EIP1559 chain)" };
+          throw new Error(
+            `Second poll returned [${describe(secondPoll)}], expected only ${
+              second.hash
+            }`
+          );
         }
-        throw error;
-      }
-    });
 
-    // Test eth_maxPriorityFeePerGas
-    await this.runTest("eth_maxPriorityFeePerGas", async () => {
-      try {
-        const maxPriorityFee = await this.provider.send(
-          "eth_maxPriorityFeePerGas",
-          []
+        const values = [...firstPoll, ...secondPoll].map(
+          (log) => contract.interface.parseLog(log).args.newValue
         );
-        return { maxPriorityFeePerGas: maxPriorityFee };
-      } catch (error) {
-        if (
-          error.message.includes("not supported") ||
-          error.message.includes("not found")
-        ) {
-          return {
-            result:
-              "eth_maxPriorityFeePerGas not supported (pre-EIP1559 chain)",
-          };
+        for (let i = 1; i < values.length; i++) {
+          if (values[i] !== values[i - 1] + 1n) {
+            throw new Error(
+              `Counter values out of sequence: ${values.join(", ")}`
+            );
+          }
         }
-        throw error;
+
+        const idle = await this.provider.send("eth_getFilterChanges", [
+          filterId,
+        ]);
+        if (idle.length > 0) {
+          throw new Error(
+            `Poll without new events returned ${idle.length} log(s)`
+          );
+        }
+
+        return {
+          filterId,
+          firstPoll: firstPoll.length,
+          secondPoll: secondPoll.length,
+          counterValues: values.map(String),
+        };
+      } finally {
+        await this.uninstallFilterQuietly(filterId);
       }
     });
+
+    // Test eth_uninstallFilter: true once, false after, and the filter is gone
+    await this.runTest("eth_uninstallFilter", async () => {
+      const filterId = await this.provider.send("eth_newBlockFilter", []);
+      const removed = await this.provider.send("eth_uninstallFilter", [
+        filterId,
+      ]);
+      if (removed !== true) {
+        throw new Error(`eth_uninstallFilter returned ${removed}`);
+      }
+      const removedAgain = await this.provider.send("eth_uninstallFilter", [
+        filterId,
+      ]);
+      if (removedAgain !== false) {
+        throw new Error(
+          `eth_uninstallFilter of a removed filter returned ${removedAgain}`
+        );
+      }
+      const afterUninstall = await this.expectFilterGone(filterId);
+
+      return { filterId, removed, removedAgain, afterUninstall };
+    });
+
+    // Test a filter expiring from inactivity. FILTER_TIMEOUT is the node's
+    // filter timeout in ms (5 minutes on geth-based nodes); nodes that sweep
+    // on a timer can take up to twice that, so the test waits that long.
+    const filterTimeout = parseInt(process.env.FILTER_TIMEOUT) || 0;
+    await this.runTest(
+      "Filter expiry",
+      async () => {
+        const filterId = await this.provider.send("eth_newBlockFilter", []);
+        const wait = filterTimeout * 2 + 5000;
+        this.log(`  Leaving filter ${filterId} idle for ${wait}ms`);
+        await new Promise((resolve) => setTimeout(resolve, wait));
+        const afterExpiry = await this.expectFilterGone(filterId);
+
+        return { filterId, idleMs: wait, afterExpiry };
+      },
+      {
+        skip: !filterTimeout && "FILTER_TIMEOUT not set",
+        timeout: filterTimeout * 2 + 60000,
+        retries: 0,
+      }
+    );
   }
 
-  async testMiscellaneousRPCs() {
+  async testNetAndWebRPCs() {
+    this.log(`\n${COLORS.BRIGHT}=== NET AND WEB3 RPC CALLS ===${COLORS.RESET}`);
+    this.currentCategory = "net-and-web3-rpc-calls";
+
+    // Test net_version (via getNetwork)
+    await this.runTest(
+      "net_version",
+      async () => {
+        const network = await this.provider.getNetwork();
+        return {
+          chainId: network.chainId.toString(),
+          name: network.name,
+        };
+      },
+      { readOnly: true }
+    );
+
+    // Test web3_clientVersion
+    await this.runTest(
+      "web3_clientVersion",
+      () =>
+        this.callCapability("method", "web3_clientVersion", async () => {
+          const version = await this.provider.send("web3_clientVersion", []);
+          return { clientVersion: version };
+        }),
+      { readOnly: true }
+    );
+
+    // Test net_listening
+    await this.runTest(
+      "net_listening",
+      () =>
+        this.callCapability("method", "net_listening", async () => {
+          const listening = await this.provider.send("net_listening", []);
+          return { listening };
+        }),
+      { readOnly: true }
+    );
+
+    // Test net_peerCount
+    await this.runTest(
+      "net_peerCount",
+      () =>
+        this.callCapability("method", "net_peerCount", async () => {
+          const peerCount = await this.provider.send("net_peerCount", []);
+          return { peerCount };
+        }),
+      { readOnly: true }
+    );
+  }
+
+  // A confirmed transaction for the trace tests, sent once
+  async getTraceTransactionHash() {
+    if (!this.traceTxHash) {
+      const [signer] = await ethers.getSigners();
+      const tx = await signer.sendTransaction({
+        to: signer.address,
+        value: ethers.parseEther("0.001"),
+      });
+      await tx.wait();
+      this.traceTxHash = tx.hash;
+    }
+    return this.traceTxHash;
+  }
+
+  async testDebugAndTraceRPCs() {
     this.log(
-      `\n${COLORS.BRIGHT}=== MISCELLANEOUS RPC CALLS ===${COLORS.RESET}`
+      `\n${COLORS.BRIGHT}=== DEBUG AND TRACE RPC CALLS ===${COLORS.RESET}`
     );
+    this.currentCategory = "debug-and-trace-rpc-calls";
 
-    // Test eth_syncing
-    await this.runTest("eth_syncing", async () => {
-      const syncing = await this.provider.send("eth_syncing", []);
-      return {
-        syncing: syncing === false ? false : true,
-        syncInfo: syncing !== false ? syncing : "not syncing",
+    // Test debug_traceTransaction (if supported)
+    await this.runTest(
+      "debug_traceTransaction",
+      async () => {
+        const txHash = await this.getTraceTransactionHash();
+        const trace = await this.callCapability(
+          "method",
+          "debug_traceTransaction",
+          () => this.provider.send("debug_traceTransaction", [txHash])
+        );
+        return {
+          transactionHash: txHash,
+          traceSupported: true,
+          gasUsed: trace.gas,
+        };
+      },
+      { tags: ["tracing"] }
+    );
+
+    // Test the tracers the capability profile expects
+    for (const tracer of this.capabilities.tracers) {
+      await this.runTest(
+        `debug_traceTransaction (${tracer})`,
+        async () => {
+          const txHash = await this.getTraceTransactionHash();
+          const trace = await this.callCapability("tracer", tracer, () =>
+            this.provider.send("debug_traceTransaction", [txHash, { tracer }])
+          );
+          if (!trace) {
+            throw new Error(`${tracer} returned an empty trace`);
+          }
+          return { transactionHash: txHash, tracer };
+        },
+        { tags: ["tracing"] }
+      );
+    }
+
+    // Test trace_transaction (if supported)
+    await this.runTest(
+      "trace_transaction",
+      async () => {
+        const txHash = await this.getTraceTransactionHash();
+        const trace = await this.callCapability(
+          "method",
+          "trace_transaction",
+          () => this.provider.send("trace_transaction", [txHash])
+        );
+        return {
+          transactionHash: txHash,
+          traceSupported: true,
+          traceLength: Array.isArray(trace) ? trace.length : 1,
+        };
+      },
+      { tags: ["tracing"] }
+    );
+  }
+
+  // TestContract transactions for the tracer tests, sent once: a nested call
+  // to incrementCounter, a nested call that reverts (the outer call succeeds)
+  // and gasIntensiveLoop
+  async getTraceScenarios() {
+    if (!this.traceScenarios) {
+      const contract = await this.getTestContract();
+      const address = await contract.getAddress();
+      const mined = async (tx) => (await tx).wait();
+      this.traceScenarios = {
+        nested: await mined(
+          contract.callExternalContract(
+            address,
+            contract.interface.encodeFunctionData("incrementCounter")
+          )
+        ),
+        nestedRevert: await mined(
+          contract.callExternalContract(
+            address,
+            contract.interface.encodeFunctionData("forceRevert", [
+              TRACE_REVERT_REASON,
+            ])
+          )
+        ),
+        loop: await mined(contract.gasIntensiveLoop(TRACE_LOOP_ITERATIONS)),
       };
-    });
+    }
+    return this.traceScenarios;
+  }
 
-    // Test eth_mining
-    await this.runTest("eth_mining", async () => {
-      try {
-        const mining = await this.provider.send("eth_mining", []);
-        return { mining };
-      } catch (error) {
-        if (
-          error.message.includes("not supported") ||
-          error.message.includes("not found")
-        ) {
-          return { result: "eth_mining not supported (this is normal)" };
-        }
-        throw error;
+  // debug_traceTransaction with a named tracer, or the struct logger
+  // without one
+  traceTransaction(txHash, tracer) {
+    if (tracer) {
+      return this.callCapability("tracer", tracer, () =>
+        this.provider.send("debug_traceTransaction", [txHash, { tracer }])
+      );
+    }
+    return this.callCapability("method", "debug_traceTransaction", () =>
+      this.provider.send("debug_traceTransaction", [txHash])
+    );
+  }
+
+  // debug_traceCall, checked as a capability of the tracer it names
+  traceCall(call, tracerConfig = {}) {
+    const [kind, name] = tracerConfig.tracer
+      ? ["tracer", tracerConfig.tracer]
+      : ["method", "debug_traceCall"];
+    return this.callCapability(kind, name, () =>
+      this.provider.send("debug_traceCall", [call, "latest", tracerConfig])
+    );
+  }
+
+  // Checks a callTracer frame and its children. Returns the number of frames.
+  validateCallFrame(frame, path = "root") {
+    for (const field of ["type", "from", "gas", "gasUsed", "input"]) {
+      if (frame[field] === undefined) {
+        throw new Error(`callTracer frame ${path} has no ${field}`);
       }
+    }
+    if (BigInt(frame.gasUsed) > BigInt(frame.gas)) {
+      throw new Error(
+        `callTracer frame ${path} used ${BigInt(frame.gasUsed)} gas of ${BigInt(
+          frame.gas
+        )}`
+      );
+    }
+
+    let frames = 1;
+    (frame.calls || []).forEach((child, i) => {
+      frames += this.validateCallFrame(child, `${path}.calls[${i}]`);
     });
+    return frames;
+  }
 
-    // Test eth_hashrate
-    await this.runTest("eth_hashrate", async () => {
-      try {
-        const hashrate = await this.provider.send("eth_hashrate", []);
-        return { hashrate };
-      } catch (error) {
+  // The Error(string) reason in revert data, with or without the 0x prefix
+  decodeRevertReason(data) {
+    const hex = data && !data.startsWith("0x") ? `0x${data}` : data;
+    if (!hex || !hex.startsWith("0x08c379a0")) {
+      return null;
+    }
+    return ethers.AbiCoder.defaultAbiCoder().decode(
+      ["string"],
+      `0x${hex.slice(10)}`
+    )[0];
+  }
+
+  // A reverted frame carries the error, the revert data as output and, on
+  // nodes that decode it, revertReason
+  expectRevertFrame(frame, path) {
+    if (!frame.error || !/revert/i.test(frame.error)) {
+      throw new Error(
+        `${path} should have reverted, error is ${JSON.stringify(frame.error)}`
+      );
+    }
+    const reason = this.decodeRevertReason(frame.output);
+    if (reason !== TRACE_REVERT_REASON) {
+      throw new Error(
+        `${path} output carries reason ${JSON.stringify(
+          reason
+        )}, expected "${TRACE_REVERT_REASON}"`
+      );
+    }
+    if (
+      frame.revertReason !== undefined &&
+      frame.revertReason !== TRACE_REVERT_REASON
+    ) {
+      throw new Error(
+        `${path} revertReason is "${frame.revertReason}", expected "${TRACE_REVERT_REASON}"`
+      );
+    }
+    return reason;
+  }
+
+  sameAddress(a, b) {
+    return !!a && !!b && a.toLowerCase() === b.toLowerCase();
+  }
+
+  async testTraceValidation() {
+    this.log(
+      `\n${COLORS.BRIGHT}=== TRACE OUTPUT VALIDATION ===${COLORS.RESET}`
+    );
+    this.currentCategory = "trace-validation-rpc-calls";
+
+    // Test the callTracer call tree of a nested call
+    await this.runTest(
+      "callTracer (nested call)",
+      async () => {
+        const contract = await this.getTestContract();
+        const address = await contract.getAddress();
+        const { nested } = await this.getTraceScenarios();
+        const trace = await this.traceTransaction(nested.hash, "callTracer");
+
+        const frames = this.validateCallFrame(trace);
+        if (trace.type !== "CALL" || !this.sameAddress(trace.to, address)) {
+          throw new Error(
+            `Root frame is ${trace.type} to ${trace.to}, expected CALL to ${address}`
+          );
+        }
+        if (trace.error) {
+          throw new Error(`Root frame has error ${trace.error}`);
+        }
+        if (BigInt(trace.gasUsed) !== nested.gasUsed) {
+          throw new Error(
+            `Root gasUsed ${BigInt(trace.gasUsed)} differs from the receipt's ${
+              nested.gasUsed
+            }`
+          );
+        }
+
+        const child = (trace.calls || [])[0];
+        const selector =
+          contract.interface.getFunction("incrementCounter").selector;
         if (
-          error.message.includes("not supported") ||
-          error.message.includes("not found")
+          !child ||
+          child.type !== "CALL" ||
+          !this.sameAddress(child.from, address) ||
+          !this.sameAddress(child.to, address) ||
+          !child.input.startsWith(selector)
         ) {
-          return { result: "eth_hashrate not supported (this is normal)" };
+          throw new Error(
+            `Expected a nested incrementCounter CALL from ${address}, got ${JSON.stringify(
+              child
+            )}`
+          );
+        }
+        if (BigInt(child.gasUsed) > BigInt(trace.gasUsed)) {
+          throw new Error("Nested call used more gas than the whole call");
         }
-        throw error;
-      }
-    });
 
-    // Test eth_accounts
-    await this.runTest("eth_accounts", async () => {
-      try {
-        const accounts = await this.provider.send("eth_accounts", []);
         return {
-          accountCount: accounts.length,
-          hasAccounts: accounts.length > 0,
+          transactionHash: nested.hash,
+          frames,
+          gasUsed: nested.gasUsed.toString(),
+          nestedGasUsed: BigInt(child.gasUsed).toString(),
         };
-      } catch (error) {
+      },
+      { tags: ["tracing"] }
+    );
+
+    // Test a revert inside a call that itself succeeds
+    await this.runTest(
+      "callTracer (nested revert)",
+      async () => {
+        const { nestedRevert } = await this.getTraceScenarios();
+        const trace = await this.traceTransaction(
+          nestedRevert.hash,
+          "callTracer"
+        );
+
+        const frames = this.validateCallFrame(trace);
+        if (trace.error) {
+          throw new Error(
+            `Root frame has error ${trace.error}, but the transaction succeeded`
+          );
+        }
+        const child = (trace.calls || [])[0];
+        if (!child) {
+          throw new Error("Root frame has no nested call");
+        }
+        const reason = this.expectRevertFrame(child, "Nested call");
+
+        return {
+          transactionHash: nestedRevert.hash,
+          frames,
+          nestedError: child.error,
+          revertReason: reason,
+        };
+      },
+      { tags: ["tracing"] }
+    );
+
+    // Test prestateTracer: the accounts and storage gasIntensiveLoop touches
+    await this.runTest(
+      "prestateTracer (gasIntensiveLoop)",
+      async () => {
+        const contract = await this.getTestContract();
+        const address = await contract.getAddress();
+        const { loop } = await this.getTraceScenarios();
+        const trace = await this.traceTransaction(loop.hash, "prestateTracer");
+
+        const state = (account) =>
+          Object.entries(trace).find(([key]) =>
+            this.sameAddress(key, account)
+          )?.[1];
+        const contractState = state(address);
+        const senderState = state(loop.from);
+        if (!contractState || !senderState) {
+          throw new Error(
+            `Prestate lacks the ${
+              contractState ? "sender" : "contract"
+            }: ${Object.keys(trace).join(", ")}`
+          );
+        }
+        if (!contractState.code || contractState.code === "0x") {
+          throw new Error("Prestate of the contract has no code");
+        }
+        if (Object.keys(contractState.storage || {}).length === 0) {
+          throw new Error("Prestate of the contract has no storage slots");
+        }
+
+        const tx = await this.provider.getTransaction(loop.hash);
+        if (senderState.nonce !== tx.nonce) {
+          throw new Error(
+            `Prestate sender nonce is ${senderState.nonce}, the transaction used ${tx.nonce}`
+          );
+        }
+        if (senderState.balance === undefined) {
+          throw new Error("Prestate of the sender has no balance");
+        }
+
+        return {
+          transactionHash: loop.hash,
+          accounts: Object.keys(trace).length,
+          storageSlots: Object.keys(contractState.storage).length,
+          senderNonce: senderState.nonce,
+        };
+      },
+      { tags: ["tracing"] }
+    );
+
+    // Test the struct logger: the steps account for all the gas used
+    await this.runTest(
+      "Struct logger (gasIntensiveLoop)",
+      async () => {
+        const { loop } = await this.getTraceScenarios();
+        const trace = await this.traceTransaction(loop.hash);
+
+        if (trace.failed !== false) {
+          throw new Error(`Trace marked failed: ${trace.failed}`);
+        }
+        if (BigInt(trace.gas) !== loop.gasUsed) {
+          throw new Error(
+            `Trace gas ${trace.gas} differs from the receipt's gasUsed ${loop.gasUsed}`
+          );
+        }
+        const logs = trace.structLogs || [];
+        if (logs.length === 0) {
+          throw new Error("Trace has no struct logs");
+        }
+
+        for (let i = 0; i < logs.length; i++) {
+          const step = logs[i];
+          for (const field of ["pc", "gas", "gasCost", "depth"]) {
+            if (typeof step[field] !== "number") {
+              throw new Error(`Step ${i} (${step.op}) has no numeric ${field}`);
+            }
+          }
+          // Without nested calls, each step leaves its gas minus its cost
+          const next = logs[i + 1];
+          if (next && next.gas !== step.gas - step.gasCost) {
+            throw new Error(
+              `Step ${i} (${step.op}) had ${step.gas} gas and cost ${
+                step.gasCost
+              }, but step ${i + 1} has ${next.gas}`
+            );
+          }
+        }
+
+        const ops = logs.map((step) => step.op);
+        for (const op of ["SSTORE", "LOG1"]) {
+          if (!ops.includes(op)) {
+            throw new Error(`Trace of gasIntensiveLoop has no ${op}`);
+          }
+        }
+
+        return {
+          transactionHash: loop.hash,
+          gas: trace.gas,
+          steps: logs.length,
+          sstores: ops.filter((op) => op === "SSTORE").length,
+        };
+      },
+      { tags: ["tracing"] }
+    );
+
+    // Test debug_traceCall with callTracer on a call that reverts
+    await this.runTest(
+      "debug_traceCall (callTracer revert)",
+      async () => {
+        const contract = await this.getTestContract();
+        const [signer] = await ethers.getSigners();
+        const trace = await this.traceCall(
+          {
+            from: signer.address,
+            to: await contract.getAddress(),
+            data: contract.interface.encodeFunctionData("forceRevert", [
+              TRACE_REVERT_REASON,
+            ]),
+          },
+          { tracer: "callTracer" }
+        );
+
+        const frames = this.validateCallFrame(trace);
+        const reason = this.expectRevertFrame(trace, "Root frame");
+
+        return { frames, error: trace.error, revertReason: reason };
+      },
+      { tags: ["tracing"] }
+    );
+
+    // Test debug_traceCall with the struct logger on a revert and a view call
+    await this.runTest(
+      "debug_traceCall (struct logger)",
+      async () => {
+        const contract = await this.getTestContract();
+        const [signer] = await ethers.getSigners();
+        const address = await contract.getAddress();
+        const call = (data) => ({ from: signer.address, to: address, data });
+
+        const reverted = await this.traceCall(
+          call(
+            contract.interface.encodeFunctionData("forceRevert", [
+              TRACE_REVERT_REASON,
+            ])
+          )
+        );
+        const lastOp =
+          reverted.structLogs?.[reverted.structLogs.length - 1]?.op;
+        if (reverted.failed !== true || lastOp !== "REVERT") {
+          throw new Error(
+            `Reverting call traced with failed=${reverted.failed}, last op ${lastOp}`
+          );
+        }
+        const reason = this.decodeRevertReason(reverted.returnValue);
+        if (reason !== TRACE_REVERT_REASON) {
+          throw new Error(
+            `Reverting call returned reason ${JSON.stringify(reason)}`
+          );
+        }
+
+        const viewed = await this.traceCall(
+          call(contract.interface.encodeFunctionData("getCounter"))
+        );
+        const returned = viewed.returnValue.startsWith("0x")
+          ? viewed.returnValue
+          : `0x${viewed.returnValue}`;
+        const counter = await contract.getCounter();
+        if (viewed.failed !== false || BigInt(returned) !== counter) {
+          throw new Error(
+            `getCounter traced with failed=${viewed.failed} and return value ${returned}, expected ${counter}`
+          );
+        }
+
+        return {
+          revertSteps: reverted.structLogs.length,
+          revertReason: reason,
+          counter: counter.toString(),
+          viewGas: viewed.gas,
+        };
+      },
+      { tags: ["tracing"] }
+    );
+
+    // Test debug_traceBlockByNumber: one trace per transaction in the block
+    await this.runTest(
+      "debug_traceBlockByNumber",
+      async () => {
+        const contract = await this.getTestContract();
+        const address = await contract.getAddress();
+        const { loop } = await this.getTraceScenarios();
+        const traces = await this.callCapability("tracer", "callTracer", () =>
+          this.provider.send("debug_traceBlockByNumber", [
+            ethers.toQuantity(loop.blockNumber),
+            { tracer: "callTracer" },
+          ])
+        );
+
+        const block = await this.provider.getBlock(loop.blockNumber);
         if (
-          error.message.includes("not supported") ||
-          error.message.includes("not found")
+          !Array.isArray(traces) ||
+          traces.length !== block.transactions.length
         ) {
-          return { result: "eth_accounts not supported (this is normal)" };
+          throw new Error(
+            `Block ${loop.blockNumber} has ${
+              block.transactions.length
+            } transaction(s), got ${
+              Array.isArray(traces) ? traces.length : "no"
+            } trace(s)`
+          );
         }
-        throw error;
+
+        // Older nodes leave out txHash, so fall back to the position
+        const entry =
+          traces.find((t) => t.txHash === loop.hash) || traces[loop.index];
+        const trace = entry.result || entry;
+        traces.forEach((t, i) =>
+          this.validateCallFrame(t.result || t, `traces[${i}]`)
+        );
+        const selector =
+          contract.interface.getFunction("gasIntensiveLoop").selector;
+        if (
+          !this.sameAddress(trace.to, address) ||
+          !trace.input.startsWith(selector)
+        ) {
+          throw new Error(
+            `Trace of ${loop.hash} is a call to ${trace.to}, expected gasIntensiveLoop on ${address}`
+          );
+        }
+        if (BigInt(trace.gasUsed) !== loop.gasUsed) {
+          throw new Error(
+            `Block trace gasUsed ${BigInt(
+              trace.gasUsed
+            )} differs from the receipt's ${loop.gasUsed}`
+          );
+        }
+
+        return {
+          blockNumber: loop.blockNumber,
+          transactions: traces.length,
+          transactionHash: loop.hash,
+        };
+      },
+      { tags: ["tracing"] }
+    );
+  }
+
+  async testEIP1559RPCs() {
+    this.log(`\n${COLORS.BRIGHT}=== EIP-1559 RPC CALLS ===${COLORS.RESET}`);
+    this.currentCategory = "eip-1559-rpc-calls";
+
+    // Test eth_feeHistory
+    await this.runTest(
+      "eth_feeHistory",
+      () =>
+        this.callCapability("method", "eth_feeHistory", async () => {
+          const feeHistory = await this.provider.send("eth_feeHistory", [
+            "0x4", // 4 blocks
+            "latest",
+            [25, 50, 75], // percentiles
+          ]);
+
+          return {
+            blockCount: feeHistory.baseFeePerGas?.length || 0,
+            hasBaseFee: !!feeHistory.baseFeePerGas,
+            hasReward: !!feeHistory.reward,
+          };
+        }),
+      { tags: ["eip1559"], readOnly: true }
+    );
+
+    // Test eth_maxPriorityFeePerGas
+    await this.runTest(
+      "eth_maxPriorityFeePerGas",
+      () =>
+        this.callCapability("method", "eth_maxPriorityFeePerGas", async () => {
+          const maxPriorityFee = await this.provider.send(
+            "eth_maxPriorityFeePerGas",
+            []
+          );
+          return { maxPriorityFeePerGas: maxPriorityFee };
+        }),
+      { tags: ["eip1559"], readOnly: true }
+    );
+  }
+
+  // Identifies the chain the history belongs to. A chain restarted from a new
+  // genesis keeps its chain id, so the genesis block hash is part of it.
+  async historyChain() {
+    const chainId = (await this.provider.getNetwork()).chainId.toString();
+    const genesis = await this.provider.getBlock(0);
+    return { chainId, genesisHash: genesis?.hash || null };
+  }
+
+  // Entries recorded by earlier runs on this chain
+  loadStateHistory(chain) {
+    if (!fs.existsSync(this.historyFile)) {
+      return [];
+    }
+    const history = JSON.parse(fs.readFileSync(this.historyFile, "utf8"));
+    const sameChain =
+      history.chainId === chain.chainId &&
+      history.genesisHash === chain.genesisHash;
+    return sameChain ? history.entries : [];
+  }
+
+  saveStateHistory(chain, entries) {
+    const dir = path.dirname(this.historyFile);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+    fs.writeFileSync(
+      this.historyFile,
+      JSON.stringify(
+        { ...chain, entries: entries.slice(-HISTORY_MAX_ENTRIES) },
+        null,
+        2
+      )
+    );
+  }
+
+  // The chain and the entries earlier runs recorded, read once before this
+  // run adds its own
+  async getEarlierStateHistory() {
+    if (!this.earlierStateHistory) {
+      const chain = await this.historyChain();
+      this.earlierStateHistory = {
+        chain,
+        entries: this.loadStateHistory(chain),
+      };
+    }
+    return this.earlierStateHistory;
+  }
+
+  // Records this run's block states once, for the tests that query them, and
+  // appends them to the history file. The promise is kept, so a failed
+  // recording fails those tests instead of sending its transactions again.
+  getRecordedStateHistory() {
+    if (!this.recordedStateHistory) {
+      this.recordedStateHistory = (async () => {
+        const { chain, entries } = await this.getEarlierStateHistory();
+        const recorded = await this.recordStateHistory();
+        this.saveStateHistory(chain, [...entries, ...recorded]);
+        return recorded;
+      })();
+    }
+    return this.recordedStateHistory;
+  }
+
+  // Produces HISTORY_BLOCKS blocks that each increment the counter and
+  // records what they left behind, from the event and the latest state
+  // rather than from historical queries. The block before the contract's
+  // deployment is recorded as having no code.
+  async recordStateHistory() {
+    const contract = await this.getTestContract();
+    const address = await contract.getAddress();
+    const [signer] = await ethers.getSigners();
+    const deployment = await contract.deploymentTransaction().wait();
+    const code = await this.provider.getCode(address);
+
+    const entries = [
+      {
+        blockNumber: deployment.blockNumber - 1,
+        contract: address,
+        codeHash: ethers.keccak256("0x"),
+      },
+    ];
+    for (let i = 0; i < HISTORY_BLOCKS; i++) {
+      const receipt = await (await contract.incrementCounter()).wait();
+      const event = receipt.logs
+        .map((log) => contract.interface.parseLog(log))
+        .find((parsed) => parsed?.name === "CounterIncremented");
+      entries.push({
+        blockNumber: receipt.blockNumber,
+        account: signer.address,
+        balance: (await this.provider.getBalance(signer.address)).toString(),
+        contract: address,
+        counter: event.args.newValue.toString(),
+        codeHash: ethers.keccak256(code),
+      });
+    }
+    return entries;
+  }
+
+  // Runs one query per entry that has `field` and returns the mismatches
+  async checkStateHistory(entries, field, query) {
+    const checked = entries.filter((entry) => entry[field] !== undefined);
+    const mismatches = [];
+    for (const entry of checked) {
+      let actual;
+      try {
+        actual = await query(entry);
+      } catch (error) {
+        actual = `error: ${error.message}`;
       }
+      if (actual !== entry[field]) {
+        mismatches.push(
+          `block ${entry.blockNumber}: ${field} ${actual}, recorded ${entry[field]}`
+        );
+      }
+    }
+    if (checked.length === 0) {
+      throw new TestSkipped(`no recorded ${field} to check`);
+    }
+    if (mismatches.length > 0) {
+      throw new Error(
+        `${mismatches.length} of ${
+          checked.length
+        } block(s) differ: ${mismatches.join("; ")}`
+      );
+    }
+    return {
+      blocks: checked.map((entry) => entry.blockNumber),
+    };
+  }
+
+  // The historical queries, each against the recorded `field`
+  historyQueries() {
+    return [
+      {
+        name: "eth_getBalance",
+        field: "balance",
+        query: async (entry) =>
+          (
+            await this.provider.getBalance(entry.account, entry.blockNumber)
+          ).toString(),
+      },
+      {
+        name: "eth_call getCounter",
+        field: "counter",
+        query: async (entry) => {
+          const contract = await ethers.getContractAt(
+            "TestContract",
+            entry.contract
+          );
+          return (
+            await contract.getCounter({ blockTag: entry.blockNumber })
+          ).toString();
+        },
+      },
+      {
+        name: "eth_getStorageAt",
+        field: "counter",
+        query: async (entry) =>
+          BigInt(
+            await this.provider.getStorage(
+              entry.contract,
+              COUNTER_SLOT,
+              entry.blockNumber
+            )
+          ).toString(),
+      },
+      {
+        name: "eth_getCode",
+        field: "codeHash",
+        query: async (entry) =>
+          ethers.keccak256(
+            await this.provider.getCode(entry.contract, entry.blockNumber)
+          ),
+      },
+    ];
+  }
+
+  async testHistoricalStateRPCs() {
+    this.log(
+      `\n${COLORS.BRIGHT}=== HISTORICAL STATE RPC CALLS ===${COLORS.RESET}`
+    );
+    this.currentCategory = "historical-state-rpc-calls";
+
+    // Recording sends transactions, so it only happens when a test that needs
+    // the new block states is selected
+    await this.runTest("Record state at past blocks", async () => {
+      const earlier = await this.getEarlierStateHistory();
+      const recorded = await this.getRecordedStateHistory();
+      return {
+        blocks: recorded.map((entry) => entry.blockNumber),
+        historyFile: this.historyFile,
+        earlierEntries: earlier.entries.length,
+      };
     });
+
+    // Test the queries at the blocks this run produces
+    for (const { name, field, query } of this.historyQueries()) {
+      await this.runTest(`${name} (past blocks)`, async () =>
+        this.checkStateHistory(
+          await this.getRecordedStateHistory(),
+          field,
+          query
+        )
+      );
+    }
+
+    // Test the same queries at heights before the upgrade, from the states
+    // earlier runs recorded
+    const height = upgradeHeight();
+    const skip =
+      !height &&
+      "upgrade height unknown (set UPGRADE_HEIGHT or run upgrade-proposal.js)";
+    for (const { name, field, query } of this.historyQueries()) {
+      await this.runTest(
+        `${name} (before upgrade height)`,
+        async () => {
+          const { entries } = await this.getEarlierStateHistory();
+          const beforeUpgrade = entries.filter(
+            (entry) => entry.blockNumber < height
+          );
+          if (beforeUpgrade.length === 0) {
+            throw new TestSkipped(
+              `no block states recorded below the upgrade height ${height}`
+            );
+          }
+          return {
+            upgradeHeight: height,
+            ...(await this.checkStateHistory(beforeUpgrade, field, query)),
+          };
+        },
+        { skip }
+      );
+    }
+  }
+
+  async testMiscellaneousRPCs() {
+    this.log(
+      `\n${COLORS.BRIGHT}=== MISCELLANEOUS RPC CALLS ===${COLORS.RESET}`
+    );
+    this.currentCategory = "miscellaneous-rpc-calls";
+
+    // Test eth_syncing
+    await this.runTest(
+      "eth_syncing",
+      async () => {
+        const syncing = await this.provider.send("eth_syncing", []);
+        return {
+          syncing: syncing === false ? false : true,
+          syncInfo: syncing !== false ? syncing : "not syncing",
+        };
+      },
+      { readOnly: true }
+    );
+
+    // Test eth_mining
+    await this.runTest(
+      "eth_mining",
+      () =>
+        this.callCapability("method", "eth_mining", async () => {
+          const mining = await this.provider.send("eth_mining", []);
+          return { mining };
+        }),
+      { readOnly: true }
+    );
+
+    // Test eth_hashrate
+    await this.runTest(
+      "eth_hashrate",
+      () =>
+        this.callCapability("method", "eth_hashrate", async () => {
+          const hashrate = await this.provider.send("eth_hashrate", []);
+          return { hashrate };
+        }),
+      { readOnly: true }
+    );
+
+    // Test eth_accounts
+    await this.runTest(
+      "eth_accounts",
+      () =>
+        this.callCapability("method", "eth_accounts", async () => {
+          const accounts = await this.provider.send("eth_accounts", []);
+          return {
+            accountCount: accounts.length,
+            hasAccounts: accounts.length > 0,
+          };
+        }),
+      { readOnly: true }
+    );
   }
 
   async runAllTests() {
@@ -633,14 +1776,19 @@ class RPCTester {
 
     const startTime = Date.now();
 
-    await this.testBasicRPCCalls();
-    await this.testBlockAndTransactionRPCs();
-    await this.testTransactionRPCs();
-    await this.testFilterAndLogRPCs();
-    await this.testNetAndWebRPCs();
-    await this.testDebugAndTraceRPCs();
-    await this.testEIP1559RPCs();
-    await this.testMiscellaneousRPCs();
+    await this.runSuite(async () => {
+      await this.testBasicRPCCalls();
+      await this.testBlockAndTransactionRPCs();
+      await this.testTransactionRPCs();
+      await this.testFilterAndLogRPCs();
+      await this.testFilterLifecycleRPCs();
+      await this.testNetAndWebRPCs();
+      await this.testDebugAndTraceRPCs();
+      await this.testTraceValidation();
+      await this.testHistoricalStateRPCs();
+      await this.testEIP1559RPCs();
+      await this.testMiscellaneousRPCs();
+    });
 
     const duration = Date.now() - startTime;
 
@@ -658,7 +1806,7 @@ class RPCTester {
 
     if (this.results.failed > 0) {
       this.log(
-        `\n${COLORS.YELLOW}Note: Some failures are expected if certain RPC methods are not supported by your chain.${COLORS.RESET}`
+        `\n${COLORS.YELLOW}Note: Unsupported methods are skipped unless the capability profile (${this.capabilities.name}) requires them.${COLORS.RESET}`
       );
     }
 
@@ -668,6 +1816,7 @@ class RPCTester {
       total: this.results.total,
       successRate: parseFloat(successRate),
       duration,
+      tests: this.results.tests,
     };
   }
 }
@@ -675,10 +1824,13 @@ class RPCTester {
 async function main() {
   try {
     const tester = new RPCTester();
-    const results = await tester.runAllTests();
+    if (tester.selection.list) {
+      await tester.printTestList();
+      return;
+    }
+    await tester.runAllTests();
 
-    // Exit with error code if too many tests failed
-    if (results.successRate < 50) {
+    if (!tester.checkGates()) {
       process.exit(1);
     }
   } catch (error) {
@@ -0,0 +1,84 @@
+// Test selection shared by the testers and runners: --grep, --tag and --list
+
+// Reads TEST_GREP (a case-insensitive regular expression matched against
+// test names), TEST_TAGS (comma-separated; a test matches when one of them is
+// its category or one of its tags) and TEST_LIST
+function testSelection(env = process.env) {
+  return {
+    grep: env.TEST_GREP ? new RegExp(env.TEST_GREP, "i") : null,
+    tags: (env.TEST_TAGS || "")
+      .split(",")
+      .map((tag) => tag.trim())
+      .filter(Boolean),
+    list: env.TEST_LIST === "true",
+  };
+}
+
+function isSelected(test, selection) {
+  if (selection.grep && !selection.grep.test(test.name)) {
+    return false;
+  }
+  if (
+    selection.tags.length > 0 &&
+    !selection.tags.some(
+      (tag) => tag === test.category || test.tags.includes(tag)
+    )
+  ) {
+    return false;
+  }
+  return true;
+}
+
+// Sets TEST_GREP, TEST_TAGS and TEST_LIST from --grep <pattern>,
+// --tag <tags> (repeatable) and --list, so that every tester a runner creates
+// picks them up
+function applySelectionArgs(args) {
+  const tags = [];
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === "--grep" && i + 1 < args.length) {
+      const pattern = args[++i];
+      try {
+        new RegExp(pattern);
+      } catch (error) {
+        throw new Error(`Invalid --grep pattern: ${error.message}`);
+      }
+      process.env.TEST_GREP = pattern;
+    } else if (args[i] === "--tag" && i + 1 < args.length) {
+      tags.push(args[++i]);
+    } else if (args[i] === "--list") {
+      process.env.TEST_LIST = "true";
+    }
+  }
+  if (tags.length > 0) {
+    process.env.TEST_TAGS = tags.join(",");
+  }
+}
+
+// One-line summary of the active filters, or null when every test runs
+function describeSelection(selection) {
+  const parts = [];
+  if (selection.grep) {
+    parts.push(`grep ${selection.grep}`);
+  }
+  if (selection.tags.length > 0) {
+    parts.push(`tags ${selection.tags.join(", ")}`);
+  }
+  return parts.length > 0 ? parts.join("; ") : null;
+}
+
+// A --list line: the test name with its category and tags
+function formatListedTest(test) {
+  const labels = [test.category, ...test.tags];
+  if (test.setup) {
+    labels.push("setup");
+  }
+  return `${test.name}  [${labels.join(", ")}]`;
+}
+
+module.exports = {
+  testSelection,
+  isSelected,
+  applySelectionArgs,
+  describeSelection,
+  formatListedTest,
+};
@@ -1,74 +1,43 @@
 const { ethers } = require("hardhat");
+const { TestHarness, COLORS } = require("./test-harness");
 require("dotenv").config();
 
-const COLORS = {
-  RESET: "\x1b[0m",
-  BRIGHT: "\x1b[1m",
-  GREEN: "\x1b[32m",
-  RED: "\x1b[31m",
-  YELLOW: "\x1b[33m",
-  BLUE: "\x1b[34m",
-  CYAN: "\x1b[36m",
-};
-
-class TransferTester {
+class TransferTester extends TestHarness {
   constructor() {
+    super("Transfers");
     this.provider = ethers.provider;
-    this.results = {
-      passed: 0,
-      failed: 0,
-      total: 0,
-    };
-    this.verbose = process.env.VERBOSE === "true";
     this.signers = [];
     this.testAmount = ethers.parseEther(
       process.env.TEST_TRANSFER_AMOUNT_ETH || "0.001"
     );
     this.transferHistory = [];
-  }
 
-  log(message, color = COLORS.RESET) {
-    console.log(`${color}${message}${COLORS.RESET}`);
+    this.beforeAll(() => this.setupAccounts());
   }
 
-  async runTest(testName, testFunction) {
-    this.results.total++;
-    try {
-      this.log(`\n${COLORS.CYAN}Testing: ${testName}${COLORS.RESET}`);
-      const startTime = Date.now();
-      const result = await testFunction();
-      const duration = Date.now() - startTime;
-
-      this.results.passed++;
-      this.log(
-        `${COLORS.GREEN}✓ PASSED: ${testName} (${duration}ms)${COLORS.RESET}`
-      );
-
-      if (this.verbose && result !== undefined) {
-        this.log(
-          `  Result: ${JSON.stringify(
-            result,
-            (key, value) =>
-              typeof value === "bigint" ? value.toString() : value,
-            2
-          )}`
-        );
-      }
-
-      return result;
-    } catch (error) {
-      this.results.failed++;
-      this.log(`${COLORS.RED}✗ FAILED: ${testName}${COLORS.RESET}`);
-      this.log(`  Error: ${error.message}`, COLORS.RED);
+  async waitForReceipt(txHash, maxAttempts = 60) {
+    let receipt = null;
+    let attempts = 0;
 
-      if (this.verbose) {
-        console.error(error);
+    while (!receipt && attempts < maxAttempts) {
+      try {
+        receipt = await this.provider.getTransactionReceipt(txHash);
+        if (!receipt) {
+          await new Promise((resolve) => setTimeout(resolve, 1000)); // Wait 1 second
+          attempts++;
+        }
+      } catch (error) {
+        await new Promise((resolve) => setTimeout(resolve, 1000)); // Wait 1 second
+        attempts++;
       }
     }
+
+    return receipt;
   }
 
   async setupAccounts() {
     this.log(`\n${COLORS.BRIGHT}=== ACCOUNT SETUP ===${COLORS.RESET}`);
+    this.currentCategory = "account-setup";
 
     this.signers = await ethers.getSigners();
     if (this.signers.length === 0) {
@@ -111,120 +80,134 @@ class TransferTester {
 
   async testBasicTransfers() {
     this.log(`\n${COLORS.BRIGHT}=== BASIC TRANSFERS ===${COLORS.RESET}`);
+    this.currentCategory = "basic-transfers";
 
-    if (this.signers.length < 2) {
-      this.log(
-        `${COLORS.YELLOW}Skipping basic transfers - need at least 2 accounts${COLORS.RESET}`
-      );
-      return;
-    }
+    const skip = this.signers.length < 2 && "needs at least 2 accounts";
 
     const sender = this.signers[0];
     const recipient = this.signers[1];
 
     // Test basic transfer
-    await this.runTest("Basic native token transfer", async () => {
-      const initialSenderBalance = await this.provider.getBalance(
-        sender.address
-      );
-      const initialRecipientBalance = await this.provider.getBalance(
-        recipient.address
-      );
+    await this.runTest(
+      "Basic native token transfer",
+      async () => {
+        const initialSenderBalance = await this.provider.getBalance(
+          sender.address
+        );
+        const initialRecipientBalance = await this.provider.getBalance(
+          recipient.address
+        );
 
-      const tx = await sender.sendTransaction({
-        to: recipient.address,
-        value: this.testAmount,
-      });
+        const tx = await sender.sendTransaction({
+          to: recipient.address,
+          value: this.testAmount,
+        });
 
-      const receipt = await tx.wait();
-      const finalSenderBalance = await this.provider.getBalance(sender.address);
-      const finalRecipientBalance = await this.provider.getBalance(
-        recipient.address
-      );
+        const receipt = await tx.wait();
+        const finalSenderBalance = await this.provider.getBalance(
+          sender.address
+        );
+        const finalRecipientBalance = await this.provider.getBalance(
+          recipient.address
+        );
 
-      // Calculate gas cost
-      const gasCost = receipt.gasUsed * receipt.gasPrice;
+        // Calculate gas cost
+        const gasCost = receipt.gasUsed * receipt.gasPrice;
 
-      // Verify balances changed correctly
-      if (finalRecipientBalance !== initialRecipientBalance + this.testAmount) {
-        throw new Error("Recipient balance not updated correctly");
-      }
+        // Verify balances changed correctly
+        if (
+          finalRecipientBalance !==
+          initialRecipientBalance + this.testAmount
+        ) {
+          throw new Error("Recipient balance not updated correctly");
+        }
 
-      this.transferHistory.push({
-        type: "basic",
-        from: sender.address,
-        to: recipient.address,
-        amount: this.testAmount.toString(),
-        gasUsed: receipt.gasUsed.toString(),
-        txHash: tx.hash,
-      });
+        this.transferHistory.push({
+          type: "basic",
+          from: sender.address,
+          to: recipient.address,
+          amount: this.testAmount.toString(),
+          gasUsed: receipt.gasUsed.toString(),
+          txHash: tx.hash,
+        });
 
-      return {
-        txHash: tx.hash,
-        from: sender.address,
-        to: recipient.address,
-        amount: this.testAmount.toString(),
-        gasUsed: receipt.gasUsed.toString(),
-        gasPrice: receipt.gasPrice.toString(),
-        gasCost: gasCost.toString(),
-        initialSenderBalance: initialSenderBalance.toString(),
-        finalSenderBalance: finalSenderBalance.toString(),
-        initialRecipientBalance: initialRecipientBalance.toString(),
-        finalRecipientBalance: finalRecipientBalance.toString(),
-      };
-    });
+        return {
+          txHash: tx.hash,
+          from: sender.address,
+          to: recipient.address,
+          amount: this.testAmount.toString(),
+          gasUsed: receipt.gasUsed.toString(),
+          gasPrice: receipt.gasPrice.toString(),
+          gasCost: gasCost.toString(),
+          initialSenderBalance: initialSenderBalance.toString(),
+          finalSenderBalance: finalSenderBalance.toString(),
+          initialRecipientBalance: initialRecipientBalance.toString(),
+          finalRecipientBalance: finalRecipientBalance.toString(),
+        };
+      },
+      { skip, tags: ["smoke"] }
+    );
 
     // Test transfer to self
-    await this.runTest("Transfer to self", async () => {
-      const initialBalance = await this.provider.getBalance(sender.address);
+    await this.runTest(
+      "Transfer to self",
+      async () => {
+        const initialBalance = await this.provider.getBalance(sender.address);
 
-      const tx = await sender.sendTransaction({
-        to: sender.address,
-        value: this.testAmount,
-      });
+        const tx = await sender.sendTransaction({
+          to: sender.address,
+          value: this.testAmount,
+        });
 
-      const receipt = await tx.wait();
-      const finalBalance = await this.provider.getBalance(sender.address);
+        const receipt = await tx.wait();
+        const finalBalance = await this.provider.getBalance(sender.address);
 
-      // Balance should only change by gas cost
-      const gasCost = receipt.gasUsed * receipt.gasPrice;
+        // Balance should only change by gas cost
+        const gasCost = receipt.gasUsed * receipt.gasPrice;
 
-      return {
-        txHash: tx.hash,
-        initialBalance: initialBalance.toString(),
-        finalBalance: finalBalance.toString(),
-        gasCost: gasCost.toString(),
-        balanceDifference: (initialBalance - finalBalance).toString(),
-      };
-    });
+        return {
+          txHash: tx.hash,
+          initialBalance: initialBalance.toString(),
+          finalBalance: finalBalance.toString(),
+          gasCost: gasCost.toString(),
+          balanceDifference: (initialBalance - finalBalance).toString(),
+        };
+      },
+      { skip }
+    );
 
     // Test zero amount transfer
-    await this.runTest("Zero amount transfer", async () => {
-      const initialBalance = await this.provider.getBalance(sender.address);
+    await this.runTest(
+      "Zero amount transfer",
+      async () => {
+        const initialBalance = await this.provider.getBalance(sender.address);
 
-      const tx = await sender.sendTransaction({
-        to: recipient.address,
-        value: 0,
-      });
+        const tx = await sender.sendTransaction({
+          to: recipient.address,
+          value: 0,
+        });
 
-      const receipt = await tx.wait();
-      const finalBalance = await this.provider.getBalance(sender.address);
+        const receipt = await tx.wait();
+        const finalBalance = await this.provider.getBalance(sender.address);
 
-      // Only gas should be consumed
-      const gasCost = receipt.gasUsed * receipt.gasPrice;
+        // Only gas should be consumed
+        const gasCost = receipt.gasUsed * receipt.gasPrice;
 
-      return {
-        txHash: tx.hash,
-        amount: "0",
-        gasUsed: receipt.gasUsed.toString(),
-        gasCost: gasCost.toString(),
-        balanceChange: (initialBalance - finalBalance).toString(),
-      };
-    });
+        return {
+          txHash: tx.hash,
+          amount: "0",
+          gasUsed: receipt.gasUsed.toString(),
+          gasCost: gasCost.toString(),
+          balanceChange: (initialBalance - finalBalance).toString(),
+        };
+      },
+      { skip }
+    );
   }
 
   async testTransferVariations() {
     this.log(`\n${COLORS.BRIGHT}=== TRANSFER VARIATIONS ===${COLORS.RESET}`);
+    this.currentCategory = "transfer-variations";
 
     const sender = this.signers[0];
     const recipient = this.signers.length > 1 ? this.signers[1] : sender;
@@ -316,6 +299,7 @@ class TransferTester {
 
   async testGasEstimation() {
     this.log(`\n${COLORS.BRIGHT}=== GAS ESTIMATION ===${COLORS.RESET}`);
+    this.currentCategory = "gas-estimation";
 
     const sender = this.signers[0];
     const recipient = this.signers.length > 1 ? this.signers[1] : sender;
@@ -400,123 +384,112 @@ class TransferTester {
 
   async testBatchTransfers() {
     this.log(`\n${COLORS.BRIGHT}=== BATCH TRANSFERS ===${COLORS.RESET}`);
+    this.currentCategory = "batch-transfers";
 
-    if (this.signers.length < 3) {
-      this.log(
-        `${COLORS.YELLOW}Skipping batch transfers - need at least 3 accounts${COLORS.RESET}`
-      );
-      return;
-    }
+    const skip = this.signers.length < 3 && "needs at least 3 accounts";
 
     const sender = this.signers[0];
     const recipients = this.signers.slice(1, Math.min(4, this.signers.length));
 
     // Test sequential transfers
-    await this.runTest("Sequential batch transfers", async () => {
-      const transferAmount = ethers.parseEther("0.001");
-      const results = [];
+    await this.runTest(
+      "Sequential batch transfers",
+      async () => {
+        const transferAmount = ethers.parseEther("0.001");
+        const results = [];
 
-      for (const recipient of recipients) {
-        const tx = await sender.sendTransaction({
-          to: recipient.address,
-          value: transferAmount,
-        });
+        for (const recipient of recipients) {
+          const tx = await sender.sendTransaction({
+            to: recipient.address,
+            value: transferAmount,
+          });
 
-        const receipt = await tx.wait();
-        results.push({
-          to: recipient.address,
-          amount: transferAmount.toString(),
-          gasUsed: receipt.gasUsed.toString(),
-          txHash: tx.hash,
-        });
-      }
+          const receipt = await tx.wait();
+          results.push({
+            to: recipient.address,
+            amount: transferAmount.toString(),
+            gasUsed: receipt.gasUsed.toString(),
+            txHash: tx.hash,
+          });
+        }
 
-      const totalGasUsed = results.reduce(
-        (sum, r) => sum + BigInt(r.gasUsed),
-        0n
-      );
-      const totalAmount =
-        BigInt(transferAmount.toString()) * BigInt(results.length);
+        const totalGasUsed = results.reduce(
+          (sum, r) => sum + BigInt(r.gasUsed),
+          0n
+        );
+        const totalAmount =
+          BigInt(transferAmount.toString()) * BigInt(results.length);
 
-      return {
-        recipientCount: recipients.length,
-        totalAmount: totalAmount.toString(),
-        totalGasUsed: totalGasUsed.toString(),
-        averageGasPerTransfer: (
-          totalGasUsed / BigInt(results.length)
-        ).toString(),
-        transfers: results,
-      };
-    });
+        return {
+          recipientCount: recipients.length,
+          totalAmount: totalAmount.toString(),
+          totalGasUsed: totalGasUsed.toString(),
+          averageGasPerTransfer: (
+            totalGasUsed / BigInt(results.length)
+          ).toString(),
+          transfers: results,
+        };
+      },
+      { skip }
+    );
 
     // Test rapid sequential transfers (stress test)
-    await this.runTest("Rapid sequential transfers", async () => {
-      const transferAmount = ethers.parseEther("0.0001");
-      const recipient = recipients[0];
-      const transferCount = 5;
-      const results = [];
+    await this.runTest(
+      "Rapid sequential transfers",
+      async () => {
+        const transferAmount = ethers.parseEther("0.0001");
+        const recipient = recipients[0];
+        const transferCount = 5;
+        const results = [];
 
-      const startTime = Date.now();
+        const startTime = Date.now();
 
-      for (let i = 0; i < transferCount; i++) {
-        const tx = await sender.sendTransaction({
-          to: recipient.address,
-          value: transferAmount,
-        });
+        for (let i = 0; i < transferCount; i++) {
+          const tx = await sender.sendTransaction({
+            to: recipient.address,
+            value: transferAmount,
+          });
 
-        // Don't wait for receipt to speed up
-        results.push({
-          txHash: tx.hash,
-          nonce: tx.nonce,
-        });
-      }
+          // Don't wait for receipt to speed up
+          results.push({
+            txHash: tx.hash,
+            nonce: tx.nonce,
+          });
+        }
 
-      // Wait for all transactions
-      const receipts = [];
-      for (const result of results) {
-        let receipt = null;
-        let attempts = 0;
-        const maxAttempts = 60; // 60 seconds timeout
-
-        while (!receipt && attempts < maxAttempts) {
-          try {
-            receipt = await this.provider.getTransactionReceipt(result.txHash);
-            if (!receipt) {
-              await new Promise((resolve) => setTimeout(resolve, 1000)); // Wait 1 second
-              attempts++;
-            }
-          } catch (error) {
-            await new Promise((resolve) => setTimeout(resolve, 1000)); // Wait 1 second
-            attempts++;
+        // Wait for all transactions
+        const receipts = [];
+        for (const result of results) {
+          const receipt = await this.waitForReceipt(result.txHash);
+          if (!receipt) {
+            throw new Error(
+              `Transaction ${result.txHash} not mined after 60 seconds`
+            );
           }
-        }
 
-        if (!receipt) {
-          throw new Error(
-            `Transaction ${result.txHash} not mined after ${maxAttempts} seconds`
-          );
+          receipts.push(receipt);
         }
 
-        receipts.push(receipt);
-      }
-
-      const endTime = Date.now();
-      const totalGasUsed = receipts.reduce((sum, r) => sum + r.gasUsed, 0n);
+        const endTime = Date.now();
+        const totalGasUsed = receipts.reduce((sum, r) => sum + r.gasUsed, 0n);
 
-      return {
-        transferCount,
-        totalTime: endTime - startTime,
-        timePerTransfer: (endTime - startTime) / transferCount,
-        totalGasUsed: totalGasUsed.toString(),
-        averageGasPerTransfer: (
-          totalGasUsed / BigInt(transferCount)
-        ).toString(),
-      };
-    });
+        return {
+          transferCount,
+          totalTime: endTime - startTime,
+          timePerTransfer: (endTime - startTime) / transferCount,
+          totalGasUsed: totalGasUsed.toString(),
+          averageGasPerTransfer: (
+            totalGasUsed / BigInt(transferCount)
+          ).toString(),
+        };
+      },
+      { skip }
+    );
   }
 
   async testEdgeCases() {
     this.log(`\n${COLORS.BRIGHT}=== EDGE CASES ===${COLORS.RESET}`);
+    this.currentCategory = "edge-cases";
 
     const sender = this.signers[0];
 
@@ -564,6 +537,7 @@ class TransferTester {
 
   async testTransactionDetails() {
     this.log(`\n${COLORS.BRIGHT}=== TRANSACTION DETAILS ===${COLORS.RESET}`);
+    this.currentCategory = "transaction-details";
 
     const sender = this.signers[0];
     const recipient = this.signers.length > 1 ? this.signers[1] : sender;
@@ -705,13 +679,14 @@ class TransferTester {
 
     const startTime = Date.now();
 
-    await this.setupAccounts();
-    await this.testBasicTransfers();
-    await this.testTransferVariations();
-    await this.testGasEstimation();
-    await this.testBatchTransfers();
-    await this.testEdgeCases();
-    await this.testTransactionDetails();
+    await this.runSuite(async () => {
+      await this.testBasicTransfers();
+      await this.testTransferVariations();
+      await this.testGasEstimation();
+      await this.testBatchTransfers();
+      await this.testEdgeCases();
+      await this.testTransactionDetails();
+    });
 
     const duration = Date.now() - startTime;
     const report = await this.generateReport();
@@ -734,6 +709,7 @@ class TransferTester {
       total: this.results.total,
       successRate: parseFloat(successRate),
       duration,
+      tests: this.results.tests,
       report,
     };
   }
@@ -742,12 +718,15 @@ class TransferTester {
 async function main() {
   try {
     const tester = new TransferTester();
-    const results = await tester.runAllTests();
+    if (tester.selection.list) {
+      await tester.printTestList();
+      return;
+    }
+    await tester.runAllTests();
 
-    // Exit with error code if too many tests failed
-    if (results.successRate < 80) {
+    if (!tester.checkGates()) {
       console.log(
-        `\n${COLORS.RED}Warning: Success rate below 80%. Some tests may have failed.${COLORS.RESET}`
+        `\n${COLORS.RED}Transfer testing did not pass its gates.${COLORS.RESET}`
       );
       process.exit(1);
     }
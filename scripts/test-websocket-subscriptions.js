@@ -0,0 +1,468 @@
+const { ethers } = require("hardhat");
+const { TestHarness, TestSkipped, COLORS } = require("./test-harness");
+const { percentile } = require("./soak-metrics");
+const fs = require("fs");
+const path = require("path");
+require("dotenv").config();
+
+// Blocks the newHeads test produces on chains that only mine on demand
+const HEAD_COUNT = 3;
+
+// How long a cancelled subscription is watched for stray notifications
+const UNSUBSCRIBE_GRACE_MS = 2000;
+
+// Companion of RPCTester for the WebSocket endpoint: eth_subscribe for
+// newHeads, logs and newPendingTransactions, delivery latency and
+// eth_unsubscribe. Transactions go through the HTTP provider; only the
+// subscriptions use the socket.
+class WebSocketTester extends TestHarness {
+  constructor() {
+    super("WebSocket Subscriptions");
+    this.provider = ethers.provider;
+    this.url = process.env.WEBSOCKET_URL || "ws://localhost:8545";
+    this.timeout = parseInt(process.env.WEBSOCKET_TIMEOUT) || 30000;
+
+    this.wsProvider = null;
+    this.subscriptions = new Map();
+    this.testContract = null;
+
+    this.afterAll(() => this.disconnect());
+  }
+
+  async connect() {
+    const wsProvider = new ethers.WebSocketProvider(this.url);
+    const socket = wsProvider.websocket;
+
+    try {
+      const blockNumber = await new Promise((resolve, reject) => {
+        const timer = setTimeout(
+          () =>
+            reject(
+              new Error(`No connection to ${this.url} after ${this.timeout}ms`)
+            ),
+          this.timeout
+        );
+        socket.onerror = (event) => {
+          clearTimeout(timer);
+          reject(
+            new Error(
+              `WebSocket error on ${this.url}: ${
+                event.message || "connection failed"
+              }`
+            )
+          );
+        };
+        wsProvider.getBlockNumber().then((number) => {
+          clearTimeout(timer);
+          resolve(number);
+        }, reject);
+      });
+
+      // Ethers dispatches notifications only to its own subscribers, so the
+      // raw ones are read off the socket
+      socket.addEventListener("message", (event) =>
+        this.handleMessage(event.data)
+      );
+      this.wsProvider = wsProvider;
+      return blockNumber;
+    } catch (error) {
+      await wsProvider.destroy();
+      throw error;
+    }
+  }
+
+  async disconnect() {
+    if (this.wsProvider) {
+      await this.wsProvider.destroy();
+      this.wsProvider = null;
+    }
+    this.subscriptions.clear();
+  }
+
+  handleMessage(data) {
+    let message;
+    try {
+      message = JSON.parse(data);
+    } catch (error) {
+      return;
+    }
+    if (message.method !== "eth_subscription" || !message.params) {
+      return;
+    }
+    const subscription = this.subscriptions.get(message.params.subscription);
+    if (subscription) {
+      subscription.notifications.push({
+        result: message.params.result,
+        receivedAt: Date.now(),
+      });
+    }
+  }
+
+  // `params` are the eth_subscribe params, e.g. ["newHeads"]
+  async subscribe(params) {
+    const id = await this.callCapability("method", "eth_subscribe", () =>
+      this.wsProvider.send("eth_subscribe", params)
+    );
+    const subscription = { id, type: params[0], notifications: [] };
+    this.subscriptions.set(id, subscription);
+    return subscription;
+  }
+
+  // Returns eth_unsubscribe's result. Notifications still in flight are
+  // kept, so callers can tell them from ones sent after the cancellation.
+  async unsubscribe(subscription) {
+    const result = await this.wsProvider.send("eth_unsubscribe", [
+      subscription.id,
+    ]);
+    subscription.cancelledAt = Date.now();
+    return result;
+  }
+
+  // Cleanup for tests that don't check eth_unsubscribe themselves
+  async unsubscribeQuietly(subscription) {
+    if (!subscription || subscription.cancelledAt || !this.wsProvider) {
+      return;
+    }
+    try {
+      await this.unsubscribe(subscription);
+    } catch (error) {
+      this.log(
+        `  ${COLORS.YELLOW}⚠ eth_unsubscribe failed for ${subscription.type}: ${error.message}${COLORS.RESET}`
+      );
+    }
+  }
+
+  // Polls the subscription until `predicate` accepts a notification
+  async waitForNotification(subscription, predicate, description) {
+    const deadline = Date.now() + this.timeout;
+    while (Date.now() < deadline) {
+      const match = subscription.notifications.find(predicate);
+      if (match) {
+        return match;
+      }
+      await new Promise((resolve) => setTimeout(resolve, 100));
+    }
+    throw new Error(
+      `No ${subscription.type} notification for ${description} within ${this.timeout}ms`
+    );
+  }
+
+  async sendSelfTransfer() {
+    const [signer] = await ethers.getSigners();
+    return signer.sendTransaction({
+      to: signer.address,
+      value: ethers.parseEther("0.0001"),
+    });
+  }
+
+  // TestContract from deployments/latest.json; the logs test is skipped
+  // when it hasn't been deployed
+  async loadTestContract() {
+    if (this.testContract) {
+      return this.testContract;
+    }
+
+    const latestPath = path.join(__dirname, "..", "deployments", "latest.json");
+    const deployments = fs.existsSync(latestPath)
+      ? JSON.parse(fs.readFileSync(latestPath, "utf8"))
+      : null;
+    const info = deployments?.contracts?.TestContract;
+    if (!info) {
+      throw new TestSkipped(
+        "TestContract not deployed (npm run deploy:test first)"
+      );
+    }
+    if ((await this.provider.getCode(info.address)) === "0x") {
+      throw new Error(`No code at TestContract address ${info.address}`);
+    }
+
+    this.testContract = await ethers.getContractAt(
+      "TestContract",
+      info.address
+    );
+    return this.testContract;
+  }
+
+  latencySummary(latencies) {
+    const sorted = [...latencies].sort((a, b) => a - b);
+    return {
+      p50: percentile(sorted, 50),
+      max: sorted.length > 0 ? sorted[sorted.length - 1] : null,
+    };
+  }
+
+  async testConnection() {
+    this.log(`\n${COLORS.BRIGHT}=== WEBSOCKET CONNECTION ===${COLORS.RESET}`);
+    this.currentCategory = "websocket-connection";
+
+    await this.runTest(
+      "WebSocket connection",
+      async () => {
+        const blockNumber = await this.connect();
+        return { url: this.url, blockNumber };
+      },
+      { setup: true }
+    );
+  }
+
+  async testSubscriptions() {
+    this.log(
+      `\n${COLORS.BRIGHT}=== ETH_SUBSCRIBE SUBSCRIPTIONS ===${COLORS.RESET}`
+    );
+    this.currentCategory = "eth-subscribe";
+    const skip = !this.wsProvider && "no WebSocket connection";
+
+    // Test newHeads: every block is delivered once, in order
+    await this.runTest(
+      "eth_subscribe (newHeads)",
+      async () => {
+        const subscription = await this.subscribe(["newHeads"]);
+        try {
+          // Chains that mine on demand only produce heads for transactions
+          let lastBlock = 0;
+          for (let i = 0; i < HEAD_COUNT; i++) {
+            const receipt = await (await this.sendSelfTransfer()).wait();
+            lastBlock = receipt.blockNumber;
+          }
+          await this.waitForNotification(
+            subscription,
+            (n) => parseInt(n.result.number, 16) >= lastBlock,
+            `block ${lastBlock}`
+          );
+
+          const heads = subscription.notifications.map((n) => ({
+            number: parseInt(n.result.number, 16),
+            hash: n.result.hash,
+            parentHash: n.result.parentHash,
+            latency: n.receivedAt - parseInt(n.result.timestamp, 16) * 1000,
+          }));
+          const gaps = [];
+          for (let i = 1; i < heads.length; i++) {
+            const previous = heads[i - 1];
+            if (
+              heads[i].number !== previous.number + 1 ||
+              heads[i].parentHash !== previous.hash
+            ) {
+              gaps.push(`${previous.number} -> ${heads[i].number}`);
+            }
+          }
+          if (gaps.length > 0) {
+            throw new Error(
+              `Heads skipped or out of order: ${gaps.join(", ")}`
+            );
+          }
+
+          return {
+            subscriptionId: subscription.id,
+            heads: heads.length,
+            fromBlock: heads[0].number,
+            toBlock: heads[heads.length - 1].number,
+            // Against the block timestamp, so only to the second
+            latencyMs: this.latencySummary(heads.map((head) => head.latency)),
+          };
+        } finally {
+          await this.unsubscribeQuietly(subscription);
+        }
+      },
+      { tags: ["websocket"], skip }
+    );
+
+    // Test logs: only the filtered TestContract event comes through
+    await this.runTest(
+      "eth_subscribe (logs)",
+      async () => {
+        const contract = await this.loadTestContract();
+        const [signer] = await ethers.getSigners();
+        const address = await contract.getAddress();
+        const topic =
+          contract.interface.getEvent("CounterIncremented").topicHash;
+
+        const subscription = await this.subscribe([
+          "logs",
+          {
+            address,
+            topics: [topic, ethers.zeroPadValue(signer.address, 32)],
+          },
+        ]);
+        try {
+          // deposit() emits Transfer, which the filter must drop
+          const depositTx = await contract.deposit({
+            value: ethers.parseEther("0.0001"),
+          });
+          await depositTx.wait();
+
+          const sentAt = Date.now();
+          const tx = await contract.incrementCounter();
+          await tx.wait();
+          const notification = await this.waitForNotification(
+            subscription,
+            (n) => n.result.transactionHash === tx.hash,
+            `transaction ${tx.hash}`
+          );
+
+          const stray = subscription.notifications.filter(
+            (n) => n.result.transactionHash !== tx.hash
+          );
+          if (stray.length > 0) {
+            throw new Error(
+              `Filter let through ${stray.length} log(s) from other transactions, e.g. ${stray[0].result.transactionHash}`
+            );
+          }
+
+          const log = notification.result;
+          if (log.address.toLowerCase() !== address.toLowerCase()) {
+            throw new Error(`Log from ${log.address}, expected ${address}`);
+          }
+          if (log.removed) {
+            throw new Error(`Log of ${tx.hash} was delivered as removed`);
+          }
+          const event = contract.interface.parseLog(log);
+          const counter = await contract.getCounter();
+          if (event.args.newValue !== counter) {
+            throw new Error(
+              `CounterIncremented carried ${event.args.newValue}, getCounter() returns ${counter}`
+            );
+          }
+
+          return {
+            subscriptionId: subscription.id,
+            transactionHash: tx.hash,
+            blockNumber: parseInt(log.blockNumber, 16),
+            newValue: event.args.newValue.toString(),
+            latencyMs: notification.receivedAt - sentAt,
+          };
+        } finally {
+          await this.unsubscribeQuietly(subscription);
+        }
+      },
+      { tags: ["websocket"], skip }
+    );
+
+    // Test newPendingTransactions: nodes send the hash or the whole transaction
+    await this.runTest(
+      "eth_subscribe (newPendingTransactions)",
+      async () => {
+        const subscription = await this.subscribe(["newPendingTransactions"]);
+        try {
+          const sentAt = Date.now();
+          const tx = await this.sendSelfTransfer();
+          const notification = await this.waitForNotification(
+            subscription,
+            (n) => (n.result.hash || n.result) === tx.hash,
+            `transaction ${tx.hash}`
+          );
+          await tx.wait();
+
+          return {
+            subscriptionId: subscription.id,
+            transactionHash: tx.hash,
+            fullTransactions: typeof notification.result === "object",
+            latencyMs: notification.receivedAt - sentAt,
+          };
+        } finally {
+          await this.unsubscribeQuietly(subscription);
+        }
+      },
+      { tags: ["websocket"], skip }
+    );
+
+    // Test eth_unsubscribe: nothing arrives once it returns
+    await this.runTest(
+      "eth_unsubscribe",
+      async () => {
+        const subscription = await this.subscribe(["newHeads"]);
+        const result = await this.unsubscribe(subscription);
+        if (result !== true) {
+          throw new Error(`eth_unsubscribe returned ${JSON.stringify(result)}`);
+        }
+
+        const receipt = await (await this.sendSelfTransfer()).wait();
+        await new Promise((resolve) =>
+          setTimeout(resolve, UNSUBSCRIBE_GRACE_MS)
+        );
+        const late = subscription.notifications.filter(
+          (n) => parseInt(n.result.number, 16) >= receipt.blockNumber
+        );
+        if (late.length > 0) {
+          throw new Error(
+            `${late.length} head(s) delivered after eth_unsubscribe, up to block ${receipt.blockNumber}`
+          );
+        }
+
+        return {
+          subscriptionId: subscription.id,
+          unsubscribed: result,
+          blockAfterUnsubscribe: receipt.blockNumber,
+        };
+      },
+      { tags: ["websocket"], skip }
+    );
+  }
+
+  async runAllTests() {
+    this.log(
+      `${COLORS.BRIGHT}${COLORS.BLUE}Starting WebSocket subscription testing...${COLORS.RESET}`
+    );
+    this.log(`WebSocket endpoint: ${this.url}`);
+
+    const startTime = Date.now();
+
+    await this.runSuite(async () => {
+      await this.testConnection();
+      await this.testSubscriptions();
+    });
+
+    const duration = Date.now() - startTime;
+
+    this.log(`\n${COLORS.BRIGHT}=== TEST SUMMARY ===${COLORS.RESET}`);
+    this.log(`${COLORS.GREEN}Passed: ${this.results.passed}${COLORS.RESET}`);
+    this.log(`${COLORS.RED}Failed: ${this.results.failed}${COLORS.RESET}`);
+    this.log(`${COLORS.CYAN}Total: ${this.results.total}${COLORS.RESET}`);
+    this.log(`${COLORS.YELLOW}Duration: ${duration}ms${COLORS.RESET}`);
+
+    const successRate =
+      this.results.total > 0
+        ? ((this.results.passed / this.results.total) * 100).toFixed(1)
+        : "0.0";
+    this.log(`${COLORS.BRIGHT}Success Rate: ${successRate}%${COLORS.RESET}`);
+
+    return {
+      passed: this.results.passed,
+      failed: this.results.failed,
+      total: this.results.total,
+      successRate: parseFloat(successRate),
+      duration,
+      tests: this.results.tests,
+    };
+  }
+}
+
+async function main() {
+  try {
+    const tester = new WebSocketTester();
+    if (tester.selection.list) {
+      await tester.printTestList();
+      return;
+    }
+    await tester.runAllTests();
+
+    if (!tester.checkGates()) {
+      process.exit(1);
+    }
+  } catch (error) {
+    console.error(
+      `${COLORS.RED}Fatal error during WebSocket testing:${COLORS.RESET}`,
+      error
+    );
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
+}
+
+module.exports = { WebSocketTester };
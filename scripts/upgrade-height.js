@@ -0,0 +1,28 @@
+// Where the scripts look up the planned upgrade height
+
+const fs = require("fs");
+const path = require("path");
+
+// The report upgrade-proposal.js saves for the last proposal it submitted
+const PROPOSAL_FILE = path.join(
+  __dirname,
+  "..",
+  "test-results",
+  "upgrade-proposal-latest.json"
+);
+
+// `height` when given, else UPGRADE_HEIGHT, else the height of the last
+// proposal submitted by upgrade-proposal.js. Null when none is known.
+function upgradeHeight(height = null) {
+  return height || parseInt(process.env.UPGRADE_HEIGHT) || proposalHeight();
+}
+
+function proposalHeight() {
+  if (!fs.existsSync(PROPOSAL_FILE)) {
+    return null;
+  }
+  const proposal = JSON.parse(fs.readFileSync(PROPOSAL_FILE, "utf8"));
+  return proposal.upgradeHeight || null;
+}
+
+module.exports = { upgradeHeight };
@@ -0,0 +1,615 @@
+const {
+  Registry,
+  makeAuthInfoBytes,
+  makeSignBytes,
+} = require("@cosmjs/proto-signing");
+const { defaultRegistryTypes } = require("@cosmjs/stargate");
+const { keccak256, sha256 } = require("@cosmjs/crypto");
+const { fromBech32, toBech32 } = require("@cosmjs/encoding");
+const { PubKey } = require("cosmjs-types/cosmos/crypto/secp256k1/keys");
+const {
+  MsgSoftwareUpgrade,
+} = require("cosmjs-types/cosmos/upgrade/v1beta1/tx");
+const { VoteOption } = require("cosmjs-types/cosmos/gov/v1/gov");
+const fs = require("fs");
+const path = require("path");
+const { CosmosBankTester } = require("./test-cosmos-bank");
+require("./project-config").applyProfile();
+require("dotenv").config();
+
+const COLORS = {
+  RESET: "\x1b[0m",
+  BRIGHT: "\x1b[1m",
+  GREEN: "\x1b[32m",
+  RED: "\x1b[31m",
+  YELLOW: "\x1b[33m",
+  BLUE: "\x1b[34m",
+  CYAN: "\x1b[36m",
+  MAGENTA: "\x1b[35m",
+};
+
+// eth_secp256k1 keys are announced with the Ethermint pubkey type
+const ETH_SECP256K1_PUBKEY_TYPE = "/ethermint.crypto.v1.ethsecp256k1.PubKey";
+
+const PROPOSAL_FINAL_STATUSES = [
+  "PROPOSAL_STATUS_PASSED",
+  "PROPOSAL_STATUS_REJECTED",
+  "PROPOSAL_STATUS_FAILED",
+];
+
+class UpgradeProposalDriver {
+  constructor(options = {}) {
+    this.upgradeName = options.upgradeName || process.env.UPGRADE_NAME;
+    this.upgradeHeight =
+      options.upgradeHeight || parseInt(process.env.UPGRADE_HEIGHT) || null;
+    this.upgradeHeightOffset =
+      parseInt(process.env.UPGRADE_HEIGHT_OFFSET) || 100;
+    this.upgradeInfo = options.upgradeInfo || process.env.UPGRADE_INFO || "";
+
+    this.voterIndices = (process.env.GOV_VOTER_INDICES || "0")
+      .split(",")
+      .map((i) => parseInt(i.trim()))
+      .filter((i) => !isNaN(i));
+    this.initialDeposit = process.env.GOV_INITIAL_DEPOSIT || null;
+    this.feeAmount = process.env.GOV_FEE_AMOUNT || "62500000000000000";
+    this.feeDenom = process.env.GOV_FEE_DENOM || "ario";
+    this.gasLimit = parseInt(process.env.GOV_GAS_LIMIT) || 500000;
+    this.pollInterval = parseInt(process.env.GOV_POLL_INTERVAL) || 5000;
+    this.proposalTimeout = parseInt(process.env.GOV_PROPOSAL_TIMEOUT) || null;
+
+    this.tester = new CosmosBankTester();
+    this.restUrl = this.tester.restUrl;
+    this.registry = new Registry([
+      ...defaultRegistryTypes,
+      ["/cosmos.upgrade.v1beta1.MsgSoftwareUpgrade", MsgSoftwareUpgrade],
+    ]);
+
+    this.proposer = null;
+    this.voters = [];
+    this.authority = null;
+    this.report = null;
+
+    this.verbose = process.env.VERBOSE === "true";
+    this.debug = process.env.DEBUG === "true";
+  }
+
+  log(message, color = COLORS.RESET) {
+    console.log(`${color}${message}${COLORS.RESET}`);
+  }
+
+  async fetchJson(endpoint) {
+    const response = await fetch(`${this.restUrl}${endpoint}`);
+    if (!response.ok) {
+      throw new Error(
+        `HTTP ${response.status} from ${endpoint}: ${response.statusText}`
+      );
+    }
+    return await response.json();
+  }
+
+  async initialize() {
+    if (!this.upgradeName) {
+      throw new Error("UPGRADE_NAME (or --name) is required");
+    }
+
+    await this.tester.initialize();
+    this.proposer = this.tester.wallet;
+
+    this.log(`\n${COLORS.BRIGHT}=== GOVERNANCE SETUP ===${COLORS.RESET}`);
+
+    for (const index of this.voterIndices) {
+      const wallet = await this.tester.deriveWallet(index);
+      this.voters.push({ index, ...wallet });
+      this.log(
+        `${COLORS.GREEN}✓ Voter ${index}: ${wallet.address}${COLORS.RESET}`
+      );
+    }
+
+    this.authority = await this.getGovAuthority();
+    this.log(
+      `${COLORS.GREEN}✓ Gov module authority: ${this.authority}${COLORS.RESET}`
+    );
+
+    if (!this.upgradeHeight) {
+      const height = await this.tester.client.getHeight();
+      this.upgradeHeight = height + this.upgradeHeightOffset;
+      this.log(
+        `${COLORS.YELLOW}⚠ UPGRADE_HEIGHT not set, using current height ${height} + ${this.upgradeHeightOffset}${COLORS.RESET}`
+      );
+    }
+    this.log(
+      `${COLORS.GREEN}✓ Upgrade "${this.upgradeName}" planned at height ${this.upgradeHeight}${COLORS.RESET}`
+    );
+  }
+
+  async getGovAuthority() {
+    try {
+      const data = await this.fetchJson(
+        "/cosmos/auth/v1beta1/module_accounts/gov"
+      );
+      const account = data.account.base_account || data.account;
+      if (account.address) {
+        return account.address;
+      }
+    } catch (error) {
+      if (this.debug) {
+        this.log(
+          `${COLORS.YELLOW}⚠ Module account query failed: ${error.message}${COLORS.RESET}`
+        );
+      }
+    }
+
+    // Module addresses are the first 20 bytes of sha256(module name)
+    const { prefix } = fromBech32(this.proposer.address);
+    return toBech32(prefix, sha256(Buffer.from("gov")).slice(0, 20));
+  }
+
+  async getGovParams() {
+    const deposit = await this.fetchJson("/cosmos/gov/v1/params/deposit");
+    const voting = await this.fetchJson("/cosmos/gov/v1/params/voting");
+
+    // SDK 0.47+ returns everything under "params", older versions split it up
+    const depositParams = deposit.params || deposit.deposit_params;
+    const votingParams = voting.params || voting.voting_params;
+
+    return {
+      minDeposit: depositParams.min_deposit || [],
+      votingPeriodSeconds: parseInt(votingParams.voting_period) || 0,
+    };
+  }
+
+  // Build a transaction in the same shape as the RealioJS tx messages so it can
+  // go through CosmosBankTester.signTransaction/broadcastTransaction unchanged.
+  async createTxMessage(wallet, messages, memo) {
+    const accountData = await this.tester.fetchAccountData(wallet.address);
+    const account = accountData.account.base_account || accountData.account;
+
+    const bodyBytes = this.registry.encodeTxBody({ messages, memo });
+    const pubkey = {
+      typeUrl: ETH_SECP256K1_PUBKEY_TYPE,
+      value: PubKey.encode({
+        key: Buffer.from(wallet.pubkey, "hex"),
+      }).finish(),
+    };
+    const authInfoBytes = makeAuthInfoBytes(
+      [{ pubkey, sequence: parseInt(account.sequence) }],
+      [{ denom: this.feeDenom, amount: this.feeAmount }],
+      this.gasLimit,
+      undefined,
+      undefined
+    );
+    const signDoc = {
+      bodyBytes,
+      authInfoBytes,
+      chainId: this.tester.chainId,
+      accountNumber: account.account_number,
+    };
+
+    return {
+      signDirect: {
+        body: { serializeBinary: () => bodyBytes },
+        authInfo: { serializeBinary: () => authInfoBytes },
+        signBytes: Buffer.from(keccak256(makeSignBytes(signDoc))).toString(
+          "base64"
+        ),
+      },
+    };
+  }
+
+  async sendMessages(wallet, messages, memo) {
+    const txMsg = await this.createTxMessage(wallet, messages, memo);
+    const broadcastResponse = await this.tester.broadcastTransaction(
+      txMsg,
+      wallet.privateKey
+    );
+
+    if (broadcastResponse.tx_response?.code !== 0) {
+      throw new Error(
+        `Transaction failed: ${
+          broadcastResponse.tx_response?.raw_log ||
+          JSON.stringify(broadcastResponse)
+        }`
+      );
+    }
+
+    const txHash = broadcastResponse.tx_response.txhash;
+    this.log(`  Transaction hash: ${txHash}`, COLORS.BLUE);
+
+    const txResponse = await this.tester.waitForTransaction(txHash);
+    if (txResponse.code !== 0) {
+      throw new Error(
+        `Transaction ${txHash} failed in block: ${txResponse.raw_log}`
+      );
+    }
+    this.log(
+      `  Included at height ${txResponse.height}, gas used ${txResponse.gas_used}`,
+      COLORS.BLUE
+    );
+
+    return txResponse;
+  }
+
+  findEventAttribute(txResponse, eventType, key) {
+    // Events live in tx_response.events on SDK 0.47+ and in logs before that
+    const events = [
+      ...(txResponse.events || []),
+      ...(txResponse.logs || []).flatMap((log) => log.events || []),
+    ];
+
+    for (const event of events.filter((e) => e.type === eventType)) {
+      const attribute = event.attributes.find((a) => a.key === key);
+      if (attribute) {
+        return attribute.value;
+      }
+    }
+    return null;
+  }
+
+  async submitProposal() {
+    this.log(
+      `\n${COLORS.BRIGHT}=== SUBMITTING UPGRADE PROPOSAL ===${COLORS.RESET}`
+    );
+
+    const upgradeMsg = this.registry.encodeAsAny({
+      typeUrl: "/cosmos.upgrade.v1beta1.MsgSoftwareUpgrade",
+      value: MsgSoftwareUpgrade.fromPartial({
+        authority: this.authority,
+        plan: {
+          name: this.upgradeName,
+          height: this.upgradeHeight,
+          info: this.upgradeInfo,
+        },
+      }),
+    });
+
+    const initialDeposit = this.initialDeposit
+      ? [{ denom: this.tester.denom, amount: this.initialDeposit }]
+      : [];
+
+    const txResponse = await this.sendMessages(
+      this.proposer,
+      [
+        {
+          typeUrl: "/cosmos.gov.v1.MsgSubmitProposal",
+          value: {
+            messages: [upgradeMsg],
+            initialDeposit,
+            proposer: this.proposer.address,
+            metadata: "",
+            title: `Software upgrade ${this.upgradeName}`,
+            summary: `Upgrade to ${this.upgradeName} at height ${this.upgradeHeight}`,
+          },
+        },
+      ],
+      `Software upgrade proposal ${this.upgradeName}`
+    );
+
+    let proposalId = this.findEventAttribute(
+      txResponse,
+      "submit_proposal",
+      "proposal_id"
+    );
+    if (!proposalId) {
+      // Fall back to the most recent proposal from this proposer
+      const data = await this.fetchJson(
+        `/cosmos/gov/v1/proposals?proposer=${this.proposer.address}&pagination.reverse=true&pagination.limit=1`
+      );
+      proposalId = data.proposals?.[0]?.id;
+    }
+    if (!proposalId) {
+      throw new Error("Could not determine the submitted proposal id");
+    }
+
+    this.log(
+      `${COLORS.GREEN}✓ Proposal ${proposalId} submitted${COLORS.RESET}`
+    );
+    return { proposalId, txHash: txResponse.txhash };
+  }
+
+  async fetchProposal(proposalId) {
+    const data = await this.fetchJson(`/cosmos/gov/v1/proposals/${proposalId}`);
+    return data.proposal;
+  }
+
+  async deposit(proposalId, minDeposit) {
+    this.log(`\n${COLORS.BRIGHT}=== DEPOSITING ===${COLORS.RESET}`);
+
+    const proposal = await this.fetchProposal(proposalId);
+    if (proposal.status !== "PROPOSAL_STATUS_DEPOSIT_PERIOD") {
+      this.log(
+        `${COLORS.GREEN}✓ Proposal already in ${proposal.status}, no deposit needed${COLORS.RESET}`
+      );
+      return null;
+    }
+
+    // Top up every denomination of min_deposit that is still missing
+    const amount = minDeposit
+      .map((coin) => {
+        const deposited = (proposal.total_deposit || []).find(
+          (c) => c.denom === coin.denom
+        );
+        const missing =
+          BigInt(coin.amount) - BigInt(deposited ? deposited.amount : 0);
+        return { denom: coin.denom, amount: missing.toString() };
+      })
+      .filter((coin) => BigInt(coin.amount) > 0n);
+
+    if (amount.length === 0) {
+      this.log(
+        `${COLORS.GREEN}✓ Minimum deposit already reached, no deposit needed${COLORS.RESET}`
+      );
+      return null;
+    }
+
+    this.log(
+      `  Depositing ${amount.map((c) => `${c.amount}${c.denom}`).join(", ")}`,
+      COLORS.BLUE
+    );
+
+    const txResponse = await this.sendMessages(
+      this.proposer,
+      [
+        {
+          typeUrl: "/cosmos.gov.v1.MsgDeposit",
+          value: {
+            proposalId,
+            depositor: this.proposer.address,
+            amount,
+          },
+        },
+      ],
+      `Deposit for proposal ${proposalId}`
+    );
+
+    this.log(`${COLORS.GREEN}✓ Deposit included${COLORS.RESET}`);
+    return txResponse.txhash;
+  }
+
+  async vote(proposalId) {
+    this.log(`\n${COLORS.BRIGHT}=== VOTING ===${COLORS.RESET}`);
+
+    await this.waitForStatus(
+      proposalId,
+      ["PROPOSAL_STATUS_VOTING_PERIOD"],
+      60000
+    );
+
+    const votes = [];
+    for (const voter of this.voters) {
+      try {
+        const txResponse = await this.sendMessages(
+          voter,
+          [
+            {
+              typeUrl: "/cosmos.gov.v1.MsgVote",
+              value: {
+                proposalId,
+                voter: voter.address,
+                option: VoteOption.VOTE_OPTION_YES,
+                metadata: "",
+              },
+            },
+          ],
+          `Vote on proposal ${proposalId}`
+        );
+        this.log(
+          `${COLORS.GREEN}✓ Voter ${voter.index} voted YES${COLORS.RESET}`
+        );
+        votes.push({
+          voter: voter.address,
+          success: true,
+          txHash: txResponse.txhash,
+        });
+      } catch (error) {
+        this.log(
+          `${COLORS.RED}✗ Voter ${voter.index} failed to vote: ${error.message}${COLORS.RESET}`
+        );
+        votes.push({
+          voter: voter.address,
+          success: false,
+          error: error.message,
+        });
+      }
+    }
+
+    if (!votes.some((v) => v.success)) {
+      throw new Error("No votes were accepted");
+    }
+    return votes;
+  }
+
+  async waitForStatus(proposalId, statuses, timeout) {
+    const deadline = Date.now() + timeout;
+    let proposal = await this.fetchProposal(proposalId);
+
+    while (!statuses.includes(proposal.status)) {
+      if (Date.now() > deadline) {
+        throw new Error(
+          `Proposal ${proposalId} still in ${proposal.status} after ${timeout}ms`
+        );
+      }
+      await new Promise((resolve) => setTimeout(resolve, this.pollInterval));
+      proposal = await this.fetchProposal(proposalId);
+    }
+
+    return proposal;
+  }
+
+  async trackProposal(proposalId, votingPeriodSeconds) {
+    this.log(`\n${COLORS.BRIGHT}=== TRACKING PROPOSAL ===${COLORS.RESET}`);
+
+    const timeout = this.proposalTimeout || (votingPeriodSeconds + 60) * 1000;
+    this.log(
+      `  Waiting up to ${Math.round(
+        timeout / 1000
+      )}s for the voting period to end`,
+      COLORS.BLUE
+    );
+
+    const proposal = await this.waitForStatus(
+      proposalId,
+      PROPOSAL_FINAL_STATUSES,
+      timeout
+    );
+
+    const color =
+      proposal.status === "PROPOSAL_STATUS_PASSED" ? COLORS.GREEN : COLORS.RED;
+    this.log(
+      `${color}Proposal ${proposalId}: ${proposal.status}${COLORS.RESET}`
+    );
+    if (proposal.final_tally_result) {
+      const tally = proposal.final_tally_result;
+      this.log(
+        `  Tally: yes=${tally.yes_count} no=${tally.no_count} abstain=${tally.abstain_count} veto=${tally.no_with_veto_count}`,
+        COLORS.BLUE
+      );
+    }
+
+    return proposal;
+  }
+
+  async run() {
+    const startTime = Date.now();
+
+    this.report = {
+      timestamp: new Date().toISOString(),
+      chainId: null,
+      upgradeName: this.upgradeName,
+      upgradeHeight: null,
+      proposalId: null,
+      status: null,
+      transactions: {},
+      votes: [],
+      finalTally: null,
+      duration: 0,
+      error: null,
+    };
+
+    try {
+      await this.initialize();
+      this.report.chainId = this.tester.chainId;
+      this.report.upgradeHeight = this.upgradeHeight;
+
+      const govParams = await this.getGovParams();
+
+      const { proposalId, txHash } = await this.submitProposal();
+      this.report.proposalId = proposalId;
+      this.report.transactions.submit = txHash;
+
+      this.report.transactions.deposit = await this.deposit(
+        proposalId,
+        govParams.minDeposit
+      );
+      this.report.votes = await this.vote(proposalId);
+
+      const proposal = await this.trackProposal(
+        proposalId,
+        govParams.votingPeriodSeconds
+      );
+      this.report.status = proposal.status;
+      this.report.finalTally = proposal.final_tally_result || null;
+    } catch (error) {
+      this.report.error = error.message;
+      this.log(`${COLORS.RED}✗ ${error.message}${COLORS.RESET}`);
+      if (this.debug) {
+        console.error(error);
+      }
+    } finally {
+      if (this.tester.client) {
+        this.tester.client.disconnect();
+      }
+    }
+
+    this.report.duration = Date.now() - startTime;
+    this.saveReport();
+
+    return this.report;
+  }
+
+  saveReport() {
+    try {
+      const resultsDir = path.join(__dirname, "..", "test-results");
+      if (!fs.existsSync(resultsDir)) {
+        fs.mkdirSync(resultsDir, { recursive: true });
+      }
+
+      const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
+      const resultFile = path.join(
+        resultsDir,
+        `upgrade-proposal-${timestamp}.json`
+      );
+      const latestFile = path.join(resultsDir, "upgrade-proposal-latest.json");
+
+      fs.writeFileSync(resultFile, JSON.stringify(this.report, null, 2));
+      fs.writeFileSync(latestFile, JSON.stringify(this.report, null, 2));
+
+      this.log(`\n${COLORS.GREEN}✓ Proposal report saved to:${COLORS.RESET}`);
+      this.log(`  ${resultFile}`);
+      this.log(`  ${latestFile}`);
+    } catch (error) {
+      this.log(
+        `${COLORS.YELLOW}⚠ Could not save proposal report: ${error.message}${COLORS.RESET}`
+      );
+    }
+  }
+}
+
+function getArgValue(args, flag) {
+  const index = args.indexOf(flag);
+  return index !== -1 && index + 1 < args.length ? args[index + 1] : null;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+
+  if (args.includes("--help") || args.includes("-h")) {
+    console.log(`
+${COLORS.BRIGHT}Software Upgrade Proposal Driver${COLORS.RESET}
+
+Submits a MsgSoftwareUpgrade governance proposal, deposits, votes YES with
+the mnemonic-derived voter accounts and waits until the proposal is final.
+
+${COLORS.BRIGHT}Usage:${COLORS.RESET}
+  node scripts/upgrade-proposal.js --name <upgrade> [options]
+
+${COLORS.BRIGHT}Options:${COLORS.RESET}
+  --name <name>        Upgrade plan name (or UPGRADE_NAME)
+  --height <height>    Upgrade height (or UPGRADE_HEIGHT)
+  --info <info>        Upgrade plan info, e.g. binary URLs (or UPGRADE_INFO)
+  -h, --help           Show this help message
+
+${COLORS.BRIGHT}Environment Variables:${COLORS.RESET}
+  UPGRADE_HEIGHT_OFFSET  Blocks from now when no height is given (default: 100)
+  GOV_VOTER_INDICES      Comma-separated HD indices of voters (default: 0)
+  GOV_INITIAL_DEPOSIT    Initial deposit in COSMOS_DENOM (default: none)
+  GOV_FEE_AMOUNT         Fee amount per transaction (default: 62500000000000000)
+  GOV_FEE_DENOM          Fee denomination (default: ario)
+  GOV_GAS_LIMIT          Gas limit per transaction (default: 500000)
+  GOV_POLL_INTERVAL      Proposal polling interval in ms (default: 5000)
+  GOV_PROPOSAL_TIMEOUT   Max wait for the final status in ms (default: voting period + 60s)
+`);
+    process.exit(0);
+  }
+
+  const driver = new UpgradeProposalDriver({
+    upgradeName: getArgValue(args, "--name"),
+    upgradeHeight: parseInt(getArgValue(args, "--height")) || null,
+    upgradeInfo: getArgValue(args, "--info"),
+  });
+
+  console.log(
+    `${COLORS.BRIGHT}${COLORS.MAGENTA}🚀 Starting Software Upgrade Proposal 🚀${COLORS.RESET}`
+  );
+
+  const report = await driver.run();
+  process.exit(report.status === "PROPOSAL_STATUS_PASSED" ? 0 : 1);
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
+}
+
+module.exports = { UpgradeProposalDriver };
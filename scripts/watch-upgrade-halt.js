@@ -0,0 +1,468 @@
+const axios = require("axios");
+const fs = require("fs");
+const path = require("path");
+const { upgradeHeight } = require("./upgrade-height");
+require("./project-config").applyProfile();
+require("dotenv").config();
+
+const COLORS = {
+  RESET: "\x1b[0m",
+  BRIGHT: "\x1b[1m",
+  GREEN: "\x1b[32m",
+  RED: "\x1b[31m",
+  YELLOW: "\x1b[33m",
+  BLUE: "\x1b[34m",
+  CYAN: "\x1b[36m",
+  MAGENTA: "\x1b[35m",
+};
+
+class UpgradeHaltWatcher {
+  constructor(options = {}) {
+    this.cosmosRpcUrl = process.env.COSMOS_RPC_URL || "http://localhost:26657";
+    this.evmRpcUrl = process.env.RPC_URL || "http://localhost:8545";
+
+    this.upgradeHeight = upgradeHeight(options.upgradeHeight);
+
+    this.pollInterval = parseInt(process.env.WATCH_POLL_INTERVAL) || 1000;
+    // How long the height must stay flat at the halt height to count as halted
+    this.haltGracePeriod = parseInt(process.env.WATCH_HALT_GRACE) || 10000;
+    this.haltTimeout = parseInt(process.env.WATCH_HALT_TIMEOUT) || 1800000;
+    this.resumeTimeout = parseInt(process.env.WATCH_RESUME_TIMEOUT) || 1800000;
+    // Max gap between EVM and Cosmos resuming to still count as "together"
+    this.syncTolerance = parseInt(process.env.WATCH_SYNC_TOLERANCE) || 5000;
+
+    this.samples = [];
+    this.report = null;
+
+    this.verbose = process.env.VERBOSE === "true";
+    this.debug = process.env.DEBUG === "true";
+  }
+
+  log(message, color = COLORS.RESET) {
+    console.log(`${color}${message}${COLORS.RESET}`);
+  }
+
+  async getCosmosStatus() {
+    const response = await axios.get(`${this.cosmosRpcUrl}/status`, {
+      timeout: 5000,
+    });
+    // Older Tendermint versions wrap the payload in a JSON-RPC envelope
+    const status = response.data.result || response.data;
+
+    return {
+      height: parseInt(status.sync_info.latest_block_height),
+      blockTime: status.sync_info.latest_block_time,
+      catchingUp: status.sync_info.catching_up,
+      version: status.node_info.version,
+      network: status.node_info.network,
+    };
+  }
+
+  async getCosmosBlockTime(height) {
+    const response = await axios.get(
+      `${this.cosmosRpcUrl}/block?height=${height}`,
+      { timeout: 5000 }
+    );
+    const result = response.data.result || response.data;
+    return result.block.header.time;
+  }
+
+  async getEvmBlockNumber() {
+    const response = await axios.post(
+      this.evmRpcUrl,
+      { jsonrpc: "2.0", id: 1, method: "eth_blockNumber", params: [] },
+      { timeout: 5000 }
+    );
+    if (response.data.error) {
+      throw new Error(response.data.error.message);
+    }
+    return parseInt(response.data.result, 16);
+  }
+
+  async sample() {
+    const [cosmos, evm] = await Promise.allSettled([
+      this.getCosmosStatus(),
+      this.getEvmBlockNumber(),
+    ]);
+
+    const sample = {
+      time: Date.now(),
+      cosmos:
+        cosmos.status === "fulfilled"
+          ? { ok: true, ...cosmos.value }
+          : { ok: false, error: cosmos.reason.message },
+      evm:
+        evm.status === "fulfilled"
+          ? { ok: true, height: evm.value }
+          : { ok: false, error: evm.reason.message },
+    };
+    this.samples.push(sample);
+
+    if (this.verbose) {
+      const cosmosState = sample.cosmos.ok
+        ? sample.cosmos.height
+        : `down (${sample.cosmos.error})`;
+      const evmState = sample.evm.ok
+        ? sample.evm.height
+        : `down (${sample.evm.error})`;
+      this.log(`  Cosmos: ${cosmosState}, EVM: ${evmState}`, COLORS.BLUE);
+    }
+
+    return sample;
+  }
+
+  async sleep() {
+    await new Promise((resolve) => setTimeout(resolve, this.pollInterval));
+  }
+
+  async waitForHalt() {
+    this.log(`\n${COLORS.BRIGHT}=== WAITING FOR HALT ===${COLORS.RESET}`);
+
+    // The upgrade handler stops the chain before committing upgradeHeight
+    const lastPreUpgradeHeight = this.upgradeHeight - 1;
+    const deadline = Date.now() + this.haltTimeout;
+    let lastHeight = null;
+    let lastProgress = Date.now();
+    let lastVersion = null;
+
+    while (Date.now() < deadline) {
+      const sample = await this.sample();
+
+      if (sample.cosmos.ok) {
+        lastVersion = sample.cosmos.version;
+
+        if (sample.cosmos.height >= this.upgradeHeight) {
+          throw new Error(
+            `Chain reached height ${sample.cosmos.height} without halting at ${this.upgradeHeight}`
+          );
+        }
+
+        if (sample.cosmos.height !== lastHeight) {
+          lastHeight = sample.cosmos.height;
+          lastProgress = sample.time;
+          if (lastHeight % 10 === 0 || lastHeight >= lastPreUpgradeHeight) {
+            this.log(
+              `  Height ${lastHeight} (${
+                this.upgradeHeight - lastHeight
+              } block(s) to upgrade)`,
+              COLORS.BLUE
+            );
+          }
+        }
+      }
+
+      const stalled = sample.time - lastProgress >= this.haltGracePeriod;
+      const atHaltHeight = lastHeight === lastPreUpgradeHeight;
+      // A node that panics at the upgrade height usually takes its RPC down too
+      if (atHaltHeight && (stalled || !sample.cosmos.ok)) {
+        const haltBlockTime = await this.getCosmosBlockTime(
+          lastPreUpgradeHeight
+        ).catch(() => null);
+
+        this.log(
+          `${COLORS.GREEN}✓ Chain halted at height ${lastPreUpgradeHeight}${COLORS.RESET}`
+        );
+        return {
+          height: lastPreUpgradeHeight,
+          lastBlockTime: haltBlockTime,
+          detectedAt: new Date(sample.time).toISOString(),
+          lastProgressAt: new Date(lastProgress).toISOString(),
+          preUpgradeVersion: lastVersion,
+        };
+      }
+
+      await this.sleep();
+    }
+
+    throw new Error(
+      `Chain did not halt at height ${lastPreUpgradeHeight} within ${this.haltTimeout}ms (last height: ${lastHeight})`
+    );
+  }
+
+  async waitForResume() {
+    this.log(`\n${COLORS.BRIGHT}=== WAITING FOR RESUME ===${COLORS.RESET}`);
+
+    const deadline = Date.now() + this.resumeTimeout;
+    let cosmosResume = null;
+    let evmResume = null;
+
+    while (Date.now() < deadline && !(cosmosResume && evmResume)) {
+      const sample = await this.sample();
+
+      if (
+        !cosmosResume &&
+        sample.cosmos.ok &&
+        sample.cosmos.height >= this.upgradeHeight
+      ) {
+        cosmosResume = {
+          observedAt: sample.time,
+          height: sample.cosmos.height,
+          version: sample.cosmos.version,
+        };
+        this.log(
+          `${COLORS.GREEN}✓ Cosmos RPC producing blocks again (height ${sample.cosmos.height}, version ${sample.cosmos.version})${COLORS.RESET}`
+        );
+      }
+
+      if (
+        !evmResume &&
+        sample.evm.ok &&
+        sample.evm.height >= this.upgradeHeight
+      ) {
+        evmResume = {
+          observedAt: sample.time,
+          height: sample.evm.height,
+        };
+        this.log(
+          `${COLORS.GREEN}✓ EVM RPC producing blocks again (block ${sample.evm.height})${COLORS.RESET}`
+        );
+      }
+
+      if (!(cosmosResume && evmResume)) {
+        await this.sleep();
+      }
+    }
+
+    return { cosmos: cosmosResume, evm: evmResume };
+  }
+
+  async watch() {
+    const startTime = Date.now();
+
+    this.report = {
+      timestamp: new Date().toISOString(),
+      cosmosRpcUrl: this.cosmosRpcUrl,
+      evmRpcUrl: this.evmRpcUrl,
+      upgradeHeight: this.upgradeHeight,
+      haltHeight: null,
+      firstPostUpgradeBlock: null,
+      downtime: null,
+      versions: null,
+      resumedTogether: false,
+      success: false,
+      error: null,
+      samples: 0,
+    };
+
+    try {
+      if (!this.upgradeHeight) {
+        throw new Error("UPGRADE_HEIGHT (or --height) is required");
+      }
+
+      this.log(
+        `${COLORS.BLUE}Watching for upgrade halt at height ${this.upgradeHeight}${COLORS.RESET}`
+      );
+
+      const halt = await this.waitForHalt();
+      this.report.haltHeight = halt.height;
+
+      const resume = await this.waitForResume();
+      if (!resume.cosmos) {
+        throw new Error(
+          `Cosmos RPC did not resume within ${this.resumeTimeout}ms`
+        );
+      }
+
+      const firstBlockTime = await this.getCosmosBlockTime(
+        this.upgradeHeight
+      ).catch(() => null);
+      this.report.firstPostUpgradeBlock = {
+        height: this.upgradeHeight,
+        blockTime: firstBlockTime,
+      };
+
+      const observedHalt = Date.parse(halt.lastProgressAt);
+      this.report.downtime = {
+        // Block timestamps give the on-chain gap between the last pre-upgrade
+        // block and the first block produced by the new binary
+        blockTimeMs:
+          halt.lastBlockTime && firstBlockTime
+            ? Date.parse(firstBlockTime) - Date.parse(halt.lastBlockTime)
+            : null,
+        cosmosWallClockMs: resume.cosmos.observedAt - observedHalt,
+        evmWallClockMs: resume.evm
+          ? resume.evm.observedAt - observedHalt
+          : null,
+      };
+
+      this.report.versions = {
+        before: halt.preUpgradeVersion,
+        after: resume.cosmos.version,
+        changed: halt.preUpgradeVersion !== resume.cosmos.version,
+      };
+
+      this.report.evmResume = resume.evm
+        ? {
+            height: resume.evm.height,
+            observedAt: new Date(resume.evm.observedAt).toISOString(),
+          }
+        : null;
+      this.report.cosmosResume = {
+        height: resume.cosmos.height,
+        observedAt: new Date(resume.cosmos.observedAt).toISOString(),
+      };
+      this.report.resumeGapMs = resume.evm
+        ? Math.abs(resume.evm.observedAt - resume.cosmos.observedAt)
+        : null;
+      this.report.resumedTogether =
+        resume.evm !== null && this.report.resumeGapMs <= this.syncTolerance;
+
+      this.report.success = this.report.resumedTogether;
+      if (!resume.evm) {
+        this.report.error = "EVM RPC did not resume";
+      } else if (!this.report.resumedTogether) {
+        this.report.error = `EVM and Cosmos resumed ${this.report.resumeGapMs}ms apart`;
+      }
+    } catch (error) {
+      this.report.error = error.message;
+      this.log(`${COLORS.RED}✗ ${error.message}${COLORS.RESET}`);
+      if (this.debug) {
+        console.error(error);
+      }
+    }
+
+    this.report.samples = this.samples.length;
+    this.report.duration = Date.now() - startTime;
+
+    this.printReport();
+    this.saveReport();
+
+    return this.report;
+  }
+
+  printReport() {
+    const report = this.report;
+
+    this.log(`\n${COLORS.BRIGHT}=== UPGRADE HALT REPORT ===${COLORS.RESET}`);
+    this.log(`  Planned upgrade height: ${report.upgradeHeight}`);
+    this.log(`  Halt height: ${report.haltHeight ?? "not detected"}`);
+
+    if (report.firstPostUpgradeBlock) {
+      this.log(
+        `  First post-upgrade block: ${report.firstPostUpgradeBlock.height} (${report.firstPostUpgradeBlock.blockTime})`
+      );
+    }
+    if (report.downtime) {
+      const seconds = (ms) =>
+        ms === null ? "n/a" : `${(ms / 1000).toFixed(1)}s`;
+      this.log(
+        `  Downtime (block time): ${seconds(report.downtime.blockTimeMs)}`
+      );
+      this.log(
+        `  Downtime (wall clock, Cosmos): ${seconds(
+          report.downtime.cosmosWallClockMs
+        )}`
+      );
+      this.log(
+        `  Downtime (wall clock, EVM): ${seconds(
+          report.downtime.evmWallClockMs
+        )}`
+      );
+    }
+    if (report.versions) {
+      this.log(
+        `  Node version: ${report.versions.before} → ${report.versions.after}${
+          report.versions.changed ? "" : " (unchanged)"
+        }`,
+        report.versions.changed ? COLORS.RESET : COLORS.YELLOW
+      );
+    }
+
+    this.log(
+      `  EVM and Cosmos resumed together: ${
+        report.resumedTogether ? COLORS.GREEN + "yes" : COLORS.RED + "no"
+      }${COLORS.RESET}`
+    );
+
+    if (report.success) {
+      this.log(
+        `\n${COLORS.GREEN}✓ Upgrade halt and resume verified${COLORS.RESET}`
+      );
+    } else {
+      this.log(`\n${COLORS.RED}✗ ${report.error}${COLORS.RESET}`);
+    }
+  }
+
+  saveReport() {
+    try {
+      const resultsDir = path.join(__dirname, "..", "test-results");
+      if (!fs.existsSync(resultsDir)) {
+        fs.mkdirSync(resultsDir, { recursive: true });
+      }
+
+      const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
+      const resultFile = path.join(
+        resultsDir,
+        `upgrade-halt-${timestamp}.json`
+      );
+      const latestFile = path.join(resultsDir, "upgrade-halt-latest.json");
+
+      fs.writeFileSync(resultFile, JSON.stringify(this.report, null, 2));
+      fs.writeFileSync(latestFile, JSON.stringify(this.report, null, 2));
+
+      this.log(`\n${COLORS.GREEN}✓ Halt report saved to:${COLORS.RESET}`);
+      this.log(`  ${resultFile}`);
+      this.log(`  ${latestFile}`);
+    } catch (error) {
+      this.log(
+        `${COLORS.YELLOW}⚠ Could not save halt report: ${error.message}${COLORS.RESET}`
+      );
+    }
+  }
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+
+  if (args.includes("--help") || args.includes("-h")) {
+    console.log(`
+${COLORS.BRIGHT}Upgrade Halt Watcher${COLORS.RESET}
+
+Polls CometBFT /status and eth_blockNumber, waits for the chain to halt at
+the upgrade height and reports downtime once blocks are produced again.
+
+${COLORS.BRIGHT}Usage:${COLORS.RESET}
+  node scripts/watch-upgrade-halt.js [--height <height>]
+
+${COLORS.BRIGHT}Options:${COLORS.RESET}
+  --height <height>   Upgrade height (default: UPGRADE_HEIGHT, then
+                      test-results/upgrade-proposal-latest.json)
+  --verbose           Print every poll
+  -h, --help          Show this help message
+
+${COLORS.BRIGHT}Environment Variables:${COLORS.RESET}
+  WATCH_POLL_INTERVAL    Poll interval in ms (default: 1000)
+  WATCH_HALT_GRACE       Time without new blocks that counts as halted in ms (default: 10000)
+  WATCH_HALT_TIMEOUT     Max wait for the halt in ms (default: 1800000)
+  WATCH_RESUME_TIMEOUT   Max wait for the resume in ms (default: 1800000)
+  WATCH_SYNC_TOLERANCE   Max gap between EVM and Cosmos resuming in ms (default: 5000)
+`);
+    process.exit(0);
+  }
+
+  if (args.includes("--verbose")) {
+    process.env.VERBOSE = "true";
+  }
+
+  const heightIndex = args.indexOf("--height");
+  const watcher = new UpgradeHaltWatcher({
+    upgradeHeight:
+      heightIndex !== -1 ? parseInt(args[heightIndex + 1]) || null : null,
+  });
+
+  console.log(
+    `${COLORS.BRIGHT}${COLORS.MAGENTA}🚀 Starting Upgrade Halt Watcher 🚀${COLORS.RESET}`
+  );
+
+  const report = await watcher.watch();
+  process.exit(report.success ? 0 : 1);
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
+}
+
+module.exports = { UpgradeHaltWatcher };
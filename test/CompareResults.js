@@ -0,0 +1,123 @@
+const { expect } = require("chai");
+const { ResultsComparator } = require("../scripts/compare-results");
+
+function suite(tests, duration = 1000) {
+  return {
+    status: "passed",
+    duration,
+    total: tests.length,
+    passed: tests.filter((test) => test.status === "passed").length,
+    failed: tests.filter((test) => test.status === "failed").length,
+    tests,
+  };
+}
+
+describe("Results comparison", function () {
+  const comparator = new ResultsComparator();
+
+  function compare(beforeTests, afterTests) {
+    const before = comparator.extractSuites({ suites: { RPC: beforeTests } });
+    const after = comparator.extractSuites({ suites: { RPC: afterTests } });
+    return comparator.compareSuite("RPC", before.RPC, after.RPC);
+  }
+
+  it("Should list tests that newly fail with their error", function () {
+    const comparison = compare(
+      suite([{ name: "a", status: "passed" }]),
+      suite([{ name: "a", status: "failed", error: "boom" }])
+    );
+    expect(comparison.newlyFailing).to.deep.equal([
+      { name: "a", error: "boom" },
+    ]);
+    expect(comparison.newlyPassing).to.deep.equal([]);
+  });
+
+  it("Should list tests that newly pass or still fail", function () {
+    const comparison = compare(
+      suite([
+        { name: "a", status: "failed" },
+        { name: "b", status: "failed" },
+      ]),
+      suite([
+        { name: "a", status: "passed" },
+        { name: "b", status: "failed", error: "again" },
+      ])
+    );
+    expect(comparison.newlyPassing).to.deep.equal([{ name: "a" }]);
+    expect(comparison.stillFailing).to.deep.equal([
+      { name: "b", error: "again" },
+    ]);
+  });
+
+  it("Should list disappeared and added tests", function () {
+    const comparison = compare(
+      suite([
+        { name: "a", status: "passed" },
+        { name: "b", status: "failed" },
+      ]),
+      suite([
+        { name: "a", status: "passed" },
+        { name: "c", status: "skipped" },
+      ])
+    );
+    expect(comparison.disappeared).to.deep.equal([
+      { name: "b", before: "failed" },
+    ]);
+    expect(comparison.added).to.deep.equal([{ name: "c", status: "skipped" }]);
+  });
+
+  it("Should tell apart tests that run more than once under one name", function () {
+    const comparison = compare(
+      suite([
+        { name: "a", status: "passed" },
+        { name: "a", status: "passed" },
+      ]),
+      suite([
+        { name: "a", status: "passed" },
+        { name: "a", status: "failed" },
+      ])
+    );
+    expect(comparison.newlyFailing.map((test) => test.name)).to.deep.equal([
+      "a #2",
+    ]);
+  });
+
+  it("Should compare only counters when a file has no per-test outcomes", function () {
+    const before = comparator.extractSuites({
+      results: { evm: { suites: { RPC: { passed: 2, failed: 0 } } } },
+    });
+    const after = comparator.extractSuites({
+      results: { evm: { suites: { RPC: suite([]) } } },
+    });
+    const comparison = comparator.compareSuite("RPC", before.RPC, after.RPC);
+    expect(comparison.countersOnly).to.equal(true);
+    expect(comparison.disappeared).to.deep.equal([]);
+  });
+
+  it("Should flag duration changes over both thresholds", function () {
+    const slower = compare(suite([], 1000), suite([], 2500));
+    expect(slower.duration.percent).to.equal(150);
+    expect(slower.duration.flagged).to.equal(true);
+
+    // 100% slower, but by less than the minimum number of milliseconds
+    const small = compare(suite([], 100), suite([], 200));
+    expect(small.duration.flagged).to.equal(false);
+  });
+
+  it("Should treat newly failing and disappeared tests as regressions", function () {
+    const summary = {
+      newlyFailing: 0,
+      disappeared: 0,
+      disappearedSuites: 0,
+      added: 3,
+      newlyPassing: 1,
+    };
+    expect(comparator.hasRegressions({ summary })).to.equal(false);
+    expect(
+      comparator.hasRegressions({ summary: { ...summary, disappeared: 1 } })
+    ).to.equal(true);
+    expect(
+      comparator.hasRegressions({ summary: { ...summary, newlyFailing: 1 } })
+    ).to.equal(true);
+  });
+});
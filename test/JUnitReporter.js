@@ -0,0 +1,97 @@
+const { expect } = require("chai");
+const { JUnitReporter } = require("../scripts/junit-reporter");
+
+describe("JUnit reporter", function () {
+  function render(results) {
+    const reporter = new JUnitReporter("Tests");
+    reporter.addSuite("RPC Calls", { duration: 1500, ...results });
+    return reporter.toXml();
+  }
+
+  it("Should escape XML special characters in names and errors", function () {
+    const xml = render({
+      tests: [
+        {
+          name: `eth_call <"latest"> & 'pending'`,
+          status: "failed",
+          error: "expected <0x1> & got <0x2>",
+        },
+      ],
+    });
+    expect(xml).to.include(
+      'name="eth_call &lt;&quot;latest&quot;&gt; &amp; &apos;pending&apos;"'
+    );
+    expect(xml).to.include(
+      '<failure message="expected &lt;0x1&gt; &amp; got &lt;0x2&gt;">'
+    );
+  });
+
+  it("Should strip ANSI colors and characters XML does not allow", function () {
+    const xml = render({
+      tests: [
+        { name: "a", status: "failed", error: "\x1b[31mred\x1b[0m\x07 text" },
+      ],
+    });
+    expect(xml).to.include('<failure message="red text">red text</failure>');
+  });
+
+  it("Should report skipped tests with their reason", function () {
+    const xml = render({
+      tests: [
+        { name: "a", status: "passed", category: "query" },
+        { name: "b", status: "skipped", skipReason: "not <supported>" },
+      ],
+    });
+    expect(xml).to.include(
+      '<testsuite name="RPC Calls" tests="2" failures="0" errors="0" skipped="1" time="1.500"'
+    );
+    expect(xml).to.include('classname="RPC Calls.query" time="0.000"/>');
+    expect(xml).to.include('<skipped message="not &lt;supported&gt;"/>');
+  });
+
+  it("Should add an errored testcase for a suite that crashed", function () {
+    const xml = render({
+      status: "error",
+      error: "connection refused",
+      tests: [{ name: "a", status: "passed" }],
+    });
+    expect(xml).to.include('tests="2" failures="0" errors="1"');
+    expect(xml).to.include(
+      '<error message="connection refused">connection refused</error>'
+    );
+  });
+
+  it("Should total the suites on the root element", function () {
+    const reporter = new JUnitReporter("Tests");
+    reporter.addSuite("A", {
+      duration: 500,
+      tests: [{ name: "a", status: "failed", error: "x" }],
+    });
+    reporter.addSuite("B", {
+      duration: 250,
+      tests: [{ name: "b", status: "skipped" }],
+    });
+    expect(reporter.toXml()).to.include(
+      '<testsuites name="Tests" tests="2" failures="1" errors="0" skipped="1" time="0.750">'
+    );
+  });
+
+  it("Should take the output file from --junit or JUNIT_OUTPUT", function () {
+    expect(
+      JUnitReporter.outputFileFromArgs(["--junit", "out.xml"], "x.xml")
+    ).to.equal("out.xml");
+    expect(
+      JUnitReporter.outputFileFromArgs(["--junit", "--verbose"], "x.xml")
+    ).to.match(/test-results[\\/]x\.xml$/);
+
+    const previous = process.env.JUNIT_OUTPUT;
+    delete process.env.JUNIT_OUTPUT;
+    try {
+      expect(JUnitReporter.outputFileFromArgs([], "x.xml")).to.equal(null);
+    } finally {
+      if (previous !== undefined) {
+        process.env.JUNIT_OUTPUT = previous;
+      }
+    }
+  });
+});
@@ -0,0 +1,115 @@
+const { expect } = require("chai");
+const {
+  parseDuration,
+  percentile,
+  LatencyRecorder,
+  balanceDrift,
+} = require("../scripts/soak-metrics");
+
+describe("Soak metrics", function () {
+  describe("parseDuration", function () {
+    it("Should convert units to milliseconds", function () {
+      expect(parseDuration("500ms")).to.equal(500);
+      expect(parseDuration("30s")).to.equal(30000);
+      expect(parseDuration("1.5m")).to.equal(90000);
+      expect(parseDuration("8h")).to.equal(28800000);
+      expect(parseDuration(" 250 ")).to.equal(250);
+    });
+
+    it("Should reject anything else", function () {
+      expect(() => parseDuration("15 minutes")).to.throw(/Invalid duration/);
+      expect(() => parseDuration("-1s")).to.throw(/Invalid duration/);
+    });
+  });
+
+  describe("percentile", function () {
+    it("Should pick the nearest rank", function () {
+      const sorted = [10, 20, 30, 40, 50, 60, 70, 80, 90, 100];
+      expect(percentile(sorted, 50)).to.equal(50);
+      expect(percentile(sorted, 95)).to.equal(100);
+      expect(percentile(sorted, 0)).to.equal(10);
+      expect(percentile([], 50)).to.equal(null);
+    });
+  });
+
+  describe("LatencyRecorder", function () {
+    it("Should aggregate samples per method and per iteration", function () {
+      const recorder = new LatencyRecorder();
+      recorder.record("eth_call", 30, true);
+      recorder.record("eth_call", 10, true);
+      recorder.iteration = 1;
+      recorder.record("eth_call", 50, false);
+      recorder.record("eth_blockNumber", 5, true);
+
+      const summary = recorder.summary();
+      expect(Object.keys(summary)).to.deep.equal([
+        "eth_blockNumber",
+        "eth_call",
+      ]);
+      expect(summary.eth_call).to.include({
+        count: 3,
+        errors: 1,
+        p50: 30,
+        p99: 50,
+        max: 50,
+      });
+      expect(summary.eth_call.iterations).to.deep.equal([
+        { iteration: 0, count: 2, p50: 10, p95: 30 },
+        { iteration: 1, count: 1, p50: 50, p95: 50 },
+      ]);
+    });
+
+    it("Should time provider calls until it is undone", async function () {
+      const recorder = new LatencyRecorder();
+      const provider = {
+        send: async (method) => method,
+        request: async () => {
+          throw new Error("unsupported");
+        },
+      };
+      const send = provider.send;
+
+      const restore = recorder.instrument(provider);
+      expect(await provider.send("eth_chainId", [])).to.equal("eth_chainId");
+      await provider.request({ method: "eth_foo" }).catch(() => {});
+      restore();
+
+      expect(provider.send).to.equal(send);
+      expect(recorder.samples.eth_chainId[0].ok).to.equal(true);
+      expect(recorder.samples.eth_foo[0].ok).to.equal(false);
+    });
+  });
+
+  describe("balanceDrift", function () {
+    it("Should report the change per account over the run", function () {
+      const drift = balanceDrift([
+        { iteration: 0, balances: { a: "1000", b: "5" } },
+        { iteration: 1, balances: { a: "900", b: "5" } },
+        { iteration: 2, balances: { a: "1200" } },
+      ]);
+      expect(drift.a).to.deep.equal({
+        start: "1000",
+        end: "1200",
+        total: "200",
+        minDelta: "-100",
+        maxDelta: "300",
+      });
+      expect(drift.b).to.deep.equal({
+        start: "5",
+        end: "5",
+        total: "0",
+        minDelta: "0",
+        maxDelta: "0",
+      });
+    });
+
+    it("Should handle a single sample and no samples", function () {
+      expect(balanceDrift([])).to.deep.equal({});
+      const [drift] = Object.values(
+        balanceDrift([{ iteration: 0, balances: { a: "7" } }])
+      );
+      expect(drift.minDelta).to.equal(null);
+      expect(drift.total).to.equal("0");
+    });
+  });
+});
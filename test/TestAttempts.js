@@ -0,0 +1,119 @@
+const { expect } = require("chai");
+const {
+  attemptSettings,
+  withTimeout,
+  runWithRetries,
+} = require("../scripts/test-attempts");
+
+describe("Test attempts", function () {
+  describe("attemptSettings", function () {
+    const keys = ["TIMEOUT", "RETRIES", "RETRY_DELAY"].map(
+      (name) => `ATTEMPTS_TEST_${name}`
+    );
+
+    afterEach(function () {
+      keys.forEach((key) => delete process.env[key]);
+    });
+
+    it("Should fall back to the caller's defaults", function () {
+      expect(attemptSettings("ATTEMPTS_TEST", { retries: 2 })).to.deep.equal({
+        timeout: 60000,
+        retries: 2,
+        retryDelay: 1000,
+      });
+    });
+
+    it("Should read the prefixed variables, including a zero timeout", function () {
+      process.env.ATTEMPTS_TEST_TIMEOUT = "0";
+      process.env.ATTEMPTS_TEST_RETRIES = "3";
+      process.env.ATTEMPTS_TEST_RETRY_DELAY = "250";
+      expect(attemptSettings("ATTEMPTS_TEST", { retries: 1 })).to.deep.equal({
+        timeout: 0,
+        retries: 3,
+        retryDelay: 250,
+      });
+    });
+  });
+
+  describe("withTimeout", function () {
+    it("Should resolve with the result when it settles in time", async function () {
+      expect(await withTimeout(Promise.resolve("done"), 50)).to.equal("done");
+    });
+
+    it("Should reject a hung call with an error that is not retried", async function () {
+      const error = await withTimeout(new Promise(() => {}), 20).catch(
+        (e) => e
+      );
+      expect(error.message).to.equal("Test timed out after 20ms");
+      expect(error.retryable).to.equal(false);
+    });
+
+    it("Should return the promise itself when the timeout is disabled", function () {
+      const promise = Promise.resolve();
+      expect(withTimeout(promise, 0)).to.equal(promise);
+    });
+  });
+
+  describe("runWithRetries", function () {
+    const settings = { timeout: 0, retries: 2, retryDelay: 1 };
+
+    it("Should retry until an attempt passes", async function () {
+      let calls = 0;
+      const retried = [];
+      const { result, attempts } = await runWithRetries(
+        async () => {
+          calls++;
+          if (calls < 3) {
+            throw new Error(`attempt ${calls}`);
+          }
+          return "done";
+        },
+        settings,
+        (error, attempt, delay) => retried.push([attempt, delay])
+      );
+      expect(result).to.equal("done");
+      expect(attempts).to.equal(3);
+      expect(retried).to.deep.equal([
+        [1, 1],
+        [2, 2],
+      ]);
+    });
+
+    it("Should rethrow the last error with the number of attempts", async function () {
+      let calls = 0;
+      const error = await runWithRetries(async () => {
+        calls++;
+        throw new Error("always");
+      }, settings).catch((e) => e);
+      expect(error.message).to.equal("always");
+      expect(error.attempts).to.equal(3);
+      expect(calls).to.equal(3);
+    });
+
+    it("Should not retry errors marked as not retryable", async function () {
+      let calls = 0;
+      const error = await runWithRetries(async () => {
+        calls++;
+        const skipped = new Error("skipped");
+        skipped.retryable = false;
+        throw skipped;
+      }, settings).catch((e) => e);
+      expect(error.attempts).to.equal(1);
+      expect(calls).to.equal(1);
+    });
+
+    it("Should not retry an attempt that timed out", async function () {
+      let calls = 0;
+      const error = await runWithRetries(
+        () => {
+          calls++;
+          return new Promise((resolve) => setTimeout(resolve, 200));
+        },
+        { ...settings, timeout: 20 }
+      ).catch((e) => e);
+      expect(error.message).to.equal("Test timed out after 20ms");
+      expect(error.attempts).to.equal(1);
+      expect(calls).to.equal(1);
+    });
+  });
+});
@@ -0,0 +1,170 @@
+const { expect } = require("chai");
+const { gateSettings, evaluateGates } = require("../scripts/test-gates");
+const { TestHarness } = require("../scripts/test-harness");
+
+describe("Test gates", function () {
+  describe("gateSettings", function () {
+    it("Should require no failed test when nothing is set", function () {
+      const settings = gateSettings({}, {});
+      expect(settings.minSuccessRate).to.equal(null);
+      expect(settings.maxFailed).to.equal(0);
+      expect(settings.maxFlaky).to.equal(null);
+      expect(settings.mustPass).to.deep.equal([]);
+    });
+
+    it("Should drop the failed test default when a success rate is set", function () {
+      const settings = gateSettings({}, { GATE_MIN_SUCCESS_RATE: "80" });
+      expect(settings.minSuccessRate).to.equal(80);
+      expect(settings.maxFailed).to.equal(null);
+    });
+
+    it("Should prefer the environment over the caller's defaults", function () {
+      const settings = gateSettings(
+        { minSuccessRate: 90, maxFlaky: 2 },
+        { GATE_MIN_SUCCESS_RATE: "75.5", GATE_MAX_FAILED: "3" }
+      );
+      expect(settings.minSuccessRate).to.equal(75.5);
+      expect(settings.maxFailed).to.equal(3);
+      expect(settings.maxFlaky).to.equal(2);
+    });
+
+    it("Should split and trim the must-pass test names", function () {
+      const settings = gateSettings({}, { GATE_MUST_PASS: " a , b,," });
+      expect(settings.mustPass).to.deep.equal(["a", "b"]);
+    });
+  });
+
+  describe("evaluateGates", function () {
+    const settings = {
+      minSuccessRate: null,
+      maxFailed: null,
+      maxFlaky: null,
+      mustPass: [],
+    };
+
+    it("Should check only the gates that are set", function () {
+      expect(evaluateGates({ passed: 1, failed: 0 }, settings)).to.deep.equal(
+        []
+      );
+    });
+
+    it("Should compare the success rate of passed and failed tests", function () {
+      const summary = { passed: 9, failed: 1 };
+      const [atLimit] = evaluateGates(summary, {
+        ...settings,
+        minSuccessRate: 90,
+      });
+      expect(atLimit.passed).to.equal(true);
+      expect(atLimit.actual).to.equal(90);
+
+      const [belowLimit] = evaluateGates(summary, {
+        ...settings,
+        minSuccessRate: 95,
+      });
+      expect(belowLimit.passed).to.equal(false);
+    });
+
+    it("Should pass the success rate when no tests ran", function () {
+      const [outcome] = evaluateGates(
+        { passed: 0, failed: 0, tests: [] },
+        { ...settings, minSuccessRate: 100 }
+      );
+      expect(outcome.passed).to.equal(true);
+    });
+
+    it("Should fail on more failed tests than allowed", function () {
+      const [outcome] = evaluateGates(
+        { passed: 5, failed: 1 },
+        { ...settings, maxFailed: 0 }
+      );
+      expect(outcome.gate).to.equal("max-failed");
+      expect(outcome.passed).to.equal(false);
+    });
+
+    it("Should list the flaky tests", function () {
+      const tests = [
+        { name: "a", status: "passed", flaky: true },
+        { name: "b", status: "passed", flaky: false },
+      ];
+      const [outcome] = evaluateGates(
+        { passed: 2, failed: 0, tests },
+        { ...settings, maxFlaky: 0 }
+      );
+      expect(outcome.passed).to.equal(false);
+      expect(outcome.tests).to.deep.equal(["a"]);
+    });
+
+    it("Should require every run of a must-pass test to pass", function () {
+      const tests = [
+        { name: "a", status: "passed" },
+        { name: "a", status: "failed" },
+        { name: "b", status: "passed" },
+      ];
+      const outcomes = evaluateGates(
+        { passed: 2, failed: 1, tests },
+        { ...settings, mustPass: ["a", "b", "c"] }
+      );
+      expect(outcomes.map((outcome) => outcome.passed)).to.deep.equal([
+        false,
+        true,
+        false,
+      ]);
+      expect(outcomes[2].actual).to.equal("not run");
+    });
+
+    it("Should match a must-pass test named with its suite", function () {
+      const tests = [
+        { name: "a", suite: "RPC Calls", status: "passed" },
+        { name: "a", suite: "Contracts", status: "failed" },
+      ];
+      const outcomes = evaluateGates(
+        { passed: 1, failed: 1, tests },
+        { ...settings, mustPass: ["RPC Calls: a", "Contracts: a"] }
+      );
+      expect(outcomes.map((outcome) => outcome.passed)).to.deep.equal([
+        true,
+        false,
+      ]);
+    });
+  });
+
+  describe("TestHarness.checkGates", function () {
+    let previous;
+
+    beforeEach(function () {
+      previous = process.env.GATE_MUST_PASS;
+    });
+
+    afterEach(function () {
+      if (previous === undefined) {
+        delete process.env.GATE_MUST_PASS;
+      } else {
+        process.env.GATE_MUST_PASS = previous;
+      }
+    });
+
+    async function runHarness(mustPass, grep = null) {
+      process.env.GATE_MUST_PASS = mustPass;
+      const harness = new TestHarness("RPC Calls");
+      harness.log = () => {};
+      harness.selection = { grep, tags: [], list: false };
+      await harness.runTest("eth_chainId", async () => "0x1", "query");
+      await harness.runTest("eth_call", async () => "0x", "query");
+      return harness.checkGates();
+    }
+
+    it("Should leave must-pass tests of other suites to them", async function () {
+      expect(await runHarness("eth_chainId,Send transaction")).to.equal(true);
+      expect(await runHarness("Contracts: eth_call")).to.equal(true);
+    });
+
+    it("Should fail a must-pass test the selection left out", async function () {
+      expect(await runHarness("eth_call", /chainId/)).to.equal(false);
+    });
+
+    it("Should fail a must-pass test of this suite that does not exist", async function () {
+      expect(await runHarness("RPC Calls: eth_getLogs")).to.equal(false);
+      expect(await runHarness("RPC Calls: eth_call")).to.equal(true);
+    });
+  });
+});
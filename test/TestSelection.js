@@ -0,0 +1,95 @@
+const { expect } = require("chai");
+const {
+  testSelection,
+  isSelected,
+  applySelectionArgs,
+  describeSelection,
+  formatListedTest,
+} = require("../scripts/test-selection");
+
+describe("Test selection", function () {
+  const test = { name: "eth_feeHistory", category: "fees", tags: ["smoke"] };
+
+  describe("testSelection", function () {
+    it("Should select everything when nothing is set", function () {
+      const selection = testSelection({});
+      expect(selection).to.deep.equal({ grep: null, tags: [], list: false });
+      expect(isSelected(test, selection)).to.equal(true);
+      expect(describeSelection(selection)).to.equal(null);
+    });
+
+    it("Should split and trim the tags", function () {
+      const selection = testSelection({ TEST_TAGS: " smoke, ,fees " });
+      expect(selection.tags).to.deep.equal(["smoke", "fees"]);
+    });
+  });
+
+  describe("isSelected", function () {
+    const selected = (env) => isSelected(test, testSelection(env));
+
+    it("Should match the grep pattern against the name, ignoring case", function () {
+      expect(selected({ TEST_GREP: "FEEHISTORY" })).to.equal(true);
+      expect(selected({ TEST_GREP: "^feeHistory" })).to.equal(false);
+    });
+
+    it("Should match a tag against the category or the tags", function () {
+      expect(selected({ TEST_TAGS: "fees" })).to.equal(true);
+      expect(selected({ TEST_TAGS: "logs,smoke" })).to.equal(true);
+      expect(selected({ TEST_TAGS: "logs" })).to.equal(false);
+    });
+
+    it("Should require both the pattern and a tag to match", function () {
+      const selection = testSelection({ TEST_GREP: "fee", TEST_TAGS: "logs" });
+      expect(isSelected(test, selection)).to.equal(false);
+      expect(describeSelection(selection)).to.equal("grep /fee/i; tags logs");
+    });
+  });
+
+  describe("applySelectionArgs", function () {
+    const keys = ["TEST_GREP", "TEST_TAGS", "TEST_LIST"];
+    let previous;
+
+    beforeEach(function () {
+      previous = keys.map((key) => process.env[key]);
+      keys.forEach((key) => delete process.env[key]);
+    });
+
+    afterEach(function () {
+      keys.forEach((key, i) => {
+        if (previous[i] === undefined) {
+          delete process.env[key];
+        } else {
+          process.env[key] = previous[i];
+        }
+      });
+    });
+
+    it("Should set the environment from --grep, repeated --tag and --list", function () {
+      applySelectionArgs([
+        "--grep",
+        "eth_",
+        "--tag",
+        "smoke",
+        "--tag",
+        "fees",
+        "--list",
+      ]);
+      expect(process.env.TEST_GREP).to.equal("eth_");
+      expect(process.env.TEST_TAGS).to.equal("smoke,fees");
+      expect(process.env.TEST_LIST).to.equal("true");
+    });
+
+    it("Should reject an invalid --grep pattern", function () {
+      expect(() => applySelectionArgs(["--grep", "("])).to.throw(
+        /Invalid --grep pattern/
+      );
+      expect(process.env.TEST_GREP).to.equal(undefined);
+    });
+  });
+
+  it("Should list a test with its category, tags and setup label", function () {
+    expect(formatListedTest({ ...test, setup: true })).to.equal(
+      "eth_feeHistory  [fees, smoke, setup]"
+    );
+  });
+});